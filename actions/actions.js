@@ -5,7 +5,16 @@
 import connectMongo from '@/db/connectMongo';
 import Timesheet from '@/models/Timesheet';
 import WeeklySummary from '@/models/WeeklySummary';
-import { calculateHoursWorked, getWeeklyPeriod } from '@/utils/dateUtils';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { isBankHoliday } from '@/utils/bankHolidayUtils';
+import { getAutoBreakRule } from '@/utils/config';
+import {
+  calculateHoursWorked,
+  getWeeklyPeriod,
+  resolveBreakMinutes,
+} from '@/utils/dateUtils';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { getSubmittedTimesheetStatus } from '@/utils/timesheetApprovalUtils';
 import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { revalidatePath } from 'next/cache';
 
@@ -25,6 +34,13 @@ export default async function createTimesheet(formData) {
     const workstart = formData.get('start');
     const workend = formData.get('end');
     const isDraft = formData.get('isDraft') === 'true';
+    // Blank break falls back to the automatic break rule
+    const breakMinutes = resolveBreakMinutes(
+      formData.get('breakMinutes'),
+      workstart,
+      workend,
+      getAutoBreakRule()
+    );
 
     // Validate dateStr
     const date = new Date(dateStr);
@@ -32,6 +48,8 @@ export default async function createTimesheet(formData) {
       throw new Error('Invalid date format');
     }
 
+    await assertPeriodOpen(date);
+
     if (
       await Timesheet.countDocuments({
         userId,
@@ -54,12 +72,23 @@ export default async function createTimesheet(formData) {
       date,
       start: workstart,
       end: workend,
+      breakMinutes,
       isDraft,
+      isBankHoliday: await isBankHoliday(date),
+      status: getSubmittedTimesheetStatus(),
     });
 
     await newTimesheet.save();
 
-    const hoursWorked = calculateHoursWorked(workstart, workend);
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'Timesheet',
+      resourceId: newTimesheet._id,
+      after: newTimesheet,
+    });
+
+    const hoursWorked = calculateHoursWorked(workstart, workend, breakMinutes);
 
     // Only update weekly summary if it's not a draft
     if (!isDraft) {
@@ -71,7 +100,7 @@ export default async function createTimesheet(formData) {
     }
 
     console.log(
-      `Start: ${workstart}, End: ${workend}, Hours Worked: ${hoursWorked}`
+      `Start: ${workstart}, End: ${workend}, Break: ${breakMinutes}m, Hours Worked: ${hoursWorked}`
     );
 
     // Send webhook to n8n only for final submissions (not drafts)
@@ -83,6 +112,7 @@ export default async function createTimesheet(formData) {
           date: date.toISOString(),
           start: workstart,
           end: workend,
+          breakMinutes,
           hoursWorked,
           timesheetId: newTimesheet._id.toString()
         };
@@ -108,7 +138,7 @@ export default async function createTimesheet(formData) {
 
     // Revalidate admin pages and timesheet page
     revalidatePath('/admin');
-    revalidatePath(`/admin/${username}`);
+    revalidatePath(`/admin/${userId}`);
     revalidatePath('/timesheet');
 
     return {
@@ -120,7 +150,7 @@ export default async function createTimesheet(formData) {
     // Handle the error appropriately, e.g., by showing an error message
 
     return {
-      status: 500,
+      status: error.statusCode || 500,
       message: error.message,
     };
   }
@@ -1,9 +1,10 @@
-// app/admin/[username]/page.js
+// app/admin/[userId]/page.js
 
 'use client';
 
 import DeleteButton from '@/components/DeleteButton';
 import EditButton from '@/components/EditButton';
+import TimesheetHistory from '@/components/TimesheetHistory';
 import { useEffect, useState } from 'react';
 import Link from 'next/link';
 import { parseISO, format, subWeeks, startOfDay } from 'date-fns';
@@ -14,12 +15,15 @@ import {
 } from '@/utils/dateUtils';
 
 const UserDetailPage = ({ params }) => {
-  const username = decodeURIComponent(params.username);
+  // A user id; older bookmarks with a display name are resolved by the API
+  const userId = decodeURIComponent(params.userId);
+  const [username, setUsername] = useState('');
   const [timesheets, setTimesheets] = useState([]);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [totalHours, setTotalHours] = useState(0);
   const [totalMinutes, setTotalMinutes] = useState(0);
+  const [overtime, setOvertime] = useState(null);
   const [loading, setLoading] = useState(true);
   const limit = 20; // Limit of timesheets per page
 
@@ -27,7 +31,7 @@ const UserDetailPage = ({ params }) => {
     setLoading(true);
     try {
       const res = await fetch(
-        `/api/timesheets?username=${username}&page=${page}&limit=${limit}&includeDrafts=false`,
+        `/api/timesheets?userId=${encodeURIComponent(userId)}&page=${page}&limit=${limit}&includeDrafts=false`,
         {
           cache: 'no-store'
         }
@@ -40,9 +44,11 @@ const UserDetailPage = ({ params }) => {
       );
 
       setTimesheets(sortedTimesheets);
+      setUsername(data.displayName);
       setTotalPages(Math.ceil(data.totalCount / limit));
       setTotalHours(data.totalHours);
       setTotalMinutes(data.remainingMinutes);
+      setOvertime(data.overtime);
     } catch (error) {
       console.error('Failed to fetch timesheets:', error);
     } finally {
@@ -52,7 +58,7 @@ const UserDetailPage = ({ params }) => {
 
   useEffect(() => {
     fetchTimesheets(page);
-  }, [page, username]);
+  }, [page, userId]);
 
   // Listen for data updates from localStorage (for real-time updates)
   useEffect(() => {
@@ -102,11 +108,13 @@ const UserDetailPage = ({ params }) => {
       : `${parseInt(hours)} h ${parseInt(minutes)} m`;
   };
 
+  const formatMinutes = (minutes) => formatTime(Math.floor(minutes / 60), minutes % 60);
+
   return (
     <main className='p-4 sm:p-8 bg-slate-50'>
       <div className='flex justify-end gap-2 mb-4'>
         <Link
-          href={`/api/export-timesheets/${username}`}
+          href={`/api/export-timesheets/${encodeURIComponent(userId)}`}
           className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
         >
           Export Details
@@ -150,6 +158,29 @@ const UserDetailPage = ({ params }) => {
                 <tr key={timesheet._id.toString()} className='hover:bg-gray-50'>
                   <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 hover:text-emerald-900 font-semibold'>
                     {formatDate(timesheet.date)}
+                    {timesheet.isBankHoliday && (
+                      <span className='ml-2 px-1 rounded bg-amber-100 text-amber-800 text-xs font-medium'>
+                        Bank holiday
+                      </span>
+                    )}
+                    {timesheet.editedByManager && (
+                      <span className='ml-2 px-1 rounded bg-sky-100 text-sky-800 text-xs font-medium'>
+                        Edited by {timesheet.lastEditedBy || 'manager'}
+                      </span>
+                    )}
+                    {timesheet.status === 'pending' && (
+                      <span className='ml-2 px-1 rounded bg-yellow-100 text-yellow-800 text-xs font-medium'>
+                        Awaiting approval
+                      </span>
+                    )}
+                    {timesheet.status === 'rejected' && (
+                      <span
+                        className='ml-2 px-1 rounded bg-red-100 text-red-800 text-xs font-medium'
+                        title={timesheet.rejectionReason || ''}
+                      >
+                        Rejected
+                      </span>
+                    )}
                   </td>
                   <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 hover:text-emerald-900'>
                     {timesheet.start}
@@ -160,15 +191,25 @@ const UserDetailPage = ({ params }) => {
                   <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 hover:text-emerald-900 font-bold'>
                     {formatTime(
                       Math.floor(
-                        calculateHoursWorked(timesheet.start, timesheet.end)
+                        calculateHoursWorked(
+                          timesheet.start,
+                          timesheet.end,
+                          timesheet.breakMinutes
+                        )
                       ),
-                      calculateMinutesWorked(timesheet.start, timesheet.end) %
-                        60
+                      calculateMinutesWorked(
+                        timesheet.start,
+                        timesheet.end,
+                        timesheet.breakMinutes
+                      ) % 60
                     )}
                   </td>
                   <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-lime-800 hover:text-emerald-950 flex gap-2'>
                     <EditButton id={timesheet._id.toString()} />
                     <DeleteButton id={timesheet._id.toString()} />
+                    {timesheet.editedByManager && (
+                      <TimesheetHistory id={timesheet._id.toString()} />
+                    )}
                   </td>
                 </tr>
               ))}
@@ -188,10 +229,74 @@ const UserDetailPage = ({ params }) => {
                   {formatTime(totalHours, totalMinutes)}
                 </td>
               </tr>
+              {overtime &&
+                [
+                  ['Basic', overtime.basicMinutes],
+                  ['Overtime', overtime.overtimeMinutes],
+                  ['Night', overtime.nightMinutes],
+                  ['Bank holiday', overtime.bankHolidayMinutes],
+                ].map(([label, minutes]) => (
+                  <tr key={label}>
+                    <td
+                      className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 hover:text-emerald-900 font-semibold'
+                      colSpan='3'
+                    >
+                      {label}
+                    </td>
+                    <td
+                      className='border border-gray-300 px-2 py-1 text-left text-slate-950 hover:text-emerald-900 font-semibold text-xs sm:text-sm'
+                      colSpan='2'
+                    >
+                      {formatMinutes(minutes)}
+                    </td>
+                  </tr>
+                ))}
             </tfoot>
           </table>
         </div>
       )}
+      {!loading && overtime?.weeks.length > 0 && (
+        <div className='overflow-x-auto mt-4'>
+          <table className='min-w-full bg-white border border-gray-200'>
+            <thead className='bg-gray-100'>
+              <tr>
+                {['Week commencing', 'Basic', 'Overtime', 'Night', 'Bank holiday', 'Total'].map((header) => (
+                  <th
+                    key={header}
+                    className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800 hover:text-emerald-950'
+                  >
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {overtime.weeks.map((week) => (
+                <tr key={week.weekStart} className='hover:bg-gray-50'>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 font-semibold'>
+                    {formatDate(week.weekStart)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700'>
+                    {formatMinutes(week.basicMinutes)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700'>
+                    {formatMinutes(week.overtimeMinutes)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700'>
+                    {formatMinutes(week.nightMinutes)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700'>
+                    {formatMinutes(week.bankHolidayMinutes)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm text-slate-700 font-bold'>
+                    {formatMinutes(week.totalMinutes)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
       {/* Pagination Controls */}{' '}
       {timesheets.length > 0 && (
         <div className='mt-4 flex justify-center'>
@@ -0,0 +1,241 @@
+// app/admin/audit/page.js
+
+import connectMongo from '@/db/connectMongo';
+import User from '@/models/User';
+import {
+  AUDIT_PAGE_SIZE,
+  describeChanges,
+  getAuditEvents,
+  getAuditFilterOptions,
+} from '@/utils/auditTrail';
+import { getUserDisplayName, isCurrentUserAdmin } from '@/utils/auth';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Audit trail',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const FILTER_FIELDS = ['userId', 'resourceType', 'action', 'startDate', 'endDate'];
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const AuditPage = async ({ searchParams }) => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const filters = FILTER_FIELDS.reduce(
+    (acc, field) => ({ ...acc, [field]: searchParams?.[field] || '' }),
+    {}
+  );
+  const page = parseInt(searchParams?.page || '1', 10) || 1;
+
+  await connectMongo();
+  const [users, { resourceTypes, actions }, { events, totalCount, displayNames }] =
+    await Promise.all([
+      User.find({}).sort({ givenName: 1, familyName: 1 }).lean(),
+      getAuditFilterOptions(),
+      getAuditEvents(filters, { page }),
+    ]);
+  const totalPages = Math.max(Math.ceil(totalCount / AUDIT_PAGE_SIZE), 1);
+
+  const queryFor = (extra) =>
+    new URLSearchParams(
+      Object.entries({ ...filters, ...extra }).filter(([, value]) => value)
+    ).toString();
+
+  const inputClass = 'mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href={`/api/admin/audit?${queryFor({ format: 'csv' })}`}
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+          download
+        >
+          Export to CSV
+        </Link>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Audit Trail
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Every change to timesheets, leave, training, rotas and admin settings, with who made it and what it
+        changed. Filtering by a person shows the changes they made and the changes made to their records.
+      </p>
+
+      <form method='get' className='flex flex-col sm:flex-row sm:flex-wrap sm:items-end gap-3 mb-4'>
+        <div className='flex flex-col'>
+          <label htmlFor='userId' className='text-sm font-medium text-gray-700'>
+            Person
+          </label>
+          <select id='userId' name='userId' defaultValue={filters.userId} className={inputClass}>
+            <option value=''>Everyone</option>
+            {users.map((u) => (
+              <option key={u.kindeUserId} value={u.kindeUserId}>
+                {getUserDisplayName(u)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className='flex flex-col'>
+          <label htmlFor='resourceType' className='text-sm font-medium text-gray-700'>
+            Record type
+          </label>
+          <select
+            id='resourceType'
+            name='resourceType'
+            defaultValue={filters.resourceType}
+            className={inputClass}
+          >
+            <option value=''>All</option>
+            {resourceTypes.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className='flex flex-col'>
+          <label htmlFor='action' className='text-sm font-medium text-gray-700'>
+            Action
+          </label>
+          <select id='action' name='action' defaultValue={filters.action} className={inputClass}>
+            <option value=''>All</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className='flex flex-col'>
+          <label htmlFor='startDate' className='text-sm font-medium text-gray-700'>
+            From
+          </label>
+          <input
+            type='date'
+            id='startDate'
+            name='startDate'
+            defaultValue={filters.startDate}
+            className={inputClass}
+          />
+        </div>
+        <div className='flex flex-col'>
+          <label htmlFor='endDate' className='text-sm font-medium text-gray-700'>
+            To
+          </label>
+          <input
+            type='date'
+            id='endDate'
+            name='endDate'
+            defaultValue={filters.endDate}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type='submit'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-sm'
+        >
+          Filter
+        </button>
+        <Link href='/admin/audit' className='px-4 py-2 text-sm text-slate-700 hover:text-slate-900'>
+          Clear
+        </Link>
+      </form>
+
+      <p className='text-sm text-gray-600 mb-4'>
+        {totalCount} event{totalCount === 1 ? '' : 's'}
+      </p>
+
+      {events.length === 0 ? (
+        <p className='text-sm text-gray-500'>No changes match these filters.</p>
+      ) : (
+        <div className='overflow-x-auto'>
+          <table className='min-w-full bg-white border border-gray-200'>
+            <thead className='bg-gray-100'>
+              <tr>
+                {['When', 'By', 'Action', 'Record', 'Staff member', 'Changes'].map((header) => (
+                  <th
+                    key={header}
+                    className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800'
+                  >
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event._id.toString()} className='hover:bg-gray-50 align-top'>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700 whitespace-nowrap'>
+                    {formatDateTime(event.createdAt)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm font-bold text-slate-700'>
+                    {displayNames.get(event.actorId) || event.actorName || '-'}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {event.action}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {event.resourceType}
+                    {event.resourceId && (
+                      <span className='block text-xs text-slate-500'>{event.resourceId}</span>
+                    )}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {displayNames.get(event.subjectUserId) || event.subjectUserId || '-'}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs text-slate-700 whitespace-pre-wrap break-all max-w-md'>
+                    {describeChanges(event) ||
+                      (Object.keys(event.details || {}).length ? JSON.stringify(event.details) : '-')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className='mt-4 flex justify-center items-center gap-3 text-sm'>
+          {page > 1 && (
+            <Link href={`/admin/audit?${queryFor({ page: page - 1 })}`} className='text-slate-700 hover:text-slate-900'>
+              Previous
+            </Link>
+          )}
+          <span className='text-gray-600'>
+            Page {page} of {totalPages}
+          </span>
+          {page < totalPages && (
+            <Link href={`/admin/audit?${queryFor({ page: page + 1 })}`} className='text-slate-700 hover:text-slate-900'>
+              Next
+            </Link>
+          )}
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default AuditPage;
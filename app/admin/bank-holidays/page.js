@@ -0,0 +1,103 @@
+// app/admin/bank-holidays/page.js
+
+import BankHolidayCalendarForm from '@/components/BankHolidayCalendarForm';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { BANK_HOLIDAY_REGIONS } from '@/utils/bankHolidayData';
+import { getBankHolidayCalendar, getBankHolidays } from '@/utils/bankHolidayUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Bank holidays',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+const BankHolidaysPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const today = new Date();
+  const nextYear = new Date(today);
+  nextYear.setFullYear(nextYear.getFullYear() + 1);
+
+  const [calendar, upcoming] = await Promise.all([
+    getBankHolidayCalendar(),
+    getBankHolidays(today, nextYear),
+  ]);
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/payroll'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Bank Holidays
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Timesheet entries on a bank holiday are tagged when they are saved, and their hours are paid and exported as
+        bank holiday hours. Leave requests do not count bank holidays as days of leave. Changing the region or the
+        extra dates re-tags entries on the affected days; use Re-tag all entries once for entries made before
+        bank holidays were tracked.
+      </p>
+
+      <div className='grid grid-cols-1 lg:grid-cols-2 gap-4'>
+        <div className='bg-white border border-gray-200 rounded-lg p-4'>
+          <BankHolidayCalendarForm
+            calendar={{ region: calendar.region, extraDates: calendar.extraDates }}
+          />
+          {calendar.updatedAt && (
+            <p className='text-xs text-gray-500 mt-3'>
+              Last saved by {calendar.updatedBy} on{' '}
+              {new Date(calendar.updatedAt).toLocaleDateString('en-GB')}
+            </p>
+          )}
+        </div>
+
+        <div className='bg-white border border-gray-200 rounded-lg p-4'>
+          <h2 className='text-sm font-semibold text-slate-800 mb-2'>
+            Next 12 months ({BANK_HOLIDAY_REGIONS[calendar.region]})
+          </h2>
+          {upcoming.length === 0 ? (
+            <p className='text-sm text-gray-500'>
+              No bank holidays listed. The bundled list may need the next year adding.
+            </p>
+          ) : (
+            <ul className='divide-y divide-gray-200'>
+              {upcoming.map((holiday) => (
+                <li key={holiday.date} className='py-1 text-sm flex justify-between gap-2'>
+                  <span className='text-gray-900'>
+                    {holiday.title}
+                    {holiday.extra && (
+                      <span className='ml-2 text-xs text-gray-500'>(extra)</span>
+                    )}
+                  </span>
+                  <span className='text-gray-600'>{formatDate(holiday.date)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default BankHolidaysPage;
@@ -0,0 +1,140 @@
+// app/admin/identities/page.js
+
+import IdentityMigrationActions from '@/components/IdentityMigrationActions';
+import connectMongo from '@/db/connectMongo';
+import IdentityConflict from '@/models/IdentityConflict';
+import User from '@/models/User';
+import { getUserDisplayName, isCurrentUserAdmin } from '@/utils/auth';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | User ids',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const REASONS = {
+  none: 'No user has this name',
+  several: 'Used by more than one user',
+};
+
+const STATUS_LABELS = {
+  open: 'Needs a decision',
+  merged: 'Merged',
+  kept: 'Kept separate',
+};
+
+const IdentitiesPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  await connectMongo();
+
+  const [conflicts, users] = await Promise.all([
+    IdentityConflict.find({}).sort({ status: -1, username: 1 }).lean(),
+    User.find({}).sort({ givenName: 1, familyName: 1 }).lean(),
+  ]);
+  const userOptions = users.map((user) => ({
+    userId: user.kindeUserId,
+    name: getUserDisplayName(user),
+  }));
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <IdentityMigrationActions users={userOptions} />
+        <Link
+          href='/admin/users'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        User ID Migration
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Timesheets, leave, training and adjustments belong to a person through their login id, not their name.
+        Running the migration gives older records without an id to the only person with that name, and updates
+        the name stored on every record. Names it cannot settle are listed below: merge them into one person, or
+        keep them apart when two members of staff share a name.
+      </p>
+
+      {conflicts.length === 0 ? (
+        <p className='text-sm text-gray-500'>No conflicts reported.</p>
+      ) : (
+        <div className='overflow-x-auto'>
+          <table className='min-w-full bg-white border border-gray-200 rounded-lg'>
+            <thead className='bg-gray-50'>
+              <tr>
+                {['Name on records', 'Problem', 'Users', 'Records without id', 'Status'].map(
+                  (header) => (
+                    <th
+                      key={header}
+                      className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'
+                    >
+                      {header}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody className='divide-y divide-gray-200'>
+              {conflicts.map((conflict) => (
+                <tr key={conflict._id.toString()} className='hover:bg-gray-50'>
+                  <td className='px-4 py-3 text-sm font-medium text-gray-900'>
+                    {conflict.username}
+                  </td>
+                  <td className='px-4 py-3 text-sm text-gray-900'>
+                    {REASONS[conflict.reason]}
+                  </td>
+                  <td className='px-4 py-3 text-xs text-gray-600'>
+                    {conflict.candidates.length === 0
+                      ? '-'
+                      : conflict.candidates.map((c) => (
+                          <div key={c.userId}>
+                            {c.displayName || c.userId}: {c.records} records
+                          </div>
+                        ))}
+                  </td>
+                  <td className='px-4 py-3 text-sm text-gray-900'>
+                    {conflict.unkeyedRecords}
+                  </td>
+                  <td className='px-4 py-3 text-sm'>
+                    {conflict.status === 'open' ? (
+                      <IdentityMigrationActions
+                        conflict={{
+                          id: conflict._id.toString(),
+                          username: conflict.username,
+                          reason: conflict.reason,
+                          unkeyedRecords: conflict.unkeyedRecords,
+                          candidates: conflict.candidates.map((c) => ({
+                            userId: c.userId,
+                            displayName: c.displayName,
+                            records: c.records,
+                          })),
+                        }}
+                        users={userOptions}
+                      />
+                    ) : (
+                      <span className='text-xs text-gray-600'>
+                        {STATUS_LABELS[conflict.status]} by {conflict.resolvedBy}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default IdentitiesPage;
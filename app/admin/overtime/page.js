@@ -0,0 +1,68 @@
+// app/admin/overtime/page.js
+
+import OvertimeRulesForm from '@/components/OvertimeRulesForm';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { getOvertimeRules } from '@/utils/overtimeUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Overtime rules',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const OvertimePage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const rules = await getOvertimeRules();
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/payroll'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Overtime Rules
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Worked hours are split into basic, overtime and night hours for each person&apos;s page, the Excel exports
+        and the payroll CSV files. Hours beyond the weekly threshold (Monday to Sunday) are overtime, and so are
+        hours beyond the per-cycle threshold that were not already overtime for the week. Leave a threshold blank to
+        turn it off. Overtime takes precedence over night hours, and the rest of a shift starting on a
+        bank holiday is paid as bank holiday hours rather than night hours.
+      </p>
+
+      <div className='bg-white border border-gray-200 rounded-lg p-4 max-w-2xl'>
+        <OvertimeRulesForm
+          rules={{
+            weeklyBasis: rules.weeklyBasis,
+            weeklyThresholdHours: rules.weeklyThresholdHours,
+            cycleThresholdHours: rules.cycleThresholdHours,
+            nightEnabled: rules.nightEnabled,
+            nightStart: rules.nightStart,
+            nightEnd: rules.nightEnd,
+          }}
+        />
+        {rules.updatedAt && (
+          <p className='text-xs text-gray-500 mt-3'>
+            Last saved by {rules.updatedBy} on{' '}
+            {new Date(rules.updatedAt).toLocaleDateString('en-GB')}
+          </p>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default OvertimePage;
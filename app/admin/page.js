@@ -3,9 +3,12 @@
 
 import DateRangeFilter from '@/components/DateRangeFilter';
 import AdminTabNavigation from '@/components/AdminTabNavigation';
+import AmendmentRequestsTable from '@/components/AmendmentRequestsTable';
 import LeaveRequestsTable from '@/components/LeaveRequestsTable';
+import PayrollExportSelect from '@/components/PayrollExportSelect';
 import LeaveHoursTable from '@/components/LeaveHoursTable';
 import TrainingHoursTable from '@/components/TrainingHoursTable';
+import TimesheetApprovalsTable from '@/components/TimesheetApprovalsTable';
 import connectMongo from '@/db/connectMongo';
 import Timesheet from '@/models/Timesheet';
 import Training from '@/models/Training';
@@ -17,6 +20,15 @@ import {
   getFixedFourWeekRanges,
 } from '@/utils/dateUtils';
 import { getFourWeekCycle } from '@/utils/weekCycleUtils';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import {
+  NATIONAL_MINIMUM_WAGE,
+  getHourlyRate,
+} from '@/utils/employeeProfileFields';
+import { getEmployeeProfileMap } from '@/utils/employeeProfileUtils';
+import { getDisplayNameMap } from '@/utils/identityUtils';
+import { calculateOvertimeBuckets } from '@/utils/overtimeUtils';
+import { getPaidTimesheetFilter, isTimesheetApprovalEnabled } from '@/utils/timesheetApprovalUtils';
 import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import Link from 'next/link';
 import { redirect } from 'next/navigation';
@@ -51,14 +63,9 @@ const getWeeklyIntervals = (startDate, endDate) => {
 };
 
 const AdminPage = async ({ searchParams }) => {
-  const { isAuthenticated, getUser, getPermission } = getKindeServerSession();
-
-  if (!(await isAuthenticated())) {
-    redirect('/timesheet');
-  }
+  const { getUser } = getKindeServerSession();
 
-  const requiredPermission = await getPermission('delete:timesheet');
-  if (!requiredPermission?.isGranted) {
+  if (!(await isCurrentUserAdmin())) {
     redirect('/timesheet');
   }
 
@@ -66,6 +73,7 @@ const AdminPage = async ({ searchParams }) => {
 
   // Get active tab from search params
   const activeTab = searchParams.tab || 'work-hours';
+  const approvalEnabled = isTimesheetApprovalEnabled();
   await connectMongo();
 
   const { startDate, endDate } = searchParams;
@@ -78,8 +86,8 @@ const AdminPage = async ({ searchParams }) => {
     queryFilter.date = { ...queryFilter.date, $lte: new Date(endDate) };
   }
 
-  // Only include submitted timesheets (exclude drafts) for admin view
-  const timesheetFilter = { ...queryFilter, isDraft: false };
+  // Only include submitted timesheets (exclude drafts) for admin view, and only approved ones while approval is on
+  const timesheetFilter = { ...queryFilter, isDraft: false, ...getPaidTimesheetFilter() };
   const timesheets = await Timesheet.find(timesheetFilter).sort({ date: 1 });
 
   // Fetch training and leave hours data for 'all-entries' tab
@@ -119,12 +127,14 @@ const AdminPage = async ({ searchParams }) => {
     : currentCycle;
 
   const usersTimesheets = timesheets.reduce((acc, timesheet) => {
-    const { username, date, start, end } = timesheet;
+    const { userId, username, date, start, end, breakMinutes } = timesheet;
     const timesheetDate = new Date(date);
-    const minutesWorked = calculateMinutesWorked(start, end);
+    const minutesWorked = calculateMinutesWorked(start, end, breakMinutes);
 
-    if (!acc[username]) {
-      acc[username] = { username, periods: {}, totalMinutes: 0 };
+    // Keyed by user id so a change of name does not split anyone's hours
+    const key = userId || username;
+    if (!acc[key]) {
+      acc[key] = { userId, username, periods: {}, totalMinutes: 0 };
     }
 
     weeklyIntervals.forEach((interval) => {
@@ -136,8 +146,8 @@ const AdminPage = async ({ searchParams }) => {
         timesheetDate <= intervalEnd
       ) {
         const periodKey = `${formatDate(intervalStart)} - ${formatDate(intervalEnd)}`;
-        acc[username].periods[periodKey] = (acc[username].periods[periodKey] || 0) + minutesWorked;
-        acc[username].totalMinutes += minutesWorked;
+        acc[key].periods[periodKey] = (acc[key].periods[periodKey] || 0) + minutesWorked;
+        acc[key].totalMinutes += minutesWorked;
       }
     });
 
@@ -147,12 +157,13 @@ const AdminPage = async ({ searchParams }) => {
   // Add training hours to the totals for 'all-entries' tab
   if (activeTab === 'all-entries') {
     trainings.forEach((training) => {
-      const { username, date, duration } = training;
+      const { userId, username, date, duration } = training;
       const trainingDate = new Date(date);
       const durationMinutes = duration * 60; // Convert hours to minutes
 
-      if (!usersTimesheets[username]) {
-        usersTimesheets[username] = { username, periods: {}, totalMinutes: 0 };
+      const key = userId || username;
+      if (!usersTimesheets[key]) {
+        usersTimesheets[key] = { userId, username, periods: {}, totalMinutes: 0 };
       }
 
       weeklyIntervals.forEach((interval) => {
@@ -164,20 +175,21 @@ const AdminPage = async ({ searchParams }) => {
           trainingDate <= intervalEnd
         ) {
           const periodKey = `${formatDate(intervalStart)} - ${formatDate(intervalEnd)}`;
-          usersTimesheets[username].periods[periodKey] = (usersTimesheets[username].periods[periodKey] || 0) + durationMinutes;
-          usersTimesheets[username].totalMinutes += durationMinutes;
+          usersTimesheets[key].periods[periodKey] = (usersTimesheets[key].periods[periodKey] || 0) + durationMinutes;
+          usersTimesheets[key].totalMinutes += durationMinutes;
         }
       });
     });
 
     // Add leave hours to the totals for 'all-entries' tab
     leaveHours.forEach((leave) => {
-      const { userName, date, hours } = leave;
+      const { userId, userName, date, hours } = leave;
       const leaveDate = new Date(date);
       const leaveMinutes = hours * 60; // Convert hours to minutes
 
-      if (!usersTimesheets[userName]) {
-        usersTimesheets[userName] = { username: userName, periods: {}, totalMinutes: 0 };
+      const key = userId || userName;
+      if (!usersTimesheets[key]) {
+        usersTimesheets[key] = { userId, username: userName, periods: {}, totalMinutes: 0 };
       }
 
       weeklyIntervals.forEach((interval) => {
@@ -189,14 +201,20 @@ const AdminPage = async ({ searchParams }) => {
           leaveDate <= intervalEnd
         ) {
           const periodKey = `${formatDate(intervalStart)} - ${formatDate(intervalEnd)}`;
-          usersTimesheets[userName].periods[periodKey] = (usersTimesheets[userName].periods[periodKey] || 0) + leaveMinutes;
-          usersTimesheets[userName].totalMinutes += leaveMinutes;
+          usersTimesheets[key].periods[periodKey] = (usersTimesheets[key].periods[periodKey] || 0) + leaveMinutes;
+          usersTimesheets[key].totalMinutes += leaveMinutes;
         }
       });
     });
   }
 
+  // Show each person's current name rather than the one stored on their entries
+  const displayNames = await getDisplayNameMap(
+    Object.values(usersTimesheets).map((user) => user.userId)
+  );
+
   Object.values(usersTimesheets).forEach((user) => {
+    user.username = displayNames.get(user.userId) || user.username;
     const { hours, minutes } = convertMinutesToHours(user.totalMinutes);
     user.totalHours = Math.floor(hours);
     user.totalMinutes = Math.round(minutes);
@@ -214,15 +232,43 @@ const AdminPage = async ({ searchParams }) => {
     }
   };
 
-  // UK National Minimum Wage
-  const nationalMinimumWage = 12.21; // Updated minimum wage
+  // Worked hours in the shown weeks, split into basic, overtime, night and bank holiday by the overtime rules
+  let splits = new Map();
+  if (weeklyIntervals.length > 0) {
+    const splitEnd = new Date(weeklyIntervals[weeklyIntervals.length - 1].end);
+    splitEnd.setHours(23, 59, 59, 999);
+    splits = await calculateOvertimeBuckets(new Date(weeklyIntervals[0].start), splitEnd);
+  }
+
+  // Pay is estimated at each person's rates, or the minimum wage when none is set
+  const profiles = await getEmployeeProfileMap(
+    Object.values(usersTimesheets).map((user) => user.userId)
+  );
   const timestamp = Date.now(); // Add this line to force revalidation
 
   // Calculate the payment for each user
-  const calculatePayment = (totalHours, totalMinutes) => {
-    // Convert hours and minutes to decimal hours for accurate payment calculation
-    const decimalHours = totalHours + (totalMinutes / 60);
-    return decimalHours * nationalMinimumWage;
+  const calculatePayment = (user) => {
+    const profile = profiles.get(user.userId);
+    const rate = (element) => getHourlyRate(profile, element) ?? NATIONAL_MINIMUM_WAGE;
+    const split = splits.get(user.userId || user.username);
+
+    // Leave and training on the all-entries tab, and anything the split missed, are paid at basic
+    const totalMinutes = user.totalHours * 60 + user.totalMinutes;
+    const otherMinutes = Math.max(totalMinutes - (split?.totalMinutes || 0), 0);
+
+    return (
+      (((split?.basicMinutes || 0) + otherMinutes) * rate('basic') +
+        (split?.overtimeMinutes || 0) * rate('overtime') +
+        (split?.nightMinutes || 0) * rate('night') +
+        (split?.bankHolidayMinutes || 0) * rate('bankHoliday')) /
+      60
+    );
+  };
+
+  const getOvertime = (user) => {
+    const minutes = splits.get(user.userId || user.username)?.overtimeMinutes || 0;
+    const { hours, minutes: remainder } = convertMinutesToHours(minutes);
+    return formatTime(hours, remainder);
   };
 
   revalidatePath('/admin');
@@ -238,6 +284,48 @@ const AdminPage = async ({ searchParams }) => {
         </p>
       </div>
       <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/users'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Manage Users
+        </Link>
+        <Link
+          href='/admin/reconciliation'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Rota vs Timesheets
+        </Link>
+        <Link
+          href='/admin/staffing'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Staffing Levels
+        </Link>
+        <Link
+          href='/admin/shift-codes'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Shift Codes
+        </Link>
+        <Link
+          href='/admin/payroll'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Payroll Periods
+        </Link>
+        <Link
+          href='/admin/audit'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Audit Trail
+        </Link>
+        <Link
+          href='/admin/recycle-bin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Recycle Bin
+        </Link>
         <Link
           href='../rota'
           className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
@@ -253,12 +341,27 @@ const AdminPage = async ({ searchParams }) => {
         >
           Export to Excel
         </Link>
+        {approvalEnabled && (
+          <Link
+            href={`api/generate-timesheet/list?startDate=${
+              searchParams.startDate || ''
+            }&endDate=${searchParams.endDate || ''}&approvedOnly=true`}
+            className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+            download
+          >
+            Export Approved Hours
+          </Link>
+        )}
+        <PayrollExportSelect
+          startDate={searchParams.startDate}
+          endDate={searchParams.endDate}
+        />
       </div>
       <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
         Admin Area
       </h1>
 
-      <AdminTabNavigation activeTab={activeTab} />
+      <AdminTabNavigation activeTab={activeTab} showTimesheetApprovals={approvalEnabled} />
       
       <DateRangeFilter />
 
@@ -283,6 +386,9 @@ const AdminPage = async ({ searchParams }) => {
               <th className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-semibold text-lime-800 hover:text-emerald-950'>
                 Total
               </th>
+              <th className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-semibold text-lime-800 hover:text-emerald-950'>
+                Overtime
+              </th>
               {/* New Column for Estimated Payment */}
               <th className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-semibold text-lime-800 hover:text-emerald-950'>
                 Estimated Pay (£)
@@ -293,10 +399,10 @@ const AdminPage = async ({ searchParams }) => {
             {Object.values(usersTimesheets)
               .sort((a, b) => a.username.localeCompare(b.username))
               .map((user) => (
-                <tr key={user.username} className='hover:bg-gray-50'>
+                <tr key={user.userId || user.username} className='hover:bg-gray-50'>
                   <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-bold text-slate-700 hover:text-emerald-900'>
                     <Link
-                      href={`/admin/${encodeURIComponent(user.username)}`}
+                      href={`/admin/${encodeURIComponent(user.userId || user.username)}`}
                       className='text-emerald-700 hover:text-green-500 font-bold'
                     >
                       {user.username || 'Unknown'}
@@ -322,9 +428,12 @@ const AdminPage = async ({ searchParams }) => {
                   <td className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-bold text-slate-700 hover:text-emerald-900'>
                     {formatTime(user.totalHours, user.totalMinutes)}
                   </td>
+                  <td className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-semibold text-slate-700 hover:text-emerald-900'>
+                    {getOvertime(user)}
+                  </td>
                   {/* New Column for Estimated Payment */}
                   <td className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-bold text-slate-700 hover:text-emerald-900'>
-                    £{calculatePayment(user.totalHours, user.totalMinutes).toFixed(2)}
+                    £{calculatePayment(user).toFixed(2)}
                   </td>
                 </tr>
               ))}
@@ -333,6 +442,10 @@ const AdminPage = async ({ searchParams }) => {
         </div>
       )}
 
+      {activeTab === 'timesheet-approvals' && approvalEnabled && (
+        <TimesheetApprovalsTable searchParams={searchParams} />
+      )}
+
       {activeTab === 'leave-requests' && (
         <LeaveRequestsTable searchParams={searchParams} />
       )}
@@ -345,6 +458,10 @@ const AdminPage = async ({ searchParams }) => {
         <TrainingHoursTable searchParams={searchParams} />
       )}
 
+      {activeTab === 'amendments' && (
+        <AmendmentRequestsTable searchParams={searchParams} />
+      )}
+
       {activeTab === 'all-entries' && (
         <div className='overflow-x-auto'>
           <div className='mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg'>
@@ -380,10 +497,10 @@ const AdminPage = async ({ searchParams }) => {
               {Object.values(usersTimesheets)
                 .sort((a, b) => a.username.localeCompare(b.username))
                 .map((user) => (
-                  <tr key={user.username} className='hover:bg-gray-50'>
+                  <tr key={user.userId || user.username} className='hover:bg-gray-50'>
                     <td className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-bold text-slate-700 hover:text-emerald-900'>
                       <Link
-                        href={`/admin/${encodeURIComponent(user.username)}`}
+                        href={`/admin/${encodeURIComponent(user.userId || user.username)}`}
                         className='text-emerald-700 hover:text-green-500 font-bold'
                       >
                         {user.username || 'Unknown'}
@@ -410,7 +527,7 @@ const AdminPage = async ({ searchParams }) => {
                       {formatTime(user.totalHours, user.totalMinutes)}
                     </td>
                     <td className='border border-gray-300 px-2 py-1 text-center text-xs sm:text-sm font-bold text-slate-700 hover:text-emerald-900'>
-                      £{calculatePayment(user.totalHours, user.totalMinutes).toFixed(2)}
+                      £{calculatePayment(user).toFixed(2)}
                     </td>
                   </tr>
                 ))}
@@ -0,0 +1,105 @@
+// app/admin/payroll-exports/page.js
+
+import PayrollExportSettings from '@/components/PayrollExportSettings';
+import connectMongo from '@/db/connectMongo';
+import Timesheet from '@/models/Timesheet';
+import User from '@/models/User';
+import { getUserDisplayName, isCurrentUserAdmin } from '@/utils/auth';
+import { listPayrollExportFormats } from '@/utils/payrollExportFormats';
+import { getPayrollExportSettings } from '@/utils/payrollExportUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Payroll exports',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const PayrollExportsPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  await connectMongo();
+
+  // Everyone who has logged in, plus anyone who only appears on timesheets
+  const [users, timesheetPeople] = await Promise.all([
+    User.find({}).lean(),
+    Timesheet.aggregate([
+      { $match: { userId: { $nin: [null, ''] } } },
+      { $sort: { date: 1 } },
+      { $group: { _id: '$userId', username: { $last: '$username' } } },
+    ]),
+  ]);
+  const staff = [
+    ...users.map((user) => ({
+      userId: user.kindeUserId,
+      name: getUserDisplayName(user),
+    })),
+    ...timesheetPeople
+      .filter((person) => !users.some((user) => user.kindeUserId === person._id))
+      .map((person) => ({ userId: person._id, name: person.username })),
+  ];
+
+  const formats = await Promise.all(
+    listPayrollExportFormats().map(async (format) => ({
+      ...format,
+      settings: await getPayrollExportSettings(format.key),
+    }))
+  );
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/payroll'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Payroll Export Formats
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Set the pay element codes and employee references your payroll software expects, then pick the format
+        next to Export to Excel on the admin page. Exports cover the selected date range, or the current payment
+        cycle when no dates are chosen.
+      </p>
+
+      <div className='space-y-4'>
+        {formats.map(({ key, label, settings }) => (
+          <details
+            key={key}
+            className='bg-white border border-gray-200 rounded-lg p-4'
+          >
+            <summary className='cursor-pointer text-sm font-semibold text-slate-800'>
+              {label}
+              {settings.updatedAt && (
+                <span className='ml-2 text-xs font-normal text-gray-500'>
+                  Last saved by {settings.updatedBy}
+                </span>
+              )}
+            </summary>
+            <div className='mt-3'>
+              <PayrollExportSettings
+                format={key}
+                settings={{
+                  elementCodes: settings.elementCodes,
+                  employeeReferences: settings.employeeReferences,
+                }}
+                staff={staff}
+              />
+            </div>
+          </details>
+        ))}
+      </div>
+    </main>
+  );
+};
+
+export default PayrollExportsPage;
@@ -0,0 +1,231 @@
+// app/admin/payroll/page.js
+
+import PayrollAdjustments from '@/components/PayrollAdjustments';
+import PayrollPeriodActions from '@/components/PayrollPeriodActions';
+import connectMongo from '@/db/connectMongo';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import PayrollPeriod from '@/models/PayrollPeriod';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { convertMinutesToHours } from '@/utils/dateUtils';
+import { getPayrollPeriodBounds } from '@/utils/payrollUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Payroll periods',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// Payment cycles listed on the page, counting back from the current one
+const CYCLES_SHOWN = 6;
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+const formatMinutes = (totalMinutes) => {
+  const { hours, minutes } = convertMinutesToHours(totalMinutes);
+  return `${hours}h ${minutes}m`;
+};
+
+const PayrollPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  await connectMongo();
+
+  const periods = await PayrollPeriod.find({}).sort({ start: -1 }).lean();
+  const adjustments = await PayrollAdjustment.find({})
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Recent cycles, whether or not they have been closed, plus any older closed ones
+  const cycles = [];
+  let cycleDate = new Date();
+  for (let i = 0; i < CYCLES_SHOWN; i++) {
+    const bounds = getPayrollPeriodBounds(cycleDate);
+    cycles.push(bounds);
+    cycleDate = new Date(bounds.start);
+    cycleDate.setDate(cycleDate.getDate() - 1);
+  }
+
+  const rows = cycles.map((cycle) => ({
+    ...cycle,
+    period: periods.find(
+      (p) => new Date(p.start).getTime() === cycle.start.getTime()
+    ),
+  }));
+  periods
+    .filter((p) => !rows.some((row) => row.period === p))
+    .forEach((p) => rows.push({ start: p.start, end: p.end, period: p }));
+
+  const now = new Date();
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/bank-holidays'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Bank Holidays
+        </Link>
+        <Link
+          href='/admin/overtime'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Overtime Rules
+        </Link>
+        <Link
+          href='/admin/payroll-exports'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Export Formats
+        </Link>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Payroll Periods
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Closing a period records its totals and locks every timesheet, leave hours and training entry inside it.
+        Reopen a period, with a reason, to make further changes, or add an adjustment to pay a
+        correction in the next open cycle without touching the original entries.
+      </p>
+
+      <div className='space-y-4'>
+        {rows.map(({ start, end, period }) => {
+          const status = period?.status || 'open';
+          const totalMinutes = (period?.totals || []).reduce(
+            (sum, row) => sum + row.totalMinutes,
+            0
+          );
+          const lastReopen = (period?.history || [])
+            .filter((entry) => entry.action === 'reopen')
+            .pop();
+
+          return (
+            <div
+              key={new Date(start).toISOString()}
+              className='bg-white border border-gray-200 rounded-lg p-4'
+            >
+              <div className='flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2'>
+                <div>
+                  <div className='text-sm font-semibold text-slate-800'>
+                    {formatDate(start)} - {formatDate(end)}
+                  </div>
+                  <div className='text-xs text-gray-500'>
+                    {status === 'closed' &&
+                      `Closed ${formatDate(period.closedAt)} by ${period.closedBy} · ${period.totals.length} staff · ${formatMinutes(totalMinutes)}`}
+                    {status === 'reopened' &&
+                      `Reopened by ${lastReopen?.by}: ${lastReopen?.reason}`}
+                    {status === 'open' && 'Not closed'}
+                  </div>
+                </div>
+                <PayrollPeriodActions
+                  id={period?._id.toString()}
+                  status={status}
+                  date={new Date(start).toISOString()}
+                  canClose={new Date(end) < now}
+                />
+              </div>
+
+              {status === 'closed' && period.totals.length > 0 && (
+                <details className='mt-3'>
+                  <summary className='cursor-pointer text-xs font-medium text-lime-800'>
+                    Totals at close
+                  </summary>
+                  <div className='overflow-x-auto mt-2'>
+                    <table className='min-w-full bg-white border border-gray-200'>
+                      <thead className='bg-gray-50'>
+                        <tr>
+                          {['Staff', 'Work', 'Leave', 'Training', 'Adjustments', 'Total'].map((header) => (
+                            <th
+                              key={header}
+                              className='px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'
+                            >
+                              {header}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className='divide-y divide-gray-200'>
+                        {period.totals.map((row) => (
+                          <tr key={row.username}>
+                            <td className='px-3 py-2 text-sm font-medium text-gray-900'>
+                              {row.username}
+                            </td>
+                            <td className='px-3 py-2 text-sm text-gray-900'>
+                              {formatMinutes(row.workMinutes)}
+                            </td>
+                            <td className='px-3 py-2 text-sm text-gray-900'>
+                              {formatMinutes(row.leaveMinutes)}
+                            </td>
+                            <td className='px-3 py-2 text-sm text-gray-900'>
+                              {formatMinutes(row.trainingMinutes)}
+                            </td>
+                            <td className='px-3 py-2 text-sm text-gray-900'>
+                              {row.adjustmentMinutes < 0 ? '-' : ''}
+                              {formatMinutes(Math.abs(row.adjustmentMinutes || 0))}
+                            </td>
+                            <td className='px-3 py-2 text-sm font-semibold text-gray-900'>
+                              {formatMinutes(row.totalMinutes)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </details>
+              )}
+
+              {status === 'closed' && (
+                <details className='mt-3'>
+                  <summary className='cursor-pointer text-xs font-medium text-lime-800'>
+                    Adjustments
+                  </summary>
+                  <PayrollAdjustments
+                    periodId={period._id.toString()}
+                    people={period.totals
+                      .filter((row) => row.userId)
+                      .map((row) => ({ userId: row.userId, username: row.username }))}
+                    adjustments={adjustments
+                      .filter(
+                        (adjustment) =>
+                          adjustment.payrollPeriod.toString() === period._id.toString()
+                      )
+                      .map((adjustment) => ({
+                        id: adjustment._id.toString(),
+                        username: adjustment.username,
+                        minutes: adjustment.minutes,
+                        category: adjustment.category,
+                        reason: adjustment.reason,
+                        createdBy: adjustment.createdBy,
+                        payCycleStart: adjustment.payCycleStart.toISOString(),
+                      }))}
+                  />
+                </details>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </main>
+  );
+};
+
+export default PayrollPage;
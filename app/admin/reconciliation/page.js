@@ -0,0 +1,196 @@
+// app/admin/reconciliation/page.js
+
+import { isCurrentUserAdmin } from '@/utils/auth';
+import {
+  getRotaReconciliation,
+  parseReconciliationParams,
+} from '@/utils/reconciliationUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Rota reconciliation',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const STATUS_STYLES = {
+  matched: { label: 'Matched', className: 'bg-green-100 text-green-800' },
+  deviation: { label: 'Deviation', className: 'bg-yellow-100 text-yellow-800' },
+  'no-show': { label: 'No-show', className: 'bg-red-100 text-red-800' },
+  unrostered: { label: 'Unrostered', className: 'bg-blue-100 text-blue-800' },
+  upcoming: { label: 'Upcoming', className: 'bg-gray-100 text-gray-800' },
+};
+
+const formatDeviation = (minutes) => {
+  if (minutes === undefined) return '';
+  if (minutes === 0) return 'on time';
+  return minutes > 0 ? `+${minutes}m` : `${minutes}m`;
+};
+
+const formatDay = (date, day) => {
+  const [, month, dayOfMonth] = date.split('-');
+  return `${day.charAt(0).toUpperCase()}${day.slice(1, 3)} ${dayOfMonth}/${month}`;
+};
+
+const ReconciliationPage = async ({ searchParams }) => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const params = parseReconciliationParams(searchParams);
+  const { weekStart, toleranceMinutes } = params.error
+    ? parseReconciliationParams({})
+    : params;
+
+  const { rota, rows, summary, ...week } = await getRotaReconciliation(
+    weekStart,
+    toleranceMinutes
+  );
+
+  const exportQuery = `weekStart=${week.weekStart}&tolerance=${toleranceMinutes}`;
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href={`/api/rota/reconciliation/export?${exportQuery}`}
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+          download
+        >
+          Export to Excel
+        </Link>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Rota Reconciliation
+      </h1>
+
+      <form
+        method='get'
+        className='flex flex-col sm:flex-row sm:items-end gap-3 mb-4'
+      >
+        <div className='flex flex-col'>
+          <label htmlFor='weekStart' className='text-sm font-medium text-gray-700'>
+            Week of
+          </label>
+          <input
+            type='date'
+            id='weekStart'
+            name='weekStart'
+            defaultValue={week.weekStart}
+            className='mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm'
+          />
+        </div>
+        <div className='flex flex-col'>
+          <label htmlFor='tolerance' className='text-sm font-medium text-gray-700'>
+            Tolerance (minutes)
+          </label>
+          <input
+            type='number'
+            id='tolerance'
+            name='tolerance'
+            min='0'
+            defaultValue={toleranceMinutes}
+            className='mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm w-32'
+          />
+        </div>
+        <button
+          type='submit'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-sm'
+        >
+          Reconcile
+        </button>
+      </form>
+
+      <p className='text-sm text-gray-600 mb-4'>
+        {week.weekStart} to {week.weekEnd} &middot;{' '}
+        {rota ? `Rota: ${rota.name}` : 'No rota uploaded for this week'}
+      </p>
+
+      <div className='grid grid-cols-2 sm:grid-cols-5 gap-3 mb-6'>
+        {Object.entries(STATUS_STYLES).map(([status, { label, className }]) => (
+          <div key={status} className={`rounded-lg p-3 ${className}`}>
+            <div className='text-xs font-medium'>{label}</div>
+            <div className='text-xl font-bold'>{summary[status]}</div>
+          </div>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className='text-sm text-gray-500'>
+          Nothing rostered or logged for this week.
+        </p>
+      ) : (
+        <div className='overflow-x-auto'>
+          <table className='min-w-full bg-white border border-gray-200'>
+            <thead className='bg-gray-100'>
+              <tr>
+                {['Staff', 'Day', 'Rota', 'Rostered', 'Logged', 'Start', 'End', 'Status'].map(
+                  (header) => (
+                    <th
+                      key={header}
+                      className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800'
+                    >
+                      {header}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={`${row.staff}-${row.date}`} className='hover:bg-gray-50'>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm font-bold text-slate-700'>
+                    {row.actual ? (
+                      <Link href={`/admin/${encodeURIComponent(row.userId || row.staff)}`}>
+                        {row.staff}
+                      </Link>
+                    ) : (
+                      row.staff
+                    )}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {formatDay(row.date, row.day)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-500'>
+                    {row.rostered?.text || '-'}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {row.rostered ? `${row.rostered.start} - ${row.rostered.end}` : '-'}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {row.actual ? `${row.actual.start} - ${row.actual.end}` : '-'}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {formatDeviation(row.startDeviation)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                    {formatDeviation(row.endDeviation)}
+                  </td>
+                  <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm'>
+                    <span
+                      className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[row.status].className}`}
+                    >
+                      {STATUS_STYLES[row.status].label}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </main>
+  );
+};
+
+export default ReconciliationPage;
@@ -0,0 +1,117 @@
+// app/admin/recycle-bin/page.js
+
+import { PurgeExpiredButton, RestoreButton } from '@/components/RecycleBinActions';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { getRecycleBin } from '@/utils/recycleBinUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Recycle bin',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-GB', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+      })
+    : '-';
+
+const RecycleBinPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const { retentionDays, items } = await getRecycleBin();
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Recycle Bin
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Deleted timesheets, leave requests, leave hours and training stay here for {retentionDays} days and no
+        longer count anywhere in the app. Restoring one puts it back as it was. After {retentionDays} days they are
+        removed permanently. Entries in a closed payroll period cannot be restored until the period is reopened.
+      </p>
+
+      {items.length === 0 ? (
+        <p className='text-sm text-gray-500'>The recycle bin is empty.</p>
+      ) : (
+        <>
+          <div className='flex justify-end mb-2'>
+            <PurgeExpiredButton retentionDays={retentionDays} />
+          </div>
+          <div className='overflow-x-auto'>
+            <table className='min-w-full bg-white border border-gray-200'>
+              <thead className='bg-gray-100'>
+                <tr>
+                  {['Deleted', 'Type', 'Staff member', 'Entry', 'Status', 'Deleted by', 'Reason', 'Removed on', ''].map(
+                    (header) => (
+                      <th
+                        key={header}
+                        className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800'
+                      >
+                        {header}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => (
+                  <tr key={`${item.type}-${item.id}`} className='hover:bg-gray-50'>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                      {formatDate(item.deletedAt)}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                      {item.label}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm font-bold text-slate-700'>
+                      {item.name || '-'}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                      {item.summary}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700 capitalize'>
+                      {item.status}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                      {item.deletedBy || '-'}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-500'>
+                      {item.deletionReason || '-'}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                      {formatDate(item.purgeOn)}
+                    </td>
+                    <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm'>
+                      <RestoreButton type={item.type} id={item.id} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </main>
+  );
+};
+
+export default RecycleBinPage;
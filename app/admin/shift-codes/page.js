@@ -0,0 +1,56 @@
+// app/admin/shift-codes/page.js
+
+import ShiftCodeTable from '@/components/ShiftCodeTable';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { getShiftCodes } from '@/utils/shiftCodeUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Shift codes',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const ShiftCodesPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const shiftCodes = (await getShiftCodes()).map((shiftCode) => ({
+    _id: shiftCode._id.toString(),
+    code: shiftCode.code,
+    description: shiftCode.description || '',
+    type: shiftCode.type,
+    start: shiftCode.start || '',
+    end: shiftCode.end || '',
+    updatedAt: new Date(shiftCode.updatedAt).getTime(),
+  }));
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Shift Codes
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Rota cells are matched against these codes when a rota is uploaded. Time ranges such as
+        &quot;8-2&quot; or &quot;07:00-15:00&quot; are understood without a code.
+      </p>
+
+      <ShiftCodeTable shiftCodes={shiftCodes} />
+    </main>
+  );
+};
+
+export default ShiftCodesPage;
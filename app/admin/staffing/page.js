@@ -0,0 +1,59 @@
+// app/admin/staffing/page.js
+
+import StaffingLevelsForm from '@/components/StaffingLevelsForm';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { getStaffingLevels } from '@/utils/leaveConflictUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Staffing levels',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const StaffingPage = async () => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  const levels = await getStaffingLevels();
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        Staffing Levels
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Posts come from the job post on each employee profile. When approving leave, you are warned about any day
+        on which the staff left working on that post would fall below its minimum, counting leave already
+        approved. Leave a minimum blank to skip the check for that post.
+      </p>
+
+      <div className='bg-white border border-gray-200 rounded-lg p-4 max-w-2xl'>
+        <StaffingLevelsForm
+          posts={levels.posts.map(({ post, headcount, minimum }) => ({ post, headcount, minimum }))}
+        />
+        {levels.updatedAt && (
+          <p className='text-xs text-gray-500 mt-3'>
+            Last saved by {levels.updatedBy} on{' '}
+            {new Date(levels.updatedAt).toLocaleDateString('en-GB')}
+          </p>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default StaffingPage;
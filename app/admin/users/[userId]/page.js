@@ -0,0 +1,111 @@
+// app/admin/users/[userId]/page.js
+
+import EmployeeProfileForm from '@/components/EmployeeProfileForm';
+import LeaveEntitlementForm from '@/components/LeaveEntitlementForm';
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import LeaveEntitlement from '@/models/LeaveEntitlement';
+import User from '@/models/User';
+import { getUserDisplayName, isCurrentUserAdmin } from '@/utils/auth';
+import { getLeaveBalance } from '@/utils/leaveBalanceUtils';
+import { formatLeaveAmount } from '@/utils/leaveEntitlementRules';
+import Link from 'next/link';
+import { notFound, redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Employee profile',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const EmployeeProfilePage = async ({ params }) => {
+  if (!(await isCurrentUserAdmin())) {
+    redirect('/timesheet');
+  }
+
+  await connectMongo();
+
+  const userId = decodeURIComponent(params.userId);
+  const [user, profile, entitlement, balance] = await Promise.all([
+    User.findOne({ kindeUserId: userId }).lean(),
+    EmployeeProfile.findOne({ userId }).lean(),
+    LeaveEntitlement.findOne({ userId }).lean(),
+    getLeaveBalance(userId),
+  ]);
+
+  if (!user) {
+    notFound();
+  }
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/users'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-1 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        {getUserDisplayName(user)}
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        {user.email}
+        {profile?.updatedBy && ` · Profile last saved by ${profile.updatedBy}`}
+      </p>
+
+      <div className='bg-white border border-gray-200 rounded-lg p-4'>
+        <EmployeeProfileForm
+          userId={userId}
+          profile={
+            profile && {
+              payrollNumber: profile.payrollNumber || '',
+              jobPost: profile.jobPost,
+              contractedWeeklyHours: profile.contractedWeeklyHours,
+              hourlyRates: profile.hourlyRates,
+              startDate: profile.startDate ? profile.startDate.toISOString() : '',
+              employmentType: profile.employmentType,
+              workingDays: profile.workingDays || [],
+            }
+          }
+        />
+      </div>
+
+      <h2 className='text-sm font-semibold mt-6 mb-1 text-lime-800'>Annual leave</h2>
+      <p className='text-sm text-gray-600 mb-2'>
+        {balance
+          ? `${formatLeaveAmount(balance.remaining, balance.unit)} left this leave year ` +
+            `(${formatLeaveAmount(balance.entitlement, balance.unit)} entitlement, ` +
+            `${formatLeaveAmount(balance.carriedOver, balance.unit)} carried over, ` +
+            `${formatLeaveAmount(balance.taken, balance.unit)} taken, ` +
+            `${formatLeaveAmount(balance.pending, balance.unit)} pending)`
+          : 'No entitlement set, so annual leave is not limited.'}
+        {balance?.isDefault && ' · Accruing by default as bank or agency staff.'}
+        {entitlement?.updatedBy && ` · Last saved by ${entitlement.updatedBy}`}
+      </p>
+      <div className='bg-white border border-gray-200 rounded-lg p-4'>
+        <LeaveEntitlementForm
+          userId={userId}
+          entitlement={
+            entitlement ? {
+              basis: entitlement.basis,
+              unit: entitlement.unit,
+              entitlement: entitlement.entitlement,
+              leaveYearStart: entitlement.leaveYearStart,
+              carryOverCap: entitlement.carryOverCap,
+              proRata: entitlement.proRata,
+              fullTimeWeeklyHours: entitlement.fullTimeWeeklyHours,
+              hoursPerDay: entitlement.hoursPerDay,
+            } : balance && { basis: balance.basis, unit: balance.unit }
+          }
+        />
+      </div>
+    </main>
+  );
+};
+
+export default EmployeeProfilePage;
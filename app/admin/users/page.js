@@ -0,0 +1,163 @@
+// app/admin/users/page.js
+
+import RotaNameAliases from '@/components/RotaNameAliases';
+import UserRoleActions from '@/components/UserRoleActions';
+import connectMongo from '@/db/connectMongo';
+import User from '@/models/User';
+import { getCurrentUser } from '@/utils/auth';
+import { EMPLOYMENT_TYPES } from '@/utils/employeeProfileFields';
+import { getEmployeeProfileMap } from '@/utils/employeeProfileUtils';
+import Link from 'next/link';
+import { redirect } from 'next/navigation';
+
+export const metadata = {
+  title: 'Phoenix carehome | Users',
+  description: 'Simple timesheet app for Deerpark staffs',
+};
+
+// Force dynamic rendering to prevent caching issues
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+const UsersPage = async () => {
+  const current = await getCurrentUser();
+
+  if (current?.dbUser.role !== 'admin') {
+    redirect('/timesheet');
+  }
+
+  await connectMongo();
+
+  const users = await User.find({})
+    .sort({ role: 1, givenName: 1, familyName: 1 })
+    .lean();
+
+  const adminCount = users.filter((u) => u.role === 'admin').length;
+  const profiles = await getEmployeeProfileMap(users.map((u) => u.kindeUserId));
+
+  return (
+    <main className='p-4 sm:p-8 bg-slate-50'>
+      <div className='flex justify-end gap-3 mb-4'>
+        <Link
+          href='/admin/identities'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          User ID Migration
+        </Link>
+        <Link
+          href='/admin'
+          className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        >
+          Go Back
+        </Link>
+      </div>
+      <h1 className='text-md sm:text-lg font-semibold mb-4 text-lime-800 hover:text-emerald-950 text-center sm:text-left'>
+        User Management
+      </h1>
+      <p className='text-sm text-gray-600 mb-4'>
+        Users appear here after their first login. Admins can approve requests, manage rotas and edit timesheets.
+        Add rota names when someone is listed on the rota under a different name, so their shifts show on their timesheet page.
+        Open a profile to set their payroll number, post, contracted hours and pay rates.
+      </p>
+
+      <div className='overflow-x-auto'>
+        <table className='min-w-full bg-white border border-gray-200 rounded-lg'>
+          <thead className='bg-gray-50'>
+            <tr>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Name
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Email
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Role
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                First Login
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Rota Names
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Profile
+              </th>
+              <th className='px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'>
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className='divide-y divide-gray-200'>
+            {users.map((user) => (
+              <tr key={user._id.toString()} className='hover:bg-gray-50'>
+                <td className='px-4 py-3 text-sm font-medium text-gray-900'>
+                  {`${user.givenName || ''} ${user.familyName || ''}`.trim() || user.email || user.kindeUserId}
+                </td>
+                <td className='px-4 py-3 text-sm text-gray-900'>
+                  {user.email || '-'}
+                </td>
+                <td className='px-4 py-3 text-sm'>
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                    user.role === 'admin'
+                      ? 'bg-purple-100 text-purple-800'
+                      : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {user.role === 'admin' ? 'Admin' : 'User'}
+                  </span>
+                </td>
+                <td className='px-4 py-3 text-sm text-gray-900'>
+                  {user.createdAt ? formatDate(user.createdAt) : '-'}
+                </td>
+                <td className='px-4 py-3 text-sm'>
+                  <RotaNameAliases
+                    id={user._id.toString()}
+                    rotaNames={user.rotaNames || []}
+                  />
+                </td>
+                <td className='px-4 py-3 text-sm'>
+                  {profiles.has(user.kindeUserId) ? (
+                    <div className='text-xs text-gray-600 mb-1'>
+                      {[
+                        profiles.get(user.kindeUserId).payrollNumber,
+                        profiles.get(user.kindeUserId).jobPost,
+                        EMPLOYMENT_TYPES[profiles.get(user.kindeUserId).employmentType],
+                      ]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  ) : (
+                    <div className='text-xs text-yellow-700 mb-1'>No profile</div>
+                  )}
+                  <Link
+                    href={`/admin/users/${encodeURIComponent(user.kindeUserId)}`}
+                    className='text-xs text-emerald-700 hover:text-green-500 font-bold'
+                  >
+                    Edit profile
+                  </Link>
+                </td>
+                <td className='px-4 py-3 text-sm'>
+                  <UserRoleActions
+                    id={user._id.toString()}
+                    role={user.role}
+                    isSelf={user.kindeUserId === current.user.id}
+                    isLastAdmin={user.role === 'admin' && adminCount <= 1}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </main>
+  );
+};
+
+export default UsersPage;
@@ -0,0 +1,69 @@
+// app/api/admin/audit/route.js
+
+import { NextResponse } from 'next/server';
+import {
+  AUDIT_PAGE_SIZE,
+  formatAuditCsv,
+  getAuditEvents,
+  recordAuditEvent,
+} from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Audit events filtered by ?userId=&resourceType=&action=&startDate=&endDate=,
+// a page at a time (?page=), or all of them as CSV with ?format=csv
+export async function GET(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    const filters = {
+      userId: searchParams.get('userId'),
+      resourceType: searchParams.get('resourceType'),
+      action: searchParams.get('action'),
+      startDate: searchParams.get('startDate'),
+      endDate: searchParams.get('endDate'),
+    };
+
+    if (searchParams.get('format') === 'csv') {
+      const { events, displayNames } = await getAuditEvents(filters, { limit: 0 });
+
+      // Exporting the trail is itself recorded
+      await recordAuditEvent({
+        action: 'EXPORT',
+        user,
+        resourceType: 'AuditEvent',
+        details: { filters, count: events.length },
+      });
+
+      return new NextResponse(formatAuditCsv(events, displayNames), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename=audit_trail_${new Date()
+            .toISOString()
+            .slice(0, 10)}.csv`,
+        },
+      });
+    }
+
+    const page = parseInt(searchParams.get('page') || '1', 10) || 1;
+    const { events, totalCount } = await getAuditEvents(filters, { page });
+
+    return NextResponse.json({
+      events,
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / AUDIT_PAGE_SIZE),
+    });
+  } catch (error) {
+    console.error('Error fetching audit trail:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch audit trail' },
+      { status: 500 }
+    );
+  }
+}
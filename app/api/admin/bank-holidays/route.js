@@ -0,0 +1,105 @@
+// app/api/admin/bank-holidays/route.js
+
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import {
+  getBankHolidayCalendar,
+  retagAllTimesheets,
+  saveBankHolidayCalendar,
+} from '@/utils/bankHolidayUtils';
+import { ValidationError } from '@/utils/errorHandler';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - The home's region and hand-added dates
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const calendar = await getBankHolidayCalendar();
+
+    return NextResponse.json({ calendar });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch bank holiday calendar');
+  }
+}
+
+// PUT - Replace the region and hand-added dates, re-tagging affected entries
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { region, extraDates } = await request.json();
+    const previous = await getBankHolidayCalendar();
+
+    const { calendar, retagged } = await saveBankHolidayCalendar(
+      { region, extraDates },
+      getDisplayName(user)
+    );
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'BankHolidayCalendar',
+      before: { region: previous.region, extraDates: previous.extraDates },
+      after: { region: calendar.region, extraDates: calendar.extraDates },
+      details: { retagged },
+    });
+
+    revalidatePath('/admin/bank-holidays');
+
+    return NextResponse.json({
+      message: 'Bank holidays saved',
+      calendar,
+      retagged,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save bank holiday calendar');
+  }
+}
+
+// POST - Tag every timesheet entry against the calendar, e.g. entries made before it existed
+export async function POST() {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const retagged = await retagAllTimesheets();
+
+    await recordAuditEvent({
+      action: 'RETAG',
+      user,
+      resourceType: 'Timesheet',
+      details: { retagged },
+    });
+
+    return NextResponse.json({
+      message: `${retagged} entries re-tagged`,
+      retagged,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to tag timesheet entries');
+  }
+}
@@ -0,0 +1,84 @@
+// app/api/admin/employee-profiles/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import { saveEmployeeProfile } from '@/utils/employeeProfileUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError || error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - One profile for ?userId=, or every profile
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const userId = request.nextUrl.searchParams.get('userId');
+    if (userId) {
+      const profile = await EmployeeProfile.findOne({ userId }).lean();
+      return NextResponse.json({ profile });
+    }
+
+    const profiles = await EmployeeProfile.find({}).lean();
+    return NextResponse.json({ profiles });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch employee profiles');
+  }
+}
+
+// PUT - Create or replace the profile for `userId`
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { userId, ...input } = await request.json();
+
+    await connectMongo();
+    const previous = userId ? await EmployeeProfile.findOne({ userId }).lean() : null;
+
+    const profile = await saveEmployeeProfile(userId, input, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: previous ? 'UPDATE' : 'CREATE',
+      user,
+      resourceType: 'EmployeeProfile',
+      resourceId: profile._id,
+      before: previous,
+      after: profile,
+      subjectUserId: userId,
+    });
+
+    revalidatePath('/admin/users');
+    revalidatePath(`/admin/users/${userId}`);
+
+    return NextResponse.json({
+      message: 'Employee profile saved',
+      profile,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save employee profile');
+  }
+}
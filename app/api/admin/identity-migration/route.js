@@ -0,0 +1,118 @@
+// app/api/admin/identity-migration/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import IdentityConflict from '@/models/IdentityConflict';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import {
+  resolveIdentityConflict,
+  runUserIdMigration,
+} from '@/utils/identityMigration';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError || error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - Names the migration could not attach to exactly one user
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const conflicts = await IdentityConflict.find({})
+      .sort({ status: 1, username: 1 })
+      .lean();
+
+    return NextResponse.json({ conflicts });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch identity conflicts');
+  }
+}
+
+// POST - Run the migration; it can be run again at any time
+export async function POST() {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const summary = await runUserIdMigration();
+
+    await recordAuditEvent({
+      action: 'MIGRATE',
+      user,
+      resourceType: 'UserIdentity',
+      details: summary,
+    });
+
+    revalidatePath('/admin/identities');
+
+    return NextResponse.json({
+      message: 'Records consolidated under user ids',
+      summary,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to run user id migration');
+  }
+}
+
+// PATCH - Merge a conflict's records into one user, or keep them apart
+export async function PATCH(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id, action, userId } = await request.json();
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Conflict ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const { conflict, moved } = await resolveIdentityConflict(
+      id,
+      { action, userId },
+      getDisplayName(user)
+    );
+
+    await recordAuditEvent({
+      action: 'RESOLVE',
+      user,
+      resourceType: 'IdentityConflict',
+      resourceId: id,
+      subjectUserId: conflict.resolvedUserId,
+      details: { username: conflict.username, action, moved },
+    });
+
+    revalidatePath('/admin/identities');
+
+    return NextResponse.json({
+      message: action === 'merge' ? `${moved} records moved` : 'Kept apart',
+      conflict,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to resolve identity conflict');
+  }
+}
@@ -0,0 +1,85 @@
+// app/api/admin/leave-entitlements/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import LeaveEntitlement from '@/models/LeaveEntitlement';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import { getLeaveBalance, saveLeaveEntitlement } from '@/utils/leaveBalanceUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError || error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - The entitlement and current balance for ?userId=
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const userId = request.nextUrl.searchParams.get('userId');
+    if (!userId) {
+      throw new ValidationError('userId is required', 'userId');
+    }
+
+    await connectMongo();
+    const [entitlement, balance] = await Promise.all([
+      LeaveEntitlement.findOne({ userId }).lean(),
+      getLeaveBalance(userId),
+    ]);
+
+    return NextResponse.json({ entitlement, balance });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch leave entitlement');
+  }
+}
+
+// PUT - Create or replace the entitlement for `userId`
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { userId, ...input } = await request.json();
+
+    await connectMongo();
+    const previous = await LeaveEntitlement.findOne({ userId }).lean();
+
+    const entitlement = await saveLeaveEntitlement(userId, input, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: previous ? 'UPDATE' : 'CREATE',
+      user,
+      resourceType: 'LeaveEntitlement',
+      resourceId: entitlement._id,
+      before: previous,
+      after: entitlement,
+    });
+
+    revalidatePath(`/admin/users/${userId}`);
+    revalidatePath('/admin');
+
+    return NextResponse.json({
+      message: 'Leave entitlement saved',
+      entitlement,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save leave entitlement');
+  }
+}
@@ -3,26 +3,19 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import LeaveHours from '@/models/LeaveHours';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { getDisplayName, requireAdmin } from '@/utils/auth';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { softDeleteRecord } from '@/utils/softDelete';
 import { revalidatePath } from 'next/cache';
 
 export async function DELETE(request) {
   try {
-    // Check authentication and admin permissions
-    const { getUser, getPermission } = getKindeServerSession();
-    const user = await getUser();
-
-    if (!user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    // Check admin permissions
-    const adminPermission = await getPermission('delete:timesheet');
-    if (!adminPermission?.isGranted) {
-      return NextResponse.json(
-        { error: 'Forbidden: Admin access required' },
-        { status: 403 }
-      );
+    // Check authentication and admin role
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
     await connectMongo();
@@ -47,24 +40,20 @@ export async function DELETE(request) {
       );
     }
 
-    let deletedLeaveHours;
-    
-    if (leaveHours.status === 'approved') {
-      // For approved records, use soft deletion to preserve payment calculations
-      deletedLeaveHours = await LeaveHours.findByIdAndUpdate(
-        id,
-        {
-          deleted: true,
-          deletedAt: new Date(),
-          deletedBy: `${user.given_name || ''} ${user.family_name || ''}`.trim() || user.email,
-          deletionReason: reason || 'Administrative cleanup'
-        },
-        { new: true }
-      );
-    } else {
-      // For non-approved records, use hard deletion
-      deletedLeaveHours = await LeaveHours.findByIdAndDelete(id);
-    }
+    await assertPeriodOpen(leaveHours.date);
+
+    // Moved to the recycle bin, from where it can be restored until the retention period ends
+    const previous = leaveHours.toObject();
+    await softDeleteRecord(leaveHours, getDisplayName(user), reason || 'Administrative cleanup');
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'LeaveHours',
+      resourceId: id,
+      before: previous,
+      after: leaveHours,
+    });
     
     // Revalidate admin pages to force refresh
     revalidatePath('/admin');
@@ -73,12 +62,13 @@ export async function DELETE(request) {
     revalidatePath('/admin/leave-hours');
     
     return NextResponse.json({ 
-      message: leaveHours.status === 'approved' 
-        ? 'Approved leave hours record archived successfully (preserved for payment calculations)'
-        : 'Leave hours record deleted successfully by admin',
-      deletedLeaveHours
+      message: 'Leave hours record moved to the recycle bin',
+      deletedLeaveHours: leaveHours
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting leave hours record (admin):', error);
     return NextResponse.json(
       { error: 'Failed to delete leave hours record' },
@@ -0,0 +1,70 @@
+// app/api/admin/overtime-rules/route.js
+
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { ValidationError } from '@/utils/errorHandler';
+import { getOvertimeRules, saveOvertimeRules } from '@/utils/overtimeUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - The overtime thresholds and night window
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const rules = await getOvertimeRules();
+
+    return NextResponse.json({ rules });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch overtime rules');
+  }
+}
+
+// PUT - Replace the overtime thresholds and night window
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const input = await request.json();
+
+    const previous = await getOvertimeRules();
+    const rules = await saveOvertimeRules(input, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'OvertimeSetting',
+      before: previous,
+      after: rules,
+    });
+
+    revalidatePath('/admin/overtime');
+
+    return NextResponse.json({
+      message: 'Overtime rules saved',
+      rules,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save overtime rules');
+  }
+}
@@ -0,0 +1,140 @@
+// app/api/admin/payroll-adjustments/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import {
+  NotFoundError,
+  PeriodLockedError,
+  ValidationError,
+} from '@/utils/errorHandler';
+import {
+  createPayrollAdjustment,
+  deletePayrollAdjustment,
+} from '@/utils/payrollUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (
+    error instanceof ValidationError ||
+    error instanceof NotFoundError ||
+    error instanceof PeriodLockedError
+  ) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - Adjustments against one closed period, or all of them
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const periodId = request.nextUrl.searchParams.get('periodId');
+    const adjustments = await PayrollAdjustment.find(
+      periodId ? { payrollPeriod: periodId } : {}
+    )
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return NextResponse.json({ adjustments });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch adjustments');
+  }
+}
+
+// POST - Record a plus or minus correction against a closed period
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { periodId, username, userId, minutes, category, reason } =
+      await request.json();
+
+    if (!periodId) {
+      return NextResponse.json(
+        { error: 'Payroll period ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const adjustment = await createPayrollAdjustment({
+      periodId,
+      username,
+      userId,
+      minutes: Number(minutes),
+      category,
+      reason,
+      createdBy: getDisplayName(user),
+    });
+
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'PayrollAdjustment',
+      resourceId: adjustment._id,
+      after: adjustment,
+    });
+
+    revalidatePath('/admin/payroll');
+
+    return NextResponse.json({
+      message: 'Adjustment recorded',
+      adjustment,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to record adjustment');
+  }
+}
+
+// DELETE - Remove an adjustment before the cycle it is paid in closes
+export async function DELETE(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id } = await request.json();
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Adjustment ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const adjustment = await deletePayrollAdjustment(id);
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'PayrollAdjustment',
+      resourceId: id,
+      before: adjustment,
+    });
+
+    revalidatePath('/admin/payroll');
+
+    return NextResponse.json({ message: 'Adjustment removed' });
+  } catch (error) {
+    return errorResponse(error, 'Failed to remove adjustment');
+  }
+}
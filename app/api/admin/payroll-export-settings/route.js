@@ -0,0 +1,86 @@
+// app/api/admin/payroll-export-settings/route.js
+
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import {
+  getPayrollExportSettings,
+  savePayrollExportSettings,
+} from '@/utils/payrollExportUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError || error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - Pay-element codes and employee references for ?format=
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const settings = await getPayrollExportSettings(
+      request.nextUrl.searchParams.get('format')
+    );
+
+    return NextResponse.json({ settings });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch payroll export settings');
+  }
+}
+
+// PUT - Replace the codes and employee references for a format
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { format, elementCodes, employeeReferences } = await request.json();
+    const previous = await getPayrollExportSettings(format);
+
+    const settings = await savePayrollExportSettings(
+      format,
+      { elementCodes, employeeReferences },
+      getDisplayName(user)
+    );
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'PayrollExportSetting',
+      resourceId: format,
+      before: {
+        elementCodes: previous.elementCodes,
+        employeeReferences: previous.employeeReferences,
+      },
+      after: {
+        elementCodes: settings.elementCodes,
+        employeeReferences: settings.employeeReferences,
+      },
+    });
+
+    revalidatePath('/admin/payroll-exports');
+
+    return NextResponse.json({
+      message: 'Payroll export settings saved',
+      settings,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save payroll export settings');
+  }
+}
@@ -0,0 +1,80 @@
+// app/api/admin/payroll-export/route.js
+
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import { buildPayrollExport } from '@/utils/payrollExportUtils';
+import { getPayrollPeriodBounds } from '@/utils/payrollUtils';
+
+export const dynamic = 'force-dynamic';
+
+const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// GET - Download a payroll import CSV, e.g. ?format=sage&startDate=2025-01-06&endDate=2025-02-02.
+// Without dates the current payment cycle is exported.
+export async function GET(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    const format = searchParams.get('format');
+    const startDate = searchParams.get('startDate');
+    const endDate = searchParams.get('endDate');
+
+    if (!format) {
+      throw new ValidationError('An export format is required', 'format');
+    }
+
+    const cycle = getPayrollPeriodBounds(startDate || new Date());
+    const start = startDate ? new Date(startDate) : cycle.start;
+    const end = endDate ? new Date(endDate) : cycle.end;
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new ValidationError('Invalid date range', 'startDate');
+    }
+    end.setHours(23, 59, 59, 999);
+    if (end < start) {
+      throw new ValidationError('End date must be after start date', 'endDate');
+    }
+
+    const { csv, lineCount, unmapped } = await buildPayrollExport(format, start, end);
+
+    await recordAuditEvent({
+      action: 'EXPORT',
+      user,
+      resourceType: 'PayrollExport',
+      resourceId: format,
+      details: { start, end, lineCount, unmapped },
+    });
+
+    const headers = {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename=payroll_${format}_${toDateKey(start)}_${toDateKey(end)}.csv`,
+    };
+    // Staff with no reference are exported by name; the payroll import will reject them
+    if (unmapped.length > 0) {
+      headers['X-Unmapped-Employees'] = String(unmapped.length);
+    }
+
+    return new NextResponse(csv, { headers });
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error generating payroll export:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate payroll export' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,121 @@
+// app/api/admin/payroll-periods/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import PayrollPeriod from '@/models/PayrollPeriod';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import { closePayrollPeriod, reopenPayrollPeriod } from '@/utils/payrollUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError || error instanceof NotFoundError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - List closed and reopened payroll periods, newest first
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const periods = await PayrollPeriod.find({}).sort({ start: -1 }).lean();
+
+    return NextResponse.json({ periods });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch payroll periods');
+  }
+}
+
+// POST - Close the payroll period containing `date`
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { date } = await request.json();
+
+    if (!date || isNaN(new Date(date).getTime())) {
+      return NextResponse.json(
+        { error: 'A valid date in the period is required' },
+        { status: 400 }
+      );
+    }
+
+    const period = await closePayrollPeriod(date, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'CLOSE',
+      user,
+      resourceType: 'PayrollPeriod',
+      resourceId: period._id,
+      after: { status: period.status },
+      details: { start: period.start, end: period.end, people: period.totals.length },
+    });
+
+    revalidatePath('/admin/payroll');
+
+    return NextResponse.json({
+      message: 'Payroll period closed',
+      period,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to close payroll period');
+  }
+}
+
+// PATCH - Reopen a closed payroll period; a reason is required
+export async function PATCH(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id, reason } = await request.json();
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Payroll period ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const period = await reopenPayrollPeriod(id, reason, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'REOPEN',
+      user,
+      resourceType: 'PayrollPeriod',
+      resourceId: period._id,
+      before: { status: 'closed' },
+      after: { status: period.status },
+      details: { start: period.start, end: period.end, reason: reason.trim() },
+    });
+
+    revalidatePath('/admin/payroll');
+
+    return NextResponse.json({
+      message: 'Payroll period reopened',
+      period,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to reopen payroll period');
+  }
+}
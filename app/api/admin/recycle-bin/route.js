@@ -0,0 +1,79 @@
+// app/api/admin/recycle-bin/route.js
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/utils/auth';
+import { purgeExpiredDeletions } from '@/utils/databaseCleanup';
+import { NotFoundError, PeriodLockedError, ValidationError } from '@/utils/errorHandler';
+import { getRecycleBin, restoreDeletedRecord } from '@/utils/recycleBinUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (
+    error instanceof ValidationError ||
+    error instanceof NotFoundError ||
+    error instanceof PeriodLockedError
+  ) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - Deleted timesheets, leave requests, leave hours and training
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    return NextResponse.json(await getRecycleBin());
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch recycle bin');
+  }
+}
+
+// POST - Restore `{ type, id }`
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { type, id } = await request.json();
+    const record = await restoreDeletedRecord(type, id, user);
+
+    revalidatePath('/admin');
+    revalidatePath('/admin/recycle-bin');
+    revalidatePath('/timesheet');
+
+    return NextResponse.json({ message: 'Record restored', record });
+  } catch (error) {
+    return errorResponse(error, 'Failed to restore record');
+  }
+}
+
+// DELETE - Permanently remove everything past the retention period now, without waiting for the job
+export async function DELETE() {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const purged = await purgeExpiredDeletions({ user });
+
+    revalidatePath('/admin/recycle-bin');
+
+    return NextResponse.json({ message: 'Expired records purged', purged });
+  } catch (error) {
+    return errorResponse(error, 'Failed to purge recycle bin');
+  }
+}
@@ -0,0 +1,207 @@
+// app/api/admin/shift-codes/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import ShiftCode from '@/models/ShiftCode';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { getShiftCodes } from '@/utils/shiftCodeUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const EDITABLE_FIELDS = ['code', 'description', 'type', 'start', 'end'];
+
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+    }
+    return fields;
+  }, {});
+
+// Turn save errors into a 400/409 the editor can show
+const saveErrorResponse = (error) => {
+  if (error.name === 'ValidationError') {
+    return NextResponse.json(
+      { error: Object.values(error.errors).map((e) => e.message).join(', ') },
+      { status: 400 }
+    );
+  }
+  if (error.code === 11000) {
+    return NextResponse.json(
+      { error: 'A shift code with that name already exists' },
+      { status: 409 }
+    );
+  }
+  return null;
+};
+
+// GET - List shift codes, seeding the defaults on first use
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const shiftCodes = await getShiftCodes();
+
+    return NextResponse.json({ shiftCodes });
+  } catch (error) {
+    console.error('Error fetching shift codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch shift codes' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST - Add a shift code
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const fields = pickEditableFields(await request.json());
+    const shiftCode = await new ShiftCode(fields).save();
+
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'ShiftCode',
+      resourceId: shiftCode._id,
+      after: shiftCode,
+    });
+
+    revalidatePath('/admin/shift-codes');
+
+    return NextResponse.json(
+      { message: 'Shift code added successfully', shiftCode },
+      { status: 201 }
+    );
+  } catch (error) {
+    const errorResponse = saveErrorResponse(error);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    console.error('Error creating shift code:', error);
+    return NextResponse.json(
+      { error: 'Failed to create shift code' },
+      { status: 500 }
+    );
+  }
+}
+
+// PATCH - Edit a shift code
+export async function PATCH(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const body = await request.json();
+    if (!body.id) {
+      return NextResponse.json(
+        { error: 'Shift code ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const shiftCode = await ShiftCode.findById(body.id);
+    if (!shiftCode) {
+      return NextResponse.json(
+        { error: 'Shift code not found' },
+        { status: 404 }
+      );
+    }
+
+    const previous = shiftCode.toObject();
+    const fields = pickEditableFields(body);
+    Object.assign(shiftCode, fields);
+    await shiftCode.save();
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'ShiftCode',
+      resourceId: body.id,
+      before: previous,
+      after: shiftCode,
+    });
+
+    revalidatePath('/admin/shift-codes');
+
+    return NextResponse.json({
+      message: 'Shift code updated successfully',
+      shiftCode,
+    });
+  } catch (error) {
+    const errorResponse = saveErrorResponse(error);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    console.error('Error updating shift code:', error);
+    return NextResponse.json(
+      { error: 'Failed to update shift code' },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE - Remove a shift code; rotas already uploaded keep their parsed shifts
+export async function DELETE(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Shift code ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const shiftCode = await ShiftCode.findByIdAndDelete(id);
+    if (!shiftCode) {
+      return NextResponse.json(
+        { error: 'Shift code not found' },
+        { status: 404 }
+      );
+    }
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'ShiftCode',
+      resourceId: id,
+      before: shiftCode,
+    });
+
+    revalidatePath('/admin/shift-codes');
+
+    return NextResponse.json({ message: 'Shift code deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting shift code:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete shift code' },
+      { status: 500 }
+    );
+  }
+}
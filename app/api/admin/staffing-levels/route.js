@@ -0,0 +1,75 @@
+// app/api/admin/staffing-levels/route.js
+
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin, getDisplayName } from '@/utils/auth';
+import { ValidationError } from '@/utils/errorHandler';
+import { getStaffingLevels, saveStaffingLevels } from '@/utils/leaveConflictUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (error instanceof ValidationError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - Each post with its headcount and minimum staffing
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const levels = await getStaffingLevels();
+
+    return NextResponse.json(levels);
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch staffing levels');
+  }
+}
+
+// PUT - Replace the minimum staffing levels
+export async function PUT(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const input = await request.json();
+    const previous = await getStaffingLevels();
+
+    const levels = await saveStaffingLevels(input, getDisplayName(user));
+
+    const toMinimums = ({ posts }) =>
+      posts
+        .filter((entry) => entry.minimum !== null)
+        .map(({ post, minimum }) => ({ post, minimum }));
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'StaffingLevel',
+      before: { minimums: toMinimums(previous) },
+      after: { minimums: toMinimums(levels) },
+    });
+
+    revalidatePath('/admin/staffing');
+
+    return NextResponse.json({
+      message: 'Staffing levels saved',
+      ...levels,
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to save staffing levels');
+  }
+}
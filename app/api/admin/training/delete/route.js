@@ -3,26 +3,19 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import Training from '@/models/Training';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { getDisplayName, requireAdmin } from '@/utils/auth';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { softDeleteRecord } from '@/utils/softDelete';
 import { revalidatePath } from 'next/cache';
 
 export async function DELETE(request) {
   try {
-    // Check authentication and admin permissions
-    const { getUser, getPermission } = getKindeServerSession();
-    const user = await getUser();
-
-    if (!user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    // Check admin permissions
-    const adminPermission = await getPermission('delete:timesheet');
-    if (!adminPermission?.isGranted) {
-      return NextResponse.json(
-        { error: 'Forbidden: Admin access required' },
-        { status: 403 }
-      );
+    // Check authentication and admin role
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
     await connectMongo();
@@ -47,24 +40,20 @@ export async function DELETE(request) {
       );
     }
 
-    let deletedTraining;
-    
-    if (training.status === 'approved') {
-      // For approved records, use soft deletion to preserve payment calculations
-      deletedTraining = await Training.findByIdAndUpdate(
-        id,
-        {
-          deleted: true,
-          deletedAt: new Date(),
-          deletedBy: `${user.given_name || ''} ${user.family_name || ''}`.trim() || user.email,
-          deletionReason: reason || 'Administrative cleanup'
-        },
-        { new: true }
-      );
-    } else {
-      // For non-approved records, use hard deletion
-      deletedTraining = await Training.findByIdAndDelete(id);
-    }
+    await assertPeriodOpen(training.date);
+
+    // Moved to the recycle bin, from where it can be restored until the retention period ends
+    const previous = training.toObject();
+    await softDeleteRecord(training, getDisplayName(user), reason || 'Administrative cleanup');
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Training',
+      resourceId: id,
+      before: previous,
+      after: training,
+    });
     
     // Revalidate admin pages to force refresh
     revalidatePath('/admin');
@@ -73,12 +62,13 @@ export async function DELETE(request) {
     revalidatePath('/admin/training-hours');
     
     return NextResponse.json({ 
-      message: training.status === 'approved' 
-        ? 'Approved training record archived successfully (preserved for payment calculations)'
-        : 'Training record deleted successfully by admin',
-      deletedTraining
+      message: 'Training record moved to the recycle bin',
+      deletedTraining: training
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting training record (admin):', error);
     return NextResponse.json(
       { error: 'Failed to delete training record' },
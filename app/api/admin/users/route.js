@@ -0,0 +1,164 @@
+// app/api/admin/users/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import User from '@/models/User';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+// GET - List every provisioned user with their role
+export async function GET() {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const users = await User.find({})
+      .sort({ role: 1, givenName: 1, familyName: 1 })
+      .lean();
+
+    return NextResponse.json({ users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch users' },
+      { status: 500 }
+    );
+  }
+}
+
+// PATCH - Promote or demote a user, or set the names they appear under on rotas
+export async function PATCH(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const { id, role, rotaNames } = await request.json();
+
+    if (id && rotaNames !== undefined) {
+      if (
+        !Array.isArray(rotaNames) ||
+        rotaNames.some((name) => typeof name !== 'string')
+      ) {
+        return NextResponse.json(
+          { error: 'Rota names must be a list of names' },
+          { status: 400 }
+        );
+      }
+
+      const targetUser = await User.findById(id);
+
+      if (!targetUser) {
+        return NextResponse.json({ error: 'User not found' }, { status: 404 });
+      }
+
+      const previousNames = targetUser.rotaNames;
+      targetUser.rotaNames = [
+        ...new Set(rotaNames.map((name) => name.trim()).filter(Boolean)),
+      ];
+      await targetUser.save();
+
+      await recordAuditEvent({
+        action: 'UPDATE',
+        user,
+        resourceType: 'User',
+        resourceId: targetUser._id,
+        before: { rotaNames: previousNames },
+        after: { rotaNames: targetUser.rotaNames },
+        subjectUserId: targetUser.kindeUserId,
+      });
+
+      revalidatePath('/admin/users');
+
+      return NextResponse.json({
+        message: 'Rota names updated successfully',
+        user: targetUser,
+      });
+    }
+
+    if (!id || !role) {
+      return NextResponse.json(
+        { error: 'User ID and role are required' },
+        { status: 400 }
+      );
+    }
+
+    if (!['admin', 'user'].includes(role)) {
+      return NextResponse.json(
+        { error: 'Role must be admin or user' },
+        { status: 400 }
+      );
+    }
+
+    const targetUser = await User.findById(id);
+
+    if (!targetUser) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    if (targetUser.role === role) {
+      return NextResponse.json(
+        { error: `User already has the ${role} role` },
+        { status: 400 }
+      );
+    }
+
+    const previousRole = targetUser.role;
+
+    // Only change the role if nobody else has changed it since it was read
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: id, role: previousRole },
+      { role },
+      { new: true }
+    );
+    if (!updatedUser) {
+      return NextResponse.json(
+        { error: 'The role was changed by someone else; refresh and try again' },
+        { status: 409 }
+      );
+    }
+
+    // Never leave the app without an admin who can grant roles back. The count is taken
+    // after the update, so two admins demoted at the same moment cannot both go through.
+    if (previousRole === 'admin' && (await User.countDocuments({ role: 'admin' })) === 0) {
+      await User.updateOne({ _id: id, role }, { role: previousRole });
+      return NextResponse.json(
+        { error: 'Cannot demote the last remaining admin' },
+        { status: 400 }
+      );
+    }
+
+    await recordAuditEvent({
+      action: role === 'admin' ? 'PROMOTE' : 'DEMOTE',
+      user,
+      resourceType: 'User',
+      resourceId: updatedUser._id,
+      before: { role: previousRole },
+      after: { role },
+      subjectUserId: updatedUser.kindeUserId,
+    });
+
+    revalidatePath('/admin/users');
+
+    return NextResponse.json({
+      message: `User ${role === 'admin' ? 'promoted to admin' : 'demoted to user'} successfully`,
+      user: updatedUser,
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    return NextResponse.json(
+      { error: 'Failed to update user role' },
+      { status: 500 }
+    );
+  }
+}
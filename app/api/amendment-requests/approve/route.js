@@ -0,0 +1,38 @@
+// app/api/amendment-requests/approve/route.js
+
+import { NextResponse } from 'next/server';
+import { approveAmendmentRequest } from '@/utils/amendmentUtils';
+import { requireAdmin } from '@/utils/auth';
+import { NotFoundError, PeriodLockedError, ValidationError } from '@/utils/errorHandler';
+import { revalidatePath } from 'next/cache';
+
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id } = await request.json();
+    const amendmentRequest = await approveAmendmentRequest(id, user);
+
+    revalidatePath('/admin');
+    revalidatePath(`/admin/${amendmentRequest.userId}`);
+    revalidatePath('/timesheet');
+
+    return NextResponse.json({
+      message: 'Amendment applied to the timesheet',
+      amendmentRequest,
+    });
+  } catch (error) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof NotFoundError ||
+      error instanceof PeriodLockedError
+    ) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+    console.error('Error approving amendment request:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
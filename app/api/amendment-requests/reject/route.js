@@ -0,0 +1,33 @@
+// app/api/amendment-requests/reject/route.js
+
+import { NextResponse } from 'next/server';
+import { rejectAmendmentRequest } from '@/utils/amendmentUtils';
+import { requireAdmin } from '@/utils/auth';
+import { NotFoundError, ValidationError } from '@/utils/errorHandler';
+import { revalidatePath } from 'next/cache';
+
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id, reason } = await request.json();
+    const amendmentRequest = await rejectAmendmentRequest(id, user, reason);
+
+    revalidatePath('/admin');
+    revalidatePath('/timesheet');
+
+    return NextResponse.json({
+      message: 'Amendment request rejected',
+      amendmentRequest,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+    console.error('Error rejecting amendment request:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
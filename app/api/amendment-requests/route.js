@@ -0,0 +1,84 @@
+// app/api/amendment-requests/route.js
+
+import { NextResponse } from 'next/server';
+import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import {
+  createAmendmentRequest,
+  dismissAmendmentOutcome,
+  getAmendmentRequests,
+} from '@/utils/amendmentUtils';
+import { NotFoundError, PeriodLockedError, ValidationError } from '@/utils/errorHandler';
+import { resolveTargetUserId } from '@/utils/identityUtils';
+import { revalidatePath } from 'next/cache';
+
+export const dynamic = 'force-dynamic';
+
+const errorResponse = (error, fallback) => {
+  if (
+    error instanceof ValidationError ||
+    error instanceof NotFoundError ||
+    error instanceof PeriodLockedError
+  ) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return NextResponse.json({ error: fallback }, { status: 500 });
+};
+
+// GET - The signed-in staff member's requests; admins may pass ?userId=
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
+    }
+
+    const amendmentRequests = await getAmendmentRequests({ userId });
+    return NextResponse.json({ amendmentRequests });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch amendment requests');
+  }
+}
+
+// POST - Ask for a submitted entry to be corrected
+export async function POST(request) {
+  try {
+    const user = await getKindeServerSession().getUser();
+    if (!user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const amendmentRequest = await createAmendmentRequest(user, await request.json());
+
+    revalidatePath('/admin');
+
+    return NextResponse.json(
+      { message: 'Amendment request sent to your manager', amendmentRequest },
+      { status: 201 }
+    );
+  } catch (error) {
+    return errorResponse(error, 'Failed to create amendment request');
+  }
+}
+
+// PUT - `{ id }` dismisses the approved/rejected notice for the requester
+export async function PUT(request) {
+  try {
+    const user = await getKindeServerSession().getUser();
+    if (!user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { id } = await request.json();
+    await dismissAmendmentOutcome(id, user.id);
+
+    return NextResponse.json({ message: 'Notice dismissed' });
+  } catch (error) {
+    return errorResponse(error, 'Failed to update amendment request');
+  }
+}
@@ -0,0 +1,40 @@
+// app/api/bank-holidays/route.js
+
+import { NextResponse } from 'next/server';
+import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import { getBankHolidays } from '@/utils/bankHolidayUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - The home's bank holidays, optionally between `startDate` and `endDate`
+export async function GET(request) {
+  try {
+    const { getUser } = getKindeServerSession();
+    const user = await getUser();
+
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    const startDate = searchParams.get('startDate');
+    const endDate = searchParams.get('endDate');
+
+    if (
+      (startDate && isNaN(new Date(startDate).getTime())) ||
+      (endDate && isNaN(new Date(endDate).getTime()))
+    ) {
+      return NextResponse.json({ error: 'Invalid date' }, { status: 400 });
+    }
+
+    const holidays = await getBankHolidays(startDate, endDate);
+
+    return NextResponse.json({ holidays });
+  } catch (error) {
+    console.error('Error fetching bank holidays:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch bank holidays' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+// app/api/calendar/feed/[token]/route.js
+
+import connectMongo from '@/db/connectMongo';
+import User from '@/models/User';
+import { getUserDisplayName } from '@/utils/auth';
+import { buildStaffCalendarFeed } from '@/utils/staffShiftUtils';
+
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// GET - iCalendar feed for phone calendar subscriptions. The secret token in
+// the URL stands in for a Kinde session, as calendar apps cannot log in.
+export async function GET(request, { params }) {
+  // Some calendar apps only subscribe to URLs ending in .ics
+  const token = params.token.replace(/\.ics$/, '');
+
+  try {
+    await connectMongo();
+
+    const dbUser = token ? await User.findOne({ calendarToken: token }) : null;
+
+    if (!dbUser) {
+      return new Response('Calendar not found', { status: 404 });
+    }
+
+    const calendar = await buildStaffCalendarFeed(
+      dbUser,
+      getUserDisplayName(dbUser)
+    );
+
+    return new Response(calendar, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="deerpark-shifts.ics"',
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    return new Response('Failed to build calendar', { status: 500 });
+  }
+}
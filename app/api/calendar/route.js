@@ -0,0 +1,91 @@
+// app/api/calendar/route.js
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { getCurrentUser } from '@/utils/auth';
+
+export const dynamic = 'force-dynamic';
+
+// GET - The current user's calendar feed token, or null when the feed is off
+export async function GET() {
+  try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    return NextResponse.json({ token: current.dbUser.calendarToken || null });
+  } catch (error) {
+    console.error('Error fetching calendar token:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch calendar link' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST - Create a new feed token; any previous link stops working
+export async function POST() {
+  try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { user, dbUser } = current;
+    const replacedExisting = Boolean(dbUser.calendarToken);
+    dbUser.calendarToken = crypto.randomBytes(24).toString('hex');
+    await dbUser.save();
+
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'CalendarFeed',
+      resourceId: dbUser._id,
+      subjectUserId: user.id,
+      details: { replacedExisting },
+    });
+
+    return NextResponse.json({
+      message: 'Calendar link created',
+      token: dbUser.calendarToken,
+    });
+  } catch (error) {
+    console.error('Error creating calendar token:', error);
+    return NextResponse.json(
+      { error: 'Failed to create calendar link' },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE - Revoke the feed token so subscribed calendars stop updating
+export async function DELETE() {
+  try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { user, dbUser } = current;
+    dbUser.calendarToken = undefined;
+    await dbUser.save();
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'CalendarFeed',
+      resourceId: dbUser._id,
+      subjectUserId: user.id,
+    });
+
+    return NextResponse.json({ message: 'Calendar link turned off' });
+  } catch (error) {
+    console.error('Error revoking calendar token:', error);
+    return NextResponse.json(
+      { error: 'Failed to turn off calendar link' },
+      { status: 500 }
+    );
+  }
+}
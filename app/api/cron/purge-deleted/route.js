@@ -0,0 +1,27 @@
+// app/api/cron/purge-deleted/route.js
+
+import { NextResponse } from 'next/server';
+import { purgeExpiredDeletions } from '@/utils/databaseCleanup';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Retention job: permanently remove recycle-bin records older than
+// DELETED_RECORD_RETENTION_DAYS. Run daily by the scheduler in vercel.json, which
+// sends `Authorization: Bearer <CRON_SECRET>`.
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const purged = await purgeExpiredDeletions();
+    return NextResponse.json({ message: 'Expired records purged', purged });
+  } catch (error) {
+    console.error('Error running recycle bin retention job:', error);
+    return NextResponse.json(
+      { error: 'Failed to purge expired records' },
+      { status: 500 }
+    );
+  }
+}
@@ -3,51 +3,50 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '../../../../db/connectMongo';
 import Timesheet from '../../../../models/Timesheet';
-import WeeklySummary from '../../../../models/WeeklySummary';
+import { recordAuditEvent } from '../../../../utils/auditTrail';
+import { getDisplayName, requireAdmin } from '../../../../utils/auth';
+import { PeriodLockedError } from '../../../../utils/errorHandler';
+import { assertPeriodOpen } from '../../../../utils/payrollUtils';
+import { softDeleteRecord } from '../../../../utils/softDelete';
+import { refreshWeeklySummary } from '../../../../utils/timesheetUtils';
 
 export async function DELETE(request, { params }) {
   try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
     await connectMongo();
     
     const { id } = params;
     
-    // Find the timesheet to get user info before deletion
     const timesheet = await Timesheet.findById(id);
     if (!timesheet) {
       return NextResponse.json({ error: 'Timesheet not found' }, { status: 404 });
     }
     
-    const { username, weekStarting } = timesheet;
-    
-    // Delete the timesheet
-    await Timesheet.findByIdAndDelete(id);
-    
-    // Check if there are any remaining timesheets for this user and week
-    const remainingTimesheets = await Timesheet.find({
-      username,
-      weekStarting
+    await assertPeriodOpen(timesheet.date);
+
+    // Moved to the recycle bin; the week's total no longer counts it
+    const previous = timesheet.toObject();
+    await softDeleteRecord(timesheet, getDisplayName(user));
+    await refreshWeeklySummary(timesheet.userId, timesheet.date);
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Timesheet',
+      resourceId: id,
+      before: previous,
+      after: timesheet,
     });
     
-    if (remainingTimesheets.length > 0) {
-      // Recalculate total hours for the week
-      const totalHours = remainingTimesheets.reduce((sum, ts) => sum + ts.totalHours, 0);
-      
-      // Update the WeeklySummary
-      await WeeklySummary.findOneAndUpdate(
-        { username, weekStarting },
-        { totalHours },
-        { upsert: true }
-      );
-    } else {
-      // No timesheets left for this week, delete the WeeklySummary
-      await WeeklySummary.findOneAndDelete({
-        username,
-        weekStarting
-      });
-    }
-    
-    return NextResponse.json({ message: 'Timesheet deleted successfully' });
+    return NextResponse.json({ message: 'Timesheet moved to the recycle bin' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting timesheet:', error);
     return NextResponse.json({ error: 'Failed to delete timesheet' }, { status: 500 });
   }
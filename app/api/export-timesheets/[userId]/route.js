@@ -0,0 +1,146 @@
+// //app/api/export-timesheet/[userId]/route.js
+
+
+import connectMongo from '@/db/connectMongo';
+import Timesheet from '@/models/Timesheet';
+import { requireAdmin } from '@/utils/auth';
+import { getDisplayNameMap, resolveUserReference } from '@/utils/identityUtils';
+import { calculateOvertimeBuckets } from '@/utils/overtimeUtils';
+import { NextResponse } from 'next/server';
+import { subWeeks, startOfDay, parseISO, format } from 'date-fns';
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+
+// Function to format time in "hours.minutes" style
+const formatTimeDecimal = (hours, minutes) => {
+  const formattedMinutes = minutes < 10 ? `0${minutes}` : minutes; // Pad minutes if less than 10
+  return `${hours}.${formattedMinutes}`;
+};
+
+function calculateHoursWorked(start, end, breakMinutes = 0) {
+  const [startHours, startMinutes] = start.split(':').map(Number);
+  const [endHours, endMinutes] = end.split(':').map(Number);
+
+  let totalStartMinutes = startHours * 60 + startMinutes;
+  let totalEndMinutes = endHours * 60 + endMinutes;
+
+  if (totalEndMinutes < totalStartMinutes) {
+    totalEndMinutes += 24 * 60;
+  }
+
+  const totalMinutesWorked = Math.max(
+    totalEndMinutes - totalStartMinutes - (breakMinutes || 0),
+    0
+  );
+  const hours = Math.floor(totalMinutesWorked / 60);
+  const minutes = totalMinutesWorked % 60;
+
+  return formatTimeDecimal(hours, minutes); // Return formatted time
+}
+
+const formatMinutesDecimal = (totalMinutes) =>
+  formatTimeDecimal(Math.floor(totalMinutes / 60), totalMinutes % 60);
+
+const formatDate = (dateString) => {
+  const date =
+    typeof dateString === 'string' ? parseISO(dateString) : dateString;
+  return format(date, 'dd MMM yy EE');
+};
+
+export async function GET(request, { params }) {
+  const { response } = await requireAdmin();
+  if (response) {
+    return response;
+  }
+
+  // Older links pass a display name rather than the user id
+  const userId = await resolveUserReference(decodeURIComponent(params.userId));
+  if (!userId) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  await connectMongo();
+
+  const today = new Date();
+  const fourWeeksAgo = subWeeks(startOfDay(today), 4);
+
+  const timesheets = await Timesheet.find({
+    userId,
+    date: { $gte: fourWeeksAgo },
+  }).sort({ date: 1 });
+
+  // Drafts, and unapproved entries while approval is on, are not split, so their bucket cells stay empty
+  const split = (
+    await calculateOvertimeBuckets(fourWeeksAgo, today, { userId })
+  ).get(userId);
+  const entrySplits = new Map((split?.entries || []).map((entry) => [entry.id, entry]));
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Timesheets');
+
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 15 },
+    { header: 'Start Time', key: 'start', width: 10 },
+    { header: 'End Time', key: 'end', width: 10 },
+    { header: 'Break (mins)', key: 'breakMinutes', width: 12 },
+    { header: 'Hours Worked', key: 'hoursWorked', width: 15 },
+    { header: 'Basic', key: 'basic', width: 10 },
+    { header: 'Overtime', key: 'overtime', width: 10 },
+    { header: 'Night', key: 'night', width: 10 },
+    { header: 'Bank Holiday', key: 'bankHoliday', width: 14 },
+  ];
+
+  timesheets.forEach((timesheet) => {
+    const hoursWorked = calculateHoursWorked(
+      timesheet.start,
+      timesheet.end,
+      timesheet.breakMinutes
+    );
+    const entry = entrySplits.get(timesheet._id.toString());
+    worksheet.addRow({
+      date: formatDate(timesheet.date),
+      start: timesheet.start,
+      end: timesheet.end,
+      breakMinutes: timesheet.breakMinutes || 0,
+      hoursWorked,
+      basic: entry ? formatMinutesDecimal(entry.basicMinutes) : '',
+      overtime: entry ? formatMinutesDecimal(entry.overtimeMinutes) : '',
+      night: entry ? formatMinutesDecimal(entry.nightMinutes) : '',
+      bankHoliday: entry ? formatMinutesDecimal(entry.bankHolidayMinutes) : '',
+    });
+  });
+
+  if (split) {
+    worksheet.addRow({
+      date: 'Total',
+      hoursWorked: formatMinutesDecimal(split.totalMinutes),
+      basic: formatMinutesDecimal(split.basicMinutes),
+      overtime: formatMinutesDecimal(split.overtimeMinutes),
+      night: formatMinutesDecimal(split.nightMinutes),
+      bankHoliday: formatMinutesDecimal(split.bankHolidayMinutes),
+    });
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  const names = await getDisplayNameMap([userId]);
+  const username = names.get(userId) || timesheets[0]?.username || userId;
+
+  const stream = new Readable();
+  stream.push(buffer);
+  stream.push(null);
+
+  const headers = new Headers();
+  headers.set(
+    'Content-Type',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+  headers.set(
+    'Content-Disposition',
+    `attachment; filename="${username}_timesheets.xlsx"`
+  );
+
+  return new NextResponse(stream, {
+    headers,
+  });
+}
@@ -1,6 +1,7 @@
 // //app/api/generate-timesheet/list/route.js
 
 import connectMongo from '@/db/connectMongo';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
 import Timesheet from '@/models/Timesheet';
 import {
   getLastFourWeeks,
@@ -9,6 +10,11 @@ import {
   formatDate,
   getPreviousWeek,
 } from '@/utils/dateUtils';
+import { requireAdmin } from '@/utils/auth';
+import { getDisplayNameMap } from '@/utils/identityUtils';
+import { calculateOvertimeBuckets } from '@/utils/overtimeUtils';
+import { ADJUSTMENT_CATEGORIES } from '@/utils/paymentCycleUtils';
+import { APPROVED_TIMESHEETS } from '@/utils/timesheetApprovalUtils';
 import ExcelJS from 'exceljs';
 import { NextResponse } from 'next/server';
 
@@ -17,9 +23,16 @@ export const dynamic = 'force-dynamic';
 
 export async function GET(request) {
   try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
     const searchParams = request.nextUrl.searchParams;
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
+    // Only entries an admin has signed off, for when timesheet approval is in use
+    const approvedOnly = searchParams.get('approvedOnly') === 'true';
 
     // Connect to MongoDB
     await connectMongo();
@@ -32,12 +45,15 @@ export async function GET(request) {
     if (endDate) {
       queryFilter.date = { ...queryFilter.date, $lte: new Date(endDate) };
     }
+    if (approvedOnly) {
+      Object.assign(queryFilter, APPROVED_TIMESHEETS, { isDraft: { $ne: true } });
+    }
 
     // Fetch timesheets with filter and optimization
     const timesheets = await Timesheet.find(queryFilter)
       .sort({ date: 1 })
       .lean() // Use lean() for better performance
-      .select('username date start end'); // Only select needed fields
+      .select('userId username date start end breakMinutes'); // Only select needed fields
 
   // Revert to the original code for date ranges
   const lastFourWeeks = getLastFourWeeks();
@@ -52,12 +68,14 @@ export async function GET(request) {
 
   // Group timesheets by users
   const usersTimesheets = timesheets.reduce((acc, timesheet) => {
-    const { username, date, start, end } = timesheet;
+    const { userId, username, date, start, end, breakMinutes } = timesheet;
     const timesheetDate = new Date(date).toISOString().split('T')[0];
-    const minutesWorked = calculateMinutesWorked(start, end);
+    const minutesWorked = calculateMinutesWorked(start, end, breakMinutes);
 
-    if (!acc[username]) {
-      acc[username] = { username, periods: {}, totalMinutes: 0 };
+    // Keyed by user id so a change of name does not split anyone's hours
+    const key = userId || username;
+    if (!acc[key]) {
+      acc[key] = { userId, username, periods: {}, totalMinutes: 0 };
     }
 
     uniqueDateRanges.forEach((range) => {
@@ -71,15 +89,42 @@ export async function GET(request) {
         const periodKey = `${formatDate(new Date(range.start))} - ${formatDate(
           new Date(range.end)
         )}`;
-        acc[username].periods[periodKey] =
-          (acc[username].periods[periodKey] || 0) + minutesWorked;
-        acc[username].totalMinutes += minutesWorked;
+        acc[key].periods[periodKey] =
+          (acc[key].periods[periodKey] || 0) + minutesWorked;
+        acc[key].totalMinutes += minutesWorked;
       }
     });
 
     return acc;
   }, {});
 
+  // The four week columns, oldest first, are the range this export covers
+  const exportStart = new Date(lastFourWeeks[0].start);
+  const exportEnd = new Date(lastFourWeeks[lastFourWeeks.length - 1].end);
+  exportEnd.setHours(23, 59, 59, 999);
+
+  // Corrections to closed periods paid in a cycle starting within those weeks, each as its own line
+  const adjustments = await PayrollAdjustment.find({
+    payCycleStart: { $gte: exportStart, $lte: exportEnd },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  adjustments.forEach((adjustment) => {
+    const key = adjustment.userId || adjustment.username;
+    if (!usersTimesheets[key]) {
+      usersTimesheets[key] = {
+        userId: adjustment.userId,
+        username: adjustment.username,
+        periods: {},
+        totalMinutes: 0,
+      };
+    }
+  });
+
+  // Hours in the four weeks split into basic, overtime, night and bank holiday by the overtime rules
+  const splits = await calculateOvertimeBuckets(exportStart, exportEnd, { approvedOnly });
+
   // Create Excel file using ExcelJS
   const workbook = new ExcelJS.Workbook();
   const sheet = workbook.addWorksheet('Timesheets Summary');
@@ -94,6 +139,10 @@ export async function GET(request) {
         )}`
     ),
     'Total (4 Weeks)',
+    'Basic',
+    'Overtime',
+    'Night',
+    'Bank Holiday',
   ];
   sheet.addRow(headers);
 
@@ -102,8 +151,20 @@ export async function GET(request) {
     { header: 'Username', width: 20 }, // Adjust width for 'Username' column
     ...lastFourWeeks.map(() => ({ width: 18 })), // Set width for each week column
     { header: 'Total (4 Weeks)', width: 20 }, // Set width for 'Total' column
+    { header: 'Basic', width: 12 },
+    { header: 'Overtime', width: 12 },
+    { header: 'Night', width: 12 },
+    { header: 'Bank Holiday', width: 14 },
   ];
 
+  // Show each person's current name rather than the one stored on their entries
+  const displayNames = await getDisplayNameMap(
+    Object.values(usersTimesheets).map((user) => user.userId)
+  );
+  Object.values(usersTimesheets).forEach((user) => {
+    user.username = displayNames.get(user.userId) || user.username;
+  });
+
   // Sort users alphabetically by username
   const sortedUsers = Object.values(usersTimesheets).sort((a, b) => 
     a.username.localeCompare(b.username)
@@ -128,7 +189,39 @@ export async function GET(request) {
     const { hours: totalHours, minutes: totalRemainingMinutes } =
       convertMinutesToHours(totalMinutes);
     row.push(formatTimeDecimal(totalHours, totalRemainingMinutes)); // Use the new formatTimeDecimal for total time
+
+    const split = splits.get(user.userId || user.username);
+    [
+      split?.basicMinutes,
+      split?.overtimeMinutes,
+      split?.nightMinutes,
+      split?.bankHolidayMinutes,
+    ].forEach((bucketMinutes) => {
+      const { hours, minutes } = convertMinutesToHours(bucketMinutes || 0);
+      row.push(formatTimeDecimal(hours, minutes));
+    });
     sheet.addRow(row);
+
+    adjustments
+      .filter((adjustment) =>
+        user.userId
+          ? adjustment.userId === user.userId
+          : adjustment.username === user.username
+      )
+      .forEach((adjustment) => {
+        const correctedPeriod = `${formatDate(adjustment.periodStart)} - ${formatDate(
+          adjustment.periodEnd
+        )}`;
+        sheet.addRow([
+          `  Adjustment (${ADJUSTMENT_CATEGORIES[adjustment.category]}, ${correctedPeriod}): ${adjustment.reason}`,
+          ...lastFourWeeks.map(() => ''),
+          formatSignedTimeDecimal(adjustment.minutes),
+          '',
+          '',
+          '',
+          '',
+        ]);
+      });
   });
 
   // Prepare the file as a buffer
@@ -137,7 +230,9 @@ export async function GET(request) {
     // Return the file as a downloadable response
     return new NextResponse(buffer, {
       headers: {
-        'Content-Disposition': 'attachment; filename=timesheet_summary.xlsx',
+        'Content-Disposition': `attachment; filename=${
+          approvedOnly ? 'timesheet_summary_approved' : 'timesheet_summary'
+        }.xlsx`,
         'Content-Type':
           'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       },
@@ -157,3 +252,9 @@ const formatTimeDecimal = (hours, minutes) => {
   const formattedMinutes = minutes < 10 ? `0${minutes}` : minutes; // Pad minutes if less than 10
   return `${hours}.${formattedMinutes}`;
 };
+
+// Same "11.35" style with a sign, for adjustment lines
+const formatSignedTimeDecimal = (totalMinutes) => {
+  const { hours, minutes } = convertMinutesToHours(Math.abs(totalMinutes));
+  return `${totalMinutes < 0 ? '-' : '+'}${formatTimeDecimal(hours, minutes)}`;
+};
@@ -0,0 +1,37 @@
+// app/api/leave-balance/route.js
+
+import { NextResponse } from 'next/server';
+import { resolveTargetUserId } from '@/utils/identityUtils';
+import { getLeaveBalance } from '@/utils/leaveBalanceUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Annual leave balance for the leave year containing `date` (default today)
+export async function GET(request) {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
+    }
+
+    const date = searchParams.get('date');
+    if (date && isNaN(new Date(date).getTime())) {
+      return NextResponse.json({ error: 'Invalid date' }, { status: 400 });
+    }
+
+    const balance = await getLeaveBalance(userId, {
+      date: date ? new Date(date) : new Date(),
+      excludeLeaveId: searchParams.get('excludeLeaveId') || undefined,
+      excludeLeaveHoursId: searchParams.get('excludeLeaveHoursId') || undefined,
+    });
+
+    return NextResponse.json({ balance });
+  } catch (error) {
+    console.error('Error fetching leave balance:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch leave balance' },
+      { status: 500 }
+    );
+  }
+}
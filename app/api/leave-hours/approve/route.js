@@ -1,18 +1,19 @@
 // app/api/leave-hours/approve/route.js
 
 import { NextResponse } from 'next/server';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { revalidatePath } from 'next/cache';
 import connectMongo from '../../../../db/connectMongo';
 import LeaveHours from '../../../../models/LeaveHours';
+import { recordAuditEvent } from '../../../../utils/auditTrail';
+import { requireAdmin } from '../../../../utils/auth';
+import { PeriodLockedError } from '../../../../utils/errorHandler';
+import { assertPeriodOpen } from '../../../../utils/payrollUtils';
 
 export async function POST(request) {
   try {
-    const { getUser } = getKindeServerSession();
-    const user = await getUser();
-
-    if (!user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
     await connectMongo();
@@ -42,6 +43,10 @@ export async function POST(request) {
       );
     }
 
+    await assertPeriodOpen(leaveHours.date);
+
+    const previous = leaveHours.toObject();
+
     // Update the leave hours entry
     leaveHours.status = 'approved';
     leaveHours.approvedBy = user.email;
@@ -51,16 +56,28 @@ export async function POST(request) {
 
     await leaveHours.save();
 
+    await recordAuditEvent({
+      action: 'APPROVE',
+      user,
+      resourceType: 'LeaveHours',
+      resourceId: id,
+      before: previous,
+      after: leaveHours,
+    });
+
     // Revalidate the timesheet page and admin pages to reflect the changes
     revalidatePath('/timesheet');
     revalidatePath('/admin');
-    revalidatePath(`/admin/${leaveHours.userName}`);
+    revalidatePath(`/admin/${leaveHours.userId}`);
 
     return NextResponse.json({
       message: 'Leave hours entry approved successfully',
       leaveHours
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error approving leave hours:', error);
     return NextResponse.json(
       { error: 'Failed to approve leave hours entry' },
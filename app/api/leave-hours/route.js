@@ -5,6 +5,13 @@ import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { revalidatePath } from 'next/cache';
 import connectMongo from '../../../db/connectMongo';
 import LeaveHours from '../../../models/LeaveHours';
+import { recordAuditEvent } from '../../../utils/auditTrail';
+import { getDisplayName } from '../../../utils/auth';
+import { PeriodLockedError, ValidationError } from '../../../utils/errorHandler';
+import { resolveTargetUserId } from '../../../utils/identityUtils';
+import { assertWithinLeaveBalance } from '../../../utils/leaveBalanceUtils';
+import { assertPeriodOpen } from '../../../utils/payrollUtils';
+import { softDeleteRecord } from '../../../utils/softDelete';
 
 // GET - Fetch leave hours for the authenticated user
 export async function GET(request) {
@@ -24,18 +31,15 @@ export async function GET(request) {
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
     const leaveType = searchParams.get('leaveType');
-    const username = searchParams.get('username');
 
-    // Build query
-    let query = {};
-    
-    // If username is provided, filter by userName field (for admin queries)
-    // Otherwise, filter by userId (for user's own data)
-    if (username) {
-      query.userName = username;
-    } else {
-      query.userId = user.id;
+    // Staff get their own records; admins may pass ?userId= (or an older ?username=)
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
     }
+
+    // Build query
+    let query = { userId };
     
     if (!includeDrafts) {
       query.isDraft = false;
@@ -112,6 +116,13 @@ export async function POST(request) {
       );
     }
 
+    await assertPeriodOpen(date);
+
+    // Submitted annual leave cannot take anyone past their balance; drafts can
+    if (leaveType === 'annual' && !isDraft) {
+      await assertWithinLeaveBalance(user.id, { date, hours: hoursNum });
+    }
+
     // Create new leave hours entry
     const leaveHours = new LeaveHours({
       userId: user.id,
@@ -131,6 +142,14 @@ export async function POST(request) {
 
     await leaveHours.save();
 
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'LeaveHours',
+      resourceId: leaveHours._id,
+      after: leaveHours,
+    });
+
     // Revalidate the timesheet page
     revalidatePath('/timesheet');
 
@@ -139,6 +158,12 @@ export async function POST(request) {
       leaveHours 
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
     console.error('Error creating leave hours:', error);
     return NextResponse.json(
       { error: 'Failed to create leave hours entry' },
@@ -179,6 +204,8 @@ export async function PUT(request) {
       );
     }
 
+    await assertPeriodOpen(leaveHours.date, date);
+
     // Only allow editing if it's a draft or pending
     if (leaveHours.status !== 'pending' && !leaveHours.isDraft) {
       return NextResponse.json(
@@ -212,12 +239,30 @@ export async function PUT(request) {
       updateData.status = isDraft ? 'draft' : 'pending';
     }
 
+    const updated = { ...leaveHours.toObject(), ...updateData };
+    if (updated.leaveType === 'annual' && !updated.isDraft) {
+      await assertWithinLeaveBalance(user.id, {
+        date: updated.date,
+        hours: updated.hours,
+        excludeLeaveHoursId: id,
+      });
+    }
+
     const updatedLeaveHours = await LeaveHours.findByIdAndUpdate(
       id,
       updateData,
       { new: true }
     );
 
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'LeaveHours',
+      resourceId: id,
+      before: leaveHours,
+      after: updatedLeaveHours,
+    });
+
     // Revalidate the timesheet page
     revalidatePath('/timesheet');
 
@@ -226,6 +271,12 @@ export async function PUT(request) {
       leaveHours: updatedLeaveHours 
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
     console.error('Error updating leave hours:', error);
     return NextResponse.json(
       { error: 'Failed to update leave hours entry' },
@@ -274,11 +325,26 @@ export async function DELETE(request) {
       );
     }
 
+    await assertPeriodOpen(leaveHours.date);
+
     // Only allow deletion of draft/pending records
-    await LeaveHours.findByIdAndDelete(id);
+    const previous = leaveHours.toObject();
+    await softDeleteRecord(leaveHours, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'LeaveHours',
+      resourceId: id,
+      before: previous,
+      after: leaveHours,
+    });
     
     return NextResponse.json({ message: 'Leave hours entry deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting leave hours:', error);
     return NextResponse.json(
       { error: 'Failed to delete leave hours entry' },
@@ -1,22 +1,19 @@
 import connectMongo from '@/db/connectMongo';
 import Leave from '@/models/Leave';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { NextResponse } from 'next/server';
 import { revalidatePath } from 'next/cache';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { findLeaveConflicts } from '@/utils/leaveConflictUtils';
 
 export async function POST(request) {
   try {
-    const { getUser, isAuthenticated } = getKindeServerSession();
-    const isLoggedIn = await isAuthenticated();
-    const user = await getUser();
-
-    if (!isLoggedIn) {
-      return NextResponse.json({ message: 'Unauthorized' }, { status: 401 });
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
-    // User is already authenticated via Kinde, no additional authorization needed
-
-    const { id } = await request.json();
+    const { id, acknowledgeConflicts = false } = await request.json();
 
     if (!id) {
       return NextResponse.json({ message: 'Leave request ID is required' }, { status: 400 });
@@ -24,6 +21,22 @@ export async function POST(request) {
 
     await connectMongo();
 
+    const previous = await Leave.findById(id).lean();
+    if (!previous) {
+      return NextResponse.json({ message: 'Leave request not found' }, { status: 404 });
+    }
+
+    // Clashes are sent back for the admin to read, and approved only once they confirm
+    if (!acknowledgeConflicts) {
+      const conflicts = await findLeaveConflicts(previous);
+      if (conflicts.length > 0) {
+        return NextResponse.json(
+          { message: 'This leave request has conflicts', conflicts },
+          { status: 409 }
+        );
+      }
+    }
+
     const leaveRequest = await Leave.findByIdAndUpdate(
       id,
       {
@@ -38,9 +51,19 @@ export async function POST(request) {
       return NextResponse.json({ message: 'Leave request not found' }, { status: 404 });
     }
 
+    await recordAuditEvent({
+      action: 'APPROVE',
+      user,
+      resourceType: 'Leave',
+      resourceId: id,
+      before: previous,
+      after: leaveRequest,
+      details: acknowledgeConflicts ? { acknowledgedConflicts: true } : {},
+    });
+
     // Revalidate relevant pages
     revalidatePath('/admin');
-    revalidatePath(`/admin/${leaveRequest.username}`);
+    revalidatePath(`/admin/${leaveRequest.userId}`);
     revalidatePath('/timesheet');
 
     return NextResponse.json({
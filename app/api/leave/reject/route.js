@@ -1,21 +1,17 @@
 import connectMongo from '@/db/connectMongo';
 import Leave from '@/models/Leave';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { NextResponse } from 'next/server';
 import { revalidatePath } from 'next/cache';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
 
 export async function POST(request) {
   try {
-    const { getUser, isAuthenticated } = getKindeServerSession();
-    const isLoggedIn = await isAuthenticated();
-    const user = await getUser();
-
-    if (!isLoggedIn) {
-      return NextResponse.json({ message: 'Unauthorized' }, { status: 401 });
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
-    // User is already authenticated via Kinde, no additional authorization needed
-
     const { id, reason } = await request.json();
 
     if (!id) {
@@ -28,6 +24,7 @@ export async function POST(request) {
 
     await connectMongo();
 
+    const previous = await Leave.findById(id).lean();
     const leaveRequest = await Leave.findByIdAndUpdate(
       id,
       {
@@ -43,9 +40,18 @@ export async function POST(request) {
       return NextResponse.json({ message: 'Leave request not found' }, { status: 404 });
     }
 
+    await recordAuditEvent({
+      action: 'REJECT',
+      user,
+      resourceType: 'Leave',
+      resourceId: id,
+      before: previous,
+      after: leaveRequest,
+    });
+
     // Revalidate relevant pages
     revalidatePath('/admin');
-    revalidatePath(`/admin/${leaveRequest.username}`);
+    revalidatePath(`/admin/${leaveRequest.userId}`);
     revalidatePath('/timesheet');
 
     return NextResponse.json({
@@ -0,0 +1,39 @@
+// app/api/leaves/duration/route.js
+
+import { NextResponse } from 'next/server';
+import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import { ValidationError } from '@/utils/errorHandler';
+import { calculateLeaveDuration } from '@/utils/leaveDurationUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Working days a leave request between `startDate` and `endDate` would take, day by day
+export async function GET(request) {
+  try {
+    const { getUser } = getKindeServerSession();
+    const user = await getUser();
+
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const searchParams = request.nextUrl.searchParams;
+    const duration = await calculateLeaveDuration(user.id, {
+      startDate: searchParams.get('startDate'),
+      endDate: searchParams.get('endDate'),
+      startHalfDay: searchParams.get('startHalfDay') === 'true',
+      endHalfDay: searchParams.get('endHalfDay') === 'true',
+    });
+
+    return NextResponse.json(duration);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    console.error('Error calculating leave duration:', error);
+    return NextResponse.json(
+      { error: 'Failed to calculate leave duration' },
+      { status: 500 }
+    );
+  }
+}
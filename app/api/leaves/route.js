@@ -5,6 +5,13 @@ import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { revalidatePath } from 'next/cache';
 import connectMongo from '../../../db/connectMongo';
 import Leave from '../../../models/Leave';
+import { recordAuditEvent } from '../../../utils/auditTrail';
+import { getDisplayName } from '../../../utils/auth';
+import { ValidationError } from '../../../utils/errorHandler';
+import { assertWithinLeaveBalance } from '../../../utils/leaveBalanceUtils';
+import { calculateLeaveDuration } from '../../../utils/leaveDurationUtils';
+import { softDeleteRecord } from '../../../utils/softDelete';
+import { validateLeaveRequest } from '../../../utils/validation';
 
 // GET - Fetch leaves for the authenticated user
 export async function GET(request) {
@@ -71,19 +78,34 @@ export async function POST(request) {
       leaveType,
       startDate,
       endDate,
-      totalDays,
+      startHalfDay = false,
+      endHalfDay = false,
       reason,
       isDraft = false
     } = body;
 
     // Validate required fields
-    if (!leaveType || !startDate || !endDate || !totalDays) {
+    if (!leaveType || !startDate || !endDate) {
       return NextResponse.json(
         { error: 'Missing required fields' },
         { status: 400 }
       );
     }
 
+    // Non-working days and bank holidays inside the request are not days of leave
+    const { totalDays } = await calculateLeaveDuration(user.id, {
+      startDate,
+      endDate,
+      startHalfDay,
+      endHalfDay,
+    });
+    validateLeaveRequest({ ...body, userId: user.id }, { expectedTotalDays: totalDays });
+
+    // Submitted annual leave cannot take anyone past their balance; drafts can
+    if (leaveType === 'annual' && !isDraft) {
+      await assertWithinLeaveBalance(user.id, { date: startDate, days: totalDays });
+    }
+
     // Create new leave request
     const leave = new Leave({
       userId: user.id,
@@ -91,20 +113,33 @@ export async function POST(request) {
       leaveType,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
+      startHalfDay,
+      endHalfDay,
       totalDays,
       reason: reason || '',
       isDraft
     });
 
     await leave.save();
+
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'Leave',
+      resourceId: leave._id,
+      after: leave,
+    });
     
     // Revalidate relevant pages
     revalidatePath('/timesheet');
     revalidatePath('/admin');
-    revalidatePath(`/admin/${user.given_name + ' ' + user.family_name}`);
+    revalidatePath(`/admin/${user.id}`);
     
     return NextResponse.json({ leave }, { status: 201 });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
     console.error('Error creating leave:', error);
     return NextResponse.json(
       { error: 'Failed to create leave request' },
@@ -153,12 +188,38 @@ export async function PUT(request) {
       );
     }
 
-    // Update the leave
+    // Update the leave; the day count always comes from the dates and working pattern
+    const previous = leave.toObject();
     Object.assign(leave, updateData);
+    const { totalDays } = await calculateLeaveDuration(user.id, leave);
+    validateLeaveRequest(
+      { ...leave.toObject(), userId: user.id, totalDays: updateData.totalDays },
+      { expectedTotalDays: totalDays }
+    );
+    leave.totalDays = totalDays;
+    if (leave.leaveType === 'annual' && !leave.isDraft) {
+      await assertWithinLeaveBalance(user.id, {
+        date: leave.startDate,
+        days: leave.totalDays,
+        excludeLeaveId: leave._id,
+      });
+    }
     await leave.save();
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'Leave',
+      resourceId: id,
+      before: previous,
+      after: leave,
+    });
     
     return NextResponse.json({ leave });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
     console.error('Error updating leave:', error);
     return NextResponse.json(
       { error: 'Failed to update leave request' },
@@ -199,9 +260,18 @@ export async function DELETE(request) {
       );
     }
 
-    // Allow deletion of any leave request that belongs to the user
+    // Allow deletion of any leave request that belongs to the user; it goes to the recycle bin
+    const previous = leave.toObject();
+    await softDeleteRecord(leave, getDisplayName(user));
 
-    await Leave.findByIdAndDelete(id);
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Leave',
+      resourceId: id,
+      before: previous,
+      after: leave,
+    });
     
     return NextResponse.json({ message: 'Leave request deleted successfully' });
   } catch (error) {
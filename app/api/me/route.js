@@ -0,0 +1,17 @@
+// app/api/me/route.js
+
+import { NextResponse } from 'next/server';
+import { getCurrentUser } from '@/utils/auth';
+
+export const dynamic = 'force-dynamic';
+
+// GET - The signed-in user's role from the User collection, which is what the API checks
+export async function GET() {
+  try {
+    const current = await getCurrentUser();
+    return NextResponse.json({ role: current?.dbUser.role || null });
+  } catch (error) {
+    console.error('Failed to fetch current user:', error);
+    return NextResponse.json({ error: 'Failed to fetch current user' }, { status: 500 });
+  }
+}
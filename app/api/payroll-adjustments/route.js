@@ -0,0 +1,45 @@
+// app/api/payroll-adjustments/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import { resolveTargetUserId } from '@/utils/identityUtils';
+import { getPayrollPeriodBounds } from '@/utils/payrollUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Adjustments paid in the cycle containing `date` (default today).
+// Staff see their own; admins may pass `userId` to see someone else's.
+export async function GET(request) {
+  try {
+    const searchParams = request.nextUrl.searchParams;
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
+    }
+
+    const date = searchParams.get('date') || new Date();
+    if (isNaN(new Date(date).getTime())) {
+      return NextResponse.json({ error: 'Invalid date' }, { status: 400 });
+    }
+
+    await connectMongo();
+
+    const { start } = getPayrollPeriodBounds(date);
+    const adjustments = await PayrollAdjustment.find({
+      userId,
+      payCycleStart: start,
+    })
+      .sort({ createdAt: 1 })
+      .select('minutes category reason periodStart periodEnd createdAt')
+      .lean();
+
+    return NextResponse.json({ adjustments });
+  } catch (error) {
+    console.error('Error fetching payroll adjustments:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch adjustments' },
+      { status: 500 }
+    );
+  }
+}
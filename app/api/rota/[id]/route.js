@@ -1,19 +1,38 @@
 import connectMongo from '@/db/connectMongo';
 import Rota from '@/models/Rota';
+import { isCurrentUserAdmin } from '@/utils/auth';
+import { applyLegacyRotaVisibility, applyRotaVisibility } from '@/utils/rotaUtils';
 import { NextResponse } from 'next/server';
 
 export async function GET(req, { params }) {
   const { id } = params;
+  const view = new URL(req.url).searchParams.get('view');
 
   try {
     await connectMongo();
-    const rota = await Rota.findById(id);
+    const isAdmin = await isCurrentUserAdmin();
+
+    // The editor needs every row, including hidden ones, because saving replaces parsedData
+    if (view === 'all' && !isAdmin) {
+      return NextResponse.json(
+        { message: 'Forbidden: Admin access required' },
+        { status: 403 }
+      );
+    }
+
+    const rota = applyLegacyRotaVisibility(await Rota.findById(id).lean());
 
     if (!rota) {
       return NextResponse.json({ message: 'Rota not found.' }, { status: 404 });
     }
 
-    return NextResponse.json(rota);
+    if (view === 'all') {
+      return NextResponse.json(rota);
+    }
+
+    return NextResponse.json(
+      applyRotaVisibility(rota, isAdmin ? 'admin' : 'staff')
+    );
   } catch (error) {
     console.error('Error message:', error.message);
     return NextResponse.json(
@@ -2,10 +2,25 @@
 
 import connectMongo from '@/db/connectMongo';
 import Rota from '@/models/Rota';
-import { parseExcelFile } from '@/utils/excelUtils'; // Adjust the path if needed
+import RotaTemplate from '@/models/RotaTemplate';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { ValidationError } from '@/utils/errorHandler';
+import { parseRotaSheets, readRotaFile } from '@/utils/rotaImportUtils';
+import {
+  assignRotaSections,
+  parseRotaShifts,
+  validateColumnMapping,
+} from '@/utils/rotaUtils';
+import { getShiftCodes } from '@/utils/shiftCodeUtils';
+import { requireAdmin } from '@/utils/auth';
 
 export async function POST(request) {
   try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
     await connectMongo();
 
     const formData = await request.formData();
@@ -17,22 +32,92 @@ export async function POST(request) {
       });
     }
 
-    const fileBuffer = Buffer.from(await file.arrayBuffer());
-    const parsedData = await parseExcelFile(fileBuffer); // Use parseExcelFile here
+    // Uploads confirmed from the preview carry the chosen sheet and column mapping;
+    // without one the original fixed layout is used
+    const parseOptions = {};
+    const rawMapping = formData.get('mapping');
+    if (rawMapping) {
+      let mappingInput;
+      try {
+        mappingInput = JSON.parse(rawMapping);
+      } catch (error) {
+        mappingInput = null;
+      }
+
+      const { mapping, error } = validateColumnMapping(mappingInput);
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status: 400 });
+      }
+
+      parseOptions.mapping = mapping;
+      parseOptions.sheetIndex = parseInt(formData.get('sheetIndex'), 10) || 0;
+      parseOptions.headerRow = parseInt(formData.get('headerRow'), 10) || 1;
+    }
+
+    // .xlsx, .csv and .docx all normalise into the same sheet rows
+    const { sheets } = await readRotaFile(file);
+    // Heading rows such as "NIGHT STAFF" become the section of the rows under them
+    const rows = assignRotaSections(parseRotaSheets(sheets, parseOptions));
+    const { rows: parsedData, unparsedCells } = parseRotaShifts(
+      rows,
+      await getShiftCodes()
+    );
 
     const rota = new Rota({
       name: formData.get('name'),
       weekStart: new Date(formData.get('weekStart')),
       parsedData: parsedData,
+      sections: [...new Set(rows.map((row) => row.section).filter(Boolean))].map(
+        (name) => ({ name })
+      ),
     });
 
     await rota.save();
 
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'Rota',
+      resourceId: rota._id,
+      after: rota,
+      details: { unparsedCells: unparsedCells.length },
+    });
+
+    // Remember the confirmed layout for the next upload
+    if (parseOptions.mapping) {
+      const templateName = (formData.get('templateName') || '').trim() || 'Default';
+      await RotaTemplate.findOneAndUpdate(
+        { name: templateName },
+        {
+          name: templateName,
+          sheetName: formData.get('sheetName') || '',
+          headerRow: parseOptions.headerRow,
+          mapping: parseOptions.mapping,
+          lastUsedAt: new Date(),
+          updatedAt: new Date(),
+        },
+        { upsert: true, runValidators: true }
+      );
+    }
+
+    // Cells that matched no shift code or time range are kept as text only,
+    // so tell the uploader which ones need a code adding or the sheet fixing
     return new Response(
-      JSON.stringify({ message: 'Rota uploaded successfully' }),
+      JSON.stringify({
+        message: unparsedCells.length
+          ? `Rota uploaded with ${unparsedCells.length} unrecognised shift cell(s)`
+          : 'Rota uploaded successfully',
+        unparsedCells,
+      }),
       { status: 200 }
     );
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+      });
+    }
+
     console.error('Error uploading rota:', error);
     return new Response(JSON.stringify({ error: 'Failed to upload rota' }), {
       status: 500,
@@ -3,22 +3,15 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import Rota from '@/models/Rota';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
 
 export async function DELETE(request) {
   try {
-    // Check authentication
-    const { getUser, getPermission } = getKindeServerSession();
-    const user = await getUser();
-
-    if (!user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    // Check admin permissions for rota deletion
-    const adminPermission = await getPermission('delete:timesheet');
-    if (!adminPermission?.isGranted) {
-      return NextResponse.json({ error: 'Forbidden: Admin access required' }, { status: 403 });
+    // Check authentication and admin role
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
     const { id } = await request.json();
@@ -34,6 +27,14 @@ export async function DELETE(request) {
       return NextResponse.json({ error: 'Rota not found' }, { status: 404 });
     }
 
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Rota',
+      resourceId: id,
+      before: deletedRota,
+    });
+
     return NextResponse.json({ message: 'Rota deleted successfully' });
   } catch (error) {
     console.error('Error deleting rota:', error);
@@ -0,0 +1,32 @@
+// app/api/rota/mine/route.js
+
+import { NextResponse } from 'next/server';
+import { getCurrentUser, getDisplayName } from '@/utils/auth';
+import {
+  getStaffRotaNames,
+  getStaffShifts,
+} from '@/utils/staffShiftUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Upcoming shifts for the logged-in user across every stored rota week
+export async function GET() {
+  try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { user, dbUser } = current;
+    const names = getStaffRotaNames(getDisplayName(user), dbUser.rotaNames);
+    const { matched, shifts } = await getStaffShifts(names);
+
+    return NextResponse.json({ names, matched, shifts });
+  } catch (error) {
+    console.error('Error fetching staff shifts:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch your shifts' },
+      { status: 500 }
+    );
+  }
+}
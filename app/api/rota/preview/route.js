@@ -0,0 +1,78 @@
+// app/api/rota/preview/route.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import RotaTemplate from '@/models/RotaTemplate';
+import { requireAdmin } from '@/utils/auth';
+import { ValidationError } from '@/utils/errorHandler';
+import { previewRotaSheets, readRotaFile } from '@/utils/rotaImportUtils';
+
+const parseOptionalInt = (value) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? undefined : number;
+};
+
+// POST - Read an uploaded rota without saving it, so the admin can check the column mapping
+export async function POST(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    await connectMongo();
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    if (!file) {
+      return NextResponse.json({ error: 'File is required' }, { status: 400 });
+    }
+
+    const sheetIndex = parseOptionalInt(formData.get('sheetIndex'));
+    const headerRow = parseOptionalInt(formData.get('headerRow'));
+    const templateId = formData.get('templateId');
+
+    const templates = await RotaTemplate.find()
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    // Start from the requested template, or the one used last time
+    const template = templateId
+      ? templates.find((t) => t._id.toString() === templateId)
+      : templates[0];
+
+    const { format, sheets } = await readRotaFile(file);
+    const preview = previewRotaSheets(sheets, {
+      sheetIndex,
+      sheetName: template?.sheetName,
+      headerRow: headerRow || template?.headerRow,
+    });
+
+    // A template only applies to the sheet it was saved against
+    const sheetName = preview.sheets[preview.sheetIndex].name;
+    const useTemplate =
+      template && (!template.sheetName || template.sheetName === sheetName);
+
+    return NextResponse.json({
+      ...preview,
+      format,
+      mapping: useTemplate ? template.mapping : preview.detectedMapping,
+      templateId: useTemplate ? template._id.toString() : null,
+      templates: templates.map((t) => ({
+        id: t._id.toString(),
+        name: t.name,
+      })),
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error('Error previewing rota:', error);
+    return NextResponse.json(
+      { error: 'Failed to read rota file', message: error.message },
+      { status: 500 }
+    );
+  }
+}
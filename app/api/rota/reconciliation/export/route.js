@@ -0,0 +1,106 @@
+// app/api/rota/reconciliation/export/route.js
+
+import { NextResponse } from 'next/server';
+import ExcelJS from 'exceljs';
+import { requireAdmin } from '@/utils/auth';
+import {
+  getRotaReconciliation,
+  parseReconciliationParams,
+} from '@/utils/reconciliationUtils';
+
+export const dynamic = 'force-dynamic';
+
+const STATUS_LABELS = {
+  matched: 'Matched',
+  deviation: 'Deviation',
+  'no-show': 'No-show',
+  unrostered: 'Unrostered',
+  upcoming: 'Upcoming',
+};
+
+const STATUS_FILLS = {
+  deviation: 'FFFEF3C7',
+  'no-show': 'FFFEE2E2',
+  unrostered: 'FFDBEAFE',
+};
+
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { weekStart, toleranceMinutes, error } =
+      parseReconciliationParams(searchParams);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const reconciliation = await getRotaReconciliation(
+      weekStart,
+      toleranceMinutes
+    );
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Reconciliation');
+
+    sheet.columns = [
+      { header: 'Staff', key: 'staff', width: 25 },
+      { header: 'Post', key: 'post', width: 15 },
+      { header: 'Date', key: 'date', width: 12 },
+      { header: 'Day', key: 'day', width: 12 },
+      { header: 'Rota', key: 'rota', width: 18 },
+      { header: 'Rostered Start', key: 'rosteredStart', width: 15 },
+      { header: 'Rostered End', key: 'rosteredEnd', width: 15 },
+      { header: 'Actual Start', key: 'actualStart', width: 13 },
+      { header: 'Actual End', key: 'actualEnd', width: 13 },
+      { header: 'Start Deviation (mins)', key: 'startDeviation', width: 20 },
+      { header: 'End Deviation (mins)', key: 'endDeviation', width: 20 },
+      { header: 'Status', key: 'status', width: 12 },
+    ];
+    sheet.getRow(1).font = { bold: true };
+
+    reconciliation.rows.forEach((row) => {
+      const added = sheet.addRow({
+        staff: row.staff,
+        post: row.post || '',
+        date: row.date,
+        day: row.day.charAt(0).toUpperCase() + row.day.slice(1),
+        rota: row.rostered?.text || '',
+        rosteredStart: row.rostered?.start || '',
+        rosteredEnd: row.rostered?.end || '',
+        actualStart: row.actual?.start || '',
+        actualEnd: row.actual?.end || '',
+        startDeviation: row.startDeviation ?? '',
+        endDeviation: row.endDeviation ?? '',
+        status: STATUS_LABELS[row.status],
+      });
+
+      if (STATUS_FILLS[row.status]) {
+        added.getCell('status').fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: STATUS_FILLS[row.status] },
+        };
+      }
+    });
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    return new NextResponse(buffer, {
+      headers: {
+        'Content-Disposition': `attachment; filename=rota_reconciliation_${reconciliation.weekStart}.xlsx`,
+        'Content-Type':
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      },
+    });
+  } catch (error) {
+    console.error('Error exporting rota reconciliation:', error);
+    return NextResponse.json(
+      { error: 'Failed to export rota reconciliation', message: error.message },
+      { status: 500 }
+    );
+  }
+}
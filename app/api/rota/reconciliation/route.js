@@ -0,0 +1,39 @@
+// app/api/rota/reconciliation/route.js
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/utils/auth';
+import {
+  getRotaReconciliation,
+  parseReconciliationParams,
+} from '@/utils/reconciliationUtils';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+  try {
+    const { response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { weekStart, toleranceMinutes, error } =
+      parseReconciliationParams(searchParams);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const reconciliation = await getRotaReconciliation(
+      weekStart,
+      toleranceMinutes
+    );
+
+    return NextResponse.json(reconciliation);
+  } catch (error) {
+    console.error('Error reconciling rota:', error);
+    return NextResponse.json(
+      { error: 'Failed to reconcile rota', message: error.message },
+      { status: 500 }
+    );
+  }
+}
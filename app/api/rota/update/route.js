@@ -4,37 +4,89 @@ import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import Rota from '@/models/Rota';
 import mongoose from 'mongoose';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { parseShiftCell, ROTA_DAYS } from '@/utils/rotaUtils';
+import { getShiftCodes } from '@/utils/shiftCodeUtils';
 
 export async function PATCH(request) {
-  const { id, updates } = await request.json();
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
 
-  if (!id || !updates) {
-    return NextResponse.json(
-      { error: 'ID and updates are required' },
-      { status: 400 }
-    );
-  }
+    const { id, updates } = await request.json();
 
-  await connectMongo();
-  const rota = await Rota.findById(id);
+    if (!id || !updates) {
+      return NextResponse.json(
+        { error: 'ID and updates are required' },
+        { status: 400 }
+      );
+    }
 
-  if (!rota) {
-    return NextResponse.json({ error: 'Rota not found' }, { status: 404 });
-  }
+    await connectMongo();
+    const rota = await Rota.findById(id);
+
+    if (!rota) {
+      return NextResponse.json({ error: 'Rota not found' }, { status: 404 });
+    }
+
+    const previous = rota.toObject();
+
+    // The editor posts the whole document back; let Mongoose manage the id and timestamps
+    // so updatedAt moves forward and calendar feeds pick up the change
+    delete updates._id;
+    delete updates.createdAt;
+    delete updates.updatedAt;
+
+    if (updates.parsedData) {
+      updates.parsedData.forEach((update, index) => {
+        if (rota.parsedData[index]) {
+          Object.assign(rota.parsedData[index], update);
+        } else {
+          rota.parsedData.push(update);
+        }
+      });
+    }
 
-  if (updates.parsedData) {
-    updates.parsedData.forEach((update, index) => {
-      if (rota.parsedData[index]) {
-        Object.assign(rota.parsedData[index], update);
-      } else {
-        rota.parsedData.push(update);
-      }
+    Object.assign(rota, updates);
+
+    // Re-parse the day cells so the stored shifts follow any edited text
+    const shiftCodes = await getShiftCodes();
+    rota.parsedData.forEach((row) => {
+      const shifts = {};
+      ROTA_DAYS.forEach((day) => {
+        const shift = parseShiftCell(row[day], shiftCodes);
+        if (shift) {
+          shifts[day] = shift;
+        }
+      });
+      row.shifts = shifts;
     });
-  }
 
-  Object.assign(rota, updates);
+    const updatedRota = await rota.save();
 
-  const updatedRota = await rota.save();
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'Rota',
+      resourceId: id,
+      before: previous,
+      after: updatedRota,
+    });
 
-  return NextResponse.json(updatedRota);
+    return NextResponse.json(updatedRota);
+  } catch (error) {
+    // Bad ids and payloads that fail the Rota schema are the caller's to fix
+    if (error.name === 'CastError' || error.name === 'ValidationError') {
+      return NextResponse.json(
+        { error: Object.values(error.errors || {})[0]?.message || error.message },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error updating rota:', error);
+    return NextResponse.json({ error: 'Failed to update rota' }, { status: 500 });
+  }
 }
@@ -0,0 +1,33 @@
+// app/api/timesheet-history/[id]/route.js
+
+import { NextResponse } from 'next/server';
+import Timesheet from '@/models/Timesheet';
+import { getCurrentUser } from '@/utils/auth';
+import { getTimesheetHistory } from '@/utils/timesheetRevisionUtils';
+
+export const dynamic = 'force-dynamic';
+
+// GET - Saved versions of one timesheet entry, for admins and the staff member it belongs to
+export async function GET(request, { params }) {
+  try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const timesheet = await Timesheet.findById(params.id).lean();
+    if (!timesheet) {
+      return NextResponse.json({ error: 'Timesheet not found' }, { status: 404 });
+    }
+
+    if (current.dbUser.role !== 'admin' && timesheet.userId !== current.user.id) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const revisions = await getTimesheetHistory(params.id);
+    return NextResponse.json({ revisions });
+  } catch (error) {
+    console.error('Failed to fetch timesheet history:', error);
+    return NextResponse.json({ error: 'Failed to fetch timesheet history' }, { status: 500 });
+  }
+}
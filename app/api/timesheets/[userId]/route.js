@@ -1,13 +1,20 @@
-// app/api/timesheets/[username]/route.js
+// app/api/timesheets/[userId]/route.js
 
 import connectMongo from '@/db/connectMongo';
 import Timesheet from '@/models/Timesheet';
+import { resolveTargetUserId } from '@/utils/identityUtils';
 import { NextResponse } from 'next/server';
 import { subWeeks, startOfDay } from 'date-fns';
 
 export async function GET(request, { params }) {
   try {
-    const username = decodeURIComponent(params.username);
+    // Staff can only read their own; admins anyone's. Older links pass a display name.
+    const { userId, response } = await resolveTargetUserId(
+      new URLSearchParams({ userId: decodeURIComponent(params.userId) })
+    );
+    if (response) {
+      return response;
+    }
     const url = new URL(request.url);
     const page = Math.max(1, parseInt(url.searchParams.get('page')) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit')) || 20));
@@ -22,7 +29,7 @@ export async function GET(request, { params }) {
 
   // Count total documents within the date range for the user
   const totalCount = await Timesheet.countDocuments({
-    username,
+    userId,
     date: { $gte: startOfRange, $lte: endOfRange },
   });
 
@@ -30,7 +37,7 @@ export async function GET(request, { params }) {
   const aggregationPipeline = [
     {
       $match: {
-        username,
+        userId,
         date: { $gte: startOfRange, $lte: endOfRange },
       },
     },
@@ -63,17 +70,22 @@ export async function GET(request, { params }) {
     },
     {
       $addFields: {
-        // Calculate the duration in minutes
+        // Calculate the duration in minutes, less the unpaid break
         durationMinutes: {
-          $cond: [
-            { $gte: ['$endTime', '$startTime'] },
-            { $divide: [{ $subtract: ['$endTime', '$startTime'] }, 1000 * 60] }, // If endTime >= startTime
+          $subtract: [
             {
-              $divide: [
-                { $subtract: [{ $add: ['$endTime', 86400000] }, '$startTime'] },
-                1000 * 60,
+              $cond: [
+                { $gte: ['$endTime', '$startTime'] },
+                { $divide: [{ $subtract: ['$endTime', '$startTime'] }, 1000 * 60] }, // If endTime >= startTime
+                {
+                  $divide: [
+                    { $subtract: [{ $add: ['$endTime', 86400000] }, '$startTime'] },
+                    1000 * 60,
+                  ],
+                }, // If endTime < startTime, assume next day
               ],
-            }, // If endTime < startTime, assume next day
+            },
+            { $ifNull: ['$breakMinutes', 0] },
           ],
         },
       },
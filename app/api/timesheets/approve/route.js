@@ -0,0 +1,45 @@
+// app/api/timesheets/approve/route.js
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/utils/auth';
+import { NotFoundError, PeriodLockedError, ValidationError } from '@/utils/errorHandler';
+import { approveTimesheet, approveTimesheetWeek } from '@/utils/timesheetApprovalUtils';
+import { revalidatePath } from 'next/cache';
+
+// POST - `{ id }` approves one entry; `{ userId, date }` approves that person's pending week
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id, userId, date } = await request.json();
+
+    let approved;
+    if (id) {
+      await approveTimesheet(id, user);
+      approved = 1;
+    } else {
+      approved = await approveTimesheetWeek(userId, date, user);
+    }
+
+    revalidatePath('/admin');
+    revalidatePath('/timesheet');
+
+    return NextResponse.json({
+      message: `${approved} timesheet ${approved === 1 ? 'entry' : 'entries'} approved`,
+      approved,
+    });
+  } catch (error) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof NotFoundError ||
+      error instanceof PeriodLockedError
+    ) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+    console.error('Error approving timesheets:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,34 @@
+// app/api/timesheets/reject/route.js
+
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '@/utils/auth';
+import { NotFoundError, PeriodLockedError, ValidationError } from '@/utils/errorHandler';
+import { rejectTimesheet } from '@/utils/timesheetApprovalUtils';
+import { revalidatePath } from 'next/cache';
+
+export async function POST(request) {
+  try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
+    const { id, reason } = await request.json();
+    const timesheet = await rejectTimesheet(id, user, reason);
+
+    revalidatePath('/admin');
+    revalidatePath('/timesheet');
+
+    return NextResponse.json({ message: 'Timesheet rejected', timesheet });
+  } catch (error) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof NotFoundError ||
+      error instanceof PeriodLockedError
+    ) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+    console.error('Error rejecting timesheet:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,11 +1,19 @@
 import connectMongo from '@/db/connectMongo';
 import Timesheet from '@/models/Timesheet';
 import { NextResponse } from 'next/server';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { getCurrentUser, getDisplayName } from '@/utils/auth';
 import {
   calculateTotalMinutes,
   convertMinutesToHours,
 } from '@/utils/dateUtils';
 import { getFourWeekCycle } from '@/utils/weekCycleUtils';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { getDisplayNameMap, resolveTargetUserId } from '@/utils/identityUtils';
+import { calculateOvertimeBuckets } from '@/utils/overtimeUtils';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { softDeleteRecord } from '@/utils/softDelete';
+import { getSubmittedTimesheetStatus } from '@/utils/timesheetApprovalUtils';
 
 
 export const dynamic = 'force-dynamic';
@@ -23,7 +31,11 @@ const parseTimeToDate = (timeString) => {
 export async function GET(req) {
   try {
     const { searchParams } = new URL(req.url);
-    const username = searchParams.get('username');
+    // Staff get their own entries; admins may pass ?userId= (or an older ?username=)
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
+    }
     const page = parseInt(searchParams.get('page') || '1', 10);
     const limit = parseInt(searchParams.get('limit') || '5', 10);
     const includeDrafts = searchParams.get('includeDrafts') === 'true';
@@ -69,7 +81,7 @@ export async function GET(req) {
 
     // Build query with draft filtering
     const query = {
-      username,
+      userId,
       date: { $gte: startOfRange, $lte: endOfWeek },
     };
     
@@ -102,8 +114,9 @@ export async function GET(req) {
         return { ...ts, hours: 'Invalid', minutes: 'Invalid' };
       }
 
-      // Calculate the duration in minutes
-      const durationInMinutes = (endDate - startDate) / (1000 * 60); // Convert milliseconds to minutes
+      // Calculate the duration in minutes, less the unpaid break
+      const durationInMinutes =
+        (endDate - startDate) / (1000 * 60) - (ts.breakMinutes || 0); // Convert milliseconds to minutes
 
       const { hours, minutes } =
         durationInMinutes >= 0
@@ -115,7 +128,7 @@ export async function GET(req) {
 
     // Fetch all timesheets for total calculation (excluding drafts unless specifically requested)
     const totalQuery = {
-      username,
+      userId,
       date: { $gte: startOfRange, $lte: endOfWeek },
     };
     
@@ -136,11 +149,33 @@ export async function GET(req) {
 
     const totalCount = await Timesheet.countDocuments(query);
 
+    // Paid hours in the same range, split by the overtime rules
+    const split = (
+      await calculateOvertimeBuckets(startOfRange, endOfWeek, { userId })
+    ).get(userId);
+
+    // Names on records are as they were when written; show the current one
+    const names = await getDisplayNameMap([userId]);
+    const displayName =
+      names.get(userId) ||
+      (await Timesheet.findOne({ userId }).sort({ date: -1 }).select('username').lean())
+        ?.username ||
+      '';
+
     return NextResponse.json({
+      userId,
+      displayName,
       timesheets: enrichedTimesheets,
       totalCount,
       totalHours,
       remainingMinutes,
+      overtime: {
+        basicMinutes: split?.basicMinutes || 0,
+        overtimeMinutes: split?.overtimeMinutes || 0,
+        nightMinutes: split?.nightMinutes || 0,
+        bankHolidayMinutes: split?.bankHolidayMinutes || 0,
+        weeks: split?.weeks || [],
+      },
     });
   } catch (error) {
     console.error('Error fetching timesheets:', error);
@@ -153,6 +188,12 @@ export async function GET(req) {
 
 export async function PUT(req) {
   try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    const { user } = current;
+
     await connectMongo();
     const { id, isDraft } = await req.json();
     
@@ -164,23 +205,49 @@ export async function PUT(req) {
     }
     
     const timesheet = await Timesheet.findById(id);
-    if (!timesheet) {
+    if (!timesheet || timesheet.userId !== user.id) {
       return NextResponse.json(
         { error: 'Timesheet not found' },
         { status: 404 }
       );
     }
+
+    // Submitted entries only change through an amendment request, so their history is kept
+    if (!timesheet.isDraft) {
+      return NextResponse.json(
+        { error: 'This entry has already been submitted; request a change instead' },
+        { status: 400 }
+      );
+    }
     
+    await assertPeriodOpen(timesheet.date);
+
     // Update the draft status
+    const previous = timesheet.toObject();
     timesheet.isDraft = isDraft;
+    if (!isDraft) {
+      timesheet.status = getSubmittedTimesheetStatus();
+    }
     timesheet.updatedAt = new Date();
     await timesheet.save();
+
+    await recordAuditEvent({
+      action: isDraft ? 'UPDATE' : 'SUBMIT',
+      user,
+      resourceType: 'Timesheet',
+      resourceId: id,
+      before: previous,
+      after: timesheet,
+    });
     
     return NextResponse.json({
       message: isDraft ? 'Timesheet saved as draft' : 'Timesheet submitted successfully',
       timesheet
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error updating timesheet:', error);
     return NextResponse.json(
       { error: 'Failed to update timesheet' },
@@ -191,6 +258,12 @@ export async function PUT(req) {
 
 export async function DELETE(req) {
   try {
+    const current = await getCurrentUser();
+    if (!current) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    const { user } = current;
+
     await connectMongo();
     const { searchParams } = new URL(req.url);
     const id = searchParams.get('id');
@@ -203,7 +276,7 @@ export async function DELETE(req) {
     }
     
     const timesheet = await Timesheet.findById(id);
-    if (!timesheet) {
+    if (!timesheet || timesheet.userId !== user.id) {
       return NextResponse.json(
         { error: 'Timesheet not found' },
         { status: 404 }
@@ -218,12 +291,27 @@ export async function DELETE(req) {
       );
     }
     
-    await Timesheet.findByIdAndDelete(id);
+    await assertPeriodOpen(timesheet.date);
+
+    const previous = timesheet.toObject();
+    await softDeleteRecord(timesheet, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Timesheet',
+      resourceId: id,
+      before: previous,
+      after: timesheet,
+    });
     
     return NextResponse.json({
       message: 'Draft timesheet deleted successfully'
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting timesheet:', error);
     return NextResponse.json(
       { error: 'Failed to delete timesheet' },
@@ -1,21 +1,19 @@
 import connectMongo from '@/db/connectMongo';
 import Training from '@/models/Training';
-import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { NextResponse } from 'next/server';
 import { revalidatePath } from 'next/cache';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { requireAdmin } from '@/utils/auth';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
 
 export async function POST(request) {
   try {
-    const { getUser, isAuthenticated } = getKindeServerSession();
-    const isLoggedIn = await isAuthenticated();
-    const user = await getUser();
-
-    if (!isLoggedIn) {
-      return NextResponse.json({ message: 'Unauthorized' }, { status: 401 });
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
     }
 
-    // User is already authenticated via Kinde, no additional authorization needed
-
     const { id } = await request.json();
 
     if (!id) {
@@ -24,6 +22,13 @@ export async function POST(request) {
 
     await connectMongo();
 
+    const existing = await Training.findById(id);
+    if (!existing) {
+      return NextResponse.json({ message: 'Training record not found' }, { status: 404 });
+    }
+
+    await assertPeriodOpen(existing.date);
+
     const trainingRecord = await Training.findByIdAndUpdate(
       id,
       {
@@ -38,9 +43,18 @@ export async function POST(request) {
       return NextResponse.json({ message: 'Training record not found' }, { status: 404 });
     }
 
+    await recordAuditEvent({
+      action: 'APPROVE',
+      user,
+      resourceType: 'Training',
+      resourceId: id,
+      before: existing,
+      after: trainingRecord,
+    });
+
     // Revalidate relevant pages
     revalidatePath('/admin');
-    revalidatePath(`/admin/${trainingRecord.username}`);
+    revalidatePath(`/admin/${trainingRecord.userId}`);
     revalidatePath('/timesheet');
 
     return NextResponse.json({
@@ -48,6 +62,9 @@ export async function POST(request) {
       trainingRecord,
     });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ message: error.message }, { status: 409 });
+    }
     console.error('Error approving training record:', error);
     return NextResponse.json(
       { message: 'Internal server error' },
@@ -3,6 +3,11 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import Training from '@/models/Training';
+import { recordAuditEvent } from '@/utils/auditTrail';
+import { getDisplayName } from '@/utils/auth';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { softDeleteRecord } from '@/utils/softDelete';
 import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 
 export async function DELETE(request) {
@@ -38,10 +43,25 @@ export async function DELETE(request) {
       );
     }
 
-    await Training.findByIdAndDelete(id);
+    await assertPeriodOpen(training.date);
+
+    const previous = training.toObject();
+    await softDeleteRecord(training, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Training',
+      resourceId: id,
+      before: previous,
+      after: training,
+    });
 
     return NextResponse.json({ message: 'Training record deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting training:', error);
     return NextResponse.json(
       { error: 'Failed to delete training record' },
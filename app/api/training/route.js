@@ -5,6 +5,12 @@ import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
 import { revalidatePath } from 'next/cache';
 import connectMongo from '../../../db/connectMongo';
 import Training from '../../../models/Training';
+import { recordAuditEvent } from '../../../utils/auditTrail';
+import { getDisplayName } from '../../../utils/auth';
+import { PeriodLockedError } from '../../../utils/errorHandler';
+import { resolveTargetUserId } from '../../../utils/identityUtils';
+import { assertPeriodOpen } from '../../../utils/payrollUtils';
+import { softDeleteRecord } from '../../../utils/softDelete';
 
 // GET - Fetch training records for the authenticated user
 export async function GET(request) {
@@ -24,18 +30,15 @@ export async function GET(request) {
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
     const trainingType = searchParams.get('trainingType');
-    const username = searchParams.get('username');
 
-    // Build query
-    let query = {};
-    
-    // If username is provided, filter by username field (for admin queries)
-    // Otherwise, filter by userId (for user's own data)
-    if (username) {
-      query.username = username;
-    } else {
-      query.userId = user.id;
+    // Staff get their own records; admins may pass ?userId= (or an older ?username=)
+    const { userId, response } = await resolveTargetUserId(searchParams);
+    if (response) {
+      return response;
     }
+
+    // Build query
+    let query = { userId };
     
     if (!includeDrafts) {
       query.isDraft = false;
@@ -112,6 +115,8 @@ export async function POST(request) {
       );
     }
 
+    await assertPeriodOpen(date);
+
     // Create new training record
     const training = new Training({
       userId: user.id,
@@ -127,14 +132,25 @@ export async function POST(request) {
     });
 
     await training.save();
+
+    await recordAuditEvent({
+      action: 'CREATE',
+      user,
+      resourceType: 'Training',
+      resourceId: training._id,
+      after: training,
+    });
     
     // Revalidate relevant pages
     revalidatePath('/timesheet');
     revalidatePath('/admin');
-    revalidatePath(`/admin/${user.given_name + ' ' + user.family_name}`);
+    revalidatePath(`/admin/${user.id}`);
     
     return NextResponse.json({ training }, { status: 201 });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error creating training:', error);
     return NextResponse.json(
       { error: 'Failed to create training record' },
@@ -183,12 +199,27 @@ export async function PUT(request) {
       );
     }
 
+    await assertPeriodOpen(training.date, updateData.date);
+
     // Update the training
+    const previous = training.toObject();
     Object.assign(training, updateData);
     await training.save();
+
+    await recordAuditEvent({
+      action: 'UPDATE',
+      user,
+      resourceType: 'Training',
+      resourceId: id,
+      before: previous,
+      after: training,
+    });
     
     return NextResponse.json({ training });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error updating training:', error);
     return NextResponse.json(
       { error: 'Failed to update training record' },
@@ -237,11 +268,26 @@ export async function DELETE(request) {
       );
     }
 
+    await assertPeriodOpen(training.date);
+
     // Only allow deletion of draft/pending records
-    await Training.findByIdAndDelete(id);
+    const previous = training.toObject();
+    await softDeleteRecord(training, getDisplayName(user));
+
+    await recordAuditEvent({
+      action: 'DELETE',
+      user,
+      resourceType: 'Training',
+      resourceId: id,
+      before: previous,
+      after: training,
+    });
     
     return NextResponse.json({ message: 'Training record deleted successfully' });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
     console.error('Error deleting training:', error);
     return NextResponse.json(
       { error: 'Failed to delete training record' },
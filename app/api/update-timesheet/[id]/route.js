@@ -3,52 +3,62 @@
 import { NextResponse } from 'next/server';
 import connectMongo from '@/db/connectMongo';
 import Timesheet from '@/models/Timesheet';
-import WeeklySummary from '@/models/WeeklySummary';
-import { calculateHoursWorked, getWeeklyPeriod } from '@/utils/dateUtils';
+import { getAutoBreakRule } from '@/utils/config';
+import { resolveBreakMinutes } from '@/utils/dateUtils';
 import { revalidatePath } from 'next/cache';
+import { requireAdmin } from '@/utils/auth';
+import { PeriodLockedError } from '@/utils/errorHandler';
+import { assertPeriodOpen } from '@/utils/payrollUtils';
+import { applyTimesheetEdit } from '@/utils/timesheetRevisionUtils';
 
 export async function POST(req, { params }) {
   try {
+    const { user, response } = await requireAdmin();
+    if (response) {
+      return response;
+    }
+
     await connectMongo();
 
     const { id } = params;
-    const { start, end } = await req.json();
+    const { start, end, breakMinutes: breakInput, reason } = await req.json();
 
     if (!id) {
       return new NextResponse('Timesheet ID is required', { status: 400 });
     }
 
-    const timesheet = await Timesheet.findByIdAndUpdate(
-      id,
-      { start, end },
-      { new: true }
-    );
+    const editReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!editReason) {
+      return new NextResponse('A reason for the change is required', { status: 400 });
+    }
+
+    let breakMinutes;
+    try {
+      breakMinutes = resolveBreakMinutes(breakInput, start, end, getAutoBreakRule());
+    } catch (error) {
+      return new NextResponse(error.message, { status: 400 });
+    }
+
+    const timesheet = await Timesheet.findById(id);
 
     if (!timesheet) {
       return new NextResponse('Timesheet not found', { status: 404 });
     }
 
-    const { startDate, endDate } = getWeeklyPeriod(timesheet.date);
-    const timesheets = await Timesheet.find({
-      userId: timesheet.userId,
-      date: { $gte: new Date(startDate), $lte: new Date(endDate) },
-    });
-
-    const totalHours = timesheets.reduce(
-      (sum, ts) => sum + calculateHoursWorked(ts.start, ts.end),
-      0
-    );
+    await assertPeriodOpen(timesheet.date);
 
-    // Update or create WeeklySummary ensuring unique identification by userId, startDate, and endDate
-    await WeeklySummary.findOneAndUpdate(
-      { userId: timesheet.userId, startDate, endDate },
-      { totalHours },
-      { upsert: true }
-    );
+    await applyTimesheetEdit(timesheet, { start, end, breakMinutes }, user, editReason);
 
     await revalidatePath(`/admin/${timesheet.userId}`);
     return new NextResponse('Timesheet updated successfully', { status: 200 });
   } catch (error) {
+    if (error instanceof PeriodLockedError) {
+      return new NextResponse(error.message, { status: 409 });
+    }
+    // Times the schema rejects, e.g. "9:00" instead of "09:00"
+    if (error.name === 'ValidationError') {
+      return new NextResponse(error.message, { status: 400 });
+    }
     console.error('Error updating timesheet:', error);
     return new NextResponse('Internal Server Error', { status: 500 });
   }
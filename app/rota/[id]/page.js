@@ -2,9 +2,78 @@
 
 import { useEffect, useState } from 'react';
 
+function RotaRowsTable({ rows }) {
+  return (
+    <div className='overflow-x-auto'>
+      <table className='min-w-full divide-y divide-gray-200'>
+        <thead className='bg-gray-50'>
+          <tr>
+            {/* Table headers */}
+            {[
+              'Staff',
+              'Post',
+              'Monday',
+              'Tuesday',
+              'Wednesday',
+              'Thursday',
+              'Friday',
+              'Saturday',
+              'Sunday',
+            ].map((header) => (
+              <th
+                key={header}
+                className='px-4 py-3 text-left text-sm font-semibold text-lime-700 uppercase tracking-wider border-b border-gray-200'
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className='bg-white divide-y divide-gray-200'>
+          {rows.map((rota, index) => (
+            <tr
+              key={index}
+              className='hover:bg-gray-100 hover:shadow-md transition-all duration-200 ease-in-out'
+            >
+              <td className='px-4 py-2 whitespace-nowrap text-sm font-semibold text-slate-950 border-r border-gray-200'>
+                {rota.staff}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.post}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.monday}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.tuesday}{' '}
+              </td>{' '}
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.wednesday}{' '}
+              </td>{' '}
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.thursday}{' '}
+              </td>{' '}
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.friday}{' '}
+              </td>{' '}
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
+                {rota.saturday}{' '}
+              </td>{' '}
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950'>
+                {rota.sunday}{' '}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 export default function RotaDetailsPage({ params }) {
   const { id } = params;
   const [rotaDetails, setRotaDetails] = useState([]);
+  const [rotaGroups, setRotaGroups] = useState([]);
   const [rotaName, setRotaName] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(false);
@@ -21,29 +90,26 @@ export default function RotaDetailsPage({ params }) {
           return;
         }
 
-        const filteredRotaDetails = data.parsedData
-          .slice(1) // Skip the first row if needed
-          .filter(
-            (row) =>
-              !(
-                row.staff === 'Upstairs Cleaning' ||
-                row.staff === 'Abuu Daud' ||
-                row.staff.includes('NIGHT STAFF')
-              )
-          )
-          .map((row) => ({
-            staff: row.staff,
-            post: row.post,
-            monday: row.monday,
-            tuesday: row.tuesday,
-            wednesday: row.wednesday,
-            thursday: row.thursday,
-            friday: row.friday,
-            saturday: row.saturday,
-            sunday: row.sunday,
-          }));
+        // Hidden and grouped rows are already sorted out by the API for this viewer
+        const toRow = (row) => ({
+          staff: row.staff,
+          post: row.post,
+          monday: row.monday,
+          tuesday: row.tuesday,
+          wednesday: row.wednesday,
+          thursday: row.thursday,
+          friday: row.friday,
+          saturday: row.saturday,
+          sunday: row.sunday,
+        });
 
-        setRotaDetails(filteredRotaDetails);
+        setRotaDetails(data.parsedData.map(toRow));
+        setRotaGroups(
+          (data.groups || []).map((group) => ({
+            name: group.name,
+            rows: group.rows.map(toRow),
+          }))
+        );
         setRotaName(data.name);
         setLoading(false);
       } catch (err) {
@@ -69,69 +135,15 @@ export default function RotaDetailsPage({ params }) {
       <h1 className='text-lg font-semibold text-lime-900 mb-3 mt-3 ml-5'>
         Deer park staff rota for: {rotaName}
       </h1>
-      <div className='overflow-x-auto'>
-        <table className='min-w-full divide-y divide-gray-200'>
-          <thead className='bg-gray-50'>
-            <tr>
-              {/* Table headers */}
-              {[
-                'Staff',
-                'Post',
-                'Monday',
-                'Tuesday',
-                'Wednesday',
-                'Thursday',
-                'Friday',
-                'Saturday',
-                'Sunday',
-              ].map((header) => (
-                <th
-                  key={header}
-                  className='px-4 py-3 text-left text-sm font-semibold text-lime-700 uppercase tracking-wider border-b border-gray-200'
-                >
-                  {header}
-                </th>
-              ))}
-            </tr>
-          </thead>
-          <tbody className='bg-white divide-y divide-gray-200'>
-            {rotaDetails.map((rota, index) => (
-              <tr
-                key={index}
-                className='hover:bg-gray-100 hover:shadow-md transition-all duration-200 ease-in-out'
-              >
-                <td className='px-4 py-2 whitespace-nowrap text-sm font-semibold text-slate-950 border-r border-gray-200'>
-                  {rota.staff}
-                </td>
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.post}
-                </td>
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.monday}
-                </td>
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.tuesday}{' '}
-                </td>{' '}
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.wednesday}{' '}
-                </td>{' '}
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.thursday}{' '}
-                </td>{' '}
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.friday}{' '}
-                </td>{' '}
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950 border-r border-gray-200'>
-                  {rota.saturday}{' '}
-                </td>{' '}
-                <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950'>
-                  {rota.sunday}{' '}
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+      <RotaRowsTable rows={rotaDetails} />
+      {rotaGroups.map((group) => (
+        <details key={group.name} className='mt-4'>
+          <summary className='cursor-pointer text-sm font-semibold text-lime-900 ml-5 mb-2'>
+            {group.name} ({group.rows.length})
+          </summary>
+          <RotaRowsTable rows={group.rows} />
+        </details>
+      ))}
     </div>
   );
 }
@@ -1,13 +1,14 @@
 'use client';
 
-import { useKindeBrowserClient } from '@kinde-oss/kinde-auth-nextjs';
 import { redirect, useRouter } from 'next/navigation';
 import { useEffect, useState } from 'react';
+import { ROTA_AUDIENCES, ROTA_VISIBILITY } from '@/utils/rotaUtils';
+import useCurrentUserRole from '@/utils/useCurrentUserRole';
 
 export default function EditRota({ params }) {
   const [rota, setRota] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const { getPermission, isLoading } = useKindeBrowserClient();
+  const { isAdmin, isLoading } = useCurrentUserRole();
   const [error, setError] = useState(null);
   const router = useRouter();
   const rotaId = params.id;
@@ -15,7 +16,7 @@ export default function EditRota({ params }) {
   useEffect(() => {
     (async function () {
       try {
-        const response = await fetch(`/api/rota/${rotaId}`, {
+        const response = await fetch(`/api/rota/${rotaId}?view=all`, {
           cache: 'no-cache',
         });
         if (!response.ok) throw new Error('Failed to fetch rota');
@@ -67,17 +68,59 @@ export default function EditRota({ params }) {
     });
   }
 
-  useEffect(() => {
-    if (!isLoading) {
-      const havePermission = getPermission('delete:timesheet');
-      if (!havePermission?.isGranted) {
-        redirect(`/api/auth/login?post_login_redirect_url=/rota/${rotaId}`);
+  function handleRowVisibilityChange(event, rowIndex, audience) {
+    const { value } = event.target;
+    setRota((prevRota) => {
+      const updatedParsedData = [...prevRota.parsedData];
+      const row = updatedParsedData[rowIndex];
+      updatedParsedData[rowIndex] = {
+        ...row,
+        visibility: { ...row.visibility, [audience]: value },
+      };
+      return {
+        ...prevRota,
+        parsedData: updatedParsedData,
+      };
+    });
+  }
+
+  // Section settings are only stored once changed; unlisted sections are visible
+  function getSection(name) {
+    return (
+      (rota.sections || []).find((section) => section.name === name) || {
+        name,
+        visibility: { staff: 'visible', admin: 'visible' },
       }
+    );
+  }
+
+  function handleSectionVisibilityChange(event, name, audience) {
+    const { value } = event.target;
+    setRota((prevRota) => {
+      const current = getSection(name);
+      const updated = {
+        ...current,
+        visibility: { ...current.visibility, [audience]: value },
+      };
+      const others = (prevRota.sections || []).filter(
+        (section) => section.name !== name
+      );
+      return { ...prevRota, sections: [...others, updated] };
+    });
+  }
+
+  useEffect(() => {
+    if (!isLoading && !isAdmin) {
+      redirect(`/api/auth/login?post_login_redirect_url=/rota/${rotaId}`);
     }
-  }, [getPermission, isLoading, rotaId]);
+  }, [isAdmin, isLoading, rotaId]);
 
   if (!rota || isLoading) return <div>Loading...</div>;
 
+  const sectionNames = [
+    ...new Set(rota.parsedData.map((row) => row.section).filter(Boolean)),
+  ];
+
   return (
     <div className='p-6 bg-white shadow-lg rounded-lg'>
       <h1 className='text-2xl mb-4'>Edit Rota: {rota.name}</h1>
@@ -99,6 +142,36 @@ export default function EditRota({ params }) {
             className='border border-gray-300 rounded-lg p-2 w-full'
           />
         </div>
+        {sectionNames.length > 0 && (
+          <div className='border border-gray-200 rounded-lg p-4'>
+            <h2 className='text-sm font-semibold text-gray-700 mb-2'>
+              Section visibility
+            </h2>
+            {sectionNames.map((name) => (
+              <div key={name} className='flex flex-wrap items-center gap-4 mb-2'>
+                <span className='text-sm text-gray-800 flex-1 min-w-0'>{name}</span>
+                {ROTA_AUDIENCES.map((audience) => (
+                  <label key={audience} className='text-xs text-gray-600'>
+                    {audience === 'staff' ? 'Staff' : 'Admins'}{' '}
+                    <select
+                      value={getSection(name).visibility?.[audience] || 'visible'}
+                      onChange={(e) =>
+                        handleSectionVisibilityChange(e, name, audience)
+                      }
+                      className='border border-gray-300 p-2 rounded-lg'
+                    >
+                      {ROTA_VISIBILITY.map((option) => (
+                        <option key={option} value={option}>
+                          {option}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
         {/* Display other rota fields */}
         {rota.parsedData.map((row, index) => (
           <div key={index} className='flex flex-wrap items-center gap-4 mb-2'>
@@ -156,6 +229,31 @@ export default function EditRota({ params }) {
               onChange={(e) => handleChange(e, index, 'sunday')}
               className='border border-gray-300 p-2 rounded-lg flex-1 min-w-0'
             />
+            <input
+              type='text'
+              placeholder='Section'
+              value={row.section || ''}
+              onChange={(e) => handleChange(e, index, 'section')}
+              className='border border-gray-300 p-2 rounded-lg flex-1 min-w-0'
+            />
+            {ROTA_AUDIENCES.map((audience) => (
+              <select
+                key={audience}
+                aria-label={`Visibility for ${audience}`}
+                value={row.visibility?.[audience] || ''}
+                onChange={(e) => handleRowVisibilityChange(e, index, audience)}
+                className='border border-gray-300 p-2 rounded-lg text-sm'
+              >
+                <option value=''>
+                  {audience === 'staff' ? 'Staff' : 'Admins'}: as section
+                </option>
+                {ROTA_VISIBILITY.map((option) => (
+                  <option key={option} value={option}>
+                    {audience === 'staff' ? 'Staff' : 'Admins'}: {option}
+                  </option>
+                ))}
+              </select>
+            ))}
           </div>
         ))}
         <button
@@ -4,21 +4,23 @@
 
 
 
-import { useKindeBrowserClient } from '@kinde-oss/kinde-auth-nextjs';
 import { redirect } from 'next/navigation';
 import { useEffect, useState } from 'react';
 import RotaUploadForm from '/components/RotaUploadForm';
 import dynamic from 'next/dynamic';
+import useCurrentUserRole from '@/utils/useCurrentUserRole';
 
 const RotaList = dynamic(() => import('@/components/RotaList'), { ssr: false });
 
 export default function RotaPage() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [shouldRefresh, setShouldRefresh] = useState(false);
-  const { getPermission, isLoading } = useKindeBrowserClient();
+  const [unparsedCells, setUnparsedCells] = useState([]);
+  const { isAdmin, isLoading } = useCurrentUserRole();
 
   async function handleUpload(formData) {
     setIsSubmitting(true);
+    setUnparsedCells([]);
     try {
       const response = await fetch('/api/rota/create', {
         method: 'POST',
@@ -29,8 +31,11 @@ export default function RotaPage() {
       const result = await response.json();
       if (response.ok) {
         setShouldRefresh((prev) => !prev);
+        setUnparsedCells(result.unparsedCells || []);
+        return true;
       } else {
         console.error('Error response:', result);
+        alert(`Error: ${result.error || 'Failed to upload rota'}`);
       }
     } catch (error) {
       console.error('Upload failed:', error);
@@ -40,14 +45,11 @@ export default function RotaPage() {
   }
 
   useEffect(() => {
-    if (!isLoading) {
-      const havePermission = getPermission('delete:timesheet');
-      if (!havePermission?.isGranted) {
-        // redirect('/api/auth/login?post_login_redirect_url=/rota');
-        redirect('/');
-      }
+    if (!isLoading && !isAdmin) {
+      // redirect('/api/auth/login?post_login_redirect_url=/rota');
+      redirect('/');
     }
-  }, [getPermission, isLoading]);
+  }, [isAdmin, isLoading]);
 
   if (isLoading) return <div>Loading...</div>;
 
@@ -64,6 +66,24 @@ export default function RotaPage() {
           />
         </div>
 
+        {unparsedCells.length > 0 && (
+          <div className='w-full mb-6 max-w-4xl mx-auto bg-yellow-50 border border-yellow-200 rounded-lg p-4'>
+            <h2 className='text-sm font-semibold text-yellow-800 mb-2'>
+              {unparsedCells.length} shift cell(s) were not recognised
+            </h2>
+            <p className='text-xs text-yellow-700 mb-2'>
+              These were saved as text only. Add a shift code for them or correct the sheet and re-upload.
+            </p>
+            <ul className='text-xs text-yellow-800 list-disc list-inside max-h-48 overflow-y-auto'>
+              {unparsedCells.map((cell, index) => (
+                <li key={index}>
+                  {cell.staff} &middot; {cell.day}: &quot;{cell.value}&quot;
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className='w-full'>
           <RotaList shouldRefresh={shouldRefresh} userRole='admin' />
         </div>
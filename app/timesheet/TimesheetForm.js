@@ -14,6 +14,7 @@ const TimesheetForm = ({ onSubmit, username }) => {
     date: new Date(),
     start: '',
     end: '',
+    breakMinutes: '',
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -73,15 +74,16 @@ const TimesheetForm = ({ onSubmit, username }) => {
       formDataObj.append('date', formattedDate); // Use formattedDate
       formDataObj.append('start', formData.start);
       formDataObj.append('end', formData.end);
+      formDataObj.append('breakMinutes', formData.breakMinutes);
       formDataObj.append('username', username);
       formDataObj.append('isDraft', isDraft.toString());
   
       const result = await onSubmit(formDataObj);
   
-      if (result && result.status === 500) {
+      if (result && result.status !== 200) {
         setError(result.message);
       } else {
-        setFormData({ date: new Date(), start: '', end: '' });
+        setFormData({ date: new Date(), start: '', end: '', breakMinutes: '' });
         setSuccessMessage(
           isDraft 
             ? 'Timesheet saved as draft successfully!' 
@@ -173,6 +175,29 @@ const TimesheetForm = ({ onSubmit, username }) => {
         </div>
       </div>
 
+      <div className='flex flex-col'>
+        <label
+          className='text-sm font-medium text-gray-700'
+          htmlFor='breakMinutes'
+        >
+          Unpaid Break (minutes)
+        </label>
+        <input
+          type='number'
+          name='breakMinutes'
+          id='breakMinutes'
+          min='0'
+          step='5'
+          value={formData.breakMinutes}
+          onChange={handleChange}
+          placeholder='Leave blank for the standard break'
+          className='mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg shadow-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-slate-500 focus:border-slate-700 sm:text-sm'
+        />
+        <p className='mt-1 text-xs text-gray-500'>
+          Long shifts have a standard unpaid break deducted unless you enter your own.
+        </p>
+      </div>
+
       {error && <div className='text-red-500 text-sm'>{error}</div>}
 
       {successMessage && (
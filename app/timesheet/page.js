@@ -6,6 +6,8 @@ import { redirect } from 'next/navigation';
 import UserTimesheetData from '@/components/UserTimesheetData';
 import TabbedInterface from '@/components/TabbedInterface';
 import RotaList from '@/components/RotaList';
+import MyShifts from '@/components/MyShifts';
+import CalendarFeedLink from '@/components/CalendarFeedLink';
 import VapiAssistantDynamic from '@/components/VapiAssistantDynamic';
 import GracePeriodNotice from '@/components/GracePeriodNotice';
 import TotalCompensatedHours from '@/components/TotalCompensatedHours';
@@ -75,12 +77,20 @@ const TimesheetPage = async ({ searchParams }) => {
             <h1 className='text-xl sm:text-2xl font-semibold text-slate-800 mb-3 sm:mb-4'>
               Your Timesheet Data
             </h1>
-            <GracePeriodNotice username={username} />
-            <UserTimesheetData username={username} />
-             <TotalCompensatedHours username={username} />
+            <GracePeriodNotice userId={user.id} />
+            <UserTimesheetData userId={user.id} username={username} />
+             <TotalCompensatedHours userId={user.id} />
           </div>
         </div>
 
+        <div className='mt-6 sm:mt-8 bg-white shadow-md rounded-lg p-3 sm:p-6'>
+          <h1 className='text-xl sm:text-2xl font-semibold text-slate-800 mb-3 sm:mb-4'>
+            My Shifts
+          </h1>
+          <MyShifts />
+          <CalendarFeedLink />
+        </div>
+
         <div className='mt-6 sm:mt-8 bg-white shadow-md rounded-lg p-3 sm:p-6'>
           <h1 className='text-xl sm:text-2xl font-semibold text-slate-800 mb-3 sm:mb-4'>
             Rota List
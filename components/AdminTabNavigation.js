@@ -5,7 +5,9 @@
 import { useRouter, useSearchParams } from 'next/navigation';
 
 const AdminTabNavigation = ({ 
-  activeTab = 'work-hours'
+  activeTab = 'work-hours',
+  // The approval queue only appears while timesheet approval is switched on
+  showTimesheetApprovals = false
 }) => {
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -20,6 +22,15 @@ const AdminTabNavigation = ({
         </svg>
       ),
     },
+    {
+      id: 'timesheet-approvals',
+      label: 'Timesheet Approvals',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+      ),
+    },
     {
       id: 'leave-requests',
       label: 'Leave Requests',
@@ -48,6 +59,15 @@ const AdminTabNavigation = ({
         </svg>
       ),
     },
+    {
+      id: 'amendments',
+      label: 'Amendments',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+        </svg>
+      ),
+    },
     {
       id: 'all-entries',
       label: 'All Entries',
@@ -57,7 +77,7 @@ const AdminTabNavigation = ({
         </svg>
       ),
     },
-  ];
+  ].filter((tab) => showTimesheetApprovals || tab.id !== 'timesheet-approvals');
 
   const handleTabChange = (tabId) => {
     const params = new URLSearchParams(searchParams);
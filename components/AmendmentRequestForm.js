@@ -0,0 +1,156 @@
+// components/AmendmentRequestForm.js
+
+'use client';
+
+import { useState } from 'react';
+import { toDateKey } from '@/utils/bankHolidayData';
+
+// "Request change" button for a submitted entry; the manager approves or rejects it
+const AmendmentRequestForm = ({ timesheet, onSubmitted }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [date, setDate] = useState(toDateKey(timesheet.date));
+  const [start, setStart] = useState(timesheet.start);
+  const [end, setEnd] = useState(timesheet.end);
+  const [breakMinutes, setBreakMinutes] = useState(String(timesheet.breakMinutes ?? ''));
+  const [reason, setReason] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      alert('Please say why the entry needs changing');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/amendment-requests', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ timesheetId: timesheet._id, date, start, end, breakMinutes, reason }),
+      });
+
+      if (response.ok) {
+        setIsOpen(false);
+        setReason('');
+        onSubmitted?.();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to send amendment request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className='px-2 py-0.5 bg-slate-700 text-xs text-white rounded hover:bg-blue-800'
+      >
+        Request change
+      </button>
+
+      {isOpen && (
+        <div className='fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50'>
+          <form
+            onSubmit={handleSubmit}
+            className='relative top-20 mx-auto p-5 border w-11/12 max-w-md shadow-lg rounded-md bg-white'
+          >
+            <div className='flex items-center justify-between mb-4'>
+              <h3 className='text-lg font-medium text-gray-900'>Request a Change</h3>
+              <button
+                type='button'
+                onClick={() => setIsOpen(false)}
+                className='text-gray-400 hover:text-gray-600'
+              >
+                <svg className='w-6 h-6' fill='none' stroke='currentColor' viewBox='0 0 24 24'>
+                  <path strokeLinecap='round' strokeLinejoin='round' strokeWidth={2} d='M6 18L18 6M6 6l12 12' />
+                </svg>
+              </button>
+            </div>
+            <p className='text-sm text-gray-500 mb-4'>
+              Currently {timesheet.start}-{timesheet.end} with a {timesheet.breakMinutes || 0} min break. Your
+              manager will see what you propose and why.
+            </p>
+
+            <div className='grid grid-cols-2 gap-3 mb-4'>
+              <label className='col-span-2 text-sm font-medium text-gray-700'>
+                Date
+                <input
+                  type='date'
+                  value={date}
+                  onChange={(e) => setDate(e.target.value)}
+                  className='mt-1 w-full px-3 py-2 border border-gray-300 rounded-md'
+                />
+              </label>
+              <label className='text-sm font-medium text-gray-700'>
+                Start
+                <input
+                  type='time'
+                  value={start}
+                  onChange={(e) => setStart(e.target.value)}
+                  className='mt-1 w-full px-3 py-2 border border-gray-300 rounded-md'
+                />
+              </label>
+              <label className='text-sm font-medium text-gray-700'>
+                End
+                <input
+                  type='time'
+                  value={end}
+                  onChange={(e) => setEnd(e.target.value)}
+                  className='mt-1 w-full px-3 py-2 border border-gray-300 rounded-md'
+                />
+              </label>
+              <label className='col-span-2 text-sm font-medium text-gray-700'>
+                Unpaid break (minutes)
+                <input
+                  type='number'
+                  min='0'
+                  value={breakMinutes}
+                  onChange={(e) => setBreakMinutes(e.target.value)}
+                  placeholder='Blank applies the automatic break rule'
+                  className='mt-1 w-full px-3 py-2 border border-gray-300 rounded-md'
+                />
+              </label>
+              <label className='col-span-2 text-sm font-medium text-gray-700'>
+                Reason *
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={3}
+                  placeholder='e.g. I stayed until 21:00 to cover a late handover'
+                  className='mt-1 w-full px-3 py-2 border border-gray-300 rounded-md'
+                />
+              </label>
+            </div>
+
+            <div className='flex justify-end space-x-3'>
+              <button
+                type='button'
+                onClick={() => setIsOpen(false)}
+                className='px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200'
+              >
+                Cancel
+              </button>
+              <button
+                type='submit'
+                disabled={isSubmitting || !reason.trim()}
+                className='px-4 py-2 text-sm font-medium text-white bg-slate-700 rounded-md hover:bg-slate-900 disabled:opacity-50'
+              >
+                {isSubmitting ? 'Sending...' : 'Send to manager'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AmendmentRequestForm;
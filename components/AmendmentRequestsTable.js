@@ -0,0 +1,117 @@
+//components/AmendmentRequestsTable.js
+
+import connectMongo from '@/db/connectMongo';
+import AmendmentRequest from '@/models/AmendmentRequest';
+import { getDisplayNameMap } from '@/utils/identityUtils';
+import ApprovalActions from './ApprovalActions';
+import StatusBadge from './StatusBadge';
+
+const AmendmentRequestsTable = async ({ searchParams }) => {
+  await connectMongo();
+
+  const { startDate, endDate } = searchParams || {};
+
+  // Filter on the date of the entry being corrected
+  const queryFilter = {};
+  if (startDate) {
+    queryFilter['current.date'] = { $gte: new Date(startDate) };
+  }
+  if (endDate) {
+    queryFilter['current.date'] = { ...queryFilter['current.date'], $lte: new Date(endDate) };
+  }
+
+  // Reviewed requests drop off the queue after 24 hours, as approved training does
+  const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const requests = await AmendmentRequest.find({
+    ...queryFilter,
+    $or: [{ status: 'pending' }, { reviewedAt: { $gte: twentyFourHoursAgo } }],
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const displayNames = await getDisplayNameMap(requests.map((request) => request.userId));
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatEntry = (values) =>
+    `${formatDate(values.date)}, ${values.start}-${values.end}, ${values.breakMinutes} min break`;
+
+  if (requests.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+        </svg>
+        <h3 className="mt-2 text-sm font-medium text-gray-900">No amendment requests</h3>
+        <p className="mt-1 text-sm text-gray-500">No staff have asked for a submitted entry to be corrected.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+        <thead className="bg-gray-50">
+          <tr>
+            {['Employee', 'Current entry', 'Proposed', 'Reason', 'Requested', 'Status', 'Actions'].map((header) => (
+              <th
+                key={header}
+                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b"
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {requests.map((request) => (
+            <tr key={request._id} className="hover:bg-gray-50">
+              <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                {displayNames.get(request.userId) || request.username}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-500">
+                {formatEntry(request.current)}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-900 font-medium">
+                {formatEntry(request.proposed)}
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-900 max-w-xs">
+                <div className="truncate" title={request.reason}>
+                  {request.reason}
+                </div>
+              </td>
+              <td className="px-4 py-3 text-sm text-gray-900">
+                {formatDate(request.createdAt)}
+              </td>
+              <td className="px-4 py-3 text-sm">
+                <StatusBadge status={request.status} />
+              </td>
+              <td className="px-4 py-3 text-sm">
+                {request.status === 'pending' ? (
+                  <ApprovalActions
+                    id={request._id.toString()}
+                    status={request.status}
+                    type="amendment-requests"
+                  />
+                ) : (
+                  <span className="text-xs text-gray-500" title={request.rejectionReason || ''}>
+                    by {request.reviewedBy || '-'}
+                  </span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default AmendmentRequestsTable;
@@ -3,13 +3,22 @@
 import { useState } from 'react';
 import { useRouter } from 'next/navigation';
 
+const REJECT_TITLES = {
+  leave: 'Leave Request',
+  'leave-hours': 'Leave Hours',
+  'amendment-requests': 'Amendment Request',
+  timesheets: 'Timesheet Entry',
+};
+
 const ApprovalActions = ({ id, status, type, approveEndpoint, rejectEndpoint }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [rejectReason, setRejectReason] = useState('');
+  // Clashes the server found; shown inline until the admin approves anyway or cancels
+  const [conflicts, setConflicts] = useState([]);
   const router = useRouter();
 
-  const handleApprove = async () => {
+  const handleApprove = async (acknowledgeConflicts = false) => {
     setIsLoading(true);
     try {
       const endpoint = approveEndpoint || `/api/${type}/approve`;
@@ -18,12 +27,15 @@ const ApprovalActions = ({ id, status, type, approveEndpoint, rejectEndpoint })
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ id }),
+        body: JSON.stringify({ id, acknowledgeConflicts }),
       });
 
       if (response.ok) {
+        setConflicts([]);
         // Only refresh the current admin page, don't trigger user timesheet notifications
         router.refresh();
+      } else if (response.status === 409) {
+        setConflicts((await response.json()).conflicts || []);
       } else {
         const error = await response.json();
         alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
@@ -169,8 +181,8 @@ const ApprovalActions = ({ id, status, type, approveEndpoint, rejectEndpoint })
     <>
       <div className="flex space-x-2">
         <button
-          onClick={handleApprove}
-          disabled={isLoading}
+          onClick={() => handleApprove(false)}
+          disabled={isLoading || conflicts.length > 0}
           className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
         >
           {isLoading ? (
@@ -197,6 +209,33 @@ const ApprovalActions = ({ id, status, type, approveEndpoint, rejectEndpoint })
         </button>
       </div>
 
+      {conflicts.length > 0 && (
+        <div className="mt-2 p-2 bg-amber-50 border border-amber-200 rounded-md text-xs text-amber-800 max-w-xs">
+          <p className="font-medium mb-1">Check before approving:</p>
+          <ul className="list-disc pl-4 space-y-1">
+            {conflicts.map((conflict, index) => (
+              <li key={index}>{conflict.message}</li>
+            ))}
+          </ul>
+          <div className="flex space-x-2 mt-2">
+            <button
+              onClick={() => handleApprove(true)}
+              disabled={isLoading}
+              className="inline-flex items-center px-2 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+            >
+              {isLoading ? 'Approving...' : 'Approve anyway'}
+            </button>
+            <button
+              onClick={() => setConflicts([])}
+              disabled={isLoading}
+              className="inline-flex items-center px-2 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Reject Modal */}
       {showRejectModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -204,7 +243,7 @@ const ApprovalActions = ({ id, status, type, approveEndpoint, rejectEndpoint })
             <div className="mt-3">
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-medium text-gray-900">
-                  Reject {type === 'leave' ? 'Leave Request' : 'Training Record'}
+                  Reject {REJECT_TITLES[type] || 'Training Record'}
                 </h3>
                 <button
                   onClick={() => setShowRejectModal(false)}
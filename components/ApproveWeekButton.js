@@ -0,0 +1,48 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+// Approve every pending entry one person submitted in a week
+const ApproveWeekButton = ({ userId, date, count }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handleApprove = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/timesheets/approve', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userId, date }),
+      });
+
+      if (response.ok) {
+        // Trigger refresh notification for user timesheet pages
+        localStorage.setItem('timesheetDataUpdated', Date.now().toString());
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to approve timesheets');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleApprove}
+      disabled={isLoading}
+      className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+    >
+      {isLoading ? 'Approving...' : `Approve week (${count})`}
+    </button>
+  );
+};
+
+export default ApproveWeekButton;
@@ -0,0 +1,133 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { BANK_HOLIDAY_REGIONS } from '@/utils/bankHolidayData';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md px-2 py-1 text-sm';
+const buttonClass =
+  'inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50';
+
+// Admin editor for the home's bank holiday region and one-off extra dates
+const BankHolidayCalendarForm = ({ calendar }) => {
+  const [region, setRegion] = useState(calendar.region);
+  const [extraDates, setExtraDates] = useState(calendar.extraDates);
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const updateExtraDate = (index, field) => (e) =>
+    setExtraDates((prev) =>
+      prev.map((entry, i) => (i === index ? { ...entry, [field]: e.target.value } : entry))
+    );
+
+  const request = async (method, body, failureMessage) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/bank-holidays', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        if (data.retagged) {
+          alert(`${data.retagged} timesheet entries re-tagged.`);
+        }
+        router.refresh();
+      } else {
+        alert(`Error: ${data.error || data.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert(failureMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    request('PUT', { region, extraDates }, 'Failed to save bank holidays');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <label className="block text-xs text-gray-600 max-w-xs">
+        Region
+        <select
+          value={region}
+          onChange={(e) => setRegion(e.target.value)}
+          className={inputClass}
+        >
+          {Object.entries(BANK_HOLIDAY_REGIONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div>
+        <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+          Extra dates
+        </h3>
+        <p className="text-xs text-gray-500 mb-2">
+          One-off holidays that are not in the bundled list, such as a royal occasion.
+        </p>
+        <div className="space-y-2">
+          {extraDates.map((entry, index) => (
+            <div key={index} className="flex flex-wrap items-end gap-2">
+              <input
+                type="date"
+                value={entry.date}
+                onChange={updateExtraDate(index, 'date')}
+                aria-label="Date"
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+              <input
+                type="text"
+                value={entry.title}
+                onChange={updateExtraDate(index, 'title')}
+                placeholder="Name"
+                aria-label="Name"
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm flex-1 min-w-[12rem]"
+              />
+              <button
+                type="button"
+                onClick={() => setExtraDates((prev) => prev.filter((_, i) => i !== index))}
+                className="px-2 py-1 text-xs text-red-700 hover:text-red-900"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setExtraDates((prev) => [...prev, { date: '', title: '' }])}
+          className="mt-2 text-xs font-medium text-lime-800 hover:text-emerald-950"
+        >
+          + Add date
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        <button type="submit" disabled={isLoading} className={buttonClass}>
+          {isLoading ? 'Saving...' : 'Save bank holidays'}
+        </button>
+        <button
+          type="button"
+          disabled={isLoading}
+          onClick={() => request('POST', null, 'Failed to tag timesheet entries')}
+          className={buttonClass}
+        >
+          Re-tag all entries
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default BankHolidayCalendarForm;
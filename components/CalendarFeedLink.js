@@ -0,0 +1,119 @@
+// components/CalendarFeedLink.js
+
+'use client';
+import { useEffect, useState } from 'react';
+
+// Lets staff subscribe to their shifts from a phone calendar, and revoke the link
+const CalendarFeedLink = () => {
+  const [token, setToken] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [origin, setOrigin] = useState('');
+
+  useEffect(() => {
+    setOrigin(window.location.origin);
+
+    const fetchToken = async () => {
+      try {
+        const response = await fetch('/api/calendar', { cache: 'no-store' });
+        if (response.ok) {
+          const data = await response.json();
+          setToken(data.token);
+        }
+      } catch (error) {
+        console.error('Error fetching calendar link:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchToken();
+  }, []);
+
+  const updateLink = async (method, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/calendar', { method });
+      const data = await response.json();
+
+      if (response.ok) {
+        setToken(data.token || null);
+      } else {
+        alert(`Error: ${data.error || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to update calendar link');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const feedUrl = token ? `${origin}/api/calendar/feed/${token}.ics` : '';
+
+  return (
+    <div className='mt-4 border-t border-gray-200 pt-4'>
+      <h2 className='text-sm font-semibold text-slate-800 mb-2'>
+        Add your shifts to your phone calendar
+      </h2>
+      {token ? (
+        <div className='space-y-2'>
+          <input
+            type='text'
+            readOnly
+            value={feedUrl}
+            onFocus={(e) => e.target.select()}
+            className='w-full border border-gray-300 rounded-lg p-2 text-xs text-gray-800'
+          />
+          <p className='text-xs text-gray-500'>
+            Anyone with this link can see your shifts. Reset it if it has been shared by mistake.
+          </p>
+          <div className='flex flex-wrap gap-2'>
+            <a
+              href={feedUrl.replace(/^https?:/, 'webcal:')}
+              className='px-3 py-1 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs'
+            >
+              Subscribe
+            </a>
+            <button
+              onClick={() => navigator.clipboard?.writeText(feedUrl)}
+              className='px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded text-xs'
+            >
+              Copy link
+            </button>
+            <button
+              onClick={() =>
+                updateLink('POST', 'Reset the link? Calendars using the old link will stop updating.')
+              }
+              disabled={isLoading}
+              className='px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded text-xs disabled:opacity-50'
+            >
+              Reset link
+            </button>
+            <button
+              onClick={() =>
+                updateLink('DELETE', 'Turn off the calendar link? Subscribed calendars will stop updating.')
+              }
+              disabled={isLoading}
+              className='px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded text-xs disabled:opacity-50'
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => updateLink('POST')}
+          disabled={isLoading}
+          className='px-3 py-1 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs disabled:opacity-50'
+        >
+          {isLoading ? 'Loading...' : 'Create calendar link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedLink;
@@ -4,7 +4,7 @@
 
 import { useState, useEffect } from 'react';
 
-const DraftManager = ({ username, onBulkSubmit }) => {
+const DraftManager = ({ userId, onBulkSubmit }) => {
   const [drafts, setDrafts] = useState({
     timesheets: [],
     leaves: [],
@@ -25,9 +25,9 @@ const DraftManager = ({ username, onBulkSubmit }) => {
     setIsLoading(true);
     try {
       const [timesheetsRes, leavesRes, trainingRes] = await Promise.all([
-        fetch(`/api/timesheets?username=${encodeURIComponent(username)}&includeDrafts=true&draftsOnly=true`),
-        fetch(`/api/leaves?username=${encodeURIComponent(username)}&includeDrafts=true&status=draft`),
-        fetch(`/api/training?username=${encodeURIComponent(username)}&includeDrafts=true&status=draft`)
+        fetch(`/api/timesheets?userId=${encodeURIComponent(userId)}&includeDrafts=true&draftsOnly=true`),
+        fetch(`/api/leaves?userId=${encodeURIComponent(userId)}&includeDrafts=true&status=draft`),
+        fetch(`/api/training?userId=${encodeURIComponent(userId)}&includeDrafts=true&status=draft`)
       ]);
 
       const [timesheetsData, leavesData, trainingData] = await Promise.all([
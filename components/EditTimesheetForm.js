@@ -8,20 +8,30 @@ const EditTimesheetForm = ({ timesheet }) => {
   const router = useRouter();
   const [start, setStart] = useState(timesheet.start || '');
   const [end, setEnd] = useState(timesheet.end || '');
+  const [breakMinutes, setBreakMinutes] = useState(
+    timesheet.breakMinutes !== undefined ? String(timesheet.breakMinutes) : ''
+  );
+  const [reason, setReason] = useState('');
 
   const handleSave = async () => {
+    if (!reason.trim()) {
+      alert('Please give a reason for the change.');
+      return;
+    }
+
     const response = await fetch(`/api/update-timesheet/${timesheet._id}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ start, end }),
+      body: JSON.stringify({ start, end, breakMinutes, reason }),
     });
 
     if (response.ok) {
-      router.push(`/admin/${timesheet.username}`);
+      router.push(`/admin/${encodeURIComponent(timesheet.userId)}`);
     } else {
       console.error('Failed to update timesheet');
+      alert(await response.text());
     }
   };
 
@@ -46,6 +56,27 @@ const EditTimesheetForm = ({ timesheet }) => {
           className='border border-gray-300 px-4 py-2 w-full'
         />
       </div>
+      <div className='mb-5'>
+        <label className='block mb-2'>Unpaid Break (minutes)</label>
+        <input
+          type='number'
+          min='0'
+          value={breakMinutes}
+          onChange={(e) => setBreakMinutes(e.target.value)}
+          placeholder='Blank applies the automatic break rule'
+          className='border border-gray-300 px-4 py-2 w-full'
+        />
+      </div>
+      <div className='mb-5'>
+        <label className='block mb-2'>Reason for change *</label>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          placeholder='Shown to the staff member in the entry history'
+          className='border border-gray-300 px-4 py-2 w-full'
+        />
+      </div>
       <button
         onClick={handleSave}
         className='px-4 py-2 bg-slate-700 text-white rounded hover:bg-green-900'
@@ -0,0 +1,189 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { EMPLOYMENT_TYPES, PAY_ELEMENTS } from '@/utils/employeeProfileFields';
+import { ROTA_DAYS } from '@/utils/rotaUtils';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Admin editor for a staff member's payroll and contract details
+const EmployeeProfileForm = ({ userId, profile }) => {
+  const [form, setForm] = useState({
+    payrollNumber: profile?.payrollNumber || '',
+    jobPost: profile?.jobPost || '',
+    contractedWeeklyHours: profile?.contractedWeeklyHours ?? '',
+    startDate: profile?.startDate ? profile.startDate.split('T')[0] : '',
+    employmentType: profile?.employmentType || 'permanent',
+    workingDays: profile?.workingDays || [],
+  });
+  const [rates, setRates] = useState(
+    Object.fromEntries(
+      (profile?.hourlyRates || []).map((entry) => [entry.element, entry.rate])
+    )
+  );
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const toggleWorkingDay = (day) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      workingDays: e.target.checked
+        ? [...prev.workingDays, day]
+        : prev.workingDays.filter((existing) => existing !== day),
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/employee-profiles', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          userId,
+          ...form,
+          hourlyRates: Object.entries(rates).map(([element, rate]) => ({
+            element,
+            rate,
+          })),
+        }),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to save employee profile');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600">
+          Payroll number
+          <input
+            type="text"
+            value={form.payrollNumber}
+            onChange={handleChange('payrollNumber')}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Job post
+          <input
+            type="text"
+            value={form.jobPost}
+            onChange={handleChange('jobPost')}
+            placeholder="e.g. Senior Carer"
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Contracted hours per week
+          <input
+            type="number"
+            min="0"
+            max="168"
+            step="0.25"
+            value={form.contractedWeeklyHours}
+            onChange={handleChange('contractedWeeklyHours')}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Start date
+          <input
+            type="date"
+            value={form.startDate}
+            onChange={handleChange('startDate')}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Employment type
+          <select
+            value={form.employmentType}
+            onChange={handleChange('employmentType')}
+            className={inputClass}
+          >
+            {Object.entries(EMPLOYMENT_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+          Working days
+        </h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Used to count days of leave in weeks the rota does not cover. Leave all unticked to count
+          every day.
+        </p>
+        <div className="flex flex-wrap gap-3">
+          {ROTA_DAYS.map((day) => (
+            <label key={day} className="text-xs text-gray-600 flex items-center gap-1 capitalize">
+              <input
+                type="checkbox"
+                checked={form.workingDays.includes(day)}
+                onChange={toggleWorkingDay(day)}
+              />
+              {day.slice(0, 3)}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+          Hourly rates (£)
+        </h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Leave a rate blank to pay that element at the basic rate.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {Object.entries(PAY_ELEMENTS).map(([element, label]) => (
+            <label key={element} className="text-xs text-gray-600">
+              {label}
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={rates[element] ?? ''}
+                onChange={(e) =>
+                  setRates((prev) => ({ ...prev, [element]: e.target.value }))
+                }
+                className={inputClass}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save profile'}
+      </button>
+    </form>
+  );
+};
+
+export default EmployeeProfileForm;
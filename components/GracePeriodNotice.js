@@ -5,7 +5,7 @@ import { useState, useEffect } from 'react';
 import { getPaymentCycleInfo } from '@/utils/paymentCycleUtils';
 import { calculateMinutesWorked, convertMinutesToHours } from '@/utils/dateUtils';
 
-const GracePeriodNotice = ({ username }) => {
+const GracePeriodNotice = ({ userId }) => {
   const [isVisible, setIsVisible] = useState(false);
   const [previousCycleTotalHours, setPreviousCycleTotalHours] = useState({
     workHours: 0,
@@ -31,7 +31,7 @@ const GracePeriodNotice = ({ username }) => {
           
           // Fetch work hours (timesheets)
           const timesheetsRes = await fetch(
-            `/api/timesheets?username=${username}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}&limit=1000`
+            `/api/timesheets?userId=${userId}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}&limit=1000`
           );
           
           let workMinutes = 0;
@@ -39,13 +39,13 @@ const GracePeriodNotice = ({ username }) => {
             const timesheetsData = await timesheetsRes.json();
             const timesheets = timesheetsData.timesheets || [];
             workMinutes = timesheets.reduce((total, timesheet) => {
-              return total + calculateMinutesWorked(timesheet.start, timesheet.end);
+              return total + calculateMinutesWorked(timesheet.start, timesheet.end, timesheet.breakMinutes);
             }, 0);
           }
           
           // Fetch approved leave hours
           const leaveHoursRes = await fetch(
-            `/api/leave-hours?includeDrafts=false&username=${username}&startDate=${startDate}&endDate=${endDate}`
+            `/api/leave-hours?includeDrafts=false&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
           );
           
           let leaveMinutes = 0;
@@ -61,7 +61,7 @@ const GracePeriodNotice = ({ username }) => {
           
           // Fetch approved training hours
           const trainingRes = await fetch(
-            `/api/training?includeDrafts=false&username=${username}&startDate=${startDate}&endDate=${endDate}`
+            `/api/training?includeDrafts=false&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
           );
           
           let trainingMinutes = 0;
@@ -104,7 +104,7 @@ const GracePeriodNotice = ({ username }) => {
     const interval = setInterval(checkGracePeriodAndFetchData, 60 * 60 * 1000);
     
     return () => clearInterval(interval);
-  }, [username]);
+  }, [userId]);
 
   if (loading || !isVisible) {
     return null;
@@ -12,6 +12,7 @@ import Image from 'next/image';
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
 import { useEffect, useRef, useState } from 'react';
+import useCurrentUserRole from '@/utils/useCurrentUserRole';
 import OutsideClickHandler from './OutsideClickHandler';
 
 
@@ -22,6 +23,7 @@ const Header = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isProfilePicClicked, setIsProfilePicClicked] = useState(false); // New state variable
   const { user, isAuthenticated, signOut } = useKindeBrowserClient();
+  const { isAdmin } = useCurrentUserRole();
   const dropdownRef = useRef(null);
   const profilePicRef = useRef(null);
 
@@ -38,7 +40,7 @@ const navLinks = [
   {
     href: '/admin',
     label: 'Admin',
-    requiredPermissions: ['delete:timesheet'],
+    adminOnly: true,
   },
   // {
   //   href: '/rota',
@@ -48,48 +50,8 @@ const navLinks = [
 ];
 
 
-{navLinks.map((link) => {
-  // Check if the link requires permissions and if the user has the required permissions
-  const hasPermission = link.requiredPermissions
-    ? link.requiredPermissions.every(permission => user?.permissions?.includes(permission))
-    : true;
-
-  if (isAuthenticated && hasPermission) {
-    return (
-      <li key={link.href}>
-        <Link
-          className={`text-zinc-500 ${
-            pathname === link.href ? 'font-bold' : ''
-          }`}
-          href={link.href}
-        >
-          {link.label}
-        </Link>
-      </li>
-    );
-  }
-
-  // For logged-out users, only display Home link
-  if (!isAuthenticated && link.href === '/') {
-    return (
-      <li key={link.href}>
-        <Link
-          className={`text-zinc-500 ${
-            pathname === link.href ? 'font-bold' : ''
-          }`}
-          href={link.href}
-        >
-          {link.label}
-        </Link>
-      </li>
-    );
-  }
-
-  return null;
-})}
-
-
-
+// The Admin link follows the stored role, which is what the admin pages check
+const visibleLinks = navLinks.filter((link) => !link.adminOnly || isAdmin);
 
   // Toggle dropdown menu for desktop
   const toggleDropdown = () => {
@@ -158,7 +120,7 @@ const navLinks = [
       {/* Desktop Menu */}
       <nav className='hidden md:flex md:items-center ml-auto'>
         <ul className='flex gap-x-5 items-center text-[14px]'>
-          {navLinks.map((link) => (
+          {visibleLinks.map((link) => (
             <li key={link.href}>
               <Link
                 className={`text-zinc-500 ${
@@ -320,7 +282,7 @@ const navLinks = [
             {/* Navigation Links */}
             <div className="mt-4 p-4 text-gray-800 flex-grow">
             <ul className='flex flex-col gap-y-4 py-4 px-4'>
-              {navLinks.map((link) => (
+              {visibleLinks.map((link) => (
                 <li key={link.href}>
                   <Link
                     className={`block text-lime-100 text-md py-3 px-4 rounded-lg hover:bg-slate-300 hover:shadow-lg transition duration-300 ${
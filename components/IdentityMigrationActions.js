@@ -0,0 +1,117 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+// Run the user id migration and, per reported name, merge or keep apart
+const IdentityMigrationActions = ({ conflict, users }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [userId, setUserId] = useState(conflict?.candidates[0]?.userId || '');
+  const router = useRouter();
+
+  const request = async (method, body, failureMessage) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/identity-migration', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        if (data.summary) {
+          alert(
+            `${data.summary.backfilled} records given a user id, ` +
+              `${data.summary.renamed} names refreshed, ` +
+              `${data.summary.conflicts} names need a decision.`
+          );
+        }
+        router.refresh();
+      } else {
+        alert(`Error: ${data.error || data.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert(failureMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!conflict) {
+    return (
+      <button
+        onClick={() => request('POST', null, 'Failed to run migration')}
+        disabled={isLoading}
+        className="px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm disabled:opacity-50"
+      >
+        {isLoading ? 'Running...' : 'Run migration'}
+      </button>
+    );
+  }
+
+  const handleMerge = () => {
+    const target =
+      conflict.candidates.find((c) => c.userId === userId)?.displayName ||
+      users.find((u) => u.userId === userId)?.name ||
+      userId;
+    if (!confirm(`Attach every "${conflict.username}" record to ${target}?`)) {
+      return;
+    }
+    request('PATCH', { id: conflict.id, action: 'merge', userId }, 'Failed to merge records');
+  };
+
+  const handleKeep = () => {
+    if (!confirm(`Keep the people called "${conflict.username}" as separate staff?`)) {
+      return;
+    }
+    request('PATCH', { id: conflict.id, action: 'keep' }, 'Failed to update conflict');
+  };
+
+  const otherUsers = users.filter(
+    (u) => !conflict.candidates.some((c) => c.userId === u.userId)
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={userId}
+        onChange={(e) => setUserId(e.target.value)}
+        aria-label="Attach records to"
+        className="border border-gray-300 rounded px-2 py-1 text-xs"
+      >
+        <option value="">Choose a user...</option>
+        {conflict.candidates.map((c) => (
+          <option key={c.userId} value={c.userId}>
+            {c.displayName || c.userId} ({c.records} records)
+          </option>
+        ))}
+        {otherUsers.map((u) => (
+          <option key={u.userId} value={u.userId}>
+            {u.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={handleMerge}
+        disabled={isLoading || !userId}
+        className="px-3 py-1 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs disabled:opacity-50"
+      >
+        Merge
+      </button>
+      {conflict.reason === 'several' && conflict.unkeyedRecords === 0 && (
+        <button
+          onClick={handleKeep}
+          disabled={isLoading}
+          className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded text-xs disabled:opacity-50"
+        >
+          Keep separate
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default IdentityMigrationActions;
@@ -0,0 +1,175 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import {
+  DEFAULT_ENTITLEMENT,
+  ENTITLEMENT_BASES,
+  LEAVE_UNITS,
+} from '@/utils/leaveEntitlementRules';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Admin editor for a staff member's annual leave entitlement
+const LeaveEntitlementForm = ({ userId, entitlement }) => {
+  const [form, setForm] = useState({
+    ...DEFAULT_ENTITLEMENT,
+    ...(entitlement || {}),
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const isAccrued = form.basis === 'accrued';
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/leave-entitlements', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userId, ...form }),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to save leave entitlement');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600">
+          Basis
+          <select value={form.basis} onChange={handleChange('basis')} className={inputClass}>
+            {Object.entries(ENTITLEMENT_BASES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Unit
+          <select
+            value={isAccrued ? 'hours' : form.unit}
+            onChange={handleChange('unit')}
+            disabled={isAccrued}
+            className={inputClass}
+          >
+            {Object.entries(LEAVE_UNITS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {!isAccrued && (
+          <label className="text-xs text-gray-600">
+            Full-time entitlement per leave year
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={form.entitlement}
+              onChange={handleChange('entitlement')}
+              className={inputClass}
+            />
+          </label>
+        )}
+        <label className="text-xs text-gray-600">
+          Leave year starts (MM-dd)
+          <input
+            type="text"
+            value={form.leaveYearStart}
+            onChange={handleChange('leaveYearStart')}
+            placeholder="04-01"
+            pattern="(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])"
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Carry-over cap
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={form.carryOverCap}
+            onChange={handleChange('carryOverCap')}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Hours per day of leave
+          <input
+            type="number"
+            min="0.5"
+            max="24"
+            step="0.25"
+            value={form.hoursPerDay}
+            onChange={handleChange('hoursPerDay')}
+            className={inputClass}
+          />
+        </label>
+        {!isAccrued && (
+          <>
+            <label className="text-xs text-gray-600 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={form.proRata}
+                onChange={handleChange('proRata')}
+              />
+              Pro-rata by contracted hours
+            </label>
+            {form.proRata && (
+              <label className="text-xs text-gray-600">
+                Full-time hours per week
+                <input
+                  type="number"
+                  min="1"
+                  max="168"
+                  step="0.25"
+                  value={form.fullTimeWeeklyHours}
+                  onChange={handleChange('fullTimeWeeklyHours')}
+                  className={inputClass}
+                />
+              </label>
+            )}
+          </>
+        )}
+      </div>
+
+      {isAccrued && (
+        <p className="text-xs text-gray-500">
+          Accrues 12.07% of the hours worked in the leave year, for zero-hour and bank staff.
+        </p>
+      )}
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save entitlement'}
+      </button>
+    </form>
+  );
+};
+
+export default LeaveEntitlementForm;
@@ -7,6 +7,7 @@ import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
+import { formatLeaveAmount, toLeaveUnit } from '@/utils/leaveEntitlementRules';
 
 const LeaveForm = ({ onSubmit, username }) => {
   const router = useRouter();
@@ -14,30 +15,100 @@ const LeaveForm = ({ onSubmit, username }) => {
     leaveType: '',
     startDate: new Date(),
     endDate: new Date(),
+    startHalfDay: false,
+    endHalfDay: false,
     reason: '',
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
   const [totalDays, setTotalDays] = useState(0);
+  const [skippedDays, setSkippedDays] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [balanceVersion, setBalanceVersion] = useState(0);
 
-  // Calculate total days when dates change
+  // The server counts the days from the rota or working pattern, leaving out days off and bank holidays
   useEffect(() => {
-    if (formData.startDate && formData.endDate && formData.endDate >= formData.startDate) {
-      const timeDiff = formData.endDate.getTime() - formData.startDate.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24)) + 1; // +1 to include both start and end dates
-      setTotalDays(daysDiff);
-    } else {
+    if (!formData.startDate || !formData.endDate || formData.endDate < formData.startDate) {
       setTotalDays(0);
+      setSkippedDays([]);
+      return;
     }
-  }, [formData.startDate, formData.endDate]);
+
+    const params = new URLSearchParams({
+      startDate: formData.startDate.toISOString().split('T')[0],
+      endDate: formData.endDate.toISOString().split('T')[0],
+      startHalfDay: formData.startHalfDay,
+      endHalfDay:
+        formData.endHalfDay &&
+        formData.startDate.toDateString() !== formData.endDate.toDateString(),
+    });
+    let cancelled = false;
+
+    const loadDuration = async () => {
+      let duration = { totalDays: 0, days: [] };
+      try {
+        const response = await fetch(`/api/leaves/duration?${params}`);
+        if (response.ok) {
+          duration = await response.json();
+        }
+      } catch (err) {
+        console.error('Failed to calculate leave duration:', err);
+      }
+      if (cancelled) return;
+      setTotalDays(duration.totalDays);
+      setSkippedDays(duration.days.filter((day) => day.amount === 0));
+    };
+
+    loadDuration();
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.startDate, formData.endDate, formData.startHalfDay, formData.endHalfDay]);
+
+  const isSingleDay =
+    formData.startDate &&
+    formData.endDate &&
+    formData.startDate.toDateString() === formData.endDate.toDateString();
+  const skippedBankHolidays = skippedDays.filter((day) => day.bankHoliday);
+  const skippedDaysOff = skippedDays.filter((day) => !day.bankHoliday);
+
+  // Annual leave comes out of the balance for the leave year the leave starts in
+  useEffect(() => {
+    if (formData.leaveType !== 'annual' || !formData.startDate) {
+      setBalance(null);
+      return;
+    }
+
+    const date = formData.startDate.toISOString().split('T')[0];
+    let cancelled = false;
+
+    const loadBalance = async () => {
+      try {
+        const response = await fetch(`/api/leave-balance?date=${date}`);
+        if (response.ok && !cancelled) {
+          setBalance((await response.json()).balance);
+        }
+      } catch (err) {
+        console.error('Failed to fetch leave balance:', err);
+      }
+    };
+
+    loadBalance();
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.leaveType, formData.startDate, balanceVersion]);
+
+  const requestedAmount = balance ? toLeaveUnit(balance, { days: totalDays }) : 0;
+  const exceedsBalance = balance && requestedAmount > balance.remaining;
 
   // Handle form field changes
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData((prevData) => ({
       ...prevData,
-      [name]: value,
+      [name]: type === 'checkbox' ? checked : value,
     }));
   };
 
@@ -81,6 +152,9 @@ const LeaveForm = ({ onSubmit, username }) => {
         leaveType: formData.leaveType,
         startDate: formData.startDate.toISOString().split('T')[0],
         endDate: formData.endDate.toISOString().split('T')[0],
+        // A one-day request has a single half-day option
+        startHalfDay: formData.startHalfDay,
+        endHalfDay: isSingleDay ? false : formData.endHalfDay,
         totalDays: totalDays,
         reason: formData.reason,
         isDraft: isDraft,
@@ -103,6 +177,8 @@ const LeaveForm = ({ onSubmit, username }) => {
           leaveType: '',
           startDate: new Date(),
           endDate: new Date(),
+          startHalfDay: false,
+          endHalfDay: false,
           reason: '',
         });
         setSuccessMessage(
@@ -110,6 +186,7 @@ const LeaveForm = ({ onSubmit, username }) => {
             ? 'Leave request saved as draft successfully!' 
             : 'Leave request submitted successfully!'
         );
+        setBalanceVersion((version) => version + 1);
         // Call router.refresh() to refresh the UI
         router.refresh();
         setTimeout(() => {
@@ -193,9 +270,63 @@ const LeaveForm = ({ onSubmit, username }) => {
         </div>
       </div>
 
+      <div className='flex flex-col sm:flex-row sm:space-x-4 text-sm text-gray-700'>
+        <label className='flex items-center gap-2'>
+          <input
+            type='checkbox'
+            name='startHalfDay'
+            checked={formData.startHalfDay}
+            onChange={handleChange}
+          />
+          {isSingleDay ? 'Half day only' : 'Start at midday'}
+        </label>
+        {!isSingleDay && (
+          <label className='flex items-center gap-2 mt-2 sm:mt-0'>
+            <input
+              type='checkbox'
+              name='endHalfDay'
+              checked={formData.endHalfDay}
+              onChange={handleChange}
+            />
+            Finish at midday
+          </label>
+        )}
+      </div>
+
       {totalDays > 0 && (
         <div className='text-sm text-gray-600 bg-gray-50 p-3 rounded-lg'>
           <strong>Total Days:</strong> {totalDays} day{totalDays !== 1 ? 's' : ''}
+          {skippedBankHolidays.length > 0 && (
+            <div className='text-xs text-gray-500 mt-1'>
+              Not counting{' '}
+              {skippedBankHolidays.map((day) => day.bankHoliday).join(', ')}
+            </div>
+          )}
+          {skippedDaysOff.length > 0 && (
+            <div className='text-xs text-gray-500 mt-1'>
+              Not counting {skippedDaysOff.length} day{skippedDaysOff.length !== 1 ? 's' : ''}{' '}
+              you are not due to work
+            </div>
+          )}
+        </div>
+      )}
+
+      {balance && (
+        <div
+          className={`text-sm p-3 rounded-lg ${
+            exceedsBalance ? 'bg-red-50 text-red-700' : 'bg-gray-50 text-gray-600'
+          }`}
+        >
+          <strong>Annual leave left:</strong>{' '}
+          {formatLeaveAmount(balance.remaining, balance.unit)}
+          {balance.pending > 0 &&
+            ` (after ${formatLeaveAmount(balance.pending, balance.unit)} waiting for approval)`}
+          {exceedsBalance && (
+            <div className='text-xs mt-1'>
+              This request is {formatLeaveAmount(requestedAmount, balance.unit)}, more than you
+              have left. It can be saved as a draft but not submitted.
+            </div>
+          )}
         </div>
       )}
 
@@ -3,10 +3,11 @@
 'use client';
 
 import { enGB } from 'date-fns/locale';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
+import { formatLeaveAmount, toLeaveUnit } from '@/utils/leaveEntitlementRules';
 
 const LeaveHoursForm = ({ onSubmit, username }) => {
   const router = useRouter();
@@ -19,6 +20,40 @@ const LeaveHoursForm = ({ onSubmit, username }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [balanceVersion, setBalanceVersion] = useState(0);
+
+  // Annual leave comes out of the balance for the leave year of the chosen date
+  useEffect(() => {
+    if (formData.leaveType !== 'annual' || !formData.date) {
+      setBalance(null);
+      return;
+    }
+
+    const date = formData.date.toISOString().split('T')[0];
+    let cancelled = false;
+
+    const loadBalance = async () => {
+      try {
+        const response = await fetch(`/api/leave-balance?date=${date}`);
+        if (response.ok && !cancelled) {
+          setBalance((await response.json()).balance);
+        }
+      } catch (err) {
+        console.error('Failed to fetch leave balance:', err);
+      }
+    };
+
+    loadBalance();
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.leaveType, formData.date, balanceVersion]);
+
+  const requestedAmount = balance
+    ? toLeaveUnit(balance, { hours: parseFloat(formData.hours) || 0 })
+    : 0;
+  const exceedsBalance = balance && requestedAmount > balance.remaining;
 
   // Handle form field changes
   const handleChange = (e) => {
@@ -90,6 +125,8 @@ const LeaveHoursForm = ({ onSubmit, username }) => {
         reason: '',
       });
 
+      setBalanceVersion((version) => version + 1);
+
       // Call onSubmit if provided
       if (onSubmit) {
         onSubmit(result);
@@ -176,6 +213,25 @@ const LeaveHoursForm = ({ onSubmit, username }) => {
           <p className="text-xs text-gray-500 mt-1">Enter hours as decimal (e.g., 4.5 for 4 hours 30 minutes)</p>
         </div>
 
+        {balance && (
+          <div
+            className={`text-sm p-3 rounded-md ${
+              exceedsBalance ? 'bg-red-50 text-red-700' : 'bg-gray-50 text-gray-600'
+            }`}
+          >
+            <strong>Annual leave left:</strong>{' '}
+            {formatLeaveAmount(balance.remaining, balance.unit)}
+            {balance.pending > 0 &&
+              ` (after ${formatLeaveAmount(balance.pending, balance.unit)} waiting for approval)`}
+            {exceedsBalance && (
+              <p className="text-xs mt-1">
+                This is {formatLeaveAmount(requestedAmount, balance.unit)}, more than you have
+                left. It can be saved as a draft but not submitted.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Reason */}
         <div>
           <label htmlFor="reason" className="block text-sm font-medium text-gray-700 mb-2">
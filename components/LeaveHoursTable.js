@@ -2,6 +2,9 @@
 
 import connectMongo from '@/db/connectMongo';
 import LeaveHours from '@/models/LeaveHours';
+import { getDisplayNameMap } from '@/utils/identityUtils';
+import { getLeaveBalanceMap } from '@/utils/leaveBalanceUtils';
+import { formatLeaveAmount } from '@/utils/leaveEntitlementRules';
 import ApprovalActions from './ApprovalActions';
 import StatusBadge from './StatusBadge';
 
@@ -35,6 +38,20 @@ const LeaveHoursTable = async ({ searchParams }) => {
       }
     ]
   }).sort({ date: -1 }).lean();
+
+  // Show each person's current name rather than the one stored on the record
+  const displayNames = await getDisplayNameMap(leaveHoursRecords.map((record) => record.userId));
+
+  // Annual leave left this leave year, for people with an entitlement
+  const balances = await getLeaveBalanceMap(
+    leaveHoursRecords
+      .filter((record) => record.leaveType === 'annual')
+      .map((record) => record.userId)
+  );
+  const formatBalance = (record) => {
+    const balance = record.leaveType === 'annual' && balances.get(record.userId);
+    return balance ? formatLeaveAmount(balance.remaining, balance.unit) : '-';
+  };
   
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-GB', {
@@ -98,6 +115,9 @@ const LeaveHoursTable = async ({ searchParams }) => {
             <th className="border border-gray-300 px-4 py-2 text-left text-sm font-semibold text-gray-900">
               Hours
             </th>
+            <th className="border border-gray-300 px-4 py-2 text-left text-sm font-semibold text-gray-900">
+              Balance
+            </th>
             <th className="border border-gray-300 px-4 py-2 text-left text-sm font-semibold text-gray-900">
               Reason
             </th>
@@ -116,7 +136,7 @@ const LeaveHoursTable = async ({ searchParams }) => {
           {leaveHoursRecords.map((entry) => (
             <tr key={entry._id} className="hover:bg-gray-50">
               <td className="border border-gray-300 px-4 py-2 text-sm text-gray-900">
-                {entry.userName}
+                {displayNames.get(entry.userId) || entry.userName}
               </td>
               <td className="border border-gray-300 px-4 py-2">
                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
@@ -131,6 +151,9 @@ const LeaveHoursTable = async ({ searchParams }) => {
               <td className="border border-gray-300 px-4 py-2 text-sm font-medium text-gray-900">
                 {formatHours(entry.hours)}
               </td>
+              <td className="border border-gray-300 px-4 py-2 text-sm text-gray-900">
+                {formatBalance(entry)}
+              </td>
               <td className="border border-gray-300 px-4 py-2 text-sm text-gray-500">
                 {entry.reason || 'N/A'}
               </td>
@@ -2,6 +2,9 @@
 
 import connectMongo from '@/db/connectMongo';
 import Leave from '@/models/Leave';
+import { getDisplayNameMap } from '@/utils/identityUtils';
+import { getLeaveBalanceMap } from '@/utils/leaveBalanceUtils';
+import { formatLeaveAmount } from '@/utils/leaveEntitlementRules';
 import ApprovalActions from './ApprovalActions';
 import StatusBadge from './StatusBadge';
 
@@ -24,6 +27,20 @@ const LeaveRequestsTable = async ({ searchParams }) => {
     ...queryFilter,
     isDraft: { $ne: true }
   }).sort({ createdAt: -1 }).lean();
+
+  // Show each person's current name rather than the one stored on the record
+  const displayNames = await getDisplayNameMap(leaveRequests.map((record) => record.userId));
+
+  // Annual leave left this leave year, for people with an entitlement
+  const balances = await getLeaveBalanceMap(
+    leaveRequests
+      .filter((record) => record.leaveType === 'annual')
+      .map((record) => record.userId)
+  );
+  const formatBalance = (record) => {
+    const balance = record.leaveType === 'annual' && balances.get(record.userId);
+    return balance ? formatLeaveAmount(balance.remaining, balance.unit) : '-';
+  };
   
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-GB', {
@@ -75,6 +92,9 @@ const LeaveRequestsTable = async ({ searchParams }) => {
             <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b">
               Days
             </th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b">
+              Balance
+            </th>
             <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b">
               Status
             </th>
@@ -90,7 +110,7 @@ const LeaveRequestsTable = async ({ searchParams }) => {
           {leaveRequests.map((leave) => (
             <tr key={leave._id} className="hover:bg-gray-50">
               <td className="px-4 py-3 text-sm font-medium text-gray-900">
-                {leave.username}
+                {displayNames.get(leave.userId) || leave.username}
               </td>
               <td className="px-4 py-3 text-sm">
                 <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
@@ -108,6 +128,9 @@ const LeaveRequestsTable = async ({ searchParams }) => {
               <td className="px-4 py-3 text-sm text-gray-900">
                 {leave.totalDays}
               </td>
+              <td className="px-4 py-3 text-sm text-gray-900">
+                {formatBalance(leave)}
+              </td>
               <td className="px-4 py-3 text-sm">
                 <StatusBadge status={leave.status} />
               </td>
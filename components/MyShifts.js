@@ -0,0 +1,103 @@
+// components/MyShifts.js
+
+'use client';
+import { useEffect, useState } from 'react';
+
+const formatShiftDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-GB', {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+  });
+
+const MyShifts = () => {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchShifts = async () => {
+      try {
+        const response = await fetch('/api/rota/mine', { cache: 'no-store' });
+        const result = await response.json();
+
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to fetch your shifts');
+        }
+
+        setData(result);
+      } catch (err) {
+        console.error('Error fetching shifts:', err);
+        setError('Failed to load your shifts.');
+      }
+    };
+
+    fetchShifts();
+  }, []);
+
+  if (error) {
+    return <p className='text-red-500 text-sm'>{error}</p>;
+  }
+
+  if (!data) {
+    return <div className='text-sm text-gray-500'>Loading...</div>;
+  }
+
+  if (!data.matched) {
+    return (
+      <div className='bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800'>
+        You are not listed on any rota yet. If your name is spelt differently on the
+        rota, ask an admin to add it to your rota names.
+      </div>
+    );
+  }
+
+  if (data.shifts.length === 0) {
+    return (
+      <p className='text-sm text-gray-500'>
+        No upcoming shifts on the rotas uploaded so far.
+      </p>
+    );
+  }
+
+  return (
+    <div className='overflow-x-auto'>
+      <table className='min-w-full divide-y divide-gray-200'>
+        <thead className='bg-gray-50'>
+          <tr>
+            {['Date', 'Shift', 'Time', 'Post', 'Rota'].map((header) => (
+              <th
+                key={header}
+                className='px-4 py-3 text-left text-sm font-semibold text-lime-700 uppercase tracking-wider border-b border-gray-200'
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className='bg-white divide-y divide-gray-200'>
+          {data.shifts.map((shift) => (
+            <tr key={`${shift.rotaId}-${shift.date}`} className='hover:bg-gray-100'>
+              <td className='px-4 py-2 whitespace-nowrap text-sm font-semibold text-slate-950'>
+                {formatShiftDate(shift.date)}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950'>
+                {shift.text}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950'>
+                {shift.start ? `${shift.start} - ${shift.end}` : '-'}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-950'>
+                {shift.post}
+              </td>
+              <td className='px-4 py-2 whitespace-nowrap text-sm text-slate-500'>
+                {shift.rotaName}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MyShifts;
@@ -0,0 +1,142 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { WEEKLY_BASES } from '@/utils/overtimeRules';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Admin editor for the overtime thresholds and night window
+const OvertimeRulesForm = ({ rules }) => {
+  const [form, setForm] = useState({
+    weeklyBasis: rules.weeklyBasis,
+    weeklyThresholdHours: rules.weeklyThresholdHours ?? '',
+    cycleThresholdHours: rules.cycleThresholdHours ?? '',
+    nightEnabled: rules.nightEnabled,
+    nightStart: rules.nightStart,
+    nightEnd: rules.nightEnd,
+  });
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/overtime-rules', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(form),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to save overtime rules');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600">
+          Weekly overtime starts after
+          <select
+            value={form.weeklyBasis}
+            onChange={handleChange('weeklyBasis')}
+            className={inputClass}
+          >
+            {Object.entries(WEEKLY_BASES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Weekly threshold (hours)
+          <input
+            type="number"
+            min="0"
+            max="168"
+            step="0.25"
+            value={form.weeklyThresholdHours}
+            onChange={handleChange('weeklyThresholdHours')}
+            placeholder="None"
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Per-cycle threshold (hours)
+          <input
+            type="number"
+            min="0"
+            max="672"
+            step="0.25"
+            value={form.cycleThresholdHours}
+            onChange={handleChange('cycleThresholdHours')}
+            placeholder="None"
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-2 text-xs text-gray-600 mb-2">
+          <input
+            type="checkbox"
+            checked={form.nightEnabled}
+            onChange={handleChange('nightEnabled')}
+          />
+          Pay hours worked in the night window as night hours
+        </label>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="text-xs text-gray-600">
+            Night starts
+            <input
+              type="time"
+              value={form.nightStart}
+              onChange={handleChange('nightStart')}
+              disabled={!form.nightEnabled}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Night ends
+            <input
+              type="time"
+              value={form.nightEnd}
+              onChange={handleChange('nightEnd')}
+              disabled={!form.nightEnabled}
+              className={inputClass}
+            />
+          </label>
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save rules'}
+      </button>
+    </form>
+  );
+};
+
+export default OvertimeRulesForm;
@@ -0,0 +1,193 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { ADJUSTMENT_CATEGORIES } from '@/utils/paymentCycleUtils';
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+const formatSignedMinutes = (totalMinutes) => {
+  const absolute = Math.abs(totalMinutes);
+  return `${totalMinutes < 0 ? '-' : '+'}${Math.floor(absolute / 60)}h ${absolute % 60}m`;
+};
+
+// Corrections recorded against a closed payroll period, plus a form to add one
+const PayrollAdjustments = ({ periodId, people, adjustments }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [form, setForm] = useState({
+    userId: people[0]?.userId || '',
+    direction: '1',
+    hours: '',
+    minutes: '',
+    category: 'work',
+    reason: '',
+  });
+  const router = useRouter();
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const request = async (method, body, failureMessage) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/payroll-adjustments', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (response.ok) {
+        router.refresh();
+        return true;
+      }
+
+      const error = await response.json();
+      alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+    } catch (error) {
+      alert(failureMessage);
+    } finally {
+      setIsLoading(false);
+    }
+    return false;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const minutes =
+      Number(form.direction) *
+      ((parseInt(form.hours, 10) || 0) * 60 + (parseInt(form.minutes, 10) || 0));
+
+    const saved = await request(
+      'POST',
+      {
+        periodId,
+        userId: form.userId,
+        minutes,
+        category: form.category,
+        reason: form.reason,
+      },
+      'Failed to record adjustment'
+    );
+
+    if (saved) {
+      setForm((prev) => ({ ...prev, hours: '', minutes: '', reason: '' }));
+    }
+  };
+
+  const handleDelete = (id) => {
+    if (!confirm('Remove this adjustment?')) {
+      return;
+    }
+    request('DELETE', { id }, 'Failed to remove adjustment');
+  };
+
+  return (
+    <div className="mt-3 space-y-3">
+      {adjustments.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded">
+          {adjustments.map((adjustment) => (
+            <li
+              key={adjustment.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 px-3 py-2 text-sm"
+            >
+              <span className="text-gray-900">
+                <span className="font-medium">{adjustment.username}</span>{' '}
+                {ADJUSTMENT_CATEGORIES[adjustment.category]}: {adjustment.reason}
+                <span className="block text-xs text-gray-500">
+                  By {adjustment.createdBy}, paid in the cycle from {formatDate(adjustment.payCycleStart)}
+                </span>
+              </span>
+              <span className="flex items-center gap-3">
+                <span className={adjustment.minutes < 0 ? 'text-red-600' : 'text-green-700'}>
+                  {formatSignedMinutes(adjustment.minutes)}
+                </span>
+                <button
+                  onClick={() => handleDelete(adjustment.id)}
+                  disabled={isLoading}
+                  className="text-xs text-red-700 hover:text-red-900 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2 text-sm">
+        <select
+          value={form.userId}
+          onChange={handleChange('userId')}
+          aria-label="Staff member"
+          className="border border-gray-300 rounded px-2 py-1 w-40"
+        >
+          {people.map(({ userId, username }) => (
+            <option key={userId} value={userId}>
+              {username}
+            </option>
+          ))}
+        </select>
+        <select
+          value={form.direction}
+          onChange={handleChange('direction')}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          <option value="1">Add</option>
+          <option value="-1">Deduct</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={form.hours}
+          onChange={handleChange('hours')}
+          placeholder="h"
+          className="border border-gray-300 rounded px-2 py-1 w-16"
+        />
+        <input
+          type="number"
+          min="0"
+          max="59"
+          value={form.minutes}
+          onChange={handleChange('minutes')}
+          placeholder="m"
+          className="border border-gray-300 rounded px-2 py-1 w-16"
+        />
+        <select
+          value={form.category}
+          onChange={handleChange('category')}
+          className="border border-gray-300 rounded px-2 py-1"
+        >
+          {Object.entries(ADJUSTMENT_CATEGORIES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={form.reason}
+          onChange={handleChange('reason')}
+          placeholder="Reason"
+          className="border border-gray-300 rounded px-2 py-1 flex-1 min-w-[10rem]"
+        />
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs disabled:opacity-50"
+        >
+          {isLoading ? 'Saving...' : 'Add adjustment'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PayrollAdjustments;
@@ -0,0 +1,40 @@
+'use client';
+
+import { useState } from 'react';
+import { listPayrollExportFormats } from '@/utils/payrollExportFormats';
+
+// Download the selected date range as a payroll software import
+const PayrollExportSelect = ({ startDate, endDate }) => {
+  const formats = listPayrollExportFormats();
+  const [format, setFormat] = useState(formats[0]?.key || '');
+
+  const query = new URLSearchParams({ format });
+  if (startDate) query.set('startDate', startDate);
+  if (endDate) query.set('endDate', endDate);
+
+  return (
+    <div className='flex items-center gap-1'>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label='Payroll export format'
+        className='border border-gray-300 rounded px-2 py-2 text-xs sm:text-sm'
+      >
+        {formats.map(({ key, label }) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <a
+        href={`/api/admin/payroll-export?${query.toString()}`}
+        className='px-4 py-2 bg-slate-700 hover:bg-slate-900 text-white rounded text-xs sm:text-sm'
+        download
+      >
+        Export CSV
+      </a>
+    </div>
+  );
+};
+
+export default PayrollExportSelect;
@@ -0,0 +1,119 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { PAY_ELEMENTS } from '@/utils/payrollExportFormats';
+
+// Pay-element codes and employee references for one payroll export format
+const PayrollExportSettings = ({ format, settings, staff }) => {
+  const [elementCodes, setElementCodes] = useState(settings.elementCodes);
+  const [references, setReferences] = useState(
+    Object.fromEntries(
+      settings.employeeReferences.map((entry) => [entry.userId, entry.reference])
+    )
+  );
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  // Saved references for people no longer listed stay editable
+  const people = [
+    ...staff,
+    ...settings.employeeReferences
+      .filter((entry) => entry.userId && !staff.some((s) => s.userId === entry.userId))
+      .map((entry) => ({ userId: entry.userId, name: entry.username })),
+  ].sort((a, b) => a.name.localeCompare(b.name));
+
+  const handleSave = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/payroll-export-settings', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          format,
+          elementCodes,
+          employeeReferences: people.map(({ userId, name }) => ({
+            userId,
+            username: name,
+            reference: references[userId] || '',
+          })),
+        }),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to save payroll export settings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+          Pay element codes
+        </h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          {Object.entries(PAY_ELEMENTS).map(([element, label]) => (
+            <label key={element} className="text-xs text-gray-600">
+              {label}
+              <input
+                type="text"
+                value={elementCodes[element] || ''}
+                onChange={(e) =>
+                  setElementCodes((prev) => ({ ...prev, [element]: e.target.value }))
+                }
+                className="block w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-2">
+          Employee references
+        </h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Leave blank to use the payroll number from the staff profile. Staff with neither are exported by
+          name, which the payroll import will not match.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1">
+          {people.map(({ userId, name }) => (
+            <label key={userId} className="flex items-center justify-between gap-2 text-sm">
+              <span className={references[userId] ? 'text-gray-900' : 'text-yellow-700'}>
+                {name}
+              </span>
+              <input
+                type="text"
+                value={references[userId] || ''}
+                onChange={(e) =>
+                  setReferences((prev) => ({ ...prev, [userId]: e.target.value }))
+                }
+                className="border border-gray-300 rounded-md px-2 py-1 text-xs w-32"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={handleSave}
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save'}
+      </button>
+    </div>
+  );
+};
+
+export default PayrollExportSettings;
@@ -0,0 +1,80 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const PayrollPeriodActions = ({ id, status, date, canClose }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const send = async (method, body, failureMessage) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/payroll-periods', {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert(failureMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!confirm('Close this payroll period? Timesheets, leave hours and training inside it will be locked.')) {
+      return;
+    }
+    send('POST', { date }, 'Failed to close payroll period');
+  };
+
+  const handleReopen = () => {
+    const reason = prompt('Why does this payroll period need reopening?');
+    if (reason === null) {
+      return;
+    }
+    if (!reason.trim()) {
+      alert('Please provide a reason for reopening');
+      return;
+    }
+    send('PATCH', { id, reason }, 'Failed to reopen payroll period');
+  };
+
+  if (status === 'closed') {
+    return (
+      <button
+        onClick={handleReopen}
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Reopen'}
+      </button>
+    );
+  }
+
+  if (!canClose) {
+    return <span className="text-xs text-gray-500">In progress</span>;
+  }
+
+  return (
+    <button
+      onClick={handleClose}
+      disabled={isLoading}
+      className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+    >
+      {isLoading ? 'Saving...' : status === 'reopened' ? 'Close again' : 'Close period'}
+    </button>
+  );
+};
+
+export default PayrollPeriodActions;
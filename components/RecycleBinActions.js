@@ -0,0 +1,85 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const send = async (method, body) => {
+  const response = await fetch('/api/admin/recycle-bin', {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+    return false;
+  }
+  return true;
+};
+
+// Restore one deleted record
+export const RestoreButton = ({ type, id }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handleRestore = async () => {
+    setIsLoading(true);
+    try {
+      if (await send('POST', { type, id })) {
+        // Trigger refresh notification for user timesheet pages
+        localStorage.setItem('timesheetDataUpdated', Date.now().toString());
+        router.refresh();
+      }
+    } catch (error) {
+      alert('Failed to restore record');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleRestore}
+      disabled={isLoading}
+      className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+    >
+      {isLoading ? 'Restoring...' : 'Restore'}
+    </button>
+  );
+};
+
+// Purge everything past the retention period straight away
+export const PurgeExpiredButton = ({ retentionDays }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handlePurge = async () => {
+    if (!confirm(`Permanently remove everything deleted more than ${retentionDays} days ago? This cannot be undone.`)) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      if (await send('DELETE')) {
+        router.refresh();
+      }
+    } catch (error) {
+      alert('Failed to purge recycle bin');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handlePurge}
+      disabled={isLoading}
+      className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+    >
+      {isLoading ? 'Purging...' : 'Purge expired now'}
+    </button>
+  );
+};
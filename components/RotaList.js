@@ -1,16 +1,17 @@
 'use client';
 
-import { useKindeBrowserClient } from '@kinde-oss/kinde-auth-nextjs';
 import Link from 'next/link';
 import { useEffect, useState } from 'react';
+import useCurrentUserRole from '@/utils/useCurrentUserRole';
 
 export default function RotaList({ shouldRefresh }) {
   const [rotas, setRotas] = useState([]);
   const [error, setError] = useState(null);
-  const [isAdmin, setIsAdmin] = useState(false);
-  const { getPermission, isLoading } = useKindeBrowserClient();
+  const { isAdmin, isLoading } = useCurrentUserRole();
 
   useEffect(() => {
+    if (isLoading) return;
+
     const fetchRotas = async () => {
       try {
         const response = await fetch(`/api/rota/list?isAdmin=${isAdmin}`, {
@@ -29,7 +30,7 @@ export default function RotaList({ shouldRefresh }) {
     };
 
     fetchRotas();
-  }, [shouldRefresh, isAdmin]);
+  }, [shouldRefresh, isAdmin, isLoading]);
 
   async function handleDelete(id) {
     try {
@@ -52,13 +53,6 @@ export default function RotaList({ shouldRefresh }) {
     }
   }
 
-  useEffect(() => {
-    if (!isLoading) {
-      const havePermission = getPermission('delete:timesheet');
-      setIsAdmin(havePermission?.isGranted);
-    }
-  }, [getPermission, isLoading]);
-
   if (isLoading) return <div>Loading...</div>;
 
   return (
@@ -0,0 +1,58 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+// Comma-separated list of the other names a user appears under on rotas
+const RotaNameAliases = ({ id, rotaNames }) => {
+  const [value, setValue] = useState(rotaNames.join(', '));
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const isChanged = value !== rotaNames.join(', ');
+
+  const handleSave = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/users', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id, rotaNames: value.split(',') }),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to update rota names');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder="e.g. Abu D, A. Daud"
+        className="border border-gray-300 rounded-md px-2 py-1 text-xs w-48"
+      />
+      <button
+        onClick={handleSave}
+        disabled={isLoading || !isChanged}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save'}
+      </button>
+    </div>
+  );
+};
+
+export default RotaNameAliases;
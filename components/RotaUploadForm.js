@@ -3,34 +3,265 @@
 'use client';
 
 import { useState } from 'react';
+import { ROTA_COLUMNS, ROTA_FILE_ACCEPT } from '@/utils/rotaUtils';
+
+const FIELD_LABELS = {
+  staff: 'Staff',
+  post: 'Post',
+  monday: 'Monday',
+  tuesday: 'Tuesday',
+  wednesday: 'Wednesday',
+  thursday: 'Thursday',
+  friday: 'Friday',
+  saturday: 'Saturday',
+  sunday: 'Sunday',
+};
 
 export default function RotaUploadForm({ onSubmit, isSubmitting }) {
   const [file, setFile] = useState(null);
   const [name, setName] = useState('');
   const [weekStart, setWeekStart] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [templateName, setTemplateName] = useState('');
+  const [isPreviewing, setIsPreviewing] = useState(false);
 
   function handleFileChange(event) {
     setFile(event.target.files[0]);
+    setPreview(null);
+  }
+
+  // Step one: read the file and let the server suggest a sheet and column mapping
+  async function loadPreview(options = {}) {
+    setIsPreviewing(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          formData.append(key, value);
+        }
+      });
+
+      const response = await fetch('/api/rota/preview', {
+        method: 'POST',
+        body: formData,
+        cache: 'no-cache',
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        alert(`Error: ${result.error || 'Could not read the file'}`);
+        return;
+      }
+
+      setPreview(result);
+      setMapping(result.mapping);
+      const template = result.templates.find((t) => t.id === result.templateId);
+      setTemplateName(template?.name || 'Default');
+    } catch (error) {
+      alert('Failed to read the rota file');
+    } finally {
+      setIsPreviewing(false);
+    }
   }
 
-  function handleSubmit(event) {
+  function handlePreview(event) {
     event.preventDefault();
     if (!file || !name || !weekStart) {
       alert('Please fill out all fields before submitting.');
       return;
     }
 
+    loadPreview();
+  }
+
+  function handleMappingChange(field, value) {
+    setMapping((prev) => ({ ...prev, [field]: Number(value) }));
+  }
+
+  // Step two: save the rota with the confirmed mapping
+  async function handleConfirm() {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('name', name);
     formData.append('weekStart', weekStart);
+    formData.append('sheetIndex', preview.sheetIndex);
+    formData.append('sheetName', preview.sheets[preview.sheetIndex].name);
+    formData.append('headerRow', preview.headerRow);
+    formData.append('mapping', JSON.stringify(mapping));
+    formData.append('templateName', templateName);
+
+    const saved = await onSubmit(formData);
+    if (saved) {
+      setPreview(null);
+      setFile(null);
+      setName('');
+      setWeekStart('');
+    }
+  }
+
+  const columnLabel = (header, index) =>
+    `Column ${index + 1}${header ? `: ${header}` : ''}`;
 
-    onSubmit(formData);
+  if (preview) {
+    return (
+      <div className='bg-white shadow-lg rounded-lg p-6 max-w-4xl mx-auto space-y-4'>
+        <div className='flex flex-col sm:flex-row sm:items-end gap-4'>
+          <div className='flex flex-col'>
+            <label htmlFor='sheet' className='text-sm font-medium text-gray-600 mb-1'>
+              {preview.format === 'docx' ? 'Table' : 'Sheet'}
+            </label>
+            <select
+              id='sheet'
+              value={preview.sheetIndex}
+              onChange={(e) => loadPreview({ sheetIndex: e.target.value })}
+              className='border border-gray-300 rounded-lg p-2 text-gray-800'
+            >
+              {preview.sheets.map((sheet) => (
+                <option key={sheet.index} value={sheet.index}>
+                  {sheet.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className='flex flex-col'>
+            <label htmlFor='headerRow' className='text-sm font-medium text-gray-600 mb-1'>
+              Header row
+            </label>
+            <input
+              id='headerRow'
+              type='number'
+              min='1'
+              defaultValue={preview.headerRow}
+              key={`${preview.sheetIndex}-${preview.headerRow}`}
+              onBlur={(e) => {
+                if (Number(e.target.value) !== preview.headerRow) {
+                  loadPreview({ sheetIndex: preview.sheetIndex, headerRow: e.target.value });
+                }
+              }}
+              className='border border-gray-300 rounded-lg p-2 text-gray-800 w-24'
+            />
+          </div>
+          {preview.templates.length > 0 && (
+            <div className='flex flex-col'>
+              <label htmlFor='template' className='text-sm font-medium text-gray-600 mb-1'>
+                Saved layout
+              </label>
+              <select
+                id='template'
+                value={preview.templateId || ''}
+                onChange={(e) => {
+                  if (e.target.value) {
+                    loadPreview({ templateId: e.target.value });
+                  } else {
+                    setPreview({ ...preview, templateId: null });
+                    setMapping(preview.detectedMapping);
+                  }
+                }}
+                className='border border-gray-300 rounded-lg p-2 text-gray-800'
+              >
+                <option value=''>Auto-detected</option>
+                {preview.templates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <div className='grid grid-cols-2 sm:grid-cols-3 gap-3'>
+          {ROTA_COLUMNS.map((field) => (
+            <div key={field} className='flex flex-col'>
+              <label htmlFor={`map-${field}`} className='text-xs font-medium text-gray-600 mb-1'>
+                {FIELD_LABELS[field]}
+              </label>
+              <select
+                id={`map-${field}`}
+                value={mapping[field] || 0}
+                onChange={(e) => handleMappingChange(field, e.target.value)}
+                className='border border-gray-300 rounded p-2 text-sm text-gray-800'
+              >
+                <option value={0}>Not in sheet</option>
+                {preview.headers.map((header, index) => (
+                  <option key={index} value={index + 1}>
+                    {columnLabel(header, index)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className='overflow-x-auto'>
+          <table className='min-w-full divide-y divide-gray-200 text-xs'>
+            <thead className='bg-gray-50'>
+              <tr>
+                {ROTA_COLUMNS.map((field) => (
+                  <th key={field} className='px-2 py-2 text-left font-medium text-gray-500 uppercase'>
+                    {FIELD_LABELS[field]}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className='divide-y divide-gray-200'>
+              {preview.rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {ROTA_COLUMNS.map((field) => (
+                    <td key={field} className='px-2 py-1 text-gray-800 whitespace-nowrap'>
+                      {mapping[field] ? row[mapping[field] - 1] : ''}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className='text-xs text-gray-500 mt-1'>
+            Showing the first {preview.rows.length} rows after the header.
+          </p>
+        </div>
+
+        <div className='flex flex-col sm:flex-row sm:items-end gap-4'>
+          <div className='flex flex-col flex-1'>
+            <label htmlFor='templateName' className='text-sm font-medium text-gray-600 mb-1'>
+              Remember this layout as
+            </label>
+            <input
+              id='templateName'
+              type='text'
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              className='border border-gray-300 rounded-lg p-2 text-gray-800'
+            />
+          </div>
+          <button
+            type='button'
+            onClick={() => setPreview(null)}
+            disabled={isSubmitting}
+            className='bg-gray-200 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-300'
+          >
+            Back
+          </button>
+          <button
+            type='button'
+            onClick={handleConfirm}
+            disabled={isSubmitting || isPreviewing}
+            className={`bg-slate-700 text-white px-4 py-2 rounded-lg hover:bg-lime-900 transition-colors duration-300 ${
+              isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            {isSubmitting ? 'Uploading...' : 'Confirm upload'}
+          </button>
+        </div>
+      </div>
+    );
   }
 
   return (
     <form
-      onSubmit={handleSubmit}
+      onSubmit={handlePreview}
       className='bg-white shadow-lg rounded-lg p-6 grid grid-cols-1 md:grid-cols-3 gap-4 max-w-4xl mx-auto'
     >
       {/* <input type='hidden' name='uploadedBy' value='{USER_ID}' /> */}
@@ -78,7 +309,7 @@ export default function RotaUploadForm({ onSubmit, isSubmitting }) {
         <input
           id='fileUpload'
           type='file'
-          accept='.xls,.xlsx'
+          accept={ROTA_FILE_ACCEPT}
           onChange={handleFileChange}
           className='border border-gray-300 rounded-lg p-3 text-gray-800 file:py-2 file:px-3 file:border-0 file:bg-blue-50 file:text-blue-700 file:font-medium file:rounded-lg hover:file:bg-blue-100'
         />
@@ -86,12 +317,12 @@ export default function RotaUploadForm({ onSubmit, isSubmitting }) {
 
       <button
         type='submit'
-        disabled={isSubmitting}
+        disabled={isPreviewing}
         className={`col-span-full bg-slate-700 text-white p-3 rounded-lg hover:bg-lime-900 transition-colors duration-300 ${
-          isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+          isPreviewing ? 'opacity-50 cursor-not-allowed' : ''
         }`}
       >
-        {isSubmitting ? 'Uploading...' : 'Upload'}
+        {isPreviewing ? 'Reading file...' : 'Preview'}
       </button>
     </form>
   );
@@ -0,0 +1,157 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { SHIFT_TYPES, WORKING_SHIFT_TYPES } from '@/utils/rotaUtils';
+
+const EMPTY_CODE = { code: '', description: '', type: 'shift', start: '', end: '' };
+
+const inputClass =
+  'border border-gray-300 rounded px-2 py-1 text-sm w-full focus:outline-none focus:ring-2 focus:ring-slate-500';
+
+const ShiftCodeRow = ({ shiftCode, onSave, onDelete, isSaving, isNew }) => {
+  const [values, setValues] = useState(shiftCode);
+  const needsTimes = WORKING_SHIFT_TYPES.includes(values.type);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    const saved = await onSave(values);
+    if (saved && isNew) {
+      setValues(EMPTY_CODE);
+    }
+  };
+
+  return (
+    <tr className='hover:bg-gray-50'>
+      <td className='px-3 py-2'>
+        <input name='code' value={values.code} onChange={handleChange} className={`${inputClass} uppercase`} placeholder='e.g. LD' />
+      </td>
+      <td className='px-3 py-2'>
+        <input name='description' value={values.description} onChange={handleChange} className={inputClass} placeholder='Description' />
+      </td>
+      <td className='px-3 py-2'>
+        <select name='type' value={values.type} onChange={handleChange} className={inputClass}>
+          {SHIFT_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className='px-3 py-2'>
+        <input type='time' name='start' value={values.start} onChange={handleChange} disabled={!needsTimes} className={inputClass} />
+      </td>
+      <td className='px-3 py-2'>
+        <input type='time' name='end' value={values.end} onChange={handleChange} disabled={!needsTimes} className={inputClass} />
+      </td>
+      <td className='px-3 py-2 whitespace-nowrap'>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className='px-3 py-1 mr-2 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50'
+        >
+          {isNew ? 'Add' : 'Save'}
+        </button>
+        {!isNew && (
+          <button
+            onClick={() => onDelete(shiftCode)}
+            disabled={isSaving}
+            className='px-3 py-1 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50'
+          >
+            Delete
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+const ShiftCodeTable = ({ shiftCodes }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const router = useRouter();
+
+  const request = async (method, url, body) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      if (response.ok) {
+        router.refresh();
+        return true;
+      }
+
+      const error = await response.json();
+      alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      return false;
+    } catch (error) {
+      alert('Failed to save shift code');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = (values) => {
+    const body = WORKING_SHIFT_TYPES.includes(values.type)
+      ? values
+      : { ...values, start: '', end: '' };
+    return values._id
+      ? request('PATCH', '/api/admin/shift-codes', { ...body, id: values._id })
+      : request('POST', '/api/admin/shift-codes', body);
+  };
+
+  const handleDelete = (shiftCode) => {
+    if (!confirm(`Delete shift code ${shiftCode.code}? Rotas already uploaded are not changed.`)) {
+      return;
+    }
+    request('DELETE', `/api/admin/shift-codes?id=${shiftCode._id}`);
+  };
+
+  return (
+    <div className='overflow-x-auto'>
+      <table className='min-w-full bg-white border border-gray-200 rounded-lg'>
+        <thead className='bg-gray-50'>
+          <tr>
+            {['Code', 'Description', 'Type', 'Start', 'End', 'Actions'].map((header) => (
+              <th
+                key={header}
+                className='px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b'
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className='divide-y divide-gray-200'>
+          {shiftCodes.map((shiftCode) => (
+            <ShiftCodeRow
+              key={`${shiftCode._id}-${shiftCode.updatedAt}`}
+              shiftCode={shiftCode}
+              onSave={handleSave}
+              onDelete={handleDelete}
+              isSaving={isSaving}
+            />
+          ))}
+          <ShiftCodeRow
+            shiftCode={EMPTY_CODE}
+            onSave={handleSave}
+            isSaving={isSaving}
+            isNew
+          />
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ShiftCodeTable;
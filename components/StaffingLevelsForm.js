@@ -0,0 +1,104 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const inputClass = 'block w-full border border-gray-300 rounded-md px-2 py-1 text-sm';
+
+// Admin editor for the fewest staff each post needs working on a day
+const StaffingLevelsForm = ({ posts }) => {
+  const [minimums, setMinimums] = useState(
+    Object.fromEntries(posts.map((entry) => [entry.post, entry.minimum ?? '']))
+  );
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/staffing-levels', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          minimums: Object.entries(minimums).map(([post, minimum]) => ({ post, minimum })),
+        }),
+      });
+
+      if (response.ok) {
+        router.refresh();
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to save staffing levels');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (posts.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No posts yet. Set a job post on each employee profile first.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <table className="min-w-full bg-white border border-gray-200">
+        <thead className="bg-gray-100">
+          <tr>
+            {['Post', 'Staff', 'Minimum working per day'].map((header) => (
+              <th
+                key={header}
+                className="border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800"
+              >
+                {header}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {posts.map((entry) => (
+            <tr key={entry.post} className="hover:bg-gray-50">
+              <td className="border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700 font-semibold">
+                {entry.post}
+              </td>
+              <td className="border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700">
+                {entry.headcount}
+              </td>
+              <td className="border border-gray-300 px-2 py-1">
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={minimums[entry.post]}
+                  onChange={(e) =>
+                    setMinimums((prev) => ({ ...prev, [entry.post]: e.target.value }))
+                  }
+                  placeholder="No minimum"
+                  className={inputClass}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white bg-slate-700 hover:bg-slate-900 disabled:opacity-50"
+      >
+        {isLoading ? 'Saving...' : 'Save staffing levels'}
+      </button>
+    </form>
+  );
+};
+
+export default StaffingLevelsForm;
@@ -0,0 +1,108 @@
+//components/TimesheetApprovalsTable.js
+
+import { calculateMinutesWorked } from '@/utils/dateUtils';
+import { getPendingTimesheetWeeks } from '@/utils/timesheetApprovalUtils';
+import ApprovalActions from './ApprovalActions';
+import ApproveWeekButton from './ApproveWeekButton';
+
+const TimesheetApprovalsTable = async ({ searchParams }) => {
+  const { startDate, endDate } = searchParams || {};
+
+  let dateFilter;
+  if (startDate) {
+    dateFilter = { $gte: new Date(startDate) };
+  }
+  if (endDate) {
+    dateFilter = { ...dateFilter, $lte: new Date(endDate) };
+  }
+
+  const weeks = await getPendingTimesheetWeeks(dateFilter);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatMinutes = (minutes) => `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+
+  if (weeks.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+        </svg>
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to approve</h3>
+        <p className="mt-1 text-sm text-gray-500">No submitted timesheets are waiting for approval.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {weeks.map((week) => {
+        const totalMinutes = week.timesheets.reduce(
+          (sum, ts) => sum + calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes),
+          0
+        );
+
+        return (
+          <div key={`${week.userId}-${week.weekStart}`} className="overflow-x-auto">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-900">
+                {week.name} &middot; week of {formatDate(week.weekStart)} &middot; {formatMinutes(totalMinutes)}
+              </h3>
+              <ApproveWeekButton
+                userId={week.userId}
+                date={week.weekStart}
+                count={week.timesheets.length}
+              />
+            </div>
+            <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Date', 'Start', 'End', 'Break', 'Hours', 'Actions'].map((header) => (
+                    <th
+                      key={header}
+                      className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider border-b"
+                    >
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {week.timesheets.map((timesheet) => (
+                  <tr key={timesheet._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {formatDate(timesheet.date)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{timesheet.start}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{timesheet.end}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">{timesheet.breakMinutes || 0} min</td>
+                    <td className="px-4 py-3 text-sm text-gray-900 font-medium">
+                      {formatMinutes(
+                        calculateMinutesWorked(timesheet.start, timesheet.end, timesheet.breakMinutes)
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <ApprovalActions
+                        id={timesheet._id.toString()}
+                        status={timesheet.status}
+                        type="timesheets"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TimesheetApprovalsTable;
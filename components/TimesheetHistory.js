@@ -0,0 +1,119 @@
+// components/TimesheetHistory.js
+
+'use client';
+
+import { useState } from 'react';
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// "History" button that opens every saved version of an edited timesheet entry
+const TimesheetHistory = ({ id }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+
+  const handleOpen = async () => {
+    setIsOpen(true);
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/timesheet-history/${id}`, { cache: 'no-store' });
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch timesheet history');
+      }
+      const data = await response.json();
+      setRevisions(data.revisions);
+    } catch (error) {
+      console.error('Failed to fetch timesheet history:', error);
+      alert(`Error: ${error.message || 'Unknown error occurred'}`);
+      setIsOpen(false);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={handleOpen}
+        className='px-2 py-0.5 bg-slate-700 text-xs text-white rounded hover:bg-blue-800'
+      >
+        History
+      </button>
+
+      {isOpen && (
+        <div className='fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50'>
+          <div className='relative top-20 mx-auto p-5 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white'>
+            <div className='flex items-center justify-between mb-4'>
+              <h3 className='text-lg font-medium text-gray-900'>Edit History</h3>
+              <button onClick={() => setIsOpen(false)} className='text-gray-400 hover:text-gray-600'>
+                <svg className='w-6 h-6' fill='none' stroke='currentColor' viewBox='0 0 24 24'>
+                  <path strokeLinecap='round' strokeLinejoin='round' strokeWidth={2} d='M6 18L18 6M6 6l12 12' />
+                </svg>
+              </button>
+            </div>
+
+            {isLoading ? (
+              <p className='text-sm text-gray-500'>Loading history...</p>
+            ) : revisions.length === 0 ? (
+              <p className='text-sm text-gray-500'>This entry has not been changed since it was submitted.</p>
+            ) : (
+              <div className='overflow-x-auto'>
+                <table className='min-w-full bg-white border border-gray-200'>
+                  <thead className='bg-gray-100'>
+                    <tr>
+                      {['Version', 'Start', 'End', 'Break', 'Saved by', 'When', 'Reason'].map((header) => (
+                        <th
+                          key={header}
+                          className='border border-gray-300 px-2 py-1 text-left text-xs sm:text-sm font-semibold text-lime-800'
+                        >
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {revisions.map((revision) => (
+                      <tr key={revision._id} className='hover:bg-gray-50'>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {revision.revision}
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {revision.start}
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {revision.end}
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {revision.breakMinutes} min
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {revision.editedBy || '-'}
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-700'>
+                          {formatDateTime(revision.createdAt)}
+                        </td>
+                        <td className='border border-gray-300 px-2 py-1 text-xs sm:text-sm text-slate-500'>
+                          {revision.reason || '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default TimesheetHistory;
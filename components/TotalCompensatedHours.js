@@ -3,8 +3,9 @@
 'use client';
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { calculateMinutesWorked, convertMinutesToHours } from '@/utils/dateUtils';
+import { ADJUSTMENT_CATEGORIES } from '@/utils/paymentCycleUtils';
 
-const TotalCompensatedHours = ({ username }) => {
+const TotalCompensatedHours = ({ userId }) => {
   const [isVisible, setIsVisible] = useState(false);
   const [compensatedHours, setCompensatedHours] = useState({
     workHours: { hours: 0, minutes: 0 },
@@ -12,6 +13,7 @@ const TotalCompensatedHours = ({ username }) => {
     trainingHours: { hours: 0, minutes: 0 },
     totalHours: { hours: 0, minutes: 0 }
   });
+  const [adjustments, setAdjustments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [cycleInfo, setCycleInfo] = useState(null);
   const isMountedRef = useRef(true);
@@ -55,7 +57,7 @@ const TotalCompensatedHours = ({ username }) => {
       
       // Fetch work hours (timesheets)
       const timesheetsRes = await fetch(
-        `/api/timesheets?username=${username}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}&limit=1000`
+        `/api/timesheets?userId=${userId}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}&limit=1000`
       );
       
       let workMinutes = 0;
@@ -63,13 +65,13 @@ const TotalCompensatedHours = ({ username }) => {
         const timesheetsData = await timesheetsRes.json();
         const timesheets = timesheetsData.timesheets || [];
         workMinutes = timesheets.reduce((total, timesheet) => {
-          return total + calculateMinutesWorked(timesheet.start, timesheet.end);
+          return total + calculateMinutesWorked(timesheet.start, timesheet.end, timesheet.breakMinutes);
         }, 0);
       }
       
       // Fetch approved leave hours
       const leaveHoursRes = await fetch(
-        `/api/leave-hours?includeDrafts=false&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/leave-hours?includeDrafts=false&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       
       let leaveMinutes = 0;
@@ -85,7 +87,7 @@ const TotalCompensatedHours = ({ username }) => {
       
       // Fetch approved training hours
       const trainingRes = await fetch(
-        `/api/training?includeDrafts=false&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/training?includeDrafts=false&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       
       let trainingMinutes = 0;
@@ -99,15 +101,34 @@ const TotalCompensatedHours = ({ username }) => {
         }, 0);
       }
       
+      // Corrections to earlier closed periods, paid in this cycle
+      const adjustmentsRes = await fetch(
+        `/api/payroll-adjustments?userId=${userId}&date=${startDate}`
+      );
+
+      let cycleAdjustments = [];
+      if (adjustmentsRes.ok) {
+        const adjustmentsData = await adjustmentsRes.json();
+        cycleAdjustments = adjustmentsData.adjustments || [];
+      }
+      const adjustmentMinutes = cycleAdjustments.reduce(
+        (total, adjustment) => total + adjustment.minutes,
+        0
+      );
+      setAdjustments(cycleAdjustments);
+
       // Check if user has any submitted leave or training hours (to determine visibility)
-      const hasSubmittedData = await checkForSubmittedData(startDate, endDate);
+      const hasSubmittedData =
+        cycleAdjustments.length > 0 || (await checkForSubmittedData(startDate, endDate));
       
       if (hasSubmittedData) {
         // Convert minutes to hours and minutes format
         const workTime = convertMinutesToHours(workMinutes);
         const leaveTime = convertMinutesToHours(leaveMinutes);
         const trainingTime = convertMinutesToHours(trainingMinutes);
-        const totalTime = convertMinutesToHours(workMinutes + leaveMinutes + trainingMinutes);
+        const totalTime = convertMinutesToHours(
+          Math.max(0, workMinutes + leaveMinutes + trainingMinutes + adjustmentMinutes)
+        );
         
         setCompensatedHours({
           workHours: workTime,
@@ -125,13 +146,13 @@ const TotalCompensatedHours = ({ username }) => {
     } finally {
       setLoading(false);
     }
-  }, [username]);
+  }, [userId]);
   
   const checkForSubmittedData = async (startDate, endDate) => {
     try {
       // Check for any submitted (non-draft) leave hours
       const leaveHoursRes = await fetch(
-        `/api/leave-hours?includeDrafts=true&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/leave-hours?includeDrafts=true&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       
       if (leaveHoursRes.ok) {
@@ -144,7 +165,7 @@ const TotalCompensatedHours = ({ username }) => {
       
       // Check for any submitted (non-draft) training hours
       const trainingRes = await fetch(
-        `/api/training?includeDrafts=true&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/training?includeDrafts=true&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       
       if (trainingRes.ok) {
@@ -292,6 +313,29 @@ const TotalCompensatedHours = ({ username }) => {
         </div>
       </div>
       
+      {adjustments.length > 0 && (
+        <div className="mt-3 border-t border-green-200 pt-3">
+          <div className="text-xs font-semibold text-gray-700 mb-1">
+            Adjustments (included in total)
+          </div>
+          <ul className="space-y-1">
+            {adjustments.map((adjustment) => {
+              const { hours, minutes } = convertMinutesToHours(Math.abs(adjustment.minutes));
+              return (
+                <li key={adjustment._id} className="flex justify-between text-xs text-gray-600">
+                  <span>
+                    {ADJUSTMENT_CATEGORIES[adjustment.category]}: {adjustment.reason}
+                  </span>
+                  <span className={adjustment.minutes < 0 ? 'text-red-600' : 'text-green-700'}>
+                    {adjustment.minutes < 0 ? '-' : '+'}{formatTime(hours, minutes)}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       {cycleInfo?.message && (
         <p className="text-xs text-gray-500 text-center mt-3">
           {cycleInfo.message}
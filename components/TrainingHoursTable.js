@@ -2,6 +2,7 @@
 
 import connectMongo from '@/db/connectMongo';
 import Training from '@/models/Training';
+import { getDisplayNameMap } from '@/utils/identityUtils';
 import ApprovalActions from './ApprovalActions';
 import StatusBadge from './StatusBadge';
 
@@ -35,6 +36,9 @@ const TrainingHoursTable = async ({ searchParams }) => {
       }
     ]
   }).sort({ date: -1 }).lean();
+
+  // Show each person's current name rather than the one stored on the record
+  const displayNames = await getDisplayNameMap(trainingRecords.map((record) => record.userId));
   
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-GB', {
@@ -122,7 +126,7 @@ const TrainingHoursTable = async ({ searchParams }) => {
           {trainingRecords.map((training) => (
             <tr key={training._id} className="hover:bg-gray-50">
               <td className="px-4 py-3 text-sm font-medium text-gray-900">
-                {training.username}
+                {displayNames.get(training.userId) || training.username}
               </td>
               <td className="px-4 py-3 text-sm text-gray-900">
                 {formatDate(training.date)}
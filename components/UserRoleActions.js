@@ -0,0 +1,73 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const UserRoleActions = ({ id, role, isSelf, isLastAdmin }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const nextRole = role === 'admin' ? 'user' : 'admin';
+
+  const handleChangeRole = async () => {
+    const confirmMessage = nextRole === 'admin'
+      ? 'Grant admin access to this user?'
+      : isSelf
+        ? 'Remove your own admin access? You will lose access to this page.'
+        : 'Remove admin access from this user?';
+
+    if (!confirm(confirmMessage)) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/admin/users', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id, role: nextRole }),
+      });
+
+      if (response.ok) {
+        if (isSelf && nextRole === 'user') {
+          router.push('/timesheet');
+        } else {
+          router.refresh();
+        }
+      } else {
+        const error = await response.json();
+        alert(`Error: ${error.error || error.message || 'Unknown error occurred'}`);
+      }
+    } catch (error) {
+      alert('Failed to update user role');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (isLastAdmin) {
+    return (
+      <span className="text-xs text-gray-500" title="At least one admin must remain">
+        Last admin
+      </span>
+    );
+  }
+
+  return (
+    <button
+      onClick={handleChangeRole}
+      disabled={isLoading}
+      className={`inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded-md text-white focus:outline-none focus:ring-2 focus:ring-offset-2 disabled:opacity-50 ${
+        nextRole === 'admin'
+          ? 'bg-green-600 hover:bg-green-700 focus:ring-green-500'
+          : 'bg-red-600 hover:bg-red-700 focus:ring-red-500'
+      }`}
+    >
+      {isLoading ? 'Saving...' : nextRole === 'admin' ? 'Make Admin' : 'Remove Admin'}
+    </button>
+  );
+};
+
+export default UserRoleActions;
@@ -7,10 +7,12 @@ import Pagination from 'rc-pagination';
 import { getFourWeekCycle } from '@/utils/weekCycleUtils';
 import { getDisplayCycleData } from '@/utils/paymentCycleUtils';
 import { calculateMinutesWorked, convertMinutesToHours } from '@/utils/dateUtils';
+import AmendmentRequestForm from './AmendmentRequestForm';
 import DraftManager from './DraftManager';
+import TimesheetHistory from './TimesheetHistory';
 
 
-const UserTimesheetData = ({ username }) => {
+const UserTimesheetData = ({ userId, username }) => {
   // Use refs for cleanup tracking
   const intervalRef = useRef(null);
   const lastUpdateTimeRef = useRef(null);
@@ -20,6 +22,7 @@ const UserTimesheetData = ({ username }) => {
   const [leaves, setLeaves] = useState([]);
   const [leaveHours, setLeaveHours] = useState([]);
   const [training, setTraining] = useState([]);
+  const [amendmentRequests, setAmendmentRequests] = useState([]);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
@@ -92,7 +95,7 @@ const UserTimesheetData = ({ username }) => {
       const startDate = targetCycles[0].start.toISOString().split('T')[0];
       const endDate = targetCycles[targetCycles.length - 1].end.toISOString().split('T')[0];
       
-      const apiUrl = `/api/timesheets?username=${username}&page=${page}&limit=${limit}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}`;
+      const apiUrl = `/api/timesheets?userId=${userId}&page=${page}&limit=${limit}&includeDrafts=false&startDate=${startDate}&endDate=${endDate}`;
       
       const res = await fetch(apiUrl);
       if (!res.ok) throw new Error('Failed to fetch timesheets');
@@ -105,7 +108,7 @@ const UserTimesheetData = ({ username }) => {
       
       // Fetch user's all leaves for the same period (pending, approved, rejected)
       const leavesRes = await fetch(
-        `/api/leaves?includeDrafts=true&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/leaves?includeDrafts=true&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       if (leavesRes.ok) {
         const leavesData = await leavesRes.json();
@@ -114,7 +117,7 @@ const UserTimesheetData = ({ username }) => {
       
       // Fetch user's all leave hours for the same period (pending, approved, rejected)
       const leaveHoursRes = await fetch(
-        `/api/leave-hours?includeDrafts=true&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/leave-hours?includeDrafts=true&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       if (leaveHoursRes.ok) {
         const leaveHoursData = await leaveHoursRes.json();
@@ -123,18 +126,25 @@ const UserTimesheetData = ({ username }) => {
       
       // Fetch user's all training for the same period (pending, approved, rejected)
       const trainingRes = await fetch(
-        `/api/training?includeDrafts=true&username=${username}&startDate=${startDate}&endDate=${endDate}`
+        `/api/training?includeDrafts=true&userId=${userId}&startDate=${startDate}&endDate=${endDate}`
       );
       if (trainingRes.ok) {
         const trainingData = await trainingRes.json();
         setTraining(trainingData.training || []);
       }
+
+      // Amendment requests on submitted entries, for the pending markers and outcome notices
+      const amendmentsRes = await fetch(`/api/amendment-requests?userId=${userId}`);
+      if (amendmentsRes.ok) {
+        const amendmentsData = await amendmentsRes.json();
+        setAmendmentRequests(amendmentsData.amendmentRequests || []);
+      }
     } catch (error) {
       console.error('Failed to fetch timesheets:', error);
     } finally {
       setIsLoading(false);
     }
-  }, [username]);
+  }, [userId]);
 
   // Removed useImperativeHandle since we're using router.refresh() now
 
@@ -152,7 +162,7 @@ const UserTimesheetData = ({ username }) => {
     return () => {
       clearInterval(cycleCheckInterval);
     };
-  }, [page, username]);
+  }, [page, userId]);
   
   // Add a function to manually refresh data
   const refreshData = useCallback(() => {
@@ -269,10 +279,10 @@ const UserTimesheetData = ({ username }) => {
   };
 
   // Format hours from start and end time strings
-  const formatHours = (start, end) => {
+  const formatHours = (start, end, breakMinutes) => {
     if (!start || !end) return '0 h';
     
-    const minutesWorked = calculateMinutesWorked(start, end);
+    const minutesWorked = calculateMinutesWorked(start, end, breakMinutes);
     const { hours, minutes } = convertMinutesToHours(minutesWorked);
     
     return formatTime(hours, minutes);
@@ -407,11 +417,39 @@ const UserTimesheetData = ({ username }) => {
     return draftCounts.leaves + draftCounts.leaveHours + draftCounts.training;
   }, [draftCounts]);
 
+  const pendingAmendmentIds = useMemo(() => {
+    return new Set(
+      amendmentRequests.filter(request => request.status === 'pending').map(request => request.timesheetId)
+    );
+  }, [amendmentRequests]);
+
+  // Approved or rejected requests the staff member hasn't dismissed yet
+  const amendmentOutcomes = useMemo(() => {
+    return amendmentRequests.filter(request => request.status !== 'pending' && !request.outcomeSeen);
+  }, [amendmentRequests]);
+
+  const handleDismissOutcome = async (id) => {
+    try {
+      const response = await fetch('/api/amendment-requests', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+      });
+      if (response.ok) {
+        setAmendmentRequests(prev =>
+          prev.map(request => (request._id === id ? { ...request, outcomeSeen: true } : request))
+        );
+      }
+    } catch (error) {
+      console.error('Failed to dismiss amendment notice:', error);
+    }
+  };
+
   const formattedTimesheets = useMemo(() => {
     return timesheets.map(timesheet => ({
       ...timesheet,
       formattedDate: formatDate(timesheet.date),
-      formattedHours: formatHours(timesheet.start, timesheet.end)
+      formattedHours: formatHours(timesheet.start, timesheet.end, timesheet.breakMinutes)
     }));
   }, [timesheets]);
 
@@ -477,6 +515,32 @@ const UserTimesheetData = ({ username }) => {
           </div>
         )}
 
+        {/* Amendment Request Outcomes */}
+        {amendmentOutcomes.map((request) => (
+          <div
+            key={request._id}
+            className={`mb-4 p-3 border rounded-lg flex items-start justify-between ${
+              request.status === 'approved' ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+            }`}
+          >
+            <div>
+              <p className={`text-sm font-medium ${request.status === 'approved' ? 'text-green-800' : 'text-red-800'}`}>
+                Your change to {formatDate(request.current.date)} ({request.current.start}-{request.current.end}) was{' '}
+                {request.status} by {request.reviewedBy || 'your manager'}
+              </p>
+              {request.rejectionReason && (
+                <p className='text-xs text-red-700'>Reason: {request.rejectionReason}</p>
+              )}
+            </div>
+            <button
+              onClick={() => handleDismissOutcome(request._id)}
+              className='ml-4 text-xs text-gray-500 hover:text-gray-700'
+            >
+              Dismiss
+            </button>
+          </div>
+        ))}
+
         {isLoading ? (
            <div className='text-center'>Loading data...</div>
          ) : (
@@ -490,6 +554,7 @@ const UserTimesheetData = ({ username }) => {
                      <th className='border px-2 sm:px-4 py-2 text-left'>Start</th>
                      <th className='border px-2 sm:px-4 py-2 text-left'>End</th>
                      <th className='border px-2 sm:px-4 py-2 text-left'>Hours Worked</th>
+                     <th className='border px-2 sm:px-4 py-2 text-left'>Action</th>
                    </tr>
                  </thead>
                  <tbody>
@@ -497,6 +562,21 @@ const UserTimesheetData = ({ username }) => {
                      <tr key={ts._id} className='hover:bg-gray-50'>
                        <td className='border px-2 sm:px-4 py-1 sm:py-2'>
                          {formatDate(ts.date)}
+                         {ts.editedByManager && (
+                           <span className='ml-2 px-1 rounded bg-sky-100 text-sky-800 text-xs font-medium'>
+                             Edited by manager
+                           </span>
+                         )}
+                         {ts.status === 'pending' && (
+                           <span className='ml-2 px-1 rounded bg-yellow-100 text-yellow-800 text-xs font-medium'>
+                             Awaiting approval
+                           </span>
+                         )}
+                         {ts.status === 'rejected' && (
+                           <span className='ml-2 px-1 rounded bg-red-100 text-red-800 text-xs font-medium'>
+                             Rejected{ts.rejectionReason ? `: ${ts.rejectionReason}` : ''}
+                           </span>
+                         )}
                        </td>
                        <td className='border px-2 sm:px-4 py-1 sm:py-2'>
                          {ts.start}
@@ -505,6 +585,18 @@ const UserTimesheetData = ({ username }) => {
                        <td className='border px-2 sm:px-4 py-1 sm:py-2 font-medium'>
                          {formatTime(ts.hours, ts.minutes)}
                        </td>
+                       <td className='border px-2 sm:px-4 py-1 sm:py-2'>
+                         <div className='flex gap-2'>
+                           {pendingAmendmentIds.has(ts._id) ? (
+                             <span className='px-1 rounded bg-yellow-100 text-yellow-800 text-xs font-medium'>
+                               Change requested
+                             </span>
+                           ) : (
+                             <AmendmentRequestForm timesheet={ts} onSubmitted={refreshData} />
+                           )}
+                           {ts.editedByManager && <TimesheetHistory id={ts._id} />}
+                         </div>
+                       </td>
                      </tr>
                    ))}
                  </tbody>
@@ -516,6 +608,7 @@ const UserTimesheetData = ({ username }) => {
                      <td className='border px-2 sm:px-4 py-2 font-bold'>
                        {formatTime(totalHours, remainingMinutes)}
                      </td>
+                     <td className='border px-2 sm:px-4 py-2'></td>
                    </tr>
                  </tfoot>
                </table>
@@ -825,7 +918,7 @@ const UserTimesheetData = ({ username }) => {
               </div>
             )}
         
-        <DraftManager username={username} onBulkSubmit={() => fetchTimesheets(page)} />
+        <DraftManager userId={userId} onBulkSubmit={() => fetchTimesheets(page)} />
       </div>
   );
 };
@@ -0,0 +1,84 @@
+// models/AmendmentRequest.js
+
+import mongoose from 'mongoose';
+
+const entryValuesSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    breakMinutes: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// A staff member asking for one of their submitted timesheet entries to be corrected
+const AmendmentRequestSchema = new mongoose.Schema({
+  timesheetId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  // The entry as it stood when the request was made, and what the staff member wants instead
+  current: {
+    type: entryValuesSchema,
+    required: true,
+  },
+  proposed: {
+    type: entryValuesSchema,
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  reviewedBy: {
+    type: String,
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReason: {
+    type: String,
+    default: null,
+  },
+  // Set once the requester has dismissed the outcome notice on their timesheet page
+  outcomeSeen: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AmendmentRequestSchema.index({ status: 1, createdAt: -1 });
+AmendmentRequestSchema.index({ userId: 1, createdAt: -1 });
+AmendmentRequestSchema.index({ timesheetId: 1, status: 1 });
+
+AmendmentRequestSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.AmendmentRequest ||
+  mongoose.model('AmendmentRequest', AmendmentRequestSchema);
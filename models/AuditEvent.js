@@ -0,0 +1,62 @@
+// models/AuditEvent.js
+
+import mongoose from 'mongoose';
+
+// One change to a record, kept for inspections; events are only ever added, never edited
+const AuditEventSchema = new mongoose.Schema({
+  // e.g. CREATE, UPDATE, DELETE, APPROVE, REJECT
+  action: {
+    type: String,
+    required: true,
+  },
+  // Kinde user id and display name of whoever made the change
+  actorId: {
+    type: String,
+    default: '',
+  },
+  actorName: {
+    type: String,
+    default: '',
+  },
+  // Model name, e.g. Timesheet, Leave, Rota
+  resourceType: {
+    type: String,
+    required: true,
+  },
+  resourceId: {
+    type: String,
+    default: '',
+  },
+  // Kinde user id of the staff member the record belongs to, when it belongs to someone
+  subjectUserId: {
+    type: String,
+    default: '',
+  },
+  // Fields that changed; creates have no `before` and deletes have no `after`
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+  ],
+  // Anything else worth keeping, such as counts or a reason
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ actorId: 1, createdAt: -1 });
+AuditEventSchema.index({ subjectUserId: 1, createdAt: -1 });
+AuditEventSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.models.AuditEvent ||
+  mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,42 @@
+// models/BankHolidayCalendar.js
+
+import mongoose from 'mongoose';
+import { BANK_HOLIDAY_REGIONS } from '@/utils/bankHolidayData';
+
+// Which bundled bank holidays apply to the home, plus any added by hand; there is only ever one document
+const BankHolidayCalendarSchema = new mongoose.Schema({
+  region: {
+    type: String,
+    enum: Object.keys(BANK_HOLIDAY_REGIONS),
+    default: 'england-and-wales',
+  },
+  extraDates: [
+    {
+      _id: false,
+      // UTC midnight, as entry dates are stored
+      date: { type: Date, required: true },
+      title: { type: String, required: true, trim: true },
+    },
+  ],
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+BankHolidayCalendarSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.BankHolidayCalendar ||
+  mongoose.model('BankHolidayCalendar', BankHolidayCalendarSchema);
@@ -0,0 +1,82 @@
+// models/EmployeeProfile.js
+
+import mongoose from 'mongoose';
+import { EMPLOYMENT_TYPES, PAY_ELEMENTS } from '@/utils/employeeProfileFields';
+import { ROTA_DAYS } from '@/utils/rotaUtils';
+
+const EmployeeProfileSchema = new mongoose.Schema({
+  // Kinde user id; unlike the display name it never changes
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  payrollNumber: {
+    type: String,
+    trim: true,
+  },
+  jobPost: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  contractedWeeklyHours: {
+    type: Number,
+    default: null,
+    min: [0, 'Contracted hours cannot be negative'],
+    max: [168, 'Contracted hours cannot exceed 168 a week'],
+  },
+  // One rate per pay element; elements without a rate are paid at the basic rate
+  hourlyRates: [
+    {
+      _id: false,
+      element: {
+        type: String,
+        required: true,
+        enum: Object.keys(PAY_ELEMENTS),
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: [0, 'Hourly rate cannot be negative'],
+      },
+    },
+  ],
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  // Days of the week normally worked, used for leave when no rota lists the person; empty means every day
+  workingDays: {
+    type: [{ type: String, enum: ROTA_DAYS }],
+    default: [],
+  },
+  employmentType: {
+    type: String,
+    enum: Object.keys(EMPLOYMENT_TYPES),
+    default: 'permanent',
+  },
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EmployeeProfileSchema.index({ payrollNumber: 1 }, { unique: true, sparse: true });
+
+// Update the updatedAt field before saving
+EmployeeProfileSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.EmployeeProfile ||
+  mongoose.model('EmployeeProfile', EmployeeProfileSchema);
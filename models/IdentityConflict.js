@@ -0,0 +1,67 @@
+// models/IdentityConflict.js
+
+import mongoose from 'mongoose';
+
+// A display name the user-id migration could not attach to exactly one person
+const IdentityConflictSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+  },
+  // none: nobody has this name; several: more than one person has used it
+  reason: {
+    type: String,
+    enum: ['none', 'several'],
+    required: true,
+  },
+  candidates: [
+    {
+      _id: false,
+      userId: { type: String, required: true },
+      displayName: { type: String, default: '' },
+      records: { type: Number, default: 0 },
+    },
+  ],
+  // Records under this name with no user id at all
+  unkeyedRecords: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'merged', 'kept'],
+    default: 'open',
+  },
+  resolvedUserId: {
+    type: String,
+    default: null,
+  },
+  resolvedBy: {
+    type: String,
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+IdentityConflictSchema.index({ username: 1 }, { unique: true });
+IdentityConflictSchema.index({ status: 1 });
+
+// Update the updatedAt field before saving
+IdentityConflictSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.IdentityConflict ||
+  mongoose.model('IdentityConflict', IdentityConflictSchema);
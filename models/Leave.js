@@ -1,6 +1,7 @@
 //models/Leave.js
 
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/utils/softDelete';
 
 const leaveSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -13,6 +14,10 @@ const leaveSchema = new mongoose.Schema({
   },
   startDate: { type: Date, required: true },
   endDate: { type: Date, required: true },
+  // Afternoon-only first day and morning-only last day; each counts as half a day
+  startHalfDay: { type: Boolean, default: false },
+  endHalfDay: { type: Boolean, default: false },
+  // Working days in the request, worked out by the server from the rota or working pattern
   totalDays: {
     type: Number,
     required: true,
@@ -48,13 +53,16 @@ leaveSchema.pre('save', function(next) {
   next();
 });
 
-// Validate that end date is after start date
+// Validate that end date is not before start date; a one-day request starts and ends on the same day
 leaveSchema.pre('save', function(next) {
-  if (this.endDate <= this.startDate) {
+  if (this.endDate < this.startDate) {
     next(new Error('End date must be after start date'));
   } else {
     next();
   }
 });
 
+// Deleted records go to the recycle bin and drop out of queries
+leaveSchema.plugin(softDeletePlugin);
+
 export default mongoose.models.Leave || mongoose.model('Leave', leaveSchema);
\ No newline at end of file
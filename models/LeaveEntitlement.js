@@ -0,0 +1,82 @@
+// models/LeaveEntitlement.js
+
+import mongoose from 'mongoose';
+import { ENTITLEMENT_BASES, LEAVE_UNITS } from '@/utils/leaveEntitlementRules';
+
+// A member of staff's annual leave allowance; only annual leave is taken from it
+const LeaveEntitlementSchema = new mongoose.Schema({
+  // Kinde user id; unlike the display name it never changes
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  basis: {
+    type: String,
+    enum: Object.keys(ENTITLEMENT_BASES),
+    default: 'fixed',
+  },
+  // Accrued entitlements are always in hours
+  unit: {
+    type: String,
+    enum: Object.keys(LEAVE_UNITS),
+    default: 'days',
+  },
+  // Full-time yearly entitlement in `unit`, before pro-rata
+  entitlement: {
+    type: Number,
+    default: 28,
+    min: [0, 'Entitlement cannot be negative'],
+  },
+  // "MM-dd" the leave year starts on
+  leaveYearStart: {
+    type: String,
+    default: '01-01',
+    match: [/^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Leave year start must be in MM-dd format'],
+  },
+  // Most unused leave, in `unit`, carried into the next leave year
+  carryOverCap: {
+    type: Number,
+    default: 0,
+    min: [0, 'Carry-over cap cannot be negative'],
+  },
+  // Scale the entitlement by contracted hours over full-time hours
+  proRata: {
+    type: Boolean,
+    default: false,
+  },
+  fullTimeWeeklyHours: {
+    type: Number,
+    default: 37.5,
+    min: [1, 'Full-time hours must be at least 1'],
+    max: [168, 'Full-time hours cannot exceed 168 a week'],
+  },
+  // Converts between leave requests in days and leave hours
+  hoursPerDay: {
+    type: Number,
+    default: 7.5,
+    min: [0.5, 'Hours per day must be at least 0.5'],
+    max: [24, 'Hours per day cannot exceed 24'],
+  },
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+LeaveEntitlementSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.LeaveEntitlement ||
+  mongoose.model('LeaveEntitlement', LeaveEntitlementSchema);
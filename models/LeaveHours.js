@@ -1,6 +1,7 @@
 // models/LeaveHours.js
 
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/utils/softDelete';
 
 const LeaveHoursSchema = new mongoose.Schema({
   userId: {
@@ -54,22 +55,6 @@ const LeaveHoursSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  deleted: {
-    type: Boolean,
-    default: false,
-  },
-  deletedAt: {
-    type: Date,
-    default: null,
-  },
-  deletedBy: {
-    type: String,
-    default: null,
-  },
-  deletionReason: {
-    type: String,
-    default: null,
-  },
   approvedBy: {
     type: String,
     default: null,
@@ -137,6 +122,9 @@ LeaveHoursSchema.virtual('leaveTypeDisplay').get(function() {
 LeaveHoursSchema.set('toJSON', { virtuals: true });
 LeaveHoursSchema.set('toObject', { virtuals: true });
 
+// Deleted records go to the recycle bin and drop out of queries
+LeaveHoursSchema.plugin(softDeletePlugin);
+
 const LeaveHours = mongoose.models.LeaveHours || mongoose.model('LeaveHours', LeaveHoursSchema);
 
 export default LeaveHours;
\ No newline at end of file
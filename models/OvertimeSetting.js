@@ -0,0 +1,64 @@
+// models/OvertimeSetting.js
+
+import mongoose from 'mongoose';
+import { WEEKLY_BASES } from '@/utils/overtimeRules';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The home's overtime thresholds and night window; there is only ever one document
+const OvertimeSettingSchema = new mongoose.Schema({
+  weeklyBasis: {
+    type: String,
+    enum: Object.keys(WEEKLY_BASES),
+    default: 'contracted',
+  },
+  // Null means no weekly threshold
+  weeklyThresholdHours: {
+    type: Number,
+    default: null,
+    min: [0, 'Weekly threshold cannot be negative'],
+    max: [168, 'Weekly threshold cannot exceed 168 hours'],
+  },
+  // Null means no per-cycle threshold
+  cycleThresholdHours: {
+    type: Number,
+    default: null,
+    min: [0, 'Cycle threshold cannot be negative'],
+    max: [672, 'Cycle threshold cannot exceed 672 hours'],
+  },
+  nightEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  nightStart: {
+    type: String,
+    default: '22:00',
+    match: [TIME_PATTERN, 'Night start must be a time in HH:mm format'],
+  },
+  nightEnd: {
+    type: String,
+    default: '06:00',
+    match: [TIME_PATTERN, 'Night end must be a time in HH:mm format'],
+  },
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+OvertimeSettingSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.OvertimeSetting ||
+  mongoose.model('OvertimeSetting', OvertimeSettingSchema);
@@ -0,0 +1,48 @@
+//models/PayrollAdjustment.js
+
+import mongoose from 'mongoose';
+import { ADJUSTMENT_CATEGORIES } from '@/utils/paymentCycleUtils';
+
+const payrollAdjustmentSchema = new mongoose.Schema({
+  userId: { type: String, default: '' },
+  username: { type: String, required: true },
+  // The closed period being corrected
+  payrollPeriod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollPeriod',
+    required: true,
+  },
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  // Start of the cycle the correction is paid in: the first open one after the period
+  payCycleStart: { type: Date, required: true },
+  minutes: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (v) => Number.isInteger(v) && v !== 0,
+      message: 'Adjustment must be a whole, non-zero number of minutes',
+    },
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: Object.keys(ADJUSTMENT_CATEGORIES),
+  },
+  reason: { type: String, required: true, trim: true },
+  createdBy: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+payrollAdjustmentSchema.index({ payCycleStart: 1, username: 1 });
+payrollAdjustmentSchema.index({ payrollPeriod: 1 });
+
+// Update the updatedAt field before saving
+payrollAdjustmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.PayrollAdjustment ||
+  mongoose.model('PayrollAdjustment', payrollAdjustmentSchema);
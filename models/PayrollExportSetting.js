@@ -0,0 +1,49 @@
+// models/PayrollExportSetting.js
+
+import mongoose from 'mongoose';
+
+// Per-format pay-element codes and employee references for payroll CSV exports
+const PayrollExportSettingSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Pay element (see PAY_ELEMENTS) to the code the payroll software expects
+  elementCodes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  // Each payroll system numbers employees its own way; unmapped staff export by name
+  employeeReferences: [
+    {
+      _id: false,
+      userId: { type: String, default: '' },
+      // Name when the reference was saved, for display only
+      username: { type: String, required: true, trim: true },
+      reference: { type: String, required: true, trim: true },
+    },
+  ],
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+PayrollExportSettingSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.PayrollExportSetting ||
+  mongoose.model('PayrollExportSetting', PayrollExportSettingSchema);
@@ -0,0 +1,58 @@
+//models/PayrollPeriod.js
+
+import mongoose from 'mongoose';
+
+// Hours per person captured when the period was closed
+const totalsSchema = new mongoose.Schema(
+  {
+    userId: { type: String, default: '' },
+    username: { type: String, required: true },
+    workMinutes: { type: Number, default: 0 },
+    leaveMinutes: { type: Number, default: 0 },
+    trainingMinutes: { type: Number, default: 0 },
+    // Corrections to earlier closed periods paid in this one
+    adjustmentMinutes: { type: Number, default: 0 },
+    totalMinutes: { type: Number, default: 0 },
+    entryCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const historySchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ['close', 'reopen'], required: true },
+    by: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+const payrollPeriodSchema = new mongoose.Schema({
+  // Four-week payment cycle, inclusive; end is the last moment of the final Sunday
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['closed', 'reopened'],
+    default: 'closed',
+  },
+  closedAt: { type: Date, default: null },
+  closedBy: { type: String, default: null },
+  totals: { type: [totalsSchema], default: [] },
+  history: { type: [historySchema], default: [] },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+payrollPeriodSchema.index({ start: 1 }, { unique: true });
+payrollPeriodSchema.index({ status: 1, start: 1, end: 1 });
+
+// Update the updatedAt field before saving
+payrollPeriodSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.PayrollPeriod ||
+  mongoose.model('PayrollPeriod', payrollPeriodSchema);
@@ -1,6 +1,28 @@
 //models/Rota.js
 
 import mongoose from 'mongoose';
+import { ROTA_VISIBILITY } from '@/utils/rotaUtils';
+
+// Structured form of a day cell, filled from the shift-code table on upload
+const shiftSchema = new mongoose.Schema(
+  {
+    code: { type: String, default: '' },
+    type: { type: String, default: '' },
+    start: { type: String, default: '' },
+    end: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// Per-audience visibility; an empty value on a row means "use the section setting"
+const visibilitySchema = (defaultValue) =>
+  new mongoose.Schema(
+    {
+      staff: { type: String, enum: ['', ...ROTA_VISIBILITY], default: defaultValue },
+      admin: { type: String, enum: ['', ...ROTA_VISIBILITY], default: defaultValue },
+    },
+    { _id: false }
+  );
 
 const rotaSchema = new mongoose.Schema(
   {
@@ -60,6 +82,36 @@ const rotaSchema = new mongoose.Schema(
           default: '',
           trim: true, // Trims whitespace from the start and end
         },
+        // Heading the row sat under in the sheet, e.g. "NIGHT STAFF"
+        section: {
+          type: String,
+          default: '',
+          trim: true,
+        },
+        visibility: {
+          type: visibilitySchema(''),
+          default: () => ({}),
+        },
+        // Parsed shift per day, kept alongside the original text above
+        shifts: {
+          monday: shiftSchema,
+          tuesday: shiftSchema,
+          wednesday: shiftSchema,
+          thursday: shiftSchema,
+          friday: shiftSchema,
+          saturday: shiftSchema,
+          sunday: shiftSchema,
+        },
+      },
+    ],
+    // Visibility for whole sections such as night staff, cleaning or agency
+    sections: [
+      {
+        name: { type: String, required: true, trim: true },
+        visibility: {
+          type: visibilitySchema('visible'),
+          default: () => ({}),
+        },
       },
     ],
     // uploadedBy field has been removed
@@ -0,0 +1,62 @@
+// models/RotaTemplate.js
+
+import mongoose from 'mongoose';
+
+// 1-based spreadsheet column for each rota field; 0 means the field is not in the sheet
+const columnMappingSchema = new mongoose.Schema(
+  {
+    staff: { type: Number, required: true, min: 1 },
+    post: { type: Number, default: 0, min: 0 },
+    monday: { type: Number, default: 0, min: 0 },
+    tuesday: { type: Number, default: 0, min: 0 },
+    wednesday: { type: Number, default: 0, min: 0 },
+    thursday: { type: Number, default: 0, min: 0 },
+    friday: { type: Number, default: 0, min: 0 },
+    saturday: { type: Number, default: 0, min: 0 },
+    sunday: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const RotaTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  sheetName: {
+    type: String,
+    default: '',
+  },
+  headerRow: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  mapping: {
+    type: columnMappingSchema,
+    required: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+RotaTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.RotaTemplate ||
+  mongoose.model('RotaTemplate', RotaTemplateSchema);
@@ -0,0 +1,62 @@
+// models/ShiftCode.js
+
+import mongoose from 'mongoose';
+import { SHIFT_TYPES, WORKING_SHIFT_TYPES } from '@/utils/rotaUtils';
+
+const timeValidator = {
+  validator: (v) => !v || /^([01]\d|2[0-3]):([0-5]\d)$/.test(v),
+  message: (props) => `${props.value} is not a valid time format!`,
+};
+
+const ShiftCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: SHIFT_TYPES,
+  },
+  start: {
+    type: String,
+    default: '',
+    validate: timeValidator,
+  },
+  end: {
+    type: String,
+    default: '',
+    validate: timeValidator,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ShiftCodeSchema.pre('validate', function(next) {
+  if (WORKING_SHIFT_TYPES.includes(this.type) && (!this.start || !this.end)) {
+    this.invalidate('start', 'Working shift codes need a start and end time');
+  }
+  next();
+});
+
+// Update the updatedAt field before saving
+ShiftCodeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.ShiftCode || mongoose.model('ShiftCode', ShiftCodeSchema);
@@ -0,0 +1,14 @@
+// models/ShiftCodeSetting.js
+
+import mongoose from 'mongoose';
+
+// Records that the default shift codes have been added; there is only ever one document
+const ShiftCodeSettingSchema = new mongoose.Schema({
+  defaultsSeededAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+export default mongoose.models.ShiftCodeSetting ||
+  mongoose.model('ShiftCodeSetting', ShiftCodeSettingSchema);
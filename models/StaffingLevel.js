@@ -0,0 +1,40 @@
+// models/StaffingLevel.js
+
+import mongoose from 'mongoose';
+
+// The fewest staff each post needs working on a day; there is only ever one document
+const StaffingLevelSchema = new mongoose.Schema({
+  minimums: [
+    {
+      _id: false,
+      // Matched against EmployeeProfile.jobPost, ignoring case
+      post: { type: String, required: true, trim: true },
+      minimum: {
+        type: Number,
+        required: true,
+        min: [0, 'Minimum staffing cannot be negative'],
+      },
+    },
+  ],
+  updatedBy: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update the updatedAt field before saving
+StaffingLevelSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+export default mongoose.models.StaffingLevel ||
+  mongoose.model('StaffingLevel', StaffingLevelSchema);
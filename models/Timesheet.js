@@ -1,6 +1,8 @@
 //models/Timesheet.js
 
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/utils/softDelete';
+
 const timesheetSchema = new mongoose.Schema({
   userId: { type: String, required: true },
   username: { type: String, required: true },
@@ -21,7 +23,26 @@ const timesheetSchema = new mongoose.Schema({
       message: (props) => `${props.value} is not a valid time format!`,
     },
   },
+  // Unpaid break deducted from the start-end span
+  breakMinutes: { type: Number, default: 0, min: 0 },
   isDraft: { type: Boolean, default: false },
+  // Set from the bank holiday calendar when the entry is saved or the calendar changes
+  isBankHoliday: { type: Boolean, default: false },
+  // Only used while timesheet approval is switched on; entries from before it count as approved
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  approvedBy: { type: String, default: null },
+  approvedAt: { type: Date, default: null },
+  rejectedBy: { type: String, default: null },
+  rejectedAt: { type: Date, default: null },
+  rejectionReason: { type: String, default: null },
+  // Set when an admin changes the times; earlier versions are kept as TimesheetRevisions
+  editedByManager: { type: Boolean, default: false },
+  lastEditedBy: { type: String, default: null },
+  lastEditedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -31,6 +52,7 @@ timesheetSchema.index({ username: 1, date: -1 });
 timesheetSchema.index({ userId: 1, date: -1 });
 timesheetSchema.index({ date: -1 });
 timesheetSchema.index({ username: 1, isDraft: 1 });
+timesheetSchema.index({ status: 1, date: -1 });
 
 // Update the updatedAt field before saving
 timesheetSchema.pre('save', function(next) {
@@ -38,6 +60,9 @@ timesheetSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted entries go to the recycle bin and drop out of queries
+timesheetSchema.plugin(softDeletePlugin);
+
 // const Timesheet =
 export default mongoose.models.Timesheet ||
   mongoose.model('Timesheet', timesheetSchema);
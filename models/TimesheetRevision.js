@@ -0,0 +1,59 @@
+// models/TimesheetRevision.js
+
+import mongoose from 'mongoose';
+
+// One saved version of a timesheet entry. Revision 1 is the entry as the staff member
+// submitted it; every admin edit adds the next one. Revisions are never edited.
+const TimesheetRevisionSchema = new mongoose.Schema({
+  timesheetId: {
+    type: String,
+    required: true,
+  },
+  // Kinde user id of the staff member the entry belongs to
+  userId: {
+    type: String,
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  start: {
+    type: String,
+    required: true,
+  },
+  end: {
+    type: String,
+    required: true,
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+  },
+  // Kinde user id and display name of whoever saved this version
+  editedById: {
+    type: String,
+    default: '',
+  },
+  editedBy: {
+    type: String,
+    default: '',
+  },
+  reason: {
+    type: String,
+    default: '',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TimesheetRevisionSchema.index({ timesheetId: 1, revision: 1 }, { unique: true });
+
+export default mongoose.models.TimesheetRevision ||
+  mongoose.model('TimesheetRevision', TimesheetRevisionSchema);
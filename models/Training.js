@@ -1,6 +1,7 @@
 //models/Training.js
 
 import mongoose from 'mongoose';
+import { softDeletePlugin } from '@/utils/softDelete';
 
 const trainingSchema = new mongoose.Schema({
   userId: { type: String, required: true },
@@ -32,10 +33,6 @@ const trainingSchema = new mongoose.Schema({
   completedAt: { type: Date, default: null },
   comments: { type: String, default: '' },
   isDraft: { type: Boolean, default: false },
-  deleted: { type: Boolean, default: false },
-  deletedAt: { type: Date, default: null },
-  deletedBy: { type: String, default: null },
-  deletionReason: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -62,4 +59,7 @@ trainingSchema.pre('save', function(next) {
   next();
 });
 
+// Deleted records go to the recycle bin and drop out of queries
+trainingSchema.plugin(softDeletePlugin);
+
 export default mongoose.models.Training || mongoose.model('Training', trainingSchema);
\ No newline at end of file
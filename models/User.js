@@ -3,6 +3,24 @@ import mongoose from 'mongoose';
 const UserSchema = new mongoose.Schema({
   kindeUserId: { type: String, required: true, unique: true },
   role: { type: String, enum: ['admin', 'user'], default: 'user' },
+  email: { type: String, default: '' },
+  givenName: { type: String, default: '' },
+  familyName: { type: String, default: '' },
+  // Other spellings of the user's name on uploaded rotas, e.g. "Abu D"
+  rotaNames: { type: [String], default: [] },
+  // Secret for the calendar subscription URL; unset when the feed is turned off
+  calendarToken: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+UserSchema.index({ role: 1 });
+UserSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
+// Update the updatedAt field before saving
+UserSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
 });
 
 export default mongoose.models.User || mongoose.model('User', UserSchema);
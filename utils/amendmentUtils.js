@@ -0,0 +1,242 @@
+// utils/amendmentUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import AmendmentRequest from '@/models/AmendmentRequest';
+import Timesheet from '@/models/Timesheet';
+import { recordAuditEvent } from './auditTrail';
+import { getDisplayName } from './auth';
+import { toDateKey } from './bankHolidayData';
+import { getAutoBreakRule } from './config';
+import { resolveBreakMinutes } from './dateUtils';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { assertPeriodOpen } from './payrollUtils';
+import { getSubmittedTimesheetStatus } from './timesheetApprovalUtils';
+import { applyTimesheetEdit } from './timesheetRevisionUtils';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const entryValues = (timesheet) => ({
+  date: timesheet.date,
+  start: timesheet.start,
+  end: timesheet.end,
+  breakMinutes: timesheet.breakMinutes || 0,
+});
+
+const sameValues = (a, b) =>
+  toDateKey(a.date) === toDateKey(b.date) &&
+  a.start === b.start &&
+  a.end === b.end &&
+  a.breakMinutes === b.breakMinutes;
+
+const findPendingRequest = async (id) => {
+  if (!id) {
+    throw new ValidationError('An amendment request id is required', 'id');
+  }
+
+  await connectMongo();
+  const request = await AmendmentRequest.findById(id);
+  if (!request) {
+    throw new NotFoundError('Amendment request not found');
+  }
+  if (request.status !== 'pending') {
+    throw new ValidationError(`This amendment request has already been ${request.status}`);
+  }
+  return request;
+};
+
+/**
+ * Ask for a submitted timesheet entry to be corrected. Blank values keep what the
+ * entry has now, except a blank break, which applies the automatic break rule as
+ * it does when an entry is first logged.
+ * @param {Object} user - Kinde user making the request; must own the entry.
+ * @param {Object} input - {timesheetId, date, start, end, breakMinutes, reason}.
+ * @returns {Promise<Object>} - The new request.
+ * @throws {ValidationError|NotFoundError|PeriodLockedError}
+ */
+export const createAmendmentRequest = async (user, input) => {
+  const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+  if (!input.timesheetId) {
+    throw new ValidationError('A timesheet entry is required', 'timesheetId');
+  }
+  if (!reason) {
+    throw new ValidationError('Please say why the entry needs changing', 'reason');
+  }
+
+  await connectMongo();
+  const timesheet = await Timesheet.findById(input.timesheetId);
+  if (!timesheet || timesheet.userId !== user.id) {
+    throw new NotFoundError('Timesheet entry not found');
+  }
+  if (timesheet.isDraft) {
+    throw new ValidationError('Drafts can still be changed directly; only submitted entries need a request');
+  }
+
+  if (await AmendmentRequest.exists({ timesheetId: timesheet._id.toString(), status: 'pending' })) {
+    throw new ValidationError('This entry already has an amendment request waiting for a manager');
+  }
+
+  const date = input.date ? new Date(input.date) : timesheet.date;
+  if (isNaN(date.getTime())) {
+    throw new ValidationError('Invalid date', 'date');
+  }
+  const start = input.start || timesheet.start;
+  const end = input.end || timesheet.end;
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    throw new ValidationError('Times must be in HH:MM format', 'start');
+  }
+
+  let breakMinutes;
+  try {
+    breakMinutes = resolveBreakMinutes(input.breakMinutes, start, end, getAutoBreakRule());
+  } catch (error) {
+    throw new ValidationError(error.message, 'breakMinutes');
+  }
+
+  const current = entryValues(timesheet);
+  const proposed = { date, start, end, breakMinutes };
+  if (sameValues(current, proposed)) {
+    throw new ValidationError('The proposed values are the same as the entry');
+  }
+
+  await assertPeriodOpen(current.date, proposed.date);
+
+  const request = await AmendmentRequest.create({
+    timesheetId: timesheet._id.toString(),
+    userId: timesheet.userId,
+    username: getDisplayName(user) || timesheet.username,
+    current,
+    proposed,
+    reason,
+  });
+
+  await recordAuditEvent({
+    action: 'CREATE',
+    user,
+    resourceType: 'AmendmentRequest',
+    resourceId: request._id,
+    after: request,
+  });
+
+  return request;
+};
+
+/**
+ * Apply a pending request to its timesheet entry. The change is kept in the
+ * entry's history with the requester's reason.
+ * @param {string} id - Amendment request id.
+ * @param {Object} user - Kinde user approving it.
+ * @returns {Promise<Object>} - The approved request.
+ * @throws {ValidationError|NotFoundError|PeriodLockedError}
+ */
+export const approveAmendmentRequest = async (id, user) => {
+  const request = await findPendingRequest(id);
+
+  const timesheet = await Timesheet.findById(request.timesheetId);
+  if (!timesheet) {
+    throw new NotFoundError('The timesheet entry no longer exists');
+  }
+
+  await assertPeriodOpen(timesheet.date, request.proposed.date);
+
+  const { date, start, end, breakMinutes } = request.proposed;
+  const changes = { date, start, end, breakMinutes };
+  // A corrected rejected entry goes back through approval rather than staying unpaid
+  if (timesheet.status === 'rejected') {
+    Object.assign(changes, {
+      status: getSubmittedTimesheetStatus(),
+      rejectedBy: null,
+      rejectedAt: null,
+      rejectionReason: null,
+    });
+  }
+  await applyTimesheetEdit(
+    timesheet,
+    changes,
+    user,
+    `Amendment requested by ${request.username}: ${request.reason}`,
+    { amendmentRequestId: request._id.toString() }
+  );
+
+  const previous = request.toObject();
+  request.set({
+    status: 'approved',
+    reviewedBy: getDisplayName(user),
+    reviewedAt: new Date(),
+  });
+  await request.save();
+
+  await recordAuditEvent({
+    action: 'APPROVE',
+    user,
+    resourceType: 'AmendmentRequest',
+    resourceId: id,
+    before: previous,
+    after: request,
+  });
+
+  return request;
+};
+
+/**
+ * Turn down a pending request. The requester sees the reason on their timesheet page.
+ * @param {string} id - Amendment request id.
+ * @param {Object} user - Kinde user rejecting it.
+ * @param {string} reason - Why, shown to the requester.
+ * @returns {Promise<Object>} - The rejected request.
+ * @throws {ValidationError|NotFoundError}
+ */
+export const rejectAmendmentRequest = async (id, user, reason) => {
+  const rejectionReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!rejectionReason) {
+    throw new ValidationError('Rejection reason is required', 'reason');
+  }
+
+  const request = await findPendingRequest(id);
+
+  const previous = request.toObject();
+  request.set({
+    status: 'rejected',
+    reviewedBy: getDisplayName(user),
+    reviewedAt: new Date(),
+    rejectionReason,
+  });
+  await request.save();
+
+  await recordAuditEvent({
+    action: 'REJECT',
+    user,
+    resourceType: 'AmendmentRequest',
+    resourceId: id,
+    before: previous,
+    after: request,
+  });
+
+  return request;
+};
+
+/**
+ * Clear the outcome notice for the requester once they have read it.
+ * @param {string} id - Amendment request id.
+ * @param {string} userId - Kinde user id of the requester.
+ * @throws {NotFoundError}
+ */
+export const dismissAmendmentOutcome = async (id, userId) => {
+  await connectMongo();
+  const result = await AmendmentRequest.updateOne(
+    { _id: id, userId, status: { $ne: 'pending' } },
+    { outcomeSeen: true, updatedAt: new Date() }
+  );
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Amendment request not found');
+  }
+};
+
+/**
+ * Amendment requests, newest first.
+ * @param {Object} [filter] - e.g. `{ userId }` or `{ status: 'pending' }`.
+ * @returns {Promise<Object[]>}
+ */
+export const getAmendmentRequests = async (filter = {}) => {
+  await connectMongo();
+  return AmendmentRequest.find(filter).sort({ createdAt: -1 }).lean();
+};
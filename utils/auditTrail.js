@@ -0,0 +1,192 @@
+//utils/auditTrail.js
+
+import connectMongo from '@/db/connectMongo';
+import AuditEvent from '@/models/AuditEvent';
+import { getDisplayName } from './auth';
+import { getDisplayNameMap } from './identityUtils';
+import { auditLog, logger } from './logger';
+import { formatCsv } from './payrollExportFormats';
+
+// Events per page on the audit page
+export const AUDIT_PAGE_SIZE = 50;
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'updatedBy'];
+
+// Never copied into the audit trail
+const SECRET_FIELDS = ['calendarToken'];
+
+const toSnapshot = (record) => {
+  if (!record) return null;
+  const plain = JSON.parse(
+    JSON.stringify(typeof record.toObject === 'function' ? record.toObject() : record)
+  );
+  [...IGNORED_FIELDS, ...SECRET_FIELDS].forEach((field) => delete plain[field]);
+  return plain;
+};
+
+/**
+ * The top-level fields that differ between two versions of a record.
+ * @param {Object|null} before - The record before the change; null for a create.
+ * @param {Object|null} after - The record after the change; null for a delete.
+ * @returns {{field: string, before: *, after: *}[]}
+ */
+export const diffRecords = (before, after) => {
+  const previous = toSnapshot(before) || {};
+  const next = toSnapshot(after) || {};
+
+  return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .sort()
+    .map((field) => ({ field, before: previous[field], after: next[field] }));
+};
+
+/**
+ * Record a change in the audit trail, and in the console log as before.
+ * A failure to write is logged rather than thrown, so the change itself still succeeds.
+ * @param {Object} event
+ * @param {string} event.action - e.g. CREATE, UPDATE, DELETE, APPROVE, REJECT.
+ * @param {Object|null} event.user - Kinde user who made the change.
+ * @param {string} event.resourceType - Model name.
+ * @param {string|Object|null} [event.resourceId] - Id of the changed record.
+ * @param {Object|null} [event.before] - The record before the change.
+ * @param {Object|null} [event.after] - The record after the change.
+ * @param {Object} [event.details] - Anything else worth keeping, such as a reason or counts.
+ * @param {string} [event.subjectUserId] - Whose record it is; defaults to the record's userId.
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async ({
+  action,
+  user,
+  resourceType,
+  resourceId = null,
+  before = null,
+  after = null,
+  details = {},
+  subjectUserId,
+}) => {
+  const changes = diffRecords(before, after);
+  auditLog(action, user?.id, resourceType, resourceId ? String(resourceId) : null, {
+    ...details,
+    changes,
+  });
+
+  try {
+    await connectMongo();
+    await AuditEvent.create({
+      action,
+      actorId: user?.id || '',
+      actorName: getDisplayName(user),
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : '',
+      subjectUserId: subjectUserId || after?.userId || before?.userId || '',
+      changes,
+      details: JSON.parse(JSON.stringify(details)),
+    });
+  } catch (error) {
+    logger.error('Failed to write audit event', {
+      action,
+      resourceType,
+      resourceId,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build the query for the audit page and its CSV export.
+ * @param {Object} filters - {userId, resourceType, action, startDate, endDate}; blanks are ignored.
+ * @returns {Object} - Mongo filter. A user matches whether they made the change or the record is theirs.
+ */
+export const buildAuditQuery = ({ userId, resourceType, action, startDate, endDate } = {}) => {
+  const query = {};
+  if (userId) {
+    query.$or = [{ actorId: userId }, { subjectUserId: userId }];
+  }
+  if (resourceType) query.resourceType = resourceType;
+  if (action) query.action = action;
+  if (startDate && !isNaN(new Date(startDate).getTime())) {
+    query.createdAt = { $gte: new Date(startDate) };
+  }
+  if (endDate && !isNaN(new Date(endDate).getTime())) {
+    const end = new Date(endDate);
+    end.setUTCHours(23, 59, 59, 999);
+    query.createdAt = { ...query.createdAt, $lte: end };
+  }
+  return query;
+};
+
+/**
+ * Audit events matching the filters, newest first.
+ * @param {Object} filters - As buildAuditQuery takes them.
+ * @param {Object} [options]
+ * @param {number} [options.page] - 1-based page; ignored when limit is 0.
+ * @param {number} [options.limit] - Events per page; 0 returns every match, for the CSV export.
+ * @returns {Promise<{events: Object[], totalCount: number, displayNames: Map<string, string>}>}
+ */
+export const getAuditEvents = async (filters, { page = 1, limit = AUDIT_PAGE_SIZE } = {}) => {
+  await connectMongo();
+  const query = buildAuditQuery(filters);
+
+  let find = AuditEvent.find(query).sort({ createdAt: -1 });
+  if (limit > 0) {
+    find = find.skip((Math.max(page, 1) - 1) * limit).limit(limit);
+  }
+
+  const [events, totalCount] = await Promise.all([
+    find.lean(),
+    AuditEvent.countDocuments(query),
+  ]);
+  const displayNames = await getDisplayNameMap(
+    events.flatMap((event) => [event.actorId, event.subjectUserId])
+  );
+
+  return { events, totalCount, displayNames };
+};
+
+/**
+ * The record types and actions that appear in the trail, for the filter lists.
+ * @returns {Promise<{resourceTypes: string[], actions: string[]}>}
+ */
+export const getAuditFilterOptions = async () => {
+  await connectMongo();
+  const [resourceTypes, actions] = await Promise.all([
+    AuditEvent.distinct('resourceType'),
+    AuditEvent.distinct('action'),
+  ]);
+  return { resourceTypes: resourceTypes.sort(), actions: actions.sort() };
+};
+
+const describeValue = (value) =>
+  value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+/**
+ * One line per changed field, e.g. "status: pending -> approved".
+ * @param {Object} event - AuditEvent.
+ * @returns {string}
+ */
+export const describeChanges = (event) =>
+  (event.changes || [])
+    .map(({ field, before, after }) => `${field}: ${describeValue(before)} -> ${describeValue(after)}`)
+    .join('\n');
+
+/**
+ * Write audit events as CSV for inspectors.
+ * @param {Object[]} events - AuditEvent documents, newest first.
+ * @param {Map<string, string>} displayNames - userId to current name, for the staff member column.
+ * @returns {string} - The CSV text.
+ */
+export const formatAuditCsv = (events, displayNames) =>
+  formatCsv([
+    ['When', 'By', 'Action', 'Record type', 'Record id', 'Staff member', 'Changes', 'Details'],
+    ...events.map((event) => [
+      new Date(event.createdAt).toISOString(),
+      event.actorName,
+      event.action,
+      event.resourceType,
+      event.resourceId,
+      displayNames.get(event.subjectUserId) || event.subjectUserId,
+      describeChanges(event),
+      Object.keys(event.details || {}).length ? JSON.stringify(event.details) : '',
+    ]),
+  ]);
@@ -0,0 +1,127 @@
+// utils/auth.js
+
+import { NextResponse } from 'next/server';
+import { getKindeServerSession } from '@kinde-oss/kinde-auth-nextjs/server';
+import connectMongo from '@/db/connectMongo';
+import User from '@/models/User';
+import { logger } from './logger';
+
+// Kinde permission that marked admins before roles were stored on the User model.
+// It is only consulted once, to seed the role when a User document is provisioned.
+const LEGACY_ADMIN_PERMISSION = 'delete:timesheet';
+
+/**
+ * Build the display name stored on timesheet, leave and training records
+ * @param {Object} kindeUser - User object returned by the Kinde session
+ * @returns {string} "Given Family", falling back to the email address
+ */
+export const getDisplayName = (kindeUser) => {
+  if (!kindeUser) return '';
+  return (
+    `${kindeUser.given_name || ''} ${kindeUser.family_name || ''}`.trim() ||
+    kindeUser.email
+  );
+};
+
+/**
+ * Build the same display name from a stored User document, for requests without a Kinde session
+ * @param {Object} dbUser - User document
+ * @returns {string} "Given Family", falling back to the email address
+ */
+export const getUserDisplayName = (dbUser) => {
+  if (!dbUser) return '';
+  return (
+    `${dbUser.givenName || ''} ${dbUser.familyName || ''}`.trim() ||
+    dbUser.email
+  );
+};
+
+/**
+ * Resolve the logged-in Kinde user to a User document, provisioning it on first login
+ * @returns {Promise<{user: Object, dbUser: Object}|null>} null when nobody is logged in
+ */
+export const getCurrentUser = async () => {
+  const { getUser, isAuthenticated, getPermission } = getKindeServerSession();
+
+  if (!(await isAuthenticated())) {
+    return null;
+  }
+
+  const user = await getUser();
+  if (!user?.id) {
+    return null;
+  }
+
+  await connectMongo();
+
+  const profile = {
+    email: user.email || '',
+    givenName: user.given_name || '',
+    familyName: user.family_name || '',
+  };
+
+  let dbUser = await User.findOne({ kindeUserId: user.id });
+
+  if (!dbUser) {
+    const legacyPermission = await getPermission(LEGACY_ADMIN_PERMISSION);
+    const role = legacyPermission?.isGranted ? 'admin' : 'user';
+
+    // Upsert so two concurrent first requests don't race on the unique index
+    dbUser = await User.findOneAndUpdate(
+      { kindeUserId: user.id },
+      { $setOnInsert: { kindeUserId: user.id, role, ...profile } },
+      { upsert: true, new: true }
+    );
+
+    logger.auth('User provisioned', user.id, { role: dbUser.role });
+  } else if (
+    dbUser.email !== profile.email ||
+    dbUser.givenName !== profile.givenName ||
+    dbUser.familyName !== profile.familyName
+  ) {
+    // Keep the cached Kinde profile fresh for the admin user list
+    Object.assign(dbUser, profile);
+    await dbUser.save();
+  }
+
+  return { user, dbUser };
+};
+
+/**
+ * Check whether the logged-in user holds the admin role
+ * @returns {Promise<boolean>} True for admins
+ */
+export const isCurrentUserAdmin = async () => {
+  const current = await getCurrentUser();
+  return current?.dbUser.role === 'admin';
+};
+
+/**
+ * Guard for admin-only API routes
+ * @returns {Promise<Object>} `{ user, dbUser }` for admins, otherwise `{ response }` holding the 401/403 to return
+ */
+export const requireAdmin = async () => {
+  const current = await getCurrentUser();
+
+  if (!current) {
+    return {
+      response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }),
+    };
+  }
+
+  if (current.dbUser.role !== 'admin') {
+    logger.security('Admin access denied', {
+      userId: current.user.id,
+      role: current.dbUser.role,
+    });
+
+    return {
+      response: NextResponse.json(
+        { error: 'Forbidden: Admin access required' },
+        { status: 403 }
+      ),
+    };
+  }
+
+  return current;
+};
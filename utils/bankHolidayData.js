@@ -0,0 +1,149 @@
+//utils/bankHolidayData.js
+
+/*
+ * Bank holidays for each UK region, bundled so nothing is fetched at runtime.
+ * Taken from the GOV.UK bank holidays list; add the next year before it starts.
+ * Extra dates (e.g. a one-off royal holiday) are added on /admin/bank-holidays.
+ * Forms use the region list and toDateKey in the browser and BankHolidayCalendar
+ * validates regions against it; the saved extra dates are merged in bankHolidayUtils.
+ */
+
+export const BANK_HOLIDAY_REGIONS = {
+  'england-and-wales': 'England and Wales',
+  scotland: 'Scotland',
+  'northern-ireland': 'Northern Ireland',
+};
+
+export const DEFAULT_BANK_HOLIDAY_REGION = 'england-and-wales';
+
+const NEW_YEAR = 'New Year’s Day';
+const GOOD_FRIDAY = 'Good Friday';
+const EASTER_MONDAY = 'Easter Monday';
+const EARLY_MAY = 'Early May bank holiday';
+const SPRING = 'Spring bank holiday';
+const SUMMER = 'Summer bank holiday';
+const CHRISTMAS = 'Christmas Day';
+const BOXING_DAY = 'Boxing Day';
+const SUBSTITUTE = ' (substitute day)';
+
+const englandAndWales = [
+  ['2024-01-01', NEW_YEAR],
+  ['2024-03-29', GOOD_FRIDAY],
+  ['2024-04-01', EASTER_MONDAY],
+  ['2024-05-06', EARLY_MAY],
+  ['2024-05-27', SPRING],
+  ['2024-08-26', SUMMER],
+  ['2024-12-25', CHRISTMAS],
+  ['2024-12-26', BOXING_DAY],
+  ['2025-01-01', NEW_YEAR],
+  ['2025-04-18', GOOD_FRIDAY],
+  ['2025-04-21', EASTER_MONDAY],
+  ['2025-05-05', EARLY_MAY],
+  ['2025-05-26', SPRING],
+  ['2025-08-25', SUMMER],
+  ['2025-12-25', CHRISTMAS],
+  ['2025-12-26', BOXING_DAY],
+  ['2026-01-01', NEW_YEAR],
+  ['2026-04-03', GOOD_FRIDAY],
+  ['2026-04-06', EASTER_MONDAY],
+  ['2026-05-04', EARLY_MAY],
+  ['2026-05-25', SPRING],
+  ['2026-08-31', SUMMER],
+  ['2026-12-25', CHRISTMAS],
+  ['2026-12-28', BOXING_DAY + SUBSTITUTE],
+  ['2027-01-01', NEW_YEAR],
+  ['2027-03-26', GOOD_FRIDAY],
+  ['2027-03-29', EASTER_MONDAY],
+  ['2027-05-03', EARLY_MAY],
+  ['2027-05-31', SPRING],
+  ['2027-08-30', SUMMER],
+  ['2027-12-27', CHRISTMAS + SUBSTITUTE],
+  ['2027-12-28', BOXING_DAY + SUBSTITUTE],
+  ['2028-01-03', NEW_YEAR + SUBSTITUTE],
+  ['2028-04-14', GOOD_FRIDAY],
+  ['2028-04-17', EASTER_MONDAY],
+  ['2028-05-01', EARLY_MAY],
+  ['2028-05-29', SPRING],
+  ['2028-08-28', SUMMER],
+  ['2028-12-25', CHRISTMAS],
+  ['2028-12-26', BOXING_DAY],
+];
+
+const scotland = [
+  ['2024-01-01', NEW_YEAR],
+  ['2024-01-02', '2nd January'],
+  ['2024-03-29', GOOD_FRIDAY],
+  ['2024-05-06', EARLY_MAY],
+  ['2024-05-27', SPRING],
+  ['2024-08-05', SUMMER],
+  ['2024-12-02', 'St Andrew’s Day' + SUBSTITUTE],
+  ['2024-12-25', CHRISTMAS],
+  ['2024-12-26', BOXING_DAY],
+  ['2025-01-01', NEW_YEAR],
+  ['2025-01-02', '2nd January'],
+  ['2025-04-18', GOOD_FRIDAY],
+  ['2025-05-05', EARLY_MAY],
+  ['2025-05-26', SPRING],
+  ['2025-08-04', SUMMER],
+  ['2025-12-01', 'St Andrew’s Day' + SUBSTITUTE],
+  ['2025-12-25', CHRISTMAS],
+  ['2025-12-26', BOXING_DAY],
+  ['2026-01-01', NEW_YEAR],
+  ['2026-01-02', '2nd January'],
+  ['2026-04-03', GOOD_FRIDAY],
+  ['2026-05-04', EARLY_MAY],
+  ['2026-05-25', SPRING],
+  ['2026-08-03', SUMMER],
+  ['2026-11-30', 'St Andrew’s Day'],
+  ['2026-12-25', CHRISTMAS],
+  ['2026-12-28', BOXING_DAY + SUBSTITUTE],
+  ['2027-01-01', NEW_YEAR],
+  ['2027-01-04', '2nd January' + SUBSTITUTE],
+  ['2027-03-26', GOOD_FRIDAY],
+  ['2027-05-03', EARLY_MAY],
+  ['2027-05-31', SPRING],
+  ['2027-08-02', SUMMER],
+  ['2027-11-30', 'St Andrew’s Day'],
+  ['2027-12-27', CHRISTMAS + SUBSTITUTE],
+  ['2027-12-28', BOXING_DAY + SUBSTITUTE],
+  ['2028-01-03', NEW_YEAR + SUBSTITUTE],
+  ['2028-01-04', '2nd January' + SUBSTITUTE],
+  ['2028-04-14', GOOD_FRIDAY],
+  ['2028-05-01', EARLY_MAY],
+  ['2028-05-29', SPRING],
+  ['2028-08-07', SUMMER],
+  ['2028-11-30', 'St Andrew’s Day'],
+  ['2028-12-25', CHRISTMAS],
+  ['2028-12-26', BOXING_DAY],
+];
+
+// England and Wales, plus St Patrick's Day and the Battle of the Boyne
+const northernIreland = [
+  ...englandAndWales,
+  ['2024-03-18', 'St Patrick’s Day' + SUBSTITUTE],
+  ['2024-07-12', 'Battle of the Boyne (Orangemen’s Day)'],
+  ['2025-03-17', 'St Patrick’s Day'],
+  ['2025-07-14', 'Battle of the Boyne (Orangemen’s Day)' + SUBSTITUTE],
+  ['2026-03-17', 'St Patrick’s Day'],
+  ['2026-07-13', 'Battle of the Boyne (Orangemen’s Day)' + SUBSTITUTE],
+  ['2027-03-17', 'St Patrick’s Day'],
+  ['2027-07-12', 'Battle of the Boyne (Orangemen’s Day)'],
+  ['2028-03-17', 'St Patrick’s Day'],
+  ['2028-07-12', 'Battle of the Boyne (Orangemen’s Day)'],
+].sort(([a], [b]) => a.localeCompare(b));
+
+const toHolidays = (entries) => entries.map(([date, title]) => ({ date, title }));
+
+// Region to [{date: 'yyyy-MM-dd', title}], in date order
+export const BUNDLED_BANK_HOLIDAYS = {
+  'england-and-wales': toHolidays(englandAndWales),
+  scotland: toHolidays(scotland),
+  'northern-ireland': toHolidays(northernIreland),
+};
+
+/**
+ * Day key used to match entries against bank holidays. Entry dates are stored at UTC midnight.
+ * @param {Date|string} date - Any date.
+ * @returns {string} - "yyyy-MM-dd".
+ */
+export const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
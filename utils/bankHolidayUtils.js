@@ -0,0 +1,168 @@
+//utils/bankHolidayUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import BankHolidayCalendar from '@/models/BankHolidayCalendar';
+import Timesheet from '@/models/Timesheet';
+import {
+  BANK_HOLIDAY_REGIONS,
+  BUNDLED_BANK_HOLIDAYS,
+  DEFAULT_BANK_HOLIDAY_REGION,
+  toDateKey,
+} from './bankHolidayData';
+import { ValidationError } from './errorHandler';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Load the home's region and hand-added dates.
+ * @returns {Promise<{region: string, extraDates: {date: string, title: string}[], updatedBy: string, updatedAt: Date|null}>}
+ */
+export const getBankHolidayCalendar = async () => {
+  await connectMongo();
+  const saved = await BankHolidayCalendar.findOne({}).lean();
+
+  return {
+    region: saved?.region || DEFAULT_BANK_HOLIDAY_REGION,
+    extraDates: (saved?.extraDates || [])
+      .map((entry) => ({ date: toDateKey(entry.date), title: entry.title }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    updatedBy: saved?.updatedBy || '',
+    updatedAt: saved?.updatedAt || null,
+  };
+};
+
+const mergeHolidays = ({ region, extraDates }) => {
+  const holidays = new Map(
+    BUNDLED_BANK_HOLIDAYS[region].map((holiday) => [
+      holiday.date,
+      { ...holiday, extra: false },
+    ])
+  );
+  extraDates.forEach((entry) => {
+    if (!holidays.has(entry.date)) {
+      holidays.set(entry.date, { ...entry, extra: true });
+    }
+  });
+  return Array.from(holidays.values()).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Bank holidays for the home's region, with hand-added dates, optionally within a range.
+ * @param {Date|string} [start] - First day to include.
+ * @param {Date|string} [end] - Last day to include.
+ * @returns {Promise<{date: string, title: string, extra: boolean}[]>} - In date order; `date` is "yyyy-MM-dd".
+ */
+export const getBankHolidays = async (start, end) => {
+  const holidays = mergeHolidays(await getBankHolidayCalendar());
+  const from = start ? toDateKey(start) : '';
+  const to = end ? toDateKey(end) : '9999-12-31';
+
+  return holidays.filter((holiday) => holiday.date >= from && holiday.date <= to);
+};
+
+/**
+ * Whether a day is a bank holiday for the home.
+ * @param {Date|string} date - Entry date.
+ * @returns {Promise<boolean>}
+ */
+export const isBankHoliday = async (date) =>
+  (await getBankHolidays(date, date)).length > 0;
+
+const dayRange = (dateKey) => {
+  const start = new Date(dateKey);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { $gte: start, $lt: end };
+};
+
+/**
+ * Save the region and hand-added dates, then re-tag timesheet entries on any day that
+ * became or stopped being a bank holiday.
+ * @param {Object} input - {region, extraDates: [{date: 'yyyy-MM-dd', title}]}.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<{calendar: Object, retagged: number}>} - The saved calendar and how many entries changed.
+ */
+export const saveBankHolidayCalendar = async ({ region, extraDates = [] }, updatedBy) => {
+  if (!BANK_HOLIDAY_REGIONS[region]) {
+    throw new ValidationError('Unknown bank holiday region', 'region');
+  }
+  if (!Array.isArray(extraDates)) {
+    throw new ValidationError('Extra dates must be a list', 'extraDates');
+  }
+
+  const extras = [];
+  for (const entry of extraDates) {
+    const date = String(entry?.date ?? '').trim();
+    const title = String(entry?.title ?? '').trim();
+    if (!DATE_KEY_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+      throw new ValidationError(`${date || 'A blank date'} is not a valid date`, 'extraDates');
+    }
+    if (!title) {
+      throw new ValidationError(`Give the bank holiday on ${date} a name`, 'extraDates');
+    }
+    if (extras.some((existing) => existing.date === date)) {
+      throw new ValidationError(`${date} is listed more than once`, 'extraDates');
+    }
+    extras.push({ date, title });
+  }
+
+  const before = new Set(mergeHolidays(await getBankHolidayCalendar()).map((h) => h.date));
+  const after = new Set(mergeHolidays({ region, extraDates: extras }).map((h) => h.date));
+
+  await BankHolidayCalendar.findOneAndUpdate(
+    {},
+    {
+      region,
+      extraDates: extras.map((entry) => ({ date: new Date(entry.date), title: entry.title })),
+      updatedBy,
+      updatedAt: new Date(),
+    },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const operations = [
+    ...[...after].filter((date) => !before.has(date)).map((date) => [date, true]),
+    ...[...before].filter((date) => !after.has(date)).map((date) => [date, false]),
+  ].map(([date, tagged]) => ({
+    updateMany: {
+      filter: { date: dayRange(date) },
+      update: { $set: { isBankHoliday: tagged } },
+    },
+  }));
+
+  let retagged = 0;
+  if (operations.length > 0) {
+    const result = await Timesheet.bulkWrite(operations, { ordered: false });
+    retagged = result.modifiedCount;
+  }
+
+  return { calendar: await getBankHolidayCalendar(), retagged };
+};
+
+/**
+ * Tag every timesheet entry against the current calendar, e.g. after entries were imported.
+ * @returns {Promise<number>} - Entries whose tag changed.
+ */
+export const retagAllTimesheets = async () => {
+  const dates = (await getBankHolidays()).map((holiday) => holiday.date);
+
+  const result = await Timesheet.bulkWrite(
+    [
+      {
+        updateMany: {
+          filter: { isBankHoliday: true },
+          update: { $set: { isBankHoliday: false } },
+        },
+      },
+      ...dates.map((date) => ({
+        updateMany: {
+          filter: { date: dayRange(date) },
+          update: { $set: { isBankHoliday: true } },
+        },
+      })),
+    ],
+    { ordered: true }
+  );
+
+  return result.modifiedCount;
+};
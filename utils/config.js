@@ -322,6 +322,24 @@ appConfig.defineSchema('REQUEST_TIMEOUT', {
   transform: (value) => parseInt(value)
 });
 
+appConfig.defineSchema('AUTO_BREAK_AFTER_MINUTES', {
+  type: 'number',
+  default: 360, // 6 hours
+  transform: (value) => parseInt(value)
+});
+
+appConfig.defineSchema('AUTO_BREAK_MINUTES', {
+  type: 'number',
+  default: 30,
+  transform: (value) => parseInt(value)
+});
+
+appConfig.defineSchema('DELETED_RECORD_RETENTION_DAYS', {
+  type: 'number',
+  default: 90,
+  transform: (value) => parseInt(value)
+});
+
 // Feature flags management
 class FeatureFlags {
   constructor() {
@@ -573,6 +591,10 @@ featureFlagsInstance.define('ADVANCED_VALIDATION', false, {
   description: 'Enable advanced input validation and sanitization'
 });
 
+featureFlagsInstance.define('TIMESHEET_APPROVAL', false, {
+  description: 'Hold submitted timesheets as pending until an admin approves them'
+});
+
 // Configuration utilities
 export const getConfig = (key, defaultValue) => {
   return appConfig.get(key, defaultValue);
@@ -590,6 +612,19 @@ export const validateConfig = () => {
   return appConfig.validate();
 };
 
+// Unpaid break deducted when staff leave the break field blank
+export const getAutoBreakRule = () => {
+  return {
+    afterMinutes: appConfig.get('AUTO_BREAK_AFTER_MINUTES', 360),
+    breakMinutes: appConfig.get('AUTO_BREAK_MINUTES', 30)
+  };
+};
+
+// Days a deleted entry stays in the recycle bin before the retention job purges it
+export const getDeletedRecordRetentionDays = () => {
+  return appConfig.get('DELETED_RECORD_RETENTION_DAYS', 90);
+};
+
 // Feature flag utilities
 export const isFeatureEnabled = (name, context) => {
   return featureFlagsInstance.isEnabled(name, context);
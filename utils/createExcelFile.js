@@ -3,6 +3,7 @@
 import {
   getLastFourWeeks,
   formatDate as formatDateFromDateUtils,
+  calculateMinutesWorked as calculateShiftMinutes,
 } from './dateUtils'; // Ensure correct import
 import Timesheet from '@/models/Timesheet';
 import connectMongo from '@/db/connectMongo';
@@ -31,12 +32,13 @@ export async function fetchTimesheetData() {
 
   return timesheets.map((ts) => {
     // Calculate hours worked and format the result
-    const hoursWorked = calculateMinutesWorked(ts.start, ts.end) / 60; // Convert minutes to hours
+    const hoursWorked = calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes) / 60; // Convert minutes to hours
     return {
       username: ts.username || 'N/A',
       date: formatDateFromDateUtils(ts.date), // Use the imported formatDate function
       start: ts.start || 'N/A',
       end: ts.end || 'N/A',
+      breakMinutes: ts.breakMinutes || 0,
       hoursWorked: hoursWorked.toFixed(2), // Format hours to 2 decimal points
     };
   });
@@ -69,7 +71,7 @@ export async function fetchTimesheetSummary() {
         entryDate >= new Date(week.start) &&
         entryDate <= new Date(week.end)
       ) {
-        const minutesWorked = calculateMinutesWorked(ts.start, ts.end);
+        const minutesWorked = calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes);
         summary[username].weeklyMinutes[i] += minutesWorked;
         summary[username].totalMinutes += minutesWorked;
         break;
@@ -111,16 +113,9 @@ export function formatDate(date) {
   return d.toISOString().split('T')[0]; // Return date in YYYY-MM-DD format
 }
 
-// Function to calculate minutes worked between start and end times
-export function calculateMinutesWorked(startTimeUTC, endTimeUTC) {
-  if (!startTimeUTC || !endTimeUTC) return 0; // Handle missing times
+// Function to calculate paid minutes between HH:mm start and end times, less the unpaid break
+export function calculateMinutesWorked(start, end, breakMinutes = 0) {
+  if (!start || !end) return 0; // Handle missing times
 
-  const start = new Date(startTimeUTC);
-  const end = new Date(endTimeUTC);
-
-  // Ensure valid date objects
-  if (isNaN(start.getTime()) || isNaN(end.getTime())) return 0;
-
-  const minutes = (end - start) / (1000 * 60); // Calculate difference in minutes
-  return minutes >= 0 ? minutes : 0; // Ensure non-negative result
+  return calculateShiftMinutes(start, end, breakMinutes);
 }
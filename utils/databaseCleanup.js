@@ -8,6 +8,10 @@ import Training from '../models/Training';
 import WeeklySummary from '../models/WeeklySummary';
 import User from '../models/User';
 import Rota from '../models/Rota';
+import TimesheetRevision from '../models/TimesheetRevision';
+import AmendmentRequest from '../models/AmendmentRequest';
+import { recordAuditEvent } from './auditTrail';
+import { getDeletedRecordRetentionDays } from './config';
 
 /**
  * Comprehensive database cleanup utilities
@@ -23,7 +27,9 @@ export const cleanupUserData = async (userId) => {
       LeaveHours.deleteMany({ userId }),
       Leave.deleteMany({ userId }),
       Training.deleteMany({ userId }),
-      WeeklySummary.deleteMany({ userId })
+      WeeklySummary.deleteMany({ userId }),
+      TimesheetRevision.deleteMany({ userId }),
+      AmendmentRequest.deleteMany({ userId })
     ]);
     
     const deletedCounts = {
@@ -31,7 +37,9 @@ export const cleanupUserData = async (userId) => {
       leaveHours: results[1].status === 'fulfilled' ? results[1].value.deletedCount : 0,
       leaves: results[2].status === 'fulfilled' ? results[2].value.deletedCount : 0,
       training: results[3].status === 'fulfilled' ? results[3].value.deletedCount : 0,
-      weeklySummaries: results[4].status === 'fulfilled' ? results[4].value.deletedCount : 0
+      weeklySummaries: results[4].status === 'fulfilled' ? results[4].value.deletedCount : 0,
+      timesheetRevisions: results[5].status === 'fulfilled' ? results[5].value.deletedCount : 0,
+      amendmentRequests: results[6].status === 'fulfilled' ? results[6].value.deletedCount : 0
     };
     
     console.log(`🧹 Cleaned up user data for ${userId}:`, deletedCounts);
@@ -124,6 +132,57 @@ export const cleanupOldDrafts = async (daysOld = 30) => {
   }
 };
 
+// Permanently remove records that have been in the recycle bin longer than the retention period,
+// along with the edit history and amendment requests of the purged timesheets.
+// `user` is the admin who asked for it; the scheduled job passes none.
+export const purgeExpiredDeletions = async ({
+  user = null,
+  retentionDays = getDeletedRecordRetentionDays()
+} = {}) => {
+  try {
+    await connectMongo();
+
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+    const expired = { deleted: true, deletedAt: { $lt: cutoffDate } };
+
+    const timesheetIds = (await Timesheet.find(expired).select('_id').lean())
+      .map((timesheet) => timesheet._id);
+    const purgedTimesheets = { timesheetId: { $in: timesheetIds.map(String) } };
+
+    const results = await Promise.allSettled([
+      Timesheet.deleteMany({ ...expired, _id: { $in: timesheetIds } }),
+      LeaveHours.deleteMany(expired),
+      Leave.deleteMany(expired),
+      Training.deleteMany(expired),
+      TimesheetRevision.deleteMany(purgedTimesheets),
+      AmendmentRequest.deleteMany(purgedTimesheets)
+    ]);
+
+    const deletedCounts = {
+      timesheets: results[0].status === 'fulfilled' ? results[0].value.deletedCount : 0,
+      leaveHours: results[1].status === 'fulfilled' ? results[1].value.deletedCount : 0,
+      leaves: results[2].status === 'fulfilled' ? results[2].value.deletedCount : 0,
+      training: results[3].status === 'fulfilled' ? results[3].value.deletedCount : 0,
+      timesheetRevisions: results[4].status === 'fulfilled' ? results[4].value.deletedCount : 0,
+      amendmentRequests: results[5].status === 'fulfilled' ? results[5].value.deletedCount : 0
+    };
+
+    await recordAuditEvent({
+      action: 'PURGE',
+      user,
+      resourceType: 'RecycleBin',
+      details: { retentionDays, ...deletedCounts },
+    });
+
+    console.log(`🧹 Purged deleted records (${retentionDays}+ days):`, deletedCounts);
+    return deletedCounts;
+  } catch (error) {
+    console.error('❌ Error purging deleted records:', error);
+    throw error;
+  }
+};
+
 // Get database storage statistics
 export const getDatabaseStats = async () => {
   try {
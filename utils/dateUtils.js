@@ -49,8 +49,8 @@ export function getLastFourWeeks() {
   return weeks.reverse();
 }
 
-// Calculate hours worked between two times
-export function calculateHoursWorked(start, end) {
+// Calculate hours worked between two times, less any unpaid break
+export function calculateHoursWorked(start, end, breakMinutes = 0) {
   const parseTime = (time) => {
     const [hours, minutes] = time.split(":").map((num) => parseInt(num, 10));
     return new Date(1970, 0, 1, hours, minutes);
@@ -64,7 +64,10 @@ export function calculateHoursWorked(start, end) {
     endDateAdjusted = addDays(endDate, 1);
   }
 
-  const minutesWorked = differenceInMinutes(endDateAdjusted, startDate);
+  const minutesWorked = Math.max(
+    differenceInMinutes(endDateAdjusted, startDate) - (breakMinutes || 0),
+    0
+  );
 
   const hours = Math.floor(minutesWorked / 60);
   const minutes = minutesWorked % 60;
@@ -106,14 +109,14 @@ export function getStartOfWeek(date) {
 
 export function calculateTotalMinutes(timesheets) {
   const totalMinutes = timesheets.reduce((sum, ts) => {
-    const minutesWorked = calculateMinutesWorked(ts.start, ts.end);
+    const minutesWorked = calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes);
     return sum + minutesWorked;
   }, 0);
 
   return totalMinutes;
 }
 
-export function calculateMinutesWorked(start, end) {
+export function calculateMinutesWorked(start, end, breakMinutes = 0) {
   const parseTime = (time) => {
     const [hours, minutes] = time.split(":").map((num) => parseInt(num, 10));
     return new Date(1970, 0, 1, hours, minutes);
@@ -128,7 +131,31 @@ export function calculateMinutesWorked(start, end) {
   }
 
   const minutesWorked = differenceInMinutes(endDateAdjusted, startDate);
-  return minutesWorked;
+  return Math.max(minutesWorked - (breakMinutes || 0), 0);
+}
+
+// Unpaid break applied when staff leave the break field blank,
+// e.g. { afterMinutes: 360, breakMinutes: 30 } means shifts over 6h lose 30 min
+export function calculateAutoBreakMinutes(start, end, rule) {
+  if (!rule || !rule.breakMinutes) return 0;
+  const shiftMinutes = calculateMinutesWorked(start, end);
+  return shiftMinutes > rule.afterMinutes ? rule.breakMinutes : 0;
+}
+
+// Use the entered break when there is one, otherwise fall back to the automatic rule
+export function resolveBreakMinutes(value, start, end, rule) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return calculateAutoBreakMinutes(start, end, rule);
+  }
+
+  const breakMinutes = parseInt(value, 10);
+  if (isNaN(breakMinutes) || breakMinutes < 0) {
+    throw new Error("Break must be a positive number of minutes");
+  }
+  if (breakMinutes >= calculateMinutesWorked(start, end)) {
+    throw new Error("Break cannot be as long as the shift");
+  }
+  return breakMinutes;
 }
 
 export function convertMinutesToHours(totalMinutes) {
@@ -0,0 +1,34 @@
+//utils/employeeProfileFields.js
+
+/*
+ * Employee profile options shared by the model, the admin editor and pay calculations.
+ * EmployeeProfile builds its enums from these lists and EmployeeProfileForm renders
+ * them in the browser, so database lookups belong in employeeProfileUtils.
+ */
+
+import { PAY_ELEMENTS } from './payrollExportFormats';
+
+export const EMPLOYMENT_TYPES = {
+  permanent: 'Permanent',
+  bank: 'Bank',
+  agency: 'Agency',
+};
+
+// Used for estimated pay when a profile has no basic rate
+export const NATIONAL_MINIMUM_WAGE = 12.21;
+
+/**
+ * Hourly rate for a pay element. Elements without their own rate are paid at the basic rate.
+ * @param {Object|null} profile - EmployeeProfile with `hourlyRates` ([{element, rate}]).
+ * @param {string} element - One of the PAY_ELEMENTS keys.
+ * @returns {number|null} - The rate in pounds, or null when no basic rate is set.
+ */
+export const getHourlyRate = (profile, element = 'basic') => {
+  const rates = profile?.hourlyRates || [];
+  const match =
+    rates.find((entry) => entry.element === element) ||
+    rates.find((entry) => entry.element === 'basic');
+  return match ? match.rate : null;
+};
+
+export { PAY_ELEMENTS };
@@ -0,0 +1,118 @@
+//utils/employeeProfileUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import User from '@/models/User';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { EMPLOYMENT_TYPES, PAY_ELEMENTS } from './employeeProfileFields';
+import { ROTA_DAYS } from './rotaUtils';
+
+/**
+ * Load the profiles for a set of users.
+ * @param {string[]} userIds - Kinde user ids; blanks are ignored.
+ * @returns {Promise<Map<string, Object>>} - userId to profile.
+ */
+export const getEmployeeProfileMap = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  await connectMongo();
+  const profiles = await EmployeeProfile.find({ userId: { $in: ids } }).lean();
+  return new Map(profiles.map((profile) => [profile.userId, profile]));
+};
+
+const toNumberOrNull = (value, label) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ValidationError(`${label} must be a number`, label);
+  }
+  return number;
+};
+
+/**
+ * Create or replace a user's employee profile.
+ * @param {string} userId - Kinde user id of a provisioned user.
+ * @param {Object} input - {payrollNumber, jobPost, contractedWeeklyHours, hourlyRates, startDate, employmentType, workingDays}.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved profile.
+ */
+export const saveEmployeeProfile = async (userId, input, updatedBy) => {
+  await connectMongo();
+
+  if (!userId || !(await User.exists({ kindeUserId: userId }))) {
+    throw new NotFoundError('User not found');
+  }
+
+  const employmentType = input.employmentType || 'permanent';
+  if (!EMPLOYMENT_TYPES[employmentType]) {
+    throw new ValidationError('Unknown employment type', 'employmentType');
+  }
+
+  const startDate = input.startDate ? new Date(input.startDate) : null;
+  if (startDate && isNaN(startDate.getTime())) {
+    throw new ValidationError('Invalid start date', 'startDate');
+  }
+
+  const hourlyRates = [];
+  for (const entry of input.hourlyRates || []) {
+    const rate = toNumberOrNull(entry?.rate, 'Hourly rate');
+    if (rate === null) continue;
+    if (!PAY_ELEMENTS[entry.element]) {
+      throw new ValidationError('Unknown pay element', 'hourlyRates');
+    }
+    if (hourlyRates.some((existing) => existing.element === entry.element)) {
+      throw new ValidationError(
+        `${PAY_ELEMENTS[entry.element]} has more than one rate`,
+        'hourlyRates'
+      );
+    }
+    hourlyRates.push({ element: entry.element, rate });
+  }
+
+  const workingDays = input.workingDays || [];
+  if (workingDays.some((day) => !ROTA_DAYS.includes(day))) {
+    throw new ValidationError('Unknown working day', 'workingDays');
+  }
+
+  const payrollNumber = String(input.payrollNumber ?? '').trim();
+  const update = {
+    jobPost: String(input.jobPost ?? '').trim(),
+    contractedWeeklyHours: toNumberOrNull(
+      input.contractedWeeklyHours,
+      'Contracted hours'
+    ),
+    hourlyRates,
+    startDate,
+    employmentType,
+    // Kept in week order whatever order they were ticked in
+    workingDays: ROTA_DAYS.filter((day) => workingDays.includes(day)),
+    updatedBy,
+    updatedAt: new Date(),
+  };
+
+  try {
+    // A blank payroll number is removed rather than stored, so it stays out of the unique index
+    return await EmployeeProfile.findOneAndUpdate(
+      { userId },
+      payrollNumber
+        ? { ...update, payrollNumber }
+        : { ...update, $unset: { payrollNumber: 1 } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new ValidationError(
+        Object.values(error.errors)[0]?.message || error.message,
+        'profile'
+      );
+    }
+    if (error.code === 11000) {
+      throw new ValidationError(
+        `Payroll number ${payrollNumber} is already used by another employee`,
+        'payrollNumber'
+      );
+    }
+    throw error;
+  }
+};
@@ -38,6 +38,14 @@ export class NotFoundError extends Error {
   }
 }
 
+export class PeriodLockedError extends Error {
+  constructor(message = 'This entry is in a closed payroll period') {
+    super(message);
+    this.name = 'PeriodLockedError';
+    this.statusCode = 409;
+  }
+}
+
 export class DatabaseError extends Error {
   constructor(message = 'Database operation failed') {
     super(message);
@@ -28,6 +28,7 @@ export async function generateExcelFile(data, type) {
       { header: 'Date', key: 'date', width: 15 },
       { header: 'Start (UTC)', key: 'start', width: 15 },
       { header: 'End (UTC)', key: 'end', width: 15 },
+      { header: 'Break (mins)', key: 'breakMinutes', width: 12 },
       { header: 'Hours Worked', key: 'hoursWorked', width: 15 },
     ];
   }
@@ -56,13 +57,14 @@ export async function generateExcelFile(data, type) {
       }
 
       const formattedDate = formatDate(item.date); // Format the date using UTC
-      const hoursWorked = calculateMinutesWorked(item.start, item.end) / 60; // Calculate hours
+      const hoursWorked = calculateMinutesWorked(item.start, item.end, item.breakMinutes) / 60; // Calculate hours
 
       worksheet.addRow({
         username: item.username || 'N/A',
         date: formattedDate,
         start: item.start || 'N/A',
         end: item.end || 'N/A',
+        breakMinutes: item.breakMinutes || 0,
         hoursWorked: hoursWorked.toFixed(2), // Ensure 2 decimal points for hours worked
       });
     }
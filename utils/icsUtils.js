@@ -0,0 +1,116 @@
+//utils/icsUtils.js
+
+/*
+ * Minimal iCalendar (RFC 5545) writer for the rota subscription feed.
+ * Timed events use floating local times, so phones show them in UK time
+ * without the feed having to ship VTIMEZONE definitions.
+ */
+
+const PRODUCT_ID = '-//Deerpark//Rota Feed//EN';
+
+/**
+ * Escape text for a TEXT property value.
+ * @param {string} value - Raw text.
+ * @returns {string} - Escaped text.
+ */
+export const escapeIcsText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// YYYY-MM-DD to YYYYMMDD
+const formatIcsDate = (date) => date.replace(/-/g, '');
+
+// YYYY-MM-DD plus HH:mm to a floating YYYYMMDDTHHmmss
+const formatIcsDateTime = (date, time) =>
+  `${formatIcsDate(date)}T${time.replace(':', '')}00`;
+
+// Any Date to a UTC YYYYMMDDTHHmmssZ
+const formatIcsTimestamp = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {number} days - Days to add.
+ * @returns {string} - YYYY-MM-DD.
+ */
+export const addDaysToDateKey = (date, days) => {
+  const result = new Date(`${date}T00:00:00.000Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+};
+
+/**
+ * Build an iCalendar document.
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by the subscribing app.
+ * @param {Object[]} options.events - {uid, summary, description, location, updatedAt} plus either
+ *   {date, start, end} for a timed event or {startDate, endDate} (inclusive) for an all-day event.
+ * @returns {string} - The .ics text with CRLF line endings.
+ */
+export const buildIcsCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-WR-TIMEZONE:Europe/London',
+  ];
+
+  events.forEach((event) => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatIcsTimestamp(event.updatedAt || new Date())}`);
+
+    if (event.startDate) {
+      lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.startDate)}`);
+      // DTEND is exclusive for all-day events
+      lines.push(
+        `DTEND;VALUE=DATE:${formatIcsDate(addDaysToDateKey(event.endDate, 1))}`
+      );
+    } else {
+      // Night shifts finish the next morning
+      const endDate =
+        event.end <= event.start ? addDaysToDateKey(event.date, 1) : event.date;
+      lines.push(`DTSTART:${formatIcsDateTime(event.date, event.start)}`);
+      lines.push(`DTEND:${formatIcsDateTime(endDate, event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+    if (event.location) {
+      lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatIcsTimestamp(event.updatedAt)}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,224 @@
+//utils/identityMigration.js
+
+import connectMongo from '@/db/connectMongo';
+import IdentityConflict from '@/models/IdentityConflict';
+import PayrollExportSetting from '@/models/PayrollExportSetting';
+import User from '@/models/User';
+import { getUserDisplayName } from './auth';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { MISSING_USER_ID, USER_KEYED_COLLECTIONS } from './identityUtils';
+import { normaliseStaffName } from './rotaUtils';
+
+/**
+ * Count the records under each stored display name, split by user id.
+ * Records in the recycle bin count too, so a restored record lands under the right person.
+ * @returns {Promise<Map<string, {ids: Map<string, number>, unkeyed: number}>>}
+ */
+const collectNameUsage = async () => {
+  const usage = new Map();
+
+  for (const { model, nameField } of USER_KEYED_COLLECTIONS) {
+    const groups = await model
+      .aggregate([
+        {
+          $group: {
+            _id: { name: `$${nameField}`, userId: '$userId' },
+            count: { $sum: 1 },
+          },
+        },
+      ])
+      .option({ withDeleted: true });
+
+    groups.forEach(({ _id, count }) => {
+      if (!_id.name) return;
+      if (!usage.has(_id.name)) {
+        usage.set(_id.name, { ids: new Map(), unkeyed: 0 });
+      }
+      const entry = usage.get(_id.name);
+      if (_id.userId) {
+        entry.ids.set(_id.userId, (entry.ids.get(_id.userId) || 0) + count);
+      } else {
+        entry.unkeyed += count;
+      }
+    });
+  }
+
+  return usage;
+};
+
+const sameIds = (a, b) =>
+  a.length === b.length && a.every((id) => b.includes(id));
+
+/**
+ * Consolidate per-person records under their Kinde user id:
+ * give old records without an id the id of the only person with that name,
+ * refresh the stored display name on every record from the User collection,
+ * and report names that cannot be attached to exactly one person.
+ * Safe to run repeatedly; conflicts an admin has already settled are left alone.
+ * @returns {Promise<{backfilled: number, renamed: number, conflicts: number}>}
+ */
+export const runUserIdMigration = async () => {
+  await connectMongo();
+
+  const users = await User.find({}).lean();
+  const userNames = new Map(
+    users.map((user) => [user.kindeUserId, getUserDisplayName(user)])
+  );
+  const usage = await collectNameUsage();
+
+  let backfilled = 0;
+  const detected = new Set();
+
+  for (const [name, { ids, unkeyed }] of usage) {
+    // Anyone currently called this counts, even with no records under the name yet
+    users
+      .filter((user) => normaliseStaffName(userNames.get(user.kindeUserId)) === normaliseStaffName(name))
+      .forEach((user) => {
+        if (!ids.has(user.kindeUserId)) ids.set(user.kindeUserId, 0);
+      });
+
+    const candidateIds = Array.from(ids.keys());
+
+    if (candidateIds.length === 1) {
+      if (unkeyed > 0) {
+        for (const { model, nameField } of USER_KEYED_COLLECTIONS) {
+          const result = await model.updateMany(
+            { [nameField]: name, ...MISSING_USER_ID },
+            { $set: { userId: candidateIds[0] } },
+            { withDeleted: true }
+          );
+          backfilled += result.modifiedCount;
+        }
+      }
+      continue;
+    }
+
+    const existing = await IdentityConflict.findOne({ username: name });
+    const existingIds = (existing?.candidates || []).map((c) => c.userId);
+    // Two different people who share a name stay kept apart until the candidates change
+    if (existing?.status === 'kept' && unkeyed === 0 && sameIds(existingIds, candidateIds)) {
+      continue;
+    }
+
+    detected.add(name);
+    await IdentityConflict.findOneAndUpdate(
+      { username: name },
+      {
+        reason: candidateIds.length === 0 ? 'none' : 'several',
+        candidates: candidateIds.map((userId) => ({
+          userId,
+          displayName: userNames.get(userId) || '',
+          records: ids.get(userId),
+        })),
+        unkeyedRecords: unkeyed,
+        status: 'open',
+        resolvedUserId: null,
+        resolvedBy: null,
+        resolvedAt: null,
+        updatedAt: new Date(),
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Conflicts that no longer occur, e.g. after a rename in Kinde, need no decision
+  await IdentityConflict.deleteMany({
+    status: 'open',
+    username: { $nin: Array.from(detected) },
+  });
+
+  // Every record carries the person's current name, so older name-based views stop splitting
+  let renamed = 0;
+  for (const [userId, name] of userNames) {
+    if (!name) continue;
+    for (const { model, nameField } of USER_KEYED_COLLECTIONS) {
+      const result = await model.updateMany(
+        { userId, [nameField]: { $ne: name } },
+        { $set: { [nameField]: name } },
+        { withDeleted: true }
+      );
+      renamed += result.modifiedCount;
+    }
+  }
+
+  // Export references saved before they were keyed by id
+  const settings = await PayrollExportSetting.find({
+    'employeeReferences.userId': { $in: [null, ''] },
+  });
+  for (const setting of settings) {
+    setting.employeeReferences.forEach((entry) => {
+      if (entry.userId) return;
+      const matches = users.filter(
+        (user) => normaliseStaffName(userNames.get(user.kindeUserId)) === normaliseStaffName(entry.username)
+      );
+      if (matches.length === 1) entry.userId = matches[0].kindeUserId;
+    });
+    await setting.save();
+  }
+
+  return { backfilled, renamed, conflicts: detected.size };
+};
+
+/**
+ * Settle a reported conflict.
+ * "merge" moves every record under the name, with no id or any candidate id, to one person.
+ * "keep" accepts that the candidates are different people who share a name.
+ * @param {string} id - IdentityConflict id.
+ * @param {Object} decision - {action: 'merge'|'keep', userId}.
+ * @param {string} resolvedBy - Display name of the admin.
+ * @returns {Promise<{conflict: Object, moved: number}>}
+ */
+export const resolveIdentityConflict = async (id, { action, userId }, resolvedBy) => {
+  await connectMongo();
+
+  const conflict = await IdentityConflict.findById(id);
+  if (!conflict) {
+    throw new NotFoundError('Conflict not found');
+  }
+  if (conflict.status !== 'open') {
+    throw new ValidationError('This conflict has already been resolved', 'id');
+  }
+
+  let moved = 0;
+
+  if (action === 'merge') {
+    const target = await User.findOne({ kindeUserId: userId }).lean();
+    if (!target && !conflict.candidates.some((c) => c.userId === userId)) {
+      throw new ValidationError('Choose a user to attach these records to', 'userId');
+    }
+
+    const candidateIds = conflict.candidates.map((c) => c.userId);
+    const name = target ? getUserDisplayName(target) : conflict.username;
+
+    for (const { model, nameField } of USER_KEYED_COLLECTIONS) {
+      const result = await model.updateMany(
+        {
+          [nameField]: conflict.username,
+          $or: [...MISSING_USER_ID.$or, { userId: { $in: candidateIds } }],
+        },
+        { $set: { userId, [nameField]: name } },
+        { withDeleted: true }
+      );
+      moved += result.modifiedCount;
+    }
+
+    conflict.status = 'merged';
+    conflict.resolvedUserId = userId;
+  } else if (action === 'keep') {
+    if (conflict.reason !== 'several' || conflict.unkeyedRecords > 0) {
+      throw new ValidationError(
+        'Records without a user id must be attached to someone before the name can be kept apart',
+        'action'
+      );
+    }
+    conflict.status = 'kept';
+  } else {
+    throw new ValidationError('Unknown action', 'action');
+  }
+
+  conflict.resolvedBy = resolvedBy;
+  conflict.resolvedAt = new Date();
+  await conflict.save();
+
+  return { conflict, moved };
+};
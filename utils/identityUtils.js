@@ -0,0 +1,121 @@
+//utils/identityUtils.js
+
+import { NextResponse } from 'next/server';
+import connectMongo from '@/db/connectMongo';
+import Leave from '@/models/Leave';
+import LeaveHours from '@/models/LeaveHours';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import Timesheet from '@/models/Timesheet';
+import Training from '@/models/Training';
+import User from '@/models/User';
+import { getCurrentUser, getUserDisplayName } from './auth';
+import { normaliseStaffName } from './rotaUtils';
+
+/*
+ * Records are keyed by the Kinde user id. Each also keeps a copy of the display
+ * name as it was when written, which goes stale when someone changes their name,
+ * so names shown on screen are looked up from the User collection at read time.
+ */
+
+// Collections holding per-person records, with the field that copies the display name
+export const USER_KEYED_COLLECTIONS = [
+  { name: 'Timesheet', model: Timesheet, nameField: 'username' },
+  { name: 'Leave', model: Leave, nameField: 'username' },
+  { name: 'LeaveHours', model: LeaveHours, nameField: 'userName' },
+  { name: 'Training', model: Training, nameField: 'username' },
+  { name: 'PayrollAdjustment', model: PayrollAdjustment, nameField: 'username' },
+];
+
+// Records written before user ids were stored
+export const MISSING_USER_ID = {
+  $or: [{ userId: { $exists: false } }, { userId: null }, { userId: '' }],
+};
+
+/**
+ * Look up the current display name for a set of users.
+ * @param {string[]} userIds - Kinde user ids; blanks are ignored.
+ * @returns {Promise<Map<string, string>>} - userId to display name, for users who have logged in.
+ */
+export const getDisplayNameMap = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  await connectMongo();
+  const users = await User.find({ kindeUserId: { $in: ids } }).lean();
+  return new Map(users.map((user) => [user.kindeUserId, getUserDisplayName(user)]));
+};
+
+/**
+ * Find every user id a display name has been used by, on User documents or on records.
+ * @param {string} name - Display name.
+ * @returns {Promise<string[]>} - Distinct user ids.
+ */
+export const findUserIdsByName = async (name) => {
+  await connectMongo();
+
+  const wanted = normaliseStaffName(name);
+  const users = await User.find({}).lean();
+  const ids = new Set(
+    users
+      .filter((user) => normaliseStaffName(getUserDisplayName(user)) === wanted)
+      .map((user) => user.kindeUserId)
+  );
+
+  const recordIds = await Promise.all(
+    USER_KEYED_COLLECTIONS.map(({ model, nameField }) =>
+      model.distinct('userId', { [nameField]: name })
+    )
+  );
+  recordIds.flat().filter(Boolean).forEach((id) => ids.add(id));
+
+  return Array.from(ids);
+};
+
+/**
+ * Turn a user id or, for old links and bookmarks, a display name into a user id.
+ * @param {string} reference - Kinde user id or display name.
+ * @returns {Promise<string|null>} - The user id, or null when unknown or the name is shared.
+ */
+export const resolveUserReference = async (reference) => {
+  if (!reference) return null;
+
+  await connectMongo();
+  if (await User.exists({ kindeUserId: reference })) return reference;
+
+  const ids = await findUserIdsByName(reference);
+  if (ids.length === 1) return ids[0];
+
+  // Staff who left before User documents were provisioned only exist on their records
+  if (ids.length === 0 && (await Timesheet.exists({ userId: reference }))) {
+    return reference;
+  }
+  return null;
+};
+
+/**
+ * Work out whose records a GET request is for. Staff always get their own;
+ * admins may ask for someone else with ?userId= (or the older ?username=).
+ * @param {URLSearchParams} searchParams - Request query.
+ * @returns {Promise<Object>} - `{ userId, current }`, otherwise `{ response }` holding the 401/404 to return.
+ */
+export const resolveTargetUserId = async (searchParams) => {
+  const current = await getCurrentUser();
+  if (!current) {
+    return {
+      response: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }),
+    };
+  }
+
+  const requested = searchParams.get('userId') || searchParams.get('username');
+  if (!requested || current.dbUser.role !== 'admin') {
+    return { userId: current.user.id, current };
+  }
+
+  const userId = await resolveUserReference(requested);
+  if (!userId) {
+    return {
+      response: NextResponse.json({ error: 'User not found' }, { status: 404 }),
+    };
+  }
+  return { userId, current };
+};
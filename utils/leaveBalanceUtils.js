@@ -0,0 +1,281 @@
+//utils/leaveBalanceUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import Leave from '@/models/Leave';
+import LeaveEntitlement from '@/models/LeaveEntitlement';
+import LeaveHours from '@/models/LeaveHours';
+import Timesheet from '@/models/Timesheet';
+import User from '@/models/User';
+import { calculateTotalMinutes } from './dateUtils';
+import { NotFoundError, ValidationError } from './errorHandler';
+import {
+  DEFAULT_ENTITLEMENT,
+  ENTITLEMENT_BASES,
+  LEAVE_UNITS,
+  formatLeaveAmount,
+  getAccruedHours,
+  getLeaveYearBounds,
+  getYearlyEntitlement,
+  toLeaveUnit,
+} from './leaveEntitlementRules';
+
+// Employment types that accrue leave from hours worked when no entitlement is set
+const ACCRUING_EMPLOYMENT_TYPES = ['bank', 'agency'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const ENTITLEMENT_FIELDS = Object.keys(DEFAULT_ENTITLEMENT);
+
+/**
+ * The entitlement a person's balance is worked out from.
+ * @param {Object|null} saved - Their LeaveEntitlement, if one has been set.
+ * @param {Object|null} profile - Their EmployeeProfile.
+ * @returns {Object|null} - Entitlement settings plus `isDefault`; null when they have no entitlement.
+ */
+const resolveEntitlement = (saved, profile) => {
+  if (saved) {
+    const entitlement = { ...DEFAULT_ENTITLEMENT, isDefault: false };
+    ENTITLEMENT_FIELDS.forEach((field) => {
+      if (saved[field] !== undefined && saved[field] !== null) {
+        entitlement[field] = saved[field];
+      }
+    });
+    return entitlement;
+  }
+
+  if (ACCRUING_EMPLOYMENT_TYPES.includes(profile?.employmentType)) {
+    return { ...DEFAULT_ENTITLEMENT, basis: 'accrued', unit: 'hours', isDefault: true };
+  }
+
+  return null;
+};
+
+const getWorkedMinutes = async (userId, { start, end }) => {
+  const timesheets = await Timesheet.find({
+    userId,
+    date: { $gte: start, $lte: end },
+    $or: [
+      { isDraft: { $exists: false } },
+      { isDraft: false },
+      { isDraft: null },
+    ],
+  })
+    .select('start end breakMinutes')
+    .lean();
+
+  return calculateTotalMinutes(timesheets);
+};
+
+// Annual leave requested in a leave year, split into approved and still pending
+const getUsage = async (userId, entitlement, { start, end }, { excludeLeaveId, excludeLeaveHoursId } = {}) => {
+  const [leaves, leaveHours] = await Promise.all([
+    Leave.find({
+      userId,
+      leaveType: 'annual',
+      isDraft: { $ne: true },
+      status: { $in: ['approved', 'pending'] },
+      startDate: { $gte: start, $lte: end },
+      ...(excludeLeaveId ? { _id: { $ne: excludeLeaveId } } : {}),
+    })
+      .select('status totalDays')
+      .lean(),
+    LeaveHours.find({
+      userId,
+      leaveType: 'annual',
+      isDraft: { $ne: true },
+      deleted: { $ne: true },
+      status: { $in: ['approved', 'pending'] },
+      date: { $gte: start, $lte: end },
+      ...(excludeLeaveHoursId ? { _id: { $ne: excludeLeaveHoursId } } : {}),
+    })
+      .select('status hours')
+      .lean(),
+  ]);
+
+  const usage = { taken: 0, pending: 0 };
+  leaves.forEach((leave) => {
+    usage[leave.status === 'approved' ? 'taken' : 'pending'] += toLeaveUnit(entitlement, {
+      days: leave.totalDays,
+    });
+  });
+  leaveHours.forEach((record) => {
+    usage[record.status === 'approved' ? 'taken' : 'pending'] += toLeaveUnit(entitlement, {
+      hours: record.hours,
+    });
+  });
+
+  return { taken: round2(usage.taken), pending: round2(usage.pending) };
+};
+
+const getEntitledAmount = async (userId, entitlement, profile, year) =>
+  entitlement.basis === 'accrued'
+    ? getAccruedHours(await getWorkedMinutes(userId, year))
+    : getYearlyEntitlement(entitlement, profile?.contractedWeeklyHours ?? null);
+
+/**
+ * Work out a person's annual leave balance for the leave year containing a date.
+ *
+ * Fixed entitlements are pro-rated by contracted hours when set to. Accrued entitlements
+ * are 12.07% of the hours worked in the leave year so far. Unused leave from the year
+ * before is carried over up to the cap. Pending requests are taken off what remains.
+ *
+ * @param {string} userId - Kinde user id.
+ * @param {Object} [options]
+ * @param {Date|string} [options.date] - Any date in the leave year; defaults to today.
+ * @param {string} [options.excludeLeaveId] - A leave request being edited, left out of the usage.
+ * @param {string} [options.excludeLeaveHoursId] - A leave hours entry being edited, left out of the usage.
+ * @returns {Promise<Object|null>} - {basis, unit, hoursPerDay, leaveYearStart, leaveYearEnd, entitlement,
+ *   carriedOver, taken, pending, remaining, isDefault}, or null when they have no entitlement.
+ */
+export const getLeaveBalance = async (userId, { date = new Date(), ...exclude } = {}) => {
+  await connectMongo();
+
+  const [saved, profile] = await Promise.all([
+    LeaveEntitlement.findOne({ userId }).lean(),
+    EmployeeProfile.findOne({ userId }).lean(),
+  ]);
+  const entitlement = resolveEntitlement(saved, profile);
+  if (!entitlement) return null;
+
+  const year = getLeaveYearBounds(date, entitlement.leaveYearStart);
+
+  let carriedOver = 0;
+  if (entitlement.carryOverCap > 0) {
+    const previousYear = getLeaveYearBounds(
+      new Date(year.start.getTime() - 1),
+      entitlement.leaveYearStart
+    );
+    const [previousEntitled, previousUsage] = await Promise.all([
+      getEntitledAmount(userId, entitlement, profile, previousYear),
+      getUsage(userId, entitlement, previousYear),
+    ]);
+    carriedOver = round2(
+      Math.min(entitlement.carryOverCap, Math.max(0, previousEntitled - previousUsage.taken))
+    );
+  }
+
+  const [entitled, usage] = await Promise.all([
+    getEntitledAmount(userId, entitlement, profile, year),
+    getUsage(userId, entitlement, year, exclude),
+  ]);
+
+  return {
+    basis: entitlement.basis,
+    unit: entitlement.unit,
+    hoursPerDay: entitlement.hoursPerDay,
+    leaveYearStart: year.start,
+    leaveYearEnd: year.end,
+    entitlement: entitled,
+    carriedOver,
+    taken: usage.taken,
+    pending: usage.pending,
+    remaining: round2(entitled + carriedOver - usage.taken - usage.pending),
+    isDefault: entitlement.isDefault,
+  };
+};
+
+/**
+ * Current balances for several people, for the admin leave tables.
+ * @param {string[]} userIds - Kinde user ids; blanks are ignored.
+ * @returns {Promise<Map<string, Object>>} - userId to balance; people without an entitlement are left out.
+ */
+export const getLeaveBalanceMap = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  const balances = new Map();
+
+  for (const userId of ids) {
+    const balance = await getLeaveBalance(userId);
+    if (balance) balances.set(userId, balance);
+  }
+
+  return balances;
+};
+
+/**
+ * Refuse an annual leave request that is more than the person has left in that leave year.
+ * People without an entitlement are not limited.
+ * @param {string} userId - Kinde user id.
+ * @param {Object} request - {date, days, hours, excludeLeaveId, excludeLeaveHoursId}.
+ * @throws {ValidationError} - When the request exceeds the remaining balance.
+ */
+export const assertWithinLeaveBalance = async (
+  userId,
+  { date, days = 0, hours = 0, excludeLeaveId, excludeLeaveHoursId }
+) => {
+  const balance = await getLeaveBalance(userId, { date, excludeLeaveId, excludeLeaveHoursId });
+  if (!balance) return;
+
+  const requested = toLeaveUnit(balance, { days, hours });
+  if (requested > balance.remaining) {
+    throw new ValidationError(
+      `This request is ${formatLeaveAmount(requested, balance.unit)} but only ` +
+        `${formatLeaveAmount(Math.max(balance.remaining, 0), balance.unit)} of annual leave is left. ` +
+        'Save it as a draft and speak to your manager.',
+      'leave'
+    );
+  }
+};
+
+const toNumber = (value, label) => {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+    throw new ValidationError(`${label} must be a number`, label);
+  }
+  return number;
+};
+
+/**
+ * Create or replace a user's leave entitlement.
+ * @param {string} userId - Kinde user id of a provisioned user.
+ * @param {Object} input - {basis, unit, entitlement, leaveYearStart, carryOverCap, proRata, fullTimeWeeklyHours, hoursPerDay}.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved entitlement.
+ */
+export const saveLeaveEntitlement = async (userId, input, updatedBy) => {
+  await connectMongo();
+
+  if (!userId || !(await User.exists({ kindeUserId: userId }))) {
+    throw new NotFoundError('User not found');
+  }
+
+  const basis = input.basis || 'fixed';
+  if (!ENTITLEMENT_BASES[basis]) {
+    throw new ValidationError('Unknown entitlement basis', 'basis');
+  }
+  // Accrual is worked out in hours
+  const unit = basis === 'accrued' ? 'hours' : input.unit || 'days';
+  if (!LEAVE_UNITS[unit]) {
+    throw new ValidationError('Unknown leave unit', 'unit');
+  }
+
+  try {
+    return await LeaveEntitlement.findOneAndUpdate(
+      { userId },
+      {
+        basis,
+        unit,
+        entitlement: basis === 'accrued' ? 0 : toNumber(input.entitlement, 'Entitlement'),
+        leaveYearStart: String(input.leaveYearStart || DEFAULT_ENTITLEMENT.leaveYearStart),
+        carryOverCap: toNumber(input.carryOverCap ?? 0, 'Carry-over cap'),
+        proRata: basis === 'fixed' && Boolean(input.proRata),
+        fullTimeWeeklyHours: toNumber(
+          input.fullTimeWeeklyHours ?? DEFAULT_ENTITLEMENT.fullTimeWeeklyHours,
+          'Full-time hours'
+        ),
+        hoursPerDay: toNumber(input.hoursPerDay ?? DEFAULT_ENTITLEMENT.hoursPerDay, 'Hours per day'),
+        updatedBy,
+        updatedAt: new Date(),
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new ValidationError(
+        Object.values(error.errors)[0]?.message || error.message,
+        'entitlement'
+      );
+    }
+    throw error;
+  }
+};
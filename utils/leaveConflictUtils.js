@@ -0,0 +1,229 @@
+//utils/leaveConflictUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import Leave from '@/models/Leave';
+import LeaveHours from '@/models/LeaveHours';
+import StaffingLevel from '@/models/StaffingLevel';
+import Timesheet from '@/models/Timesheet';
+import { toDateKey } from './bankHolidayData';
+import { ValidationError } from './errorHandler';
+import { calculateLeaveDuration } from './leaveDurationUtils';
+
+const normalisePost = (post) => (post || '').trim().toLowerCase();
+
+const formatDay = (date) =>
+  new Date(date).toLocaleDateString('en-GB', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+/**
+ * Every post on an employee profile with how many people hold it, plus its minimum staffing.
+ * Posts that only have a saved minimum are included with no staff.
+ * @returns {Promise<{posts: Object[], updatedBy: string, updatedAt: Date|null}>} - posts are {post, headcount, minimum}.
+ */
+export const getStaffingLevels = async () => {
+  await connectMongo();
+
+  const [saved, profiles] = await Promise.all([
+    StaffingLevel.findOne({}).lean(),
+    EmployeeProfile.find({ jobPost: { $nin: ['', null] } }).select('jobPost').lean(),
+  ]);
+
+  const posts = new Map();
+  profiles.forEach((profile) => {
+    const key = normalisePost(profile.jobPost);
+    const entry = posts.get(key) || { post: profile.jobPost.trim(), headcount: 0, minimum: null };
+    entry.headcount++;
+    posts.set(key, entry);
+  });
+  (saved?.minimums || []).forEach(({ post, minimum }) => {
+    const key = normalisePost(post);
+    posts.set(key, { post, headcount: 0, ...posts.get(key), minimum });
+  });
+
+  return {
+    posts: [...posts.values()].sort((a, b) => a.post.localeCompare(b.post)),
+    updatedBy: saved?.updatedBy || '',
+    updatedAt: saved?.updatedAt || null,
+  };
+};
+
+/**
+ * Replace the minimum staffing levels.
+ * @param {Object} input - {minimums: [{post, minimum}]}; a blank minimum removes the post.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved levels, as getStaffingLevels returns them.
+ */
+export const saveStaffingLevels = async ({ minimums = [] }, updatedBy) => {
+  const seen = new Set();
+  const cleaned = [];
+
+  for (const entry of minimums) {
+    const post = String(entry?.post ?? '').trim();
+    if (!post || entry.minimum === '' || entry.minimum === null || entry.minimum === undefined) {
+      continue;
+    }
+    const minimum = Number(entry.minimum);
+    if (!Number.isInteger(minimum) || minimum < 0) {
+      throw new ValidationError(`Minimum staffing for ${post} must be a whole number`, 'minimums');
+    }
+    if (seen.has(normalisePost(post))) {
+      throw new ValidationError(`${post} has more than one minimum`, 'minimums');
+    }
+    seen.add(normalisePost(post));
+    cleaned.push({ post, minimum });
+  }
+
+  await connectMongo();
+  await StaffingLevel.findOneAndUpdate(
+    {},
+    { minimums: cleaned, updatedBy, updatedAt: new Date() },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  return getStaffingLevels();
+};
+
+// Days the person's post would fall below its minimum, counting colleagues already on approved leave
+const findStaffingShortfall = async (leave, leaveDays, post, { start, end }) => {
+  const saved = await StaffingLevel.findOne({}).lean();
+  const level = (saved?.minimums || []).find(
+    (entry) => normalisePost(entry.post) === normalisePost(post)
+  );
+  if (!level) return null;
+
+  const colleagues = (
+    await EmployeeProfile.find({ jobPost: { $nin: ['', null] } }).select('userId jobPost').lean()
+  ).filter((profile) => normalisePost(profile.jobPost) === normalisePost(post));
+  const headcount = colleagues.length;
+  const otherIds = colleagues.map((profile) => profile.userId).filter((id) => id !== leave.userId);
+
+  const othersOff = await Leave.find({
+    userId: { $in: otherIds },
+    status: 'approved',
+    isDraft: { $ne: true },
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+  })
+    .select('userId startDate endDate')
+    .lean();
+
+  const shortDays = leaveDays
+    .map((date) => {
+      const offIds = new Set(
+        othersOff
+          .filter((other) => toDateKey(other.startDate) <= date && toDateKey(other.endDate) >= date)
+          .map((other) => other.userId)
+      );
+      // Everyone off that day, including the person asking
+      const off = offIds.size + 1;
+      return { date, off, working: headcount - off };
+    })
+    .filter((day) => day.working < level.minimum);
+
+  if (shortDays.length === 0) return null;
+
+  const fewest = Math.min(...shortDays.map((day) => day.working));
+  return {
+    type: 'staffing',
+    message:
+      `${level.post}: ${Math.max(fewest, 0)} of ${headcount} would be working on ` +
+      `${shortDays.map((day) => formatDay(day.date)).join(', ')}, ` +
+      `below the minimum of ${level.minimum}`,
+    days: shortDays,
+  };
+};
+
+/**
+ * Check a leave request before approval for clashes an admin should see first:
+ * other leave the same person has over those dates, timesheets they logged on days of leave,
+ * and days their post would drop below its minimum staffing.
+ * @param {Object} leave - Leave document.
+ * @returns {Promise<Object[]>} - Conflicts as {type, message}; type is 'overlap', 'timesheet' or 'staffing'.
+ */
+export const findLeaveConflicts = async (leave) => {
+  await connectMongo();
+
+  const range = {
+    start: new Date(toDateKey(leave.startDate)),
+    end: new Date(`${toDateKey(leave.endDate)}T23:59:59.999Z`),
+  };
+  const { days } = await calculateLeaveDuration(leave.userId, leave);
+  const leaveDays = days.filter((day) => day.amount > 0).map((day) => day.date);
+
+  const [otherLeave, leaveHours, timesheets, profile] = await Promise.all([
+    Leave.find({
+      _id: { $ne: leave._id },
+      userId: leave.userId,
+      isDraft: { $ne: true },
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: range.end },
+      endDate: { $gte: range.start },
+    })
+      .sort({ startDate: 1 })
+      .lean(),
+    LeaveHours.find({
+      userId: leave.userId,
+      isDraft: { $ne: true },
+      deleted: { $ne: true },
+      status: { $in: ['pending', 'approved'] },
+      date: { $gte: range.start, $lte: range.end },
+    })
+      .sort({ date: 1 })
+      .lean(),
+    Timesheet.find({
+      userId: leave.userId,
+      date: { $gte: range.start, $lte: range.end },
+      $or: [
+        { isDraft: { $exists: false } },
+        { isDraft: false },
+        { isDraft: null },
+      ],
+    })
+      .select('date start end')
+      .sort({ date: 1 })
+      .lean(),
+    EmployeeProfile.findOne({ userId: leave.userId }).select('jobPost').lean(),
+  ]);
+
+  const conflicts = [];
+
+  otherLeave.forEach((other) => {
+    conflicts.push({
+      type: 'overlap',
+      message: `Overlaps their ${other.status} ${other.leaveType} leave from ${formatDay(
+        other.startDate
+      )} to ${formatDay(other.endDate)}`,
+    });
+  });
+
+  leaveHours.forEach((entry) => {
+    conflicts.push({
+      type: 'overlap',
+      message: `Overlaps their ${entry.status} ${entry.leaveType} leave hours (${entry.hours} h) on ${formatDay(
+        entry.date
+      )}`,
+    });
+  });
+
+  timesheets
+    .filter((timesheet) => leaveDays.includes(toDateKey(timesheet.date)))
+    .forEach((timesheet) => {
+      conflicts.push({
+        type: 'timesheet',
+        message: `They logged a shift on ${formatDay(timesheet.date)} (${timesheet.start} - ${timesheet.end})`,
+      });
+    });
+
+  if (profile?.jobPost && leaveDays.length > 0) {
+    const shortfall = await findStaffingShortfall(leave, leaveDays, profile.jobPost, range);
+    if (shortfall) conflicts.push(shortfall);
+  }
+
+  return conflicts;
+};
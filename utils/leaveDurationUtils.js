@@ -0,0 +1,141 @@
+//utils/leaveDurationUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import EmployeeProfile from '@/models/EmployeeProfile';
+import Rota from '@/models/Rota';
+import User from '@/models/User';
+import { getUserDisplayName } from './auth';
+import { toDateKey } from './bankHolidayData';
+import { getBankHolidays } from './bankHolidayUtils';
+import { ValidationError } from './errorHandler';
+import { getRotaWeekStart } from './reconciliationUtils';
+import { ROTA_DAYS } from './rotaUtils';
+import { getShiftCodes } from './shiftCodeUtils';
+import { findStaffShifts, getStaffRotaNames } from './staffShiftUtils';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// Longest request worked out day by day, matching validateLeaveRequest
+const MAX_LEAVE_DAYS = 365;
+
+/**
+ * The rostered days in each rota week that lists the person.
+ * Only the newest upload for a week is used, matching the reconciliation report.
+ * @param {Object[]} rotas - Rota documents, newest upload first.
+ * @param {string[]} names - Normalised names from getStaffRotaNames.
+ * @param {Object[]} shiftCodes - Shift-code table, so OFF and leave codes are not rostered days.
+ * @returns {Map<string, Set<string>>} - Monday day key to the day keys with a shift.
+ */
+const getRosteredDays = (rotas, names, shiftCodes) => {
+  const rostered = new Map();
+  const seenWeeks = new Set();
+
+  rotas.forEach((rota) => {
+    const weekKey = toDateKey(getRotaWeekStart(rota.weekStart));
+    if (seenWeeks.has(weekKey)) return;
+    seenWeeks.add(weekKey);
+
+    const { matched, shifts } = findStaffShifts({
+      rotas: [rota],
+      names,
+      from: weekKey,
+      shiftCodes,
+    });
+    if (matched) {
+      rostered.set(weekKey, new Set(shifts.map((shift) => shift.date)));
+    }
+  });
+
+  return rostered;
+};
+
+/**
+ * Work out how many days a leave request takes, day by day.
+ *
+ * A day counts when the person works it: in weeks where the rota lists them, the days they
+ * are rostered on; otherwise the working days on their employee profile, or every day when
+ * none are set. Bank holidays never count. A half-day start or end counts that day as half.
+ *
+ * @param {string} userId - Kinde user id.
+ * @param {Object} request
+ * @param {Date|string} request.startDate - First day of leave.
+ * @param {Date|string} request.endDate - Last day of leave.
+ * @param {boolean} [request.startHalfDay] - Leave starts at midday on the first day.
+ * @param {boolean} [request.endHalfDay] - Leave ends at midday on the last day.
+ * @returns {Promise<{totalDays: number, days: Object[]}>} - The total, and each day as
+ *   {date, weekday, source, working, bankHoliday, amount}; source is 'rota', 'pattern' or 'default'.
+ * @throws {ValidationError} - When the dates are invalid or out of order.
+ */
+export const calculateLeaveDuration = async (
+  userId,
+  { startDate, endDate, startHalfDay = false, endHalfDay = false }
+) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ValidationError('Invalid leave dates', 'startDate');
+  }
+
+  const firstKey = toDateKey(start);
+  const lastKey = toDateKey(end);
+  if (lastKey < firstKey) {
+    throw new ValidationError('End date must be after start date', 'endDate');
+  }
+  if ((new Date(lastKey) - new Date(firstKey)) / ONE_DAY >= MAX_LEAVE_DAYS) {
+    throw new ValidationError('Leave duration cannot exceed 365 days', 'endDate');
+  }
+
+  await connectMongo();
+
+  const [dbUser, profile, holidays, rotas, shiftCodes] = await Promise.all([
+    User.findOne({ kindeUserId: userId }).select('givenName familyName email rotaNames').lean(),
+    EmployeeProfile.findOne({ userId }).select('workingDays').lean(),
+    getBankHolidays(firstKey, lastKey),
+    Rota.find({
+      weekStart: { $gte: getRotaWeekStart(firstKey), $lte: new Date(`${lastKey}T23:59:59.999Z`) },
+    })
+      .select('weekStart parsedData updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    getShiftCodes(),
+  ]);
+
+  const names = dbUser ? getStaffRotaNames(getUserDisplayName(dbUser), dbUser.rotaNames) : [];
+  const rostered = getRosteredDays(rotas, names, shiftCodes);
+  const bankHolidays = new Map(holidays.map((holiday) => [holiday.date, holiday.title]));
+  const workingDays = profile?.workingDays || [];
+
+  const days = [];
+  const day = new Date(firstKey);
+  const last = new Date(lastKey);
+
+  while (day <= last) {
+    const date = toDateKey(day);
+    const weekday = ROTA_DAYS[(day.getUTCDay() + 6) % 7];
+    const rotaDays = rostered.get(toDateKey(getRotaWeekStart(day)));
+
+    let source = 'default';
+    let working = true;
+    if (rotaDays) {
+      source = 'rota';
+      working = rotaDays.has(date);
+    } else if (workingDays.length > 0) {
+      source = 'pattern';
+      working = workingDays.includes(weekday);
+    }
+
+    const bankHoliday = bankHolidays.get(date) || null;
+    let amount = working && !bankHoliday ? 1 : 0;
+    if (amount && ((date === firstKey && startHalfDay) || (date === lastKey && endHalfDay))) {
+      amount = 0.5;
+    }
+
+    days.push({ date, weekday, source, working, bankHoliday, amount });
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return {
+    totalDays: days.reduce((sum, entry) => sum + entry.amount, 0),
+    days,
+  };
+};
@@ -0,0 +1,102 @@
+//utils/leaveEntitlementRules.js
+
+/*
+ * Leave-year and entitlement arithmetic shared by the balance calculation and the forms.
+ * Only annual leave is taken from the balance.
+ * The leave forms and tables format amounts with it in the browser and LeaveEntitlement
+ * takes its enums from here, so balances that need the database live in leaveBalanceUtils.
+ */
+
+export const LEAVE_UNITS = {
+  days: 'Days',
+  hours: 'Hours',
+};
+
+export const ENTITLEMENT_BASES = {
+  fixed: 'Fixed yearly entitlement',
+  accrued: 'Accrued from hours worked',
+};
+
+// Statutory holiday accrual for irregular-hours workers: 5.6 weeks / (52 - 5.6) weeks
+export const ACCRUAL_RATE = 0.1207;
+
+// Starting values for a new entitlement. Bank and agency staff with none set accrue; others have no balance
+export const DEFAULT_ENTITLEMENT = {
+  basis: 'fixed',
+  unit: 'days',
+  entitlement: 28,
+  leaveYearStart: '01-01',
+  carryOverCap: 0,
+  proRata: false,
+  fullTimeWeeklyHours: 37.5,
+  hoursPerDay: 7.5,
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The leave year containing a date.
+ * @param {Date|string} date - Any date.
+ * @param {string} leaveYearStart - "MM-dd" the year starts on.
+ * @returns {{start: Date, end: Date}} - UTC midnight of the first day, and the last moment of the last.
+ */
+export const getLeaveYearBounds = (date, leaveYearStart = '01-01') => {
+  const [month, day] = leaveYearStart.split('-').map(Number);
+  const d = new Date(date);
+  let year = d.getUTCFullYear();
+  if (d < new Date(Date.UTC(year, month - 1, day))) year--;
+
+  const start = new Date(Date.UTC(year, month - 1, day));
+  const end = new Date(Date.UTC(year + 1, month - 1, day) - 1);
+  return { start, end };
+};
+
+/**
+ * Convert days and hours of leave into the entitlement's unit.
+ * @param {Object} entitlement - {unit, hoursPerDay}.
+ * @param {{days?: number, hours?: number}} amount - Days from leave requests, hours from leave hours.
+ * @returns {number} - Rounded to two decimal places.
+ */
+export const toLeaveUnit = (entitlement, { days = 0, hours = 0 }) =>
+  round2(
+    entitlement.unit === 'hours'
+      ? days * entitlement.hoursPerDay + hours
+      : days + hours / entitlement.hoursPerDay
+  );
+
+/**
+ * A year's fixed entitlement, pro-rated for part-timers by contracted hours.
+ * @param {Object} entitlement - {entitlement, proRata, fullTimeWeeklyHours}.
+ * @param {number|null} contractedWeeklyHours - From the employee profile; full-time when unset.
+ * @returns {number}
+ */
+export const getYearlyEntitlement = (entitlement, contractedWeeklyHours = null) => {
+  if (
+    !entitlement.proRata ||
+    contractedWeeklyHours === null ||
+    contractedWeeklyHours === undefined ||
+    !entitlement.fullTimeWeeklyHours
+  ) {
+    return entitlement.entitlement;
+  }
+  return round2(
+    (entitlement.entitlement * Math.min(contractedWeeklyHours, entitlement.fullTimeWeeklyHours)) /
+      entitlement.fullTimeWeeklyHours
+  );
+};
+
+/**
+ * Leave accrued from hours worked.
+ * @param {number} workedMinutes - Minutes worked in the leave year so far.
+ * @returns {number} - Hours of leave.
+ */
+export const getAccruedHours = (workedMinutes) => round2((workedMinutes / 60) * ACCRUAL_RATE);
+
+/**
+ * Describe a balance amount, e.g. "3.5 days".
+ * @param {number} amount - In the balance's unit.
+ * @param {string} unit - 'days' or 'hours'.
+ * @returns {string}
+ */
+export const formatLeaveAmount = (amount, unit) =>
+  `${round2(amount)} ${unit === 'hours' ? 'h' : round2(amount) === 1 ? 'day' : 'days'}`;
@@ -0,0 +1,178 @@
+//utils/overtimeRules.js
+
+/*
+ * Splits worked minutes into basic, overtime, night and bank holiday buckets.
+ * Thresholds and the night window are edited on /admin/overtime; the values
+ * below are only used until they have been saved.
+ * The OvertimeSetting schema and OvertimeRulesForm both import WEEKLY_BASES, so
+ * saved settings are read in overtimeUtils rather than here.
+ */
+
+import { format, startOfWeek } from 'date-fns';
+import { calculateMinutesWorked } from './dateUtils';
+import { getFourWeekCycle } from './weekCycleUtils';
+
+export const WEEKLY_BASES = {
+  contracted: 'Contracted hours, or the weekly threshold when none are set',
+  fixed: 'The weekly threshold for everyone',
+};
+
+export const DEFAULT_OVERTIME_RULES = {
+  weeklyBasis: 'contracted',
+  weeklyThresholdHours: null,
+  cycleThresholdHours: null,
+  nightEnabled: false,
+  nightStart: '22:00',
+  nightEnd: '06:00',
+};
+
+const DAY_MINUTES = 24 * 60;
+
+const toMinutesOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const clamp = (value, max) => Math.max(0, Math.min(max, value));
+
+/**
+ * Weekly overtime threshold for one person.
+ * @param {Object} rules - Overtime rules.
+ * @param {number|null} contractedWeeklyHours - From their employee profile.
+ * @returns {number} - Minutes a week before overtime starts; Infinity when there is no threshold.
+ */
+export const getWeeklyThresholdMinutes = (rules, contractedWeeklyHours = null) => {
+  const hours =
+    rules.weeklyBasis === 'contracted'
+      ? contractedWeeklyHours ?? rules.weeklyThresholdHours
+      : rules.weeklyThresholdHours;
+  return hours === null || hours === undefined ? Infinity : Math.round(hours * 60);
+};
+
+/**
+ * Minutes of a shift that fall inside the night window, before any break is taken off.
+ * @param {string} start - Shift start, "HH:mm".
+ * @param {string} end - Shift end, "HH:mm"; earlier than start means the next day.
+ * @param {Object} rules - Overtime rules.
+ * @returns {number} - Night minutes.
+ */
+export const getNightMinutes = (start, end, rules) => {
+  if (!rules.nightEnabled) return 0;
+
+  const shiftStart = toMinutesOfDay(start);
+  let shiftEnd = toMinutesOfDay(end);
+  if (shiftEnd < shiftStart) shiftEnd += DAY_MINUTES;
+
+  const nightStart = toMinutesOfDay(rules.nightStart);
+  let nightEnd = toMinutesOfDay(rules.nightEnd);
+  if (nightEnd <= nightStart) nightEnd += DAY_MINUTES;
+
+  // The window recurs daily: check the one from the night before, the shift's own and the next
+  return [-DAY_MINUTES, 0, DAY_MINUTES].reduce(
+    (sum, offset) =>
+      sum +
+      Math.max(
+        0,
+        Math.min(shiftEnd, nightEnd + offset) - Math.max(shiftStart, nightStart + offset)
+      ),
+    0
+  );
+};
+
+const emptyBuckets = () => ({
+  basicMinutes: 0,
+  overtimeMinutes: 0,
+  nightMinutes: 0,
+  bankHolidayMinutes: 0,
+  totalMinutes: 0,
+});
+
+const addBuckets = (target, buckets) => {
+  target.basicMinutes += buckets.basicMinutes;
+  target.overtimeMinutes += buckets.overtimeMinutes;
+  target.nightMinutes += buckets.nightMinutes;
+  target.bankHolidayMinutes += buckets.bankHolidayMinutes;
+  target.totalMinutes += buckets.totalMinutes;
+};
+
+/**
+ * Split one person's submitted timesheets into basic, overtime, night and bank holiday minutes.
+ *
+ * Entries are taken in date order. Minutes beyond the weekly threshold (Monday to Sunday)
+ * are overtime; of the rest, those beyond the per-cycle threshold are overtime too, so no
+ * minute is counted twice. Overtime comes off the end of a shift and takes precedence.
+ * The rest of a shift starting on a bank holiday (entries tagged `isBankHoliday`) is bank
+ * holiday time. Otherwise, night minutes are the share of the remaining paid time inside
+ * the night window, with the unpaid break spread evenly over the shift.
+ *
+ * @param {Object[]} timesheets - {_id, date, start, end, breakMinutes, isBankHoliday}.
+ * @param {Object} rules - Overtime rules.
+ * @param {Object} [options]
+ * @param {number|null} [options.contractedWeeklyHours] - From their employee profile.
+ * @param {Date|string} [options.from] - Entries before this count towards thresholds but not the totals;
+ *   pass whole weeks and cycles from the start so a range starting mid-week is split correctly.
+ * @returns {{basicMinutes: number, overtimeMinutes: number, nightMinutes: number, bankHolidayMinutes: number,
+ *   totalMinutes: number, weeks: Object[], entries: Object[]}} - Totals, per week (by `weekStart`) and per entry (by `id`).
+ */
+export const splitWorkedMinutes = (
+  timesheets,
+  rules,
+  { contractedWeeklyHours = null, from = null } = {}
+) => {
+  const weeklyLimit = getWeeklyThresholdMinutes(rules, contractedWeeklyHours);
+  const cycleLimit =
+    rules.cycleThresholdHours === null || rules.cycleThresholdHours === undefined
+      ? Infinity
+      : Math.round(rules.cycleThresholdHours * 60);
+  const fromDate = from ? new Date(from) : null;
+
+  const sorted = [...timesheets].sort(
+    (a, b) => new Date(a.date) - new Date(b.date) || a.start.localeCompare(b.start)
+  );
+
+  const weekWorked = new Map();
+  const cycleBasic = new Map();
+  const totals = emptyBuckets();
+  const weeks = new Map();
+  const entries = [];
+
+  sorted.forEach((ts) => {
+    const worked = calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes);
+    const weekStart = format(startOfWeek(new Date(ts.date), { weekStartsOn: 1 }), 'yyyy-MM-dd');
+    const cycleStart = getFourWeekCycle(new Date(ts.date))[0].start.toISOString();
+
+    const weekBefore = weekWorked.get(weekStart) || 0;
+    const weeklyOvertime = clamp(weekBefore + worked - weeklyLimit, worked);
+    const withinWeek = worked - weeklyOvertime;
+    const cycleBefore = cycleBasic.get(cycleStart) || 0;
+    const cycleOvertime = clamp(cycleBefore + withinWeek - cycleLimit, withinWeek);
+    const overtime = weeklyOvertime + cycleOvertime;
+
+    weekWorked.set(weekStart, weekBefore + worked);
+    cycleBasic.set(cycleStart, cycleBefore + withinWeek - cycleOvertime);
+
+    const bankHoliday = ts.isBankHoliday ? worked - overtime : 0;
+    const span = calculateMinutesWorked(ts.start, ts.end, 0);
+    const nightPaid = span ? (getNightMinutes(ts.start, ts.end, rules) * worked) / span : 0;
+    const night =
+      worked && !ts.isBankHoliday ? Math.round((nightPaid * (worked - overtime)) / worked) : 0;
+
+    if (fromDate && new Date(ts.date) < fromDate) return;
+
+    const buckets = {
+      basicMinutes: worked - overtime - night - bankHoliday,
+      overtimeMinutes: overtime,
+      nightMinutes: night,
+      bankHolidayMinutes: bankHoliday,
+      totalMinutes: worked,
+    };
+    addBuckets(totals, buckets);
+    if (!weeks.has(weekStart)) {
+      weeks.set(weekStart, { weekStart, ...emptyBuckets() });
+    }
+    addBuckets(weeks.get(weekStart), buckets);
+    entries.push({ id: ts._id?.toString(), date: ts.date, ...buckets });
+  });
+
+  return { ...totals, weeks: Array.from(weeks.values()), entries };
+};
@@ -0,0 +1,159 @@
+//utils/overtimeUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import OvertimeSetting from '@/models/OvertimeSetting';
+import Timesheet from '@/models/Timesheet';
+import { startOfWeek } from 'date-fns';
+import { getEmployeeProfileMap } from './employeeProfileUtils';
+import { ValidationError } from './errorHandler';
+import {
+  DEFAULT_OVERTIME_RULES,
+  WEEKLY_BASES,
+  splitWorkedMinutes,
+} from './overtimeRules';
+import { APPROVED_TIMESHEETS, isTimesheetApprovalEnabled } from './timesheetApprovalUtils';
+import { getFourWeekCycle } from './weekCycleUtils';
+
+/**
+ * Load the overtime rules, filling gaps from the defaults.
+ * @returns {Promise<Object>} - {weeklyBasis, weeklyThresholdHours, cycleThresholdHours, nightEnabled, nightStart, nightEnd, updatedBy, updatedAt}.
+ */
+export const getOvertimeRules = async () => {
+  await connectMongo();
+  const saved = await OvertimeSetting.findOne({}).lean();
+
+  return {
+    ...DEFAULT_OVERTIME_RULES,
+    weeklyBasis: saved?.weeklyBasis || DEFAULT_OVERTIME_RULES.weeklyBasis,
+    weeklyThresholdHours: saved?.weeklyThresholdHours ?? null,
+    cycleThresholdHours: saved?.cycleThresholdHours ?? null,
+    nightEnabled: saved?.nightEnabled ?? DEFAULT_OVERTIME_RULES.nightEnabled,
+    nightStart: saved?.nightStart || DEFAULT_OVERTIME_RULES.nightStart,
+    nightEnd: saved?.nightEnd || DEFAULT_OVERTIME_RULES.nightEnd,
+    updatedBy: saved?.updatedBy || '',
+    updatedAt: saved?.updatedAt || null,
+  };
+};
+
+const toHoursOrNull = (value, label) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ValidationError(`${label} must be a number`, label);
+  }
+  return number;
+};
+
+/**
+ * Save the overtime rules.
+ * @param {Object} input - {weeklyBasis, weeklyThresholdHours, cycleThresholdHours, nightEnabled, nightStart, nightEnd}.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved rules, as getOvertimeRules returns them.
+ */
+export const saveOvertimeRules = async (input, updatedBy) => {
+  const weeklyBasis = input.weeklyBasis || DEFAULT_OVERTIME_RULES.weeklyBasis;
+  if (!WEEKLY_BASES[weeklyBasis]) {
+    throw new ValidationError('Unknown weekly threshold basis', 'weeklyBasis');
+  }
+
+  const nightEnabled = Boolean(input.nightEnabled);
+  if (nightEnabled && input.nightStart === input.nightEnd) {
+    throw new ValidationError('The night window must start and end at different times', 'nightEnd');
+  }
+
+  await connectMongo();
+
+  try {
+    await OvertimeSetting.findOneAndUpdate(
+      {},
+      {
+        weeklyBasis,
+        weeklyThresholdHours: toHoursOrNull(input.weeklyThresholdHours, 'Weekly threshold'),
+        cycleThresholdHours: toHoursOrNull(input.cycleThresholdHours, 'Cycle threshold'),
+        nightEnabled,
+        nightStart: input.nightStart || DEFAULT_OVERTIME_RULES.nightStart,
+        nightEnd: input.nightEnd || DEFAULT_OVERTIME_RULES.nightEnd,
+        updatedBy,
+        updatedAt: new Date(),
+      },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new ValidationError(
+        Object.values(error.errors)[0]?.message || error.message,
+        'overtime'
+      );
+    }
+    throw error;
+  }
+
+  return getOvertimeRules();
+};
+
+/**
+ * Split each person's submitted timesheets in a date range into basic, overtime, night and
+ * bank holiday minutes.
+ * Entries earlier in the same week and payment cycle are read too, so they count towards thresholds.
+ * @param {Date} start - Range start.
+ * @param {Date} end - Range end.
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only this person.
+ * @param {boolean} [options.approvedOnly] - Leave out entries pending or rejected under timesheet approval.
+ *   Defaults to whether approval is switched on, so pay figures only count approved entries.
+ * @returns {Promise<Map<string, Object>>} - Keyed by user id (or name for entries without one);
+ *   each value is splitWorkedMinutes' result plus `userId` and `username`.
+ */
+export const calculateOvertimeBuckets = async (
+  start,
+  end,
+  { userId, approvedOnly = isTimesheetApprovalEnabled() } = {}
+) => {
+  await connectMongo();
+
+  const weekStart = startOfWeek(new Date(start), { weekStartsOn: 1 });
+  const cycleStart = getFourWeekCycle(new Date(start))[0].start;
+  const readFrom = new Date(Math.min(weekStart.getTime(), cycleStart.getTime()));
+
+  const [rules, timesheets] = await Promise.all([
+    getOvertimeRules(),
+    Timesheet.find({
+      ...(userId ? { userId } : {}),
+      ...(approvedOnly ? APPROVED_TIMESHEETS : {}),
+      date: { $gte: readFrom, $lte: end },
+      $or: [
+        { isDraft: { $exists: false } },
+        { isDraft: false },
+        { isDraft: null },
+      ],
+    })
+      .select('userId username date start end breakMinutes isBankHoliday')
+      .lean(),
+  ]);
+
+  const people = new Map();
+  timesheets.forEach((ts) => {
+    const key = ts.userId || ts.username;
+    if (!people.has(key)) {
+      people.set(key, { userId: ts.userId || '', username: ts.username, timesheets: [] });
+    }
+    people.get(key).timesheets.push(ts);
+  });
+
+  const profiles = await getEmployeeProfileMap(
+    Array.from(people.values()).map((person) => person.userId)
+  );
+
+  const buckets = new Map();
+  people.forEach((person, key) => {
+    const split = splitWorkedMinutes(person.timesheets, rules, {
+      contractedWeeklyHours: profiles.get(person.userId)?.contractedWeeklyHours ?? null,
+      from: start,
+    });
+    if (split.entries.length > 0) {
+      buckets.set(key, { userId: person.userId, username: person.username, ...split });
+    }
+  });
+
+  return buckets;
+};
@@ -144,4 +144,11 @@ export const isDateInCycle = (date, cycle) => {
   cycleEnd.setHours(23, 59, 59, 999);
   
   return checkDate >= cycleStart && checkDate <= cycleEnd;
-};
\ No newline at end of file
+};
+// What a payroll adjustment corrects; shown as a separate line in exports
+export const ADJUSTMENT_CATEGORIES = {
+  work: 'Work hours',
+  leave: 'Leave hours',
+  training: 'Training hours',
+  other: 'Other',
+};
@@ -0,0 +1,146 @@
+//utils/payrollExportFormats.js
+
+/*
+ * CSV layouts for payroll software imports. Each format turns one pay line
+ * ({reference, username, element, code, hours, start, end}) into a CSV row.
+ * Pay-element codes and employee references are edited per format on
+ * /admin/payroll-exports; the codes below are only the starting values.
+ * The export dropdown and the settings form read the format list and pay elements
+ * in the browser, so saved settings are loaded in payrollExportUtils instead.
+ */
+
+// What each exported line is paid as
+export const PAY_ELEMENTS = {
+  basic: 'Basic hours',
+  overtime: 'Overtime',
+  night: 'Night hours',
+  bankHoliday: 'Bank holiday hours',
+  annualLeave: 'Annual leave',
+  sick: 'Sick',
+  training: 'Training',
+  otherLeave: 'Other paid leave',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// dd/MM/yyyy, which all three imports accept
+const formatImportDate = (date) => {
+  const d = new Date(date);
+  return `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+};
+
+const splitName = (username) => {
+  const parts = username.trim().split(/\s+/);
+  return {
+    forename: parts.length > 1 ? parts.slice(0, -1).join(' ') : parts[0] || '',
+    surname: parts.length > 1 ? parts[parts.length - 1] : '',
+  };
+};
+
+const payrollExportFormats = {
+  sage: {
+    label: 'Sage 50 Payroll',
+    header: ['Reference', 'Payment', 'Hours'],
+    defaultCodes: {
+      basic: '1',
+      overtime: '2',
+      night: '7',
+      bankHoliday: '8',
+      annualLeave: '3',
+      sick: '4',
+      training: '5',
+      otherLeave: '6',
+    },
+    toRow: (line) => [line.reference, line.code, line.hours],
+  },
+  xero: {
+    label: 'Xero Payroll',
+    header: ['Employee ID', 'Employee Name', 'Earnings Rate', 'Start Date', 'End Date', 'Hours'],
+    defaultCodes: {
+      basic: 'Ordinary Hours',
+      overtime: 'Overtime Hours',
+      night: 'Night Hours',
+      bankHoliday: 'Bank Holiday Hours',
+      annualLeave: 'Holiday Pay',
+      sick: 'Statutory Sick Pay',
+      training: 'Training Hours',
+      otherLeave: 'Other Paid Leave',
+    },
+    toRow: (line) => [
+      line.reference,
+      line.username,
+      line.code,
+      formatImportDate(line.start),
+      formatImportDate(line.end),
+      line.hours,
+    ],
+  },
+  brightpay: {
+    label: 'BrightPay',
+    header: ['Works Number', 'Forename', 'Surname', 'Payment Name', 'Units'],
+    defaultCodes: {
+      basic: 'Basic Pay',
+      overtime: 'Overtime',
+      night: 'Night Pay',
+      bankHoliday: 'Bank Holiday Pay',
+      annualLeave: 'Holiday Pay',
+      sick: 'Sick Pay',
+      training: 'Training',
+      otherLeave: 'Other Leave',
+    },
+    toRow: (line) => {
+      const { forename, surname } = splitName(line.username);
+      return [line.reference, forename, surname, line.code, line.hours];
+    },
+  },
+};
+
+/**
+ * Add or replace an export format.
+ * @param {string} key - Format key used in the export URL, e.g. "sage".
+ * @param {Object} format - {label, header, defaultCodes, toRow}.
+ */
+export const registerPayrollExportFormat = (key, format) => {
+  payrollExportFormats[key] = format;
+};
+
+/**
+ * Look up an export format.
+ * @param {string} key - Format key.
+ * @returns {Object|undefined} - The format definition.
+ */
+export const getPayrollExportFormat = (key) =>
+  Object.prototype.hasOwnProperty.call(payrollExportFormats, key)
+    ? payrollExportFormats[key]
+    : undefined;
+
+/**
+ * List the export formats for a picker.
+ * @returns {{key: string, label: string}[]}
+ */
+export const listPayrollExportFormats = () =>
+  Object.entries(payrollExportFormats).map(([key, format]) => ({
+    key,
+    label: format.label,
+  }));
+
+// Spreadsheets run cells starting with these as formulas; plain numbers such as -1.50 are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+const escapeCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text with CRLF line endings. Text that a spreadsheet would
+ * treat as a formula gets a leading apostrophe.
+ * @param {Array[]} rows - Rows of cell values.
+ * @returns {string} - The CSV text.
+ */
+export const formatCsv = (rows) =>
+  rows.map((row) => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,265 @@
+//utils/payrollExportUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import LeaveHours from '@/models/LeaveHours';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import PayrollExportSetting from '@/models/PayrollExportSetting';
+import Training from '@/models/Training';
+import { getEmployeeProfileMap } from './employeeProfileUtils';
+import { getDisplayNameMap } from './identityUtils';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { calculateOvertimeBuckets } from './overtimeUtils';
+import {
+  PAY_ELEMENTS,
+  formatCsv,
+  getPayrollExportFormat,
+} from './payrollExportFormats';
+
+// Leave-hours types and the element they are paid as; unpaid leave is not exported
+const LEAVE_ELEMENTS = {
+  annual: 'annualLeave',
+  sick: 'sick',
+  personal: 'otherLeave',
+  maternity: 'otherLeave',
+  paternity: 'otherLeave',
+  bereavement: 'otherLeave',
+  emergency: 'otherLeave',
+  other: 'otherLeave',
+};
+
+// Adjustment categories (see ADJUSTMENT_CATEGORIES) and the element they correct
+const ADJUSTMENT_ELEMENTS = {
+  work: 'basic',
+  leave: 'annualLeave',
+  training: 'training',
+  other: 'basic',
+};
+
+const requireFormat = (formatKey) => {
+  const format = getPayrollExportFormat(formatKey);
+  if (!format) {
+    throw new NotFoundError(`Unknown payroll export format "${formatKey}"`);
+  }
+  return format;
+};
+
+/**
+ * Load the codes and employee references for a format, filling gaps from its defaults.
+ * @param {string} formatKey - Format key, e.g. "sage".
+ * @returns {Promise<{format: string, elementCodes: Object, employeeReferences: Object[], updatedBy: string, updatedAt: Date|null}>}
+ */
+export const getPayrollExportSettings = async (formatKey) => {
+  const format = requireFormat(formatKey);
+
+  await connectMongo();
+  const saved = await PayrollExportSetting.findOne({ format: formatKey }).lean();
+
+  return {
+    format: formatKey,
+    elementCodes: { ...format.defaultCodes, ...(saved?.elementCodes || {}) },
+    employeeReferences: saved?.employeeReferences || [],
+    updatedBy: saved?.updatedBy || '',
+    updatedAt: saved?.updatedAt || null,
+  };
+};
+
+/**
+ * Save the codes and employee references for a format.
+ * @param {string} formatKey - Format key.
+ * @param {Object} settings - {elementCodes, employeeReferences}.
+ * @param {string} updatedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved settings, as getPayrollExportSettings returns them.
+ */
+export const savePayrollExportSettings = async (
+  formatKey,
+  { elementCodes = {}, employeeReferences = [] },
+  updatedBy
+) => {
+  requireFormat(formatKey);
+
+  const codes = {};
+  for (const element of Object.keys(PAY_ELEMENTS)) {
+    const code = String(elementCodes[element] ?? '').trim();
+    if (!code) {
+      throw new ValidationError(
+        `A code is required for ${PAY_ELEMENTS[element]}`,
+        'elementCodes'
+      );
+    }
+    codes[element] = code;
+  }
+
+  if (!Array.isArray(employeeReferences)) {
+    throw new ValidationError('Employee references must be a list', 'employeeReferences');
+  }
+
+  // Blank references are dropped, which sends that person back to their profile's payroll number
+  const references = [];
+  for (const entry of employeeReferences) {
+    const userId = String(entry?.userId ?? '').trim();
+    const username = String(entry?.username ?? '').trim();
+    const reference = String(entry?.reference ?? '').trim();
+    if (!userId || !reference) continue;
+
+    if (references.some((existing) => existing.userId === userId)) {
+      throw new ValidationError(
+        `${username} has more than one employee reference`,
+        'employeeReferences'
+      );
+    }
+    const clash = references.find((existing) => existing.reference === reference);
+    if (clash) {
+      throw new ValidationError(
+        `Reference ${reference} is used by both ${clash.username} and ${username}`,
+        'employeeReferences'
+      );
+    }
+    references.push({ userId, username: username || userId, reference });
+  }
+
+  await connectMongo();
+  await PayrollExportSetting.findOneAndUpdate(
+    { format: formatKey },
+    {
+      elementCodes: codes,
+      employeeReferences: references,
+      updatedBy,
+      updatedAt: new Date(),
+    },
+    { upsert: true, runValidators: true }
+  );
+
+  return getPayrollExportSettings(formatKey);
+};
+
+/**
+ * Total each person's paid minutes per pay element for a date range.
+ * Worked hours are split into basic, overtime, night and bank holiday by the overtime rules.
+ * Adjustments count when they are paid in a cycle starting inside the range.
+ * @param {Date} start - Range start.
+ * @param {Date} end - Range end.
+ * @returns {Promise<{userId: string, username: string, elements: Object}[]>} - Sorted by name.
+ */
+export const collectPayElements = async (start, end) => {
+  await connectMongo();
+
+  const dateRange = { $gte: start, $lte: end };
+
+  const [worked, leaveHours, training, adjustments] = await Promise.all([
+    calculateOvertimeBuckets(start, end),
+    LeaveHours.find({
+      date: dateRange,
+      status: 'approved',
+      deleted: { $ne: true },
+    })
+      .select('userId userName leaveType hours')
+      .lean(),
+    Training.find({
+      date: dateRange,
+      status: 'approved',
+      deleted: { $ne: true },
+    })
+      .select('userId username duration')
+      .lean(),
+    PayrollAdjustment.find({ payCycleStart: dateRange })
+      .select('userId username minutes category')
+      .lean(),
+  ]);
+
+  // Keyed by user id so a change of name does not split anyone's pay
+  const people = new Map();
+  const add = (userId, username, element, minutes) => {
+    if (!element || !minutes) return;
+    const key = userId || username;
+    if (!people.has(key)) {
+      people.set(key, {
+        userId: userId || '',
+        username,
+        elements: Object.fromEntries(
+          Object.keys(PAY_ELEMENTS).map((key) => [key, 0])
+        ),
+      });
+    }
+    people.get(key).elements[element] += minutes;
+  };
+
+  worked.forEach((split) => {
+    add(split.userId, split.username, 'basic', split.basicMinutes);
+    add(split.userId, split.username, 'overtime', split.overtimeMinutes);
+    add(split.userId, split.username, 'night', split.nightMinutes);
+    add(split.userId, split.username, 'bankHoliday', split.bankHolidayMinutes);
+  });
+  leaveHours.forEach((lh) =>
+    add(lh.userId, lh.userName, LEAVE_ELEMENTS[lh.leaveType], Math.round(lh.hours * 60))
+  );
+  training.forEach((t) =>
+    add(t.userId, t.username, 'training', Math.round(t.duration * 60))
+  );
+  adjustments.forEach((adjustment) =>
+    add(
+      adjustment.userId,
+      adjustment.username,
+      ADJUSTMENT_ELEMENTS[adjustment.category],
+      adjustment.minutes
+    )
+  );
+
+  const names = await getDisplayNameMap(Array.from(people.values()).map((p) => p.userId));
+
+  return Array.from(people.values())
+    .map((person) => ({
+      ...person,
+      username: names.get(person.userId) || person.username,
+    }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+};
+
+/**
+ * Build a payroll import file for a date range in one of the registered formats.
+ * @param {string} formatKey - Format key.
+ * @param {Date} start - Range start.
+ * @param {Date} end - Range end.
+ * Employees are identified by the reference saved for the format, then the payroll number
+ * on their profile, then by name.
+ * @returns {Promise<{csv: string, lineCount: number, unmapped: string[]}>} - The file, and staff exported by name because they have neither.
+ */
+export const buildPayrollExport = async (formatKey, start, end) => {
+  const format = requireFormat(formatKey);
+  const [settings, people] = await Promise.all([
+    getPayrollExportSettings(formatKey),
+    collectPayElements(start, end),
+  ]);
+
+  const references = new Map(
+    settings.employeeReferences.map((entry) => [entry.userId, entry.reference])
+  );
+  const profiles = await getEmployeeProfileMap(people.map((person) => person.userId));
+  const unmapped = [];
+  const rows = [format.header];
+
+  people.forEach(({ userId, username, elements }) => {
+    const reference =
+      references.get(userId) || profiles.get(userId)?.payrollNumber;
+    if (!reference) {
+      unmapped.push(username);
+    }
+
+    Object.keys(PAY_ELEMENTS).forEach((element) => {
+      if (!elements[element]) return;
+
+      rows.push(
+        format.toRow({
+          reference: reference || username,
+          username,
+          element,
+          code: settings.elementCodes[element],
+          hours: (elements[element] / 60).toFixed(2),
+          start,
+          end,
+        })
+      );
+    });
+  });
+
+  return { csv: formatCsv(rows), lineCount: rows.length - 1, unmapped };
+};
@@ -0,0 +1,359 @@
+//utils/payrollUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import LeaveHours from '@/models/LeaveHours';
+import PayrollAdjustment from '@/models/PayrollAdjustment';
+import PayrollPeriod from '@/models/PayrollPeriod';
+import Timesheet from '@/models/Timesheet';
+import Training from '@/models/Training';
+import { calculateMinutesWorked } from './dateUtils';
+import {
+  NotFoundError,
+  PeriodLockedError,
+  ValidationError,
+} from './errorHandler';
+import { getDisplayNameMap } from './identityUtils';
+import { getPaidTimesheetFilter } from './timesheetApprovalUtils';
+import { getFourWeekCycle } from './weekCycleUtils';
+
+const formatPeriodDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+/**
+ * Get the payment cycle containing a date, as stored on PayrollPeriod.
+ * @param {Date|string} date - Any date in the cycle.
+ * @returns {{start: Date, end: Date}} - Cycle start and the last moment of its final day.
+ */
+export const getPayrollPeriodBounds = (date) => {
+  const weeks = getFourWeekCycle(new Date(date));
+  const start = new Date(weeks[0].start);
+  const end = new Date(weeks[3].end);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+/**
+ * Find the closed payroll period containing a date, if any.
+ * @param {Date|string} date - Entry date.
+ * @returns {Promise<Object|null>} - The PayrollPeriod, or null when the date is open.
+ */
+export const findClosedPeriod = async (date) => {
+  await connectMongo();
+  const day = new Date(date);
+
+  return PayrollPeriod.findOne({
+    status: 'closed',
+    start: { $lte: day },
+    end: { $gte: day },
+  }).lean();
+};
+
+/**
+ * Refuse a change to entries dated inside a closed payroll period.
+ * Pass every date the change touches, e.g. both the old and new date of a moved entry.
+ * @param {...(Date|string|null)} dates - Entry dates; empty values are ignored.
+ * @throws {PeriodLockedError} - When any date is in a closed period.
+ */
+export const assertPeriodOpen = async (...dates) => {
+  for (const date of dates.filter(Boolean)) {
+    const period = await findClosedPeriod(date);
+    if (period) {
+      throw new PeriodLockedError(
+        `The payroll period ${formatPeriodDate(period.start)} - ${formatPeriodDate(period.end)} is closed. ` +
+          'Ask an admin to reopen it or record an adjustment.'
+      );
+    }
+  }
+};
+
+/**
+ * Total the paid hours per person for a period: submitted timesheets less breaks
+ * (approved ones only while timesheet approval is on),
+ * approved leave hours, approved training and any adjustments paid in the period.
+ * @param {Date} start - Period start.
+ * @param {Date} end - Period end.
+ * @returns {Promise<Object[]>} - One totals row per person, sorted by name.
+ */
+export const calculatePeriodTotals = async (start, end) => {
+  await connectMongo();
+
+  const dateRange = { $gte: start, $lte: end };
+  const notDraft = [
+    { isDraft: { $exists: false } },
+    { isDraft: false },
+    { isDraft: null },
+  ];
+
+  const [timesheets, leaveHours, training, adjustments] = await Promise.all([
+    Timesheet.find({ date: dateRange, $or: notDraft, ...getPaidTimesheetFilter() })
+      .select('userId username start end breakMinutes')
+      .lean(),
+    LeaveHours.find({
+      date: dateRange,
+      status: 'approved',
+      deleted: { $ne: true },
+    })
+      .select('userId userName hours')
+      .lean(),
+    Training.find({
+      date: dateRange,
+      status: 'approved',
+      deleted: { $ne: true },
+    })
+      .select('userId username duration')
+      .lean(),
+    PayrollAdjustment.find({ payCycleStart: start })
+      .select('userId username minutes')
+      .lean(),
+  ]);
+
+  // Keyed by user id so a change of name does not split anyone's totals
+  const totals = new Map();
+  const getRow = (userId, username) => {
+    const key = userId || username;
+    if (!totals.has(key)) {
+      totals.set(key, {
+        userId: userId || '',
+        username,
+        workMinutes: 0,
+        leaveMinutes: 0,
+        trainingMinutes: 0,
+        adjustmentMinutes: 0,
+        totalMinutes: 0,
+        entryCount: 0,
+      });
+    }
+    return totals.get(key);
+  };
+
+  timesheets.forEach((ts) => {
+    const row = getRow(ts.userId, ts.username);
+    row.workMinutes += calculateMinutesWorked(ts.start, ts.end, ts.breakMinutes);
+    row.entryCount++;
+  });
+  leaveHours.forEach((lh) => {
+    const row = getRow(lh.userId, lh.userName);
+    row.leaveMinutes += Math.round(lh.hours * 60);
+    row.entryCount++;
+  });
+  training.forEach((t) => {
+    const row = getRow(t.userId, t.username);
+    row.trainingMinutes += Math.round(t.duration * 60);
+    row.entryCount++;
+  });
+  adjustments.forEach((adjustment) => {
+    const row = getRow(adjustment.userId, adjustment.username);
+    row.adjustmentMinutes += adjustment.minutes;
+    row.entryCount++;
+  });
+
+  const names = await getDisplayNameMap(
+    Array.from(totals.values()).map((row) => row.userId)
+  );
+
+  return Array.from(totals.values())
+    .map((row) => ({
+      ...row,
+      username: names.get(row.userId) || row.username,
+      totalMinutes:
+        row.workMinutes +
+        row.leaveMinutes +
+        row.trainingMinutes +
+        row.adjustmentMinutes,
+    }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+};
+
+/**
+ * Close the payment cycle containing a date: snapshot its totals and lock its entries.
+ * A reopened period can be closed again, which takes a fresh snapshot.
+ * @param {Date|string} date - Any date in the cycle.
+ * @param {string} closedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved PayrollPeriod.
+ */
+export const closePayrollPeriod = async (date, closedBy) => {
+  await connectMongo();
+
+  const { start, end } = getPayrollPeriodBounds(date);
+
+  if (end > new Date()) {
+    throw new ValidationError(
+      'This payroll period has not finished yet and cannot be closed',
+      'date'
+    );
+  }
+
+  let period = await PayrollPeriod.findOne({ start });
+  if (period?.status === 'closed') {
+    throw new ValidationError('This payroll period is already closed', 'date');
+  }
+
+  if (!period) {
+    period = new PayrollPeriod({ start, end });
+  }
+
+  period.status = 'closed';
+  period.closedAt = new Date();
+  period.closedBy = closedBy;
+  period.totals = await calculatePeriodTotals(start, end);
+  period.history.push({ action: 'close', by: closedBy });
+
+  return period.save();
+};
+
+/**
+ * Reopen a closed payroll period so its entries can be changed again.
+ * @param {string} id - PayrollPeriod id.
+ * @param {string} reason - Why the period is being reopened.
+ * @param {string} reopenedBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved PayrollPeriod.
+ */
+export const reopenPayrollPeriod = async (id, reason, reopenedBy) => {
+  await connectMongo();
+
+  if (!reason || !reason.trim()) {
+    throw new ValidationError('A reason is required to reopen a payroll period', 'reason');
+  }
+
+  const period = await PayrollPeriod.findById(id);
+  if (!period) {
+    throw new NotFoundError('Payroll period not found');
+  }
+  if (period.status !== 'closed') {
+    throw new ValidationError('This payroll period is not closed', 'id');
+  }
+
+  period.status = 'reopened';
+  period.history.push({ action: 'reopen', by: reopenedBy, reason: reason.trim() });
+
+  return period.save();
+};
+
+/**
+ * Find the first payment cycle after a date that has not been closed.
+ * @param {Date} afterDate - Usually the end of the period being corrected.
+ * @returns {Promise<Date>} - Start of that cycle.
+ */
+export const getNextOpenCycleStart = async (afterDate) => {
+  await connectMongo();
+
+  let date = new Date(afterDate);
+  date.setDate(date.getDate() + 1);
+
+  for (;;) {
+    const { start, end } = getPayrollPeriodBounds(date);
+    const closed = await PayrollPeriod.exists({ start, status: 'closed' });
+    if (!closed) return start;
+
+    date = new Date(end);
+    date.setDate(date.getDate() + 1);
+  }
+};
+
+/**
+ * Record a correction against a closed payroll period. The original entries stay
+ * untouched; the adjustment is paid as a separate line in the next open cycle.
+ * @param {Object} options
+ * @param {string} options.periodId - The closed PayrollPeriod.
+ * @param {string} options.userId - Kinde user id of the person being adjusted.
+ * @param {string} [options.username] - Their display name, for people with no user id.
+ * @param {number} options.minutes - Signed minutes; negative takes time off.
+ * @param {string} options.category - One of ADJUSTMENT_CATEGORIES.
+ * @param {string} options.reason - Why the adjustment is needed.
+ * @param {string} options.createdBy - Display name of the admin.
+ * @returns {Promise<Object>} - The saved PayrollAdjustment.
+ */
+export const createPayrollAdjustment = async ({
+  periodId,
+  username,
+  userId,
+  minutes,
+  category,
+  reason,
+  createdBy,
+}) => {
+  await connectMongo();
+
+  if (!userId && !username?.trim()) {
+    throw new ValidationError('Choose who the adjustment is for', 'userId');
+  }
+  if (!Number.isInteger(minutes) || minutes === 0) {
+    throw new ValidationError(
+      'Adjustment must be a whole, non-zero number of minutes',
+      'minutes'
+    );
+  }
+  if (!reason || !reason.trim()) {
+    throw new ValidationError('A reason is required for an adjustment', 'reason');
+  }
+
+  const period = await PayrollPeriod.findById(periodId);
+  if (!period) {
+    throw new NotFoundError('Payroll period not found');
+  }
+  if (period.status !== 'closed') {
+    throw new ValidationError(
+      'Adjustments are only needed for closed periods; edit the entries directly instead',
+      'periodId'
+    );
+  }
+
+  const totalsRow = period.totals.find((row) =>
+    userId ? row.userId === userId : row.username === username.trim()
+  );
+  const adjustmentUserId = userId || totalsRow?.userId || '';
+  const names = await getDisplayNameMap([adjustmentUserId]);
+  const adjustmentUsername =
+    names.get(adjustmentUserId) || totalsRow?.username || username?.trim();
+  if (!adjustmentUsername) {
+    throw new ValidationError('No staff member was found for this adjustment', 'userId');
+  }
+
+  const adjustment = new PayrollAdjustment({
+    userId: adjustmentUserId,
+    username: adjustmentUsername,
+    payrollPeriod: period._id,
+    periodStart: period.start,
+    periodEnd: period.end,
+    payCycleStart: await getNextOpenCycleStart(period.end),
+    minutes,
+    category,
+    reason: reason.trim(),
+    createdBy,
+  });
+
+  try {
+    return await adjustment.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new ValidationError(
+        Object.values(error.errors)[0]?.message || error.message,
+        'adjustment'
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove an adjustment that has not been paid yet.
+ * @param {string} id - PayrollAdjustment id.
+ * @returns {Promise<Object>} - The deleted adjustment.
+ */
+export const deletePayrollAdjustment = async (id) => {
+  await connectMongo();
+
+  const adjustment = await PayrollAdjustment.findById(id);
+  if (!adjustment) {
+    throw new NotFoundError('Adjustment not found');
+  }
+
+  await assertPeriodOpen(adjustment.payCycleStart);
+  await adjustment.deleteOne();
+
+  return adjustment;
+};
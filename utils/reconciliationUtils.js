@@ -0,0 +1,248 @@
+//utils/reconciliationUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import Rota from '@/models/Rota';
+import Timesheet from '@/models/Timesheet';
+import User from '@/models/User';
+import { getUserDisplayName } from './auth';
+import {
+  ROTA_DAYS,
+  normaliseStaffName,
+  parseShiftTimes,
+} from './rotaUtils';
+import { getStaffRotaNames } from './staffShiftUtils';
+
+export const DEFAULT_TOLERANCE_MINUTES = 15;
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Signed difference in minutes, wrapped so 23:50 vs 00:10 reads as 20 minutes
+const diffMinutes = (actual, rostered) => {
+  const diff = toMinutes(actual) - toMinutes(rostered);
+  if (diff > 720) return diff - 1440;
+  if (diff < -720) return diff + 1440;
+  return diff;
+};
+
+/**
+ * Read the week and tolerance from query parameters, falling back to this week and the default tolerance.
+ * @param {URLSearchParams|Object} params - Request search params or page searchParams.
+ * @returns {{weekStart: string, toleranceMinutes: number}|{error: string}}
+ */
+export const parseReconciliationParams = (params) => {
+  const get = (key) =>
+    typeof params.get === 'function' ? params.get(key) : params[key];
+  const weekStart = get('weekStart') || toDateKey(new Date());
+  const tolerance = parseInt(get('tolerance'), 10);
+
+  if (isNaN(new Date(weekStart).getTime())) {
+    return { error: 'Invalid weekStart date' };
+  }
+
+  return {
+    weekStart,
+    toleranceMinutes:
+      isNaN(tolerance) || tolerance < 0 ? DEFAULT_TOLERANCE_MINUTES : tolerance,
+  };
+};
+
+/**
+ * Snap any YYYY-MM-DD date to the Monday of its week, in UTC to match stored rota and timesheet dates.
+ * @param {string|Date} date - Any date in the week.
+ * @returns {Date} - Midnight UTC on the Monday.
+ */
+export const getRotaWeekStart = (date) => {
+  const day = new Date(`${toDateKey(date)}T00:00:00.000Z`);
+  const distanceToMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - distanceToMonday * ONE_DAY);
+};
+
+/**
+ * Compare a rota week with the timesheets logged for it.
+ * @param {Object} options
+ * @param {Object|null} options.rota - Rota document for the week.
+ * @param {Object[]} options.timesheets - Submitted timesheets within the week.
+ * @param {Date} options.weekStart - Monday of the week.
+ * @param {number} options.toleranceMinutes - Allowed start/end deviation.
+ * @param {Map<string, Object>} [options.staff] - userId to {name, rotaNames}: the current
+ *   display name and the normalised names (getStaffRotaNames) the person appears under on rotas.
+ * @returns {{rows: Object[], summary: Object}} - One row per person per day.
+ */
+export const reconcileRotaWeek = ({
+  rota,
+  timesheets,
+  weekStart,
+  toleranceMinutes = DEFAULT_TOLERANCE_MINUTES,
+  staff = new Map(),
+}) => {
+  const today = toDateKey(new Date());
+  const days = ROTA_DAYS.map((day, index) => ({
+    day,
+    date: toDateKey(new Date(weekStart.getTime() + index * ONE_DAY)),
+  }));
+  const entries = new Map();
+
+  const rotaNames = new Set(
+    (rota?.parsedData || []).map((row) => normaliseStaffName(row.staff))
+  );
+
+  const getEntry = (key, name, date, day) => {
+    const entryKey = `${key}|${date}`;
+    if (!entries.has(entryKey)) {
+      entries.set(entryKey, { staff: name, date, day, rostered: null, actual: null });
+    }
+    return entries.get(entryKey);
+  };
+
+  (rota?.parsedData || []).forEach((row) => {
+    days.forEach(({ day, date }) => {
+      // Rotas uploaded with shift codes carry parsed shifts; older ones only have text.
+      // Time ranges are read again from the text so stored rotas follow parseShiftTimes.
+      const parsed = row.shifts?.[day]?.code ? row.shifts[day] : null;
+      const shift = parsed
+        ? parsed.start && parsed.end && { start: parsed.start, end: parsed.end }
+        : parseShiftTimes(row[day]);
+      if (!shift) return;
+
+      const entry = getEntry(normaliseStaffName(row.staff), row.staff, date, day);
+      entry.post = row.post;
+      entry.rostered = { ...shift, text: row[day] };
+    });
+  });
+
+  timesheets.forEach((ts) => {
+    const date = toDateKey(ts.date);
+    const dayInfo = days.find((d) => d.date === date);
+    if (!dayInfo) return;
+
+    // Match the rota row through any name the person goes by, not just the one on the entry
+    const person = staff.get(ts.userId);
+    const names = [...(person?.rotaNames || []), normaliseStaffName(ts.username)];
+    const key =
+      names.find((name) => rotaNames.has(name)) ||
+      (ts.userId ? `user:${ts.userId}` : normaliseStaffName(ts.username));
+
+    const entry = getEntry(key, ts.username, date, dayInfo.day);
+    // Prefer the person's current name, and keep the id so rows link to the admin user pages
+    entry.staff = person?.name || ts.username;
+    entry.userId = ts.userId;
+
+    // Several entries on one day are treated as a single span
+    if (!entry.actual) {
+      entry.actual = { start: ts.start, end: ts.end };
+    } else {
+      if (ts.start < entry.actual.start) entry.actual.start = ts.start;
+      if (ts.end > entry.actual.end) entry.actual.end = ts.end;
+    }
+  });
+
+  const rows = Array.from(entries.values()).map((entry) => {
+    if (entry.rostered && !entry.actual) {
+      return {
+        ...entry,
+        status: entry.date > today ? 'upcoming' : 'no-show',
+      };
+    }
+
+    if (!entry.rostered) {
+      return { ...entry, status: 'unrostered' };
+    }
+
+    const startDeviation = diffMinutes(entry.actual.start, entry.rostered.start);
+    const endDeviation = diffMinutes(entry.actual.end, entry.rostered.end);
+    const withinTolerance =
+      Math.abs(startDeviation) <= toleranceMinutes &&
+      Math.abs(endDeviation) <= toleranceMinutes;
+
+    return {
+      ...entry,
+      startDeviation,
+      endDeviation,
+      status: withinTolerance ? 'matched' : 'deviation',
+    };
+  });
+
+  rows.sort(
+    (a, b) => a.staff.localeCompare(b.staff) || a.date.localeCompare(b.date)
+  );
+
+  const summary = rows.reduce(
+    (acc, row) => {
+      acc[row.status] = (acc[row.status] || 0) + 1;
+      return acc;
+    },
+    { matched: 0, deviation: 0, 'no-show': 0, unrostered: 0, upcoming: 0 }
+  );
+
+  return { rows, summary };
+};
+
+/**
+ * Load the rota and submitted timesheets for a week and reconcile them.
+ * @param {string|Date} date - Any date in the week.
+ * @param {number} toleranceMinutes - Allowed start/end deviation.
+ * @returns {Promise<Object>} - The week, the rota used and the reconciliation rows.
+ */
+export const getRotaReconciliation = async (
+  date,
+  toleranceMinutes = DEFAULT_TOLERANCE_MINUTES
+) => {
+  await connectMongo();
+
+  const weekStart = getRotaWeekStart(date);
+  const weekEnd = new Date(weekStart.getTime() + 6 * ONE_DAY);
+  const nextWeek = new Date(weekStart.getTime() + 7 * ONE_DAY);
+
+  const rota = await Rota.findOne({
+    weekStart: { $gte: weekStart, $lt: nextWeek },
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const timesheets = await Timesheet.find({
+    date: { $gte: weekStart, $lt: nextWeek },
+    $or: [
+      { isDraft: { $exists: false } },
+      { isDraft: false },
+      { isDraft: null },
+    ],
+  })
+    .select('userId username date start end')
+    .lean();
+
+  const users = await User.find({
+    kindeUserId: { $in: [...new Set(timesheets.map((ts) => ts.userId).filter(Boolean))] },
+  })
+    .select('kindeUserId givenName familyName email rotaNames')
+    .lean();
+  const staff = new Map(
+    users.map((user) => {
+      const name = getUserDisplayName(user);
+      return [user.kindeUserId, { name, rotaNames: getStaffRotaNames(name, user.rotaNames) }];
+    })
+  );
+
+  const { rows, summary } = reconcileRotaWeek({
+    rota,
+    timesheets,
+    weekStart,
+    toleranceMinutes,
+    staff,
+  });
+
+  return {
+    weekStart: toDateKey(weekStart),
+    weekEnd: toDateKey(weekEnd),
+    toleranceMinutes,
+    rota: rota ? { id: rota._id.toString(), name: rota.name } : null,
+    rows,
+    summary,
+  };
+};
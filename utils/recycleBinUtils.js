@@ -0,0 +1,144 @@
+// utils/recycleBinUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import Leave from '@/models/Leave';
+import LeaveHours from '@/models/LeaveHours';
+import Timesheet from '@/models/Timesheet';
+import Training from '@/models/Training';
+import { recordAuditEvent } from './auditTrail';
+import { toDateKey } from './bankHolidayData';
+import { getDeletedRecordRetentionDays } from './config';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { getDisplayNameMap } from './identityUtils';
+import { assertPeriodOpen } from './payrollUtils';
+import { restoreRecord } from './softDelete';
+import { refreshWeeklySummary } from './timesheetUtils';
+
+// Entry types that go to the recycle bin. Payroll-period locks apply to restoring
+// the same types they apply to deleting.
+export const RECYCLE_BIN_TYPES = {
+  timesheet: {
+    label: 'Timesheet',
+    model: Timesheet,
+    nameField: 'username',
+    periodLocked: true,
+    describe: (record) => `${toDateKey(record.date)} ${record.start}-${record.end}`,
+  },
+  leave: {
+    label: 'Leave request',
+    model: Leave,
+    nameField: 'username',
+    periodLocked: false,
+    describe: (record) =>
+      `${record.leaveType} leave ${toDateKey(record.startDate)} to ${toDateKey(record.endDate)}, ` +
+      `${record.totalDays} day(s)`,
+  },
+  leaveHours: {
+    label: 'Leave hours',
+    model: LeaveHours,
+    nameField: 'userName',
+    periodLocked: true,
+    describe: (record) => `${record.leaveType} leave ${toDateKey(record.date)}, ${record.hours} h`,
+  },
+  training: {
+    label: 'Training',
+    model: Training,
+    nameField: 'username',
+    periodLocked: true,
+    describe: (record) => `${record.title} ${toDateKey(record.date)}, ${record.duration} h`,
+  },
+};
+
+const requireType = (type) => {
+  const config = RECYCLE_BIN_TYPES[type];
+  if (!config) {
+    throw new ValidationError('Unknown record type', 'type');
+  }
+  return config;
+};
+
+/**
+ * Everything in the recycle bin, most recently deleted first.
+ * @returns {Promise<{retentionDays: number, items: Object[]}>} - Each item has
+ *   {type, label, id, userId, name, summary, status, deletedAt, deletedBy, deletionReason, purgeOn}.
+ */
+export const getRecycleBin = async () => {
+  await connectMongo();
+  const retentionDays = getDeletedRecordRetentionDays();
+
+  const groups = await Promise.all(
+    Object.entries(RECYCLE_BIN_TYPES).map(async ([type, config]) => {
+      const records = await config.model.find({ deleted: true }).lean();
+      return records.map((record) => ({ type, config, record }));
+    })
+  );
+  const entries = groups.flat();
+
+  const displayNames = await getDisplayNameMap(entries.map(({ record }) => record.userId));
+
+  const items = entries
+    .map(({ type, config, record }) => {
+      const purgeOn = record.deletedAt ? new Date(record.deletedAt) : null;
+      purgeOn?.setDate(purgeOn.getDate() + retentionDays);
+
+      return {
+        type,
+        label: config.label,
+        id: record._id.toString(),
+        userId: record.userId || '',
+        name: displayNames.get(record.userId) || record[config.nameField] || '',
+        summary: config.describe(record),
+        status: record.isDraft ? 'draft' : record.status || 'submitted',
+        deletedAt: record.deletedAt,
+        deletedBy: record.deletedBy || '',
+        deletionReason: record.deletionReason || '',
+        purgeOn,
+      };
+    })
+    .sort((a, b) => new Date(b.deletedAt || 0) - new Date(a.deletedAt || 0));
+
+  return { retentionDays, items };
+};
+
+/**
+ * Take a record out of the recycle bin.
+ * @param {string} type - Key of RECYCLE_BIN_TYPES.
+ * @param {string} id - Record id.
+ * @param {Object} user - Kinde user restoring it, for the audit trail.
+ * @returns {Promise<Object>} - The restored record.
+ * @throws {ValidationError|NotFoundError|PeriodLockedError}
+ */
+export const restoreDeletedRecord = async (type, id, user) => {
+  const config = requireType(type);
+  if (!id) {
+    throw new ValidationError('A record id is required', 'id');
+  }
+
+  await connectMongo();
+  const record = await config.model.findOne({ _id: id, deleted: true });
+  if (!record) {
+    throw new NotFoundError('Record not found in the recycle bin');
+  }
+
+  if (config.periodLocked) {
+    await assertPeriodOpen(record.date);
+  }
+
+  const previous = record.toObject();
+  await restoreRecord(record);
+
+  if (type === 'timesheet') {
+    await refreshWeeklySummary(record.userId, record.date);
+  }
+
+  await recordAuditEvent({
+    action: 'RESTORE',
+    user,
+    resourceType: config.model.modelName,
+    resourceId: id,
+    before: previous,
+    after: record,
+  });
+
+  return record;
+};
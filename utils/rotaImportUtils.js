@@ -0,0 +1,374 @@
+//utils/rotaImportUtils.js
+
+import mammoth from 'mammoth';
+import { ValidationError } from './errorHandler';
+import { readExcelSheets } from './excelUtils';
+import { DEFAULT_COLUMN_MAPPING, ROTA_COLUMNS, ROTA_DAYS } from './rotaUtils';
+
+/*
+ * Every rota format is first read into "sheets": [{ name, rows: string[][] }].
+ * Preview, header detection and column mapping then work the same way for
+ * Excel workbooks, CSV exports and Word tables.
+ */
+
+export const ROTA_FILE_FORMATS = {
+  xlsx: 'Excel workbook',
+  csv: 'CSV file',
+  docx: 'Word document',
+};
+
+const HEADER_PATTERNS = {
+  staff: /staff|name|employee/,
+  post: /post|role|position|designation/,
+};
+
+const PREVIEW_ROW_LIMIT = 10;
+const HEADER_SEARCH_LIMIT = 10;
+
+const isBlankRow = (row) => row.every((cell) => !cell);
+
+const columnCountOf = (rows) =>
+  rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+/**
+ * Work out the rota format from the uploaded file name.
+ * @param {File} file - The uploaded file.
+ * @returns {string} - One of the ROTA_FILE_FORMATS keys.
+ */
+export const getRotaFileFormat = (file) => {
+  const fileName = file?.name || '';
+  const extension = fileName.includes('.')
+    ? fileName.split('.').pop().toLowerCase()
+    : '';
+
+  if (extension === 'xls') {
+    throw new ValidationError(
+      'Older .xls files are not supported. Save the rota as .xlsx and upload it again.',
+      'file'
+    );
+  }
+  if (extension === 'doc') {
+    throw new ValidationError(
+      'Older .doc files are not supported. Save the rota as .docx and upload it again.',
+      'file'
+    );
+  }
+  if (!ROTA_FILE_FORMATS[extension]) {
+    throw new ValidationError(
+      `Unsupported file type${extension ? ` .${extension}` : ''}. Upload an .xlsx, .csv or .docx rota.`,
+      'file'
+    );
+  }
+
+  return extension;
+};
+
+/**
+ * Split CSV text into rows, honouring quoted fields, escaped quotes and CRLF line endings.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} - Rows of trimmed cell text.
+ */
+export const parseCsvText = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError(
+      'The CSV file has an unclosed quote. Check the export and try again.',
+      'file'
+    );
+  }
+
+  if (cell || row.length) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Read a CSV rota as a single sheet.
+ * @param {Buffer} fileBuffer - The uploaded file.
+ * @param {string} fileName - Used as the sheet name.
+ * @returns {{name: string, rows: string[][]}[]}
+ */
+export const readCsvSheets = (fileBuffer, fileName = 'CSV') => {
+  // Excel adds a byte-order mark to "CSV UTF-8" exports
+  const text = fileBuffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (text.includes('\u0000')) {
+    throw new ValidationError(
+      'This does not look like a CSV file. Export the rota as "CSV (Comma delimited)" and try again.',
+      'file'
+    );
+  }
+
+  const rows = parseCsvText(text);
+  if (rows.filter((row) => !isBlankRow(row)).length === 0) {
+    throw new ValidationError('The CSV file is empty.', 'file');
+  }
+
+  return [{ name: fileName.replace(/\.csv$/i, ''), rows }];
+};
+
+const decodeHtml = (html) =>
+  html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/p>\s*<p[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Read every table in a Word document, each as its own sheet.
+ * @param {Buffer} fileBuffer - The uploaded file.
+ * @returns {Promise<{name: string, rows: string[][]}[]>}
+ */
+export const readDocxSheets = async (fileBuffer) => {
+  let html;
+  try {
+    ({ value: html } = await mammoth.convertToHtml({ buffer: fileBuffer }));
+  } catch (error) {
+    console.error('Error reading Word document:', error);
+    throw new ValidationError(
+      'The Word document could not be read. Make sure it is saved as .docx.',
+      'file'
+    );
+  }
+
+  const tables = html.match(/<table[\s\S]*?<\/table>/gi) || [];
+  if (tables.length === 0) {
+    throw new ValidationError(
+      'No tables were found in the Word document. The rota must be laid out as a table.',
+      'file'
+    );
+  }
+
+  return tables.map((table, index) => {
+    const rows = (table.match(/<tr[\s\S]*?<\/tr>/gi) || []).map((tr) => {
+      const cells = [];
+      const cellPattern = /<(td|th)([^>]*)>([\s\S]*?)<\/\1>/gi;
+      let match;
+      while ((match = cellPattern.exec(tr)) !== null) {
+        cells.push(decodeHtml(match[3]));
+        // Keep columns aligned when a cell spans several
+        const colspan = parseInt((match[2].match(/colspan="(\d+)"/) || [])[1], 10);
+        for (let i = 1; i < (colspan || 1); i++) cells.push('');
+      }
+      return cells;
+    });
+
+    return { name: `Table ${index + 1}`, rows };
+  });
+};
+
+/**
+ * Read an uploaded rota file of any supported format into sheets.
+ * @param {File} file - The uploaded file from the form data.
+ * @returns {Promise<{format: string, sheets: {name: string, rows: string[][]}[]}>}
+ */
+export const readRotaFile = async (file) => {
+  const format = getRotaFileFormat(file);
+  const fileBuffer = Buffer.from(await file.arrayBuffer());
+
+  let sheets;
+  if (format === 'csv') {
+    sheets = readCsvSheets(fileBuffer, file.name);
+  } else if (format === 'docx') {
+    sheets = await readDocxSheets(fileBuffer);
+  } else {
+    sheets = await readExcelSheets(fileBuffer);
+  }
+
+  if (!sheets.some((sheet) => sheet.rows.some((row) => !isBlankRow(row)))) {
+    throw new ValidationError(
+      `The ${ROTA_FILE_FORMATS[format]} does not contain any rota rows.`,
+      'file'
+    );
+  }
+
+  return { format, sheets };
+};
+
+/**
+ * Find the header row by looking for the first row that names at least three weekdays.
+ * @param {string[][]} rows - Sheet rows.
+ * @returns {number} - 1-based header row number, defaulting to 1.
+ */
+const detectHeaderRow = (rows) => {
+  const lastRow = Math.min(rows.length, HEADER_SEARCH_LIMIT);
+
+  for (let index = 0; index < lastRow; index++) {
+    const dayMatches = rows[index].filter((text) =>
+      ROTA_DAYS.some((day) => text.toLowerCase().startsWith(day.slice(0, 3)))
+    );
+    if (dayMatches.length >= 3) return index + 1;
+  }
+
+  return 1;
+};
+
+/**
+ * Guess which column holds each rota field from the header text, falling back to the default layout.
+ * @param {string[]} headers - Header row text.
+ * @returns {Object} - Field to 1-based column number.
+ */
+export const detectColumnMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  const claim = (field, test) => {
+    const index = headers.findIndex(
+      (text, i) => !used.has(i) && text && test(text.toLowerCase())
+    );
+    if (index !== -1) {
+      mapping[field] = index + 1;
+      used.add(index);
+    }
+  };
+
+  ROTA_DAYS.forEach((day) => claim(day, (text) => text.startsWith(day.slice(0, 3))));
+  claim('staff', (text) => HEADER_PATTERNS.staff.test(text));
+  claim('post', (text) => HEADER_PATTERNS.post.test(text));
+
+  // Staff usually sits in the first unclaimed column when the header is blank
+  if (!mapping.staff) {
+    const index = headers.findIndex((_, i) => !used.has(i));
+    if (index !== -1) {
+      mapping.staff = index + 1;
+      used.add(index);
+    }
+  }
+
+  return ROTA_COLUMNS.reduce(
+    (result, field) => ({
+      ...result,
+      [field]: mapping[field] || (field === 'post' ? 0 : DEFAULT_COLUMN_MAPPING[field]),
+    }),
+    {}
+  );
+};
+
+/**
+ * Build the upload preview: the sheets, the header row and sample rows of one sheet.
+ * @param {{name: string, rows: string[][]}[]} sheets - Sheets read from the file.
+ * @param {Object} options
+ * @param {number} [options.sheetIndex] - Sheet to preview; defaults to the first.
+ * @param {string} [options.sheetName] - Sheet name to prefer, e.g. from a saved template.
+ * @param {number} [options.headerRow] - 1-based header row; auto-detected when omitted.
+ * @returns {Object} - {sheets, sheetIndex, headerRow, headers, rows, detectedMapping}.
+ */
+export const previewRotaSheets = (sheets, options = {}) => {
+  let sheetIndex = Number.isInteger(options.sheetIndex) ? options.sheetIndex : 0;
+  if (options.sheetName && !Number.isInteger(options.sheetIndex)) {
+    const named = sheets.findIndex((sheet) => sheet.name === options.sheetName);
+    if (named !== -1) sheetIndex = named;
+  }
+
+  const sheet = sheets[sheetIndex];
+  if (!sheet) {
+    throw new ValidationError('Sheet not found', 'sheetIndex');
+  }
+
+  const columnCount = columnCountOf(sheet.rows);
+  const padRow = (row) =>
+    Array.from({ length: columnCount }, (_, index) => row[index] || '');
+
+  const headerRow = options.headerRow || detectHeaderRow(sheet.rows);
+  const headers = padRow(sheet.rows[headerRow - 1] || []);
+  const rows = sheet.rows
+    .slice(headerRow)
+    .filter((row) => !isBlankRow(row))
+    .slice(0, PREVIEW_ROW_LIMIT)
+    .map(padRow);
+
+  return {
+    sheets: sheets.map(({ name, rows: sheetRows }, index) => ({
+      index,
+      name,
+      rowCount: sheetRows.length,
+    })),
+    sheetIndex,
+    headerRow,
+    headers,
+    rows,
+    detectedMapping: detectColumnMapping(headers),
+  };
+};
+
+/**
+ * Turn sheet rows into Rota.parsedData rows using a column mapping.
+ * @param {{name: string, rows: string[][]}[]} sheets - Sheets read from the file.
+ * @param {Object} [options]
+ * @param {number} [options.sheetIndex] - Sheet to read; defaults to the first.
+ * @param {number} [options.headerRow] - 1-based header row; data starts on the next row.
+ * @param {Object} [options.mapping] - Field to 1-based column number; 0 leaves the field blank.
+ * @returns {Object[]} - Rows of {staff, post, monday..sunday}.
+ */
+export const parseRotaSheets = (sheets, options = {}) => {
+  const {
+    sheetIndex = 0,
+    headerRow = 1,
+    mapping = DEFAULT_COLUMN_MAPPING,
+  } = options;
+
+  const sheet = sheets[sheetIndex];
+  if (!sheet) {
+    throw new ValidationError('Sheet not found', 'sheetIndex');
+  }
+
+  const readField = (row, field) =>
+    mapping[field] ? row[mapping[field] - 1] || '' : '';
+
+  return sheet.rows
+    .slice(headerRow)
+    .filter((row) => !isBlankRow(row))
+    .map((row) => {
+      const entry = {
+        staff: readField(row, 'staff') || 'Unknown',
+        post: readField(row, 'post') || 'N/A',
+      };
+      ROTA_DAYS.forEach((day) => {
+        entry[day] = readField(row, day);
+      });
+      return entry;
+    })
+    .filter((item) => item.staff !== 'Unknown');
+};
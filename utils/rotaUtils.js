@@ -0,0 +1,332 @@
+//utils/rotaUtils.js
+
+export const ROTA_DAYS = [
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+  'sunday',
+];
+
+// File types the rota upload accepts; see utils/rotaImportUtils.js
+export const ROTA_FILE_ACCEPT = '.xlsx,.csv,.docx';
+
+// Rota fields a spreadsheet column can be mapped to
+export const ROTA_COLUMNS = ['staff', 'post', ...ROTA_DAYS];
+
+// The original layout: staff, post, then Monday to Sunday in columns 1-9
+export const DEFAULT_COLUMN_MAPPING = ROTA_COLUMNS.reduce(
+  (mapping, field, index) => ({ ...mapping, [field]: index + 1 }),
+  {}
+);
+
+export const SHIFT_TYPES = [
+  'early',
+  'late',
+  'night',
+  'long-day',
+  'shift',
+  'off',
+  'leave',
+  'sick',
+];
+
+// Types that occupy working hours and therefore need a start and end time
+export const WORKING_SHIFT_TYPES = ['early', 'late', 'night', 'long-day', 'shift'];
+
+const TIME_TOKEN = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i;
+const SHIFT_PATTERN =
+  /(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)\s*(?:-|–|—|to)\s*(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)/i;
+
+// Bare start hours below this are read as afternoon: "2-10" is a late shift, not 2am
+const EARLIEST_BARE_START_HOUR = 6;
+
+/**
+ * Parse a single time token such as "8", "07:30", "7.30" or "8pm".
+ * @param {string} token - The raw token.
+ * @returns {{minutes: number, meridiem: string|null, padded: boolean}|null} - Minutes after midnight,
+ *   and whether the hour was written with a leading zero as in 24-hour times; null if invalid.
+ */
+const parseTimeToken = (token) => {
+  const match = token.trim().match(TIME_TOKEN);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  } else if (hours > 24) {
+    return null;
+  }
+
+  return {
+    minutes: (hours % 24) * 60 + minutes,
+    meridiem,
+    padded: match[1].length === 2 && match[1].startsWith('0'),
+  };
+};
+
+/**
+ * Format minutes after midnight as HH:mm.
+ * @param {number} totalMinutes - Minutes after midnight.
+ * @returns {string} - The formatted time.
+ */
+export const formatMinutesAsTime = (totalMinutes) => {
+  const minutes = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a rota cell such as "8-8", "07:00-15:00" or "8pm-8am" into start and end times.
+ * Bare hours like "8-8" or "7:30-3:30" are read as a day shift, so the end is moved
+ * into the afternoon when it would otherwise fall at or before the start. A bare start
+ * from 1 to 5, as in "2-10", is an afternoon start, so that shift reads 14:00-22:00.
+ * @param {string} text - The free-text rota cell.
+ * @returns {{start: string, end: string}|null} - HH:mm times, or null for OFF, leave and blank cells.
+ */
+export const parseShiftTimes = (text) => {
+  if (!text) return null;
+
+  const match = String(text).match(SHIFT_PATTERN);
+  if (!match) return null;
+
+  const start = parseTimeToken(match[1]);
+  const end = parseTimeToken(match[2]);
+  if (!start || !end) return null;
+
+  let startMinutes = start.minutes;
+  let endMinutes = end.minutes;
+  if (!start.meridiem && !end.meridiem) {
+    const afternoonStart =
+      !start.padded &&
+      startMinutes >= 60 &&
+      startMinutes < EARLIEST_BARE_START_HOUR * 60;
+    if (afternoonStart) {
+      startMinutes += 720;
+    }
+
+    if (
+      (startMinutes <= 720 || afternoonStart) &&
+      endMinutes <= startMinutes &&
+      endMinutes + 720 > startMinutes
+    ) {
+      endMinutes += 720;
+    }
+  }
+
+  return {
+    start: formatMinutesAsTime(startMinutes),
+    end: formatMinutesAsTime(endMinutes),
+  };
+};
+
+/**
+ * Normalise a staff name so rota rows and timesheet usernames can be compared.
+ * @param {string} name - The staff name.
+ * @returns {string} - Lower-cased name with single spaces.
+ */
+export const normaliseStaffName = (name) =>
+  (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Turn a rota cell into a structured shift using the shift-code table, then time ranges.
+ * @param {string} text - The free-text rota cell, e.g. "LD", "OFF" or "8-2".
+ * @param {Object[]} shiftCodes - Shift-code definitions ({code, type, start, end}).
+ * @returns {{code: string, type: string, start: string, end: string}|null} - null when the cell is blank or unrecognised.
+ */
+export const parseShiftCell = (text, shiftCodes = []) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  const code = value.toUpperCase().replace(/[.\s]+$/, '');
+  const definition = shiftCodes.find((shiftCode) => shiftCode.code === code);
+  if (definition) {
+    return {
+      code: definition.code,
+      type: definition.type,
+      start: definition.start || '',
+      end: definition.end || '',
+    };
+  }
+
+  const times = parseShiftTimes(value);
+  if (times) {
+    return { code: '', type: 'shift', ...times };
+  }
+
+  return null;
+};
+
+/**
+ * Attach parsed shifts to every rota row and collect the cells that could not be understood.
+ * @param {Object[]} rows - Rota rows with raw day strings.
+ * @param {Object[]} shiftCodes - Shift-code definitions.
+ * @returns {{rows: Object[], unparsedCells: Object[]}} - Rows with a `shifts` map, plus {staff, day, value} for each unrecognised cell.
+ */
+export const parseRotaShifts = (rows, shiftCodes = []) => {
+  const unparsedCells = [];
+
+  const parsedRows = rows.map((row) => {
+    const shifts = {};
+
+    ROTA_DAYS.forEach((day) => {
+      const value = (row[day] || '').trim();
+      if (!value) return;
+
+      const shift = parseShiftCell(value, shiftCodes);
+      if (shift) {
+        shifts[day] = shift;
+      } else {
+        unparsedCells.push({ staff: row.staff, day, value });
+      }
+    });
+
+    return { ...row, shifts };
+  });
+
+  return { rows: parsedRows, unparsedCells };
+};
+
+/**
+ * Validate a column mapping sent from the upload form.
+ * @param {Object} mapping - Field to 1-based column number.
+ * @returns {{mapping: Object}|{error: string}} - Clean mapping with every field present, or the reason it was rejected.
+ */
+export const validateColumnMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object') {
+    return { error: 'Column mapping is required' };
+  }
+
+  const clean = {};
+  for (const field of ROTA_COLUMNS) {
+    const column = mapping[field] === undefined || mapping[field] === '' ? 0 : Number(mapping[field]);
+    if (!Number.isInteger(column) || column < 0) {
+      return { error: `Invalid column for ${field}` };
+    }
+    clean[field] = column;
+  }
+
+  if (!clean.staff) {
+    return { error: 'Choose the column that holds staff names' };
+  }
+  if (!ROTA_DAYS.some((day) => clean[day])) {
+    return { error: 'Map at least one day column' };
+  }
+
+  return { mapping: clean };
+};
+
+// How a rota row is shown: inline, collapsed under its section heading, or not at all
+export const ROTA_VISIBILITY = ['visible', 'grouped', 'hidden'];
+
+// Who is looking at the rota; admins can be shown a different view to staff
+export const ROTA_AUDIENCES = ['staff', 'admin'];
+
+/**
+ * Resolve how a row should be shown to an audience. A setting on the row wins,
+ * then the setting for its section, otherwise the row is visible.
+ * @param {Object} row - Rota row with optional `section` and `visibility`.
+ * @param {Object[]} sections - Rota section settings ({name, visibility}).
+ * @param {string} audience - One of ROTA_AUDIENCES.
+ * @returns {string} - One of ROTA_VISIBILITY.
+ */
+export const getRowVisibility = (row, sections = [], audience = 'staff') => {
+  if (row.visibility?.[audience]) {
+    return row.visibility[audience];
+  }
+
+  const section = row.section && sections.find((s) => s.name === row.section);
+  return section?.visibility?.[audience] || 'visible';
+};
+
+/**
+ * Apply the stored visibility settings to a rota for one audience.
+ * @param {Object} rota - Plain rota object.
+ * @param {string} audience - One of ROTA_AUDIENCES.
+ * @returns {Object} - The rota with only visible rows in `parsedData` and grouped rows in `groups`.
+ */
+export const applyRotaVisibility = (rota, audience = 'staff') => {
+  const parsedData = [];
+  const groups = [];
+
+  (rota.parsedData || []).forEach((row) => {
+    const visibility = getRowVisibility(row, rota.sections, audience);
+
+    if (visibility === 'visible') {
+      parsedData.push(row);
+    } else if (visibility === 'grouped') {
+      const name = row.section || 'Other';
+      let group = groups.find((g) => g.name === name);
+      if (!group) {
+        group = { name, rows: [] };
+        groups.push(group);
+      }
+      group.rows.push(row);
+    }
+  });
+
+  return { ...rota, parsedData, groups };
+};
+
+// Rows the rota page hid by name before visibility could be set per row
+const LEGACY_HIDDEN_STAFF = ['Upstairs Cleaning', 'Abuu Daud'];
+
+/**
+ * Rotas stored before visibility settings existed have no `sections`, and relied on the
+ * rota page skipping the sheet's header row, the "NIGHT STAFF" heading and a few named
+ * rows. Mark those rows hidden so they stay hidden; once the rota is saved in the editor
+ * it has sections and its own settings apply.
+ * @param {Object|null} rota - Plain rota object.
+ * @returns {Object|null} - The rota, with the old exclusions as row settings when it predates them.
+ */
+export const applyLegacyRotaVisibility = (rota) => {
+  if (!rota || Array.isArray(rota.sections)) return rota;
+
+  const hidden = { staff: 'hidden', admin: 'hidden' };
+  return {
+    ...rota,
+    sections: [],
+    parsedData: (rota.parsedData || []).map((row, index) =>
+      index === 0 ||
+      LEGACY_HIDDEN_STAFF.includes(row.staff) ||
+      (row.staff || '').includes('NIGHT STAFF')
+        ? { ...row, visibility: hidden }
+        : row
+    ),
+  };
+};
+
+/**
+ * Spreadsheets often split staff with heading rows such as "NIGHT STAFF" that have no post
+ * or shifts. Drop those rows and record the heading as the `section` of the rows beneath it.
+ * @param {Object[]} rows - Rota rows in sheet order.
+ * @returns {Object[]} - Rows with `section` set.
+ */
+export const assignRotaSections = (rows) => {
+  let section = '';
+
+  return rows.reduce((result, row) => {
+    const post = row.post === 'N/A' ? '' : (row.post || '').trim();
+    const isHeading =
+      !post &&
+      ROTA_DAYS.every((day) => !(row[day] || '').trim()) &&
+      /[A-Z]/.test(row.staff) &&
+      row.staff === row.staff.toUpperCase();
+
+    if (isHeading) {
+      section = row.staff.trim();
+      return result;
+    }
+
+    result.push({ ...row, section: row.section || section });
+    return result;
+  }, []);
+};
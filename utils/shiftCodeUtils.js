@@ -0,0 +1,51 @@
+//utils/shiftCodeUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import ShiftCode from '@/models/ShiftCode';
+import ShiftCodeSetting from '@/models/ShiftCodeSetting';
+
+// Seeded the first time the table is read so existing rotas parse out of the box
+export const DEFAULT_SHIFT_CODES = [
+  { code: 'E', description: 'Early', type: 'early', start: '07:00', end: '15:00' },
+  { code: 'L', description: 'Late', type: 'late', start: '14:00', end: '22:00' },
+  { code: 'N', description: 'Night', type: 'night', start: '20:00', end: '08:00' },
+  { code: 'LD', description: 'Long day', type: 'long-day', start: '08:00', end: '20:00' },
+  { code: 'OFF', description: 'Day off', type: 'off' },
+  { code: 'AL', description: 'Annual leave', type: 'leave' },
+  { code: 'SICK', description: 'Sickness', type: 'sick' },
+];
+
+/**
+ * Load the shift-code table, seeding the defaults the first time it is read.
+ * Seeding is recorded, so codes an admin deletes stay deleted even if the table empties.
+ * @returns {Promise<Object[]>} - Plain shift-code objects sorted by code.
+ */
+export const getShiftCodes = async () => {
+  await connectMongo();
+
+  const seeded = await ShiftCodeSetting.exists({});
+  // The upsert returns the document it found, so only the first reader sees null
+  const firstRead =
+    !seeded &&
+    !(await ShiftCodeSetting.findOneAndUpdate(
+      {},
+      { $setOnInsert: { defaultsSeededAt: new Date() } },
+      { upsert: true, new: false }
+    ));
+
+  // Tables filled before seeding was recorded are left as they are
+  if (firstRead && (await ShiftCode.countDocuments()) === 0) {
+    // Upsert so concurrent first uploads don't trip the unique index
+    await ShiftCode.bulkWrite(
+      DEFAULT_SHIFT_CODES.map((shiftCode) => ({
+        updateOne: {
+          filter: { code: shiftCode.code },
+          update: { $setOnInsert: shiftCode },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  return ShiftCode.find().sort({ code: 1 }).lean();
+};
@@ -0,0 +1,88 @@
+// utils/softDelete.js
+
+/*
+ * Timesheets, leave requests, leave hours and training records are never removed
+ * straight away. Deleting one marks it `deleted`, which hides it from every query
+ * until an admin restores it from the recycle bin or the retention job purges it.
+ *
+ * A query sees deleted records only when its filter names `deleted` itself, e.g.
+ * `{ deleted: true }` for the recycle bin, or it sets the `withDeleted` option.
+ */
+
+// Queries that skip deleted records unless asked otherwise. Deletes are left alone
+// so the retention job and user-data cleanup still reach deleted records.
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+const HIDE_DELETED = { deleted: { $ne: true } };
+
+/**
+ * Mongoose schema plugin adding the deletion fields and hiding deleted records.
+ * @param {mongoose.Schema} schema
+ */
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deleted: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: String, default: null },
+    deletionReason: { type: String, default: null },
+  });
+  schema.index({ deleted: 1, deletedAt: 1 });
+
+  // `withDeleted` is ours alone, so it is taken off before the query reaches the driver
+  schema.pre(FILTERED_QUERIES, function () {
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted;
+    if (withDeleted || 'deleted' in this.getFilter()) return;
+    this.where(HIDE_DELETED);
+  });
+
+  schema.pre('aggregate', function () {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+    const [first] = this.pipeline();
+    if (withDeleted || (first?.$match && 'deleted' in first.$match)) return;
+    this.pipeline().unshift({ $match: HIDE_DELETED });
+  });
+};
+
+/**
+ * Move a record to the recycle bin.
+ * @param {mongoose.Document} record - Timesheet, Leave, LeaveHours or Training document.
+ * @param {string} deletedBy - Display name of whoever deleted it.
+ * @param {string} [reason] - Why, if they said.
+ * @returns {Promise<mongoose.Document>} - The saved record.
+ */
+export const softDeleteRecord = (record, deletedBy, reason) => {
+  record.set({
+    deleted: true,
+    deletedAt: new Date(),
+    deletedBy,
+    deletionReason: reason || null,
+  });
+  return record.save();
+};
+
+/**
+ * Take a record back out of the recycle bin.
+ * @param {mongoose.Document} record - A deleted record, loaded with `{ deleted: true }`.
+ * @returns {Promise<mongoose.Document>} - The saved record.
+ */
+export const restoreRecord = (record) => {
+  record.set({
+    deleted: false,
+    deletedAt: null,
+    deletedBy: null,
+    deletionReason: null,
+  });
+  return record.save();
+};
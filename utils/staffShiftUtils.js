@@ -0,0 +1,159 @@
+//utils/staffShiftUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import Leave from '@/models/Leave';
+import Rota from '@/models/Rota';
+import { addDaysToDateKey, buildIcsCalendar } from './icsUtils';
+import { getRotaWeekStart } from './reconciliationUtils';
+import { ROTA_DAYS, WORKING_SHIFT_TYPES, normaliseStaffName, parseShiftCell } from './rotaUtils';
+import { getShiftCodes } from './shiftCodeUtils';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * The names a user may appear under on a rota: their display name plus any aliases an admin has added.
+ * @param {string} displayName - "Given Family" as stored on timesheets.
+ * @param {string[]} aliases - User.rotaNames.
+ * @returns {string[]} - Normalised, de-duplicated names.
+ */
+export const getStaffRotaNames = (displayName, aliases = []) => [
+  ...new Set([displayName, ...aliases].map(normaliseStaffName).filter(Boolean)),
+];
+
+/**
+ * Collect one person's shifts from a set of rotas.
+ * Only the newest rota for each week is used, matching the reconciliation report.
+ * Days whose code is not a working shift (OFF, leave, sickness) are left out; cells
+ * that match no code or time range are kept as text-only shifts.
+ * @param {Object} options
+ * @param {Object[]} options.rotas - Rota documents, newest upload first.
+ * @param {string[]} options.names - Normalised names from getStaffRotaNames.
+ * @param {string} options.from - YYYY-MM-DD; earlier days are left out.
+ * @param {Object[]} [options.shiftCodes] - Shift-code table, for rows uploaded before cells were parsed.
+ * @returns {{matched: boolean, shifts: Object[]}} - Whether any row matched, and the shifts in date order.
+ */
+export const findStaffShifts = ({ rotas, names, from, shiftCodes = [] }) => {
+  const seenWeeks = new Set();
+  const shifts = [];
+  let matched = false;
+
+  rotas.forEach((rota) => {
+    const weekStart = getRotaWeekStart(rota.weekStart);
+    const weekKey = toDateKey(weekStart);
+    if (seenWeeks.has(weekKey)) return;
+    seenWeeks.add(weekKey);
+
+    (rota.parsedData || [])
+      .filter((row) => names.includes(normaliseStaffName(row.staff)))
+      .forEach((row) => {
+        matched = true;
+
+        ROTA_DAYS.forEach((day, index) => {
+          const text = (row[day] || '').trim();
+          const date = toDateKey(new Date(weekStart.getTime() + index * ONE_DAY));
+          if (!text || date < from) return;
+
+          // Only coded cells are taken as stored; time ranges are read again from the text
+          const stored = row.shifts?.[day];
+          const parsed = stored?.code ? stored : parseShiftCell(text, shiftCodes);
+          if (parsed && !WORKING_SHIFT_TYPES.includes(parsed.type)) return;
+
+          shifts.push({
+            date,
+            day,
+            rotaId: rota._id.toString(),
+            rotaName: rota.name,
+            rotaUpdatedAt: rota.updatedAt,
+            post: row.post,
+            text,
+            type: parsed?.type || '',
+            start: parsed?.start || '',
+            end: parsed?.end || '',
+          });
+        });
+      });
+  });
+
+  shifts.sort((a, b) => a.date.localeCompare(b.date));
+
+  return { matched, shifts };
+};
+
+/**
+ * Load every stored rota and pick out one person's shifts.
+ * @param {string[]} names - Normalised names from getStaffRotaNames.
+ * @param {string} [from] - YYYY-MM-DD; defaults to today so only upcoming shifts are returned.
+ * @returns {Promise<{matched: boolean, shifts: Object[]}>}
+ */
+export const getStaffShifts = async (names, from = toDateKey(new Date())) => {
+  await connectMongo();
+
+  const [rotas, shiftCodes] = await Promise.all([
+    Rota.find({})
+      .select('name weekStart parsedData updatedAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    getShiftCodes(),
+  ]);
+
+  return findStaffShifts({ rotas, names, from, shiftCodes });
+};
+
+// How far back the calendar feed goes, so past shifts stay visible for a while
+const FEED_HISTORY_DAYS = 56;
+
+/**
+ * Build the iCalendar subscription feed for a user: rostered shifts plus approved leave.
+ * It is generated on every request, so rota edits show up on the next calendar refresh.
+ * @param {Object} dbUser - User document.
+ * @param {string} displayName - The name used on the user's timesheets and leave.
+ * @returns {Promise<string>} - The .ics text.
+ */
+export const buildStaffCalendarFeed = async (dbUser, displayName) => {
+  const from = addDaysToDateKey(toDateKey(new Date()), -FEED_HISTORY_DAYS);
+  const names = getStaffRotaNames(displayName, dbUser.rotaNames);
+  const { shifts } = await getStaffShifts(names, from);
+
+  const leaves = await Leave.find({
+    userId: dbUser.kindeUserId,
+    status: 'approved',
+    endDate: { $gte: new Date(from) },
+    $or: [
+      { isDraft: { $exists: false } },
+      { isDraft: false },
+      { isDraft: null },
+    ],
+  })
+    .sort({ startDate: 1 })
+    .lean();
+
+  const shiftEvents = shifts
+    .filter((shift) => shift.start && shift.end)
+    .map((shift) => ({
+      // Stable per rota and day so an edited shift replaces the old event
+      uid: `shift-${shift.rotaId}-${shift.date}@deerpark`,
+      date: shift.date,
+      start: shift.start,
+      end: shift.end,
+      summary: `Shift: ${shift.text}`,
+      location: shift.post && shift.post !== 'N/A' ? shift.post : '',
+      description: `Rota: ${shift.rotaName}`,
+      updatedAt: shift.rotaUpdatedAt,
+    }));
+
+  const leaveEvents = leaves.map((leave) => ({
+    uid: `leave-${leave._id.toString()}@deerpark`,
+    startDate: toDateKey(leave.startDate),
+    endDate: toDateKey(leave.endDate),
+    summary: `${leave.leaveType.charAt(0).toUpperCase()}${leave.leaveType.slice(1)} leave`,
+    description: leave.reason,
+    updatedAt: leave.updatedAt,
+  }));
+
+  return buildIcsCalendar({
+    name: `Deerpark shifts - ${displayName}`,
+    events: [...shiftEvents, ...leaveEvents],
+  });
+};
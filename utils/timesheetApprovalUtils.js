@@ -0,0 +1,191 @@
+// utils/timesheetApprovalUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import Timesheet from '@/models/Timesheet';
+import { recordAuditEvent } from './auditTrail';
+import { getDisplayName } from './auth';
+import { isFeatureEnabled } from './config';
+import { getWeeklyPeriod } from './dateUtils';
+import { NotFoundError, ValidationError } from './errorHandler';
+import { getDisplayNameMap } from './identityUtils';
+import { assertPeriodOpen } from './payrollUtils';
+
+/*
+ * Timesheet approval is off unless FEATURE_TIMESHEET_APPROVAL=true. While it is on,
+ * submitted entries wait as `pending` for an admin. Entries saved while it was off,
+ * and those from before the status field existed, count as approved.
+ */
+
+// Matches entries that count as approved, including those with no status at all
+export const APPROVED_TIMESHEETS = { status: { $nin: ['pending', 'rejected'] } };
+
+export const isTimesheetApprovalEnabled = () => isFeatureEnabled('TIMESHEET_APPROVAL');
+
+// Extra Timesheet filter for pay totals: only approved entries while approval is on
+export const getPaidTimesheetFilter = () =>
+  isTimesheetApprovalEnabled() ? APPROVED_TIMESHEETS : {};
+
+// Status a newly submitted entry starts with
+export const getSubmittedTimesheetStatus = () =>
+  isTimesheetApprovalEnabled() ? 'pending' : 'approved';
+
+const setStatus = async (timesheets, changes, user, action, details = {}) => {
+  await assertPeriodOpen(...timesheets.map((timesheet) => timesheet.date));
+
+  for (const timesheet of timesheets) {
+    const previous = timesheet.toObject();
+    timesheet.set(changes);
+    await timesheet.save();
+
+    await recordAuditEvent({
+      action,
+      user,
+      resourceType: 'Timesheet',
+      resourceId: timesheet._id,
+      before: previous,
+      after: timesheet,
+      details,
+    });
+  }
+
+  return timesheets;
+};
+
+const findPendingTimesheet = async (id) => {
+  if (!id) {
+    throw new ValidationError('Timesheet ID is required', 'id');
+  }
+
+  await connectMongo();
+  const timesheet = await Timesheet.findOne({ _id: id, isDraft: { $ne: true } });
+  if (!timesheet) {
+    throw new NotFoundError('Timesheet not found');
+  }
+  if (timesheet.status !== 'pending') {
+    throw new ValidationError(`This timesheet entry has already been ${timesheet.status || 'approved'}`);
+  }
+  return timesheet;
+};
+
+const approvalChanges = (user) => ({
+  status: 'approved',
+  approvedBy: getDisplayName(user),
+  approvedAt: new Date(),
+  rejectedBy: null,
+  rejectedAt: null,
+  rejectionReason: null,
+});
+
+/**
+ * Approve one pending entry.
+ * @param {string} id - Timesheet id.
+ * @param {Object} user - Kinde user approving it.
+ * @returns {Promise<Object>} - The approved entry.
+ * @throws {ValidationError|NotFoundError|PeriodLockedError}
+ */
+export const approveTimesheet = async (id, user) => {
+  const timesheet = await findPendingTimesheet(id);
+
+  const [approved] = await setStatus([timesheet], approvalChanges(user), user, 'APPROVE');
+  return approved;
+};
+
+/**
+ * Approve every pending entry one person submitted in the week containing `date`.
+ * @param {string} userId - Kinde user id of the staff member.
+ * @param {Date|string} date - Any day in the week.
+ * @param {Object} user - Kinde user approving them.
+ * @returns {Promise<number>} - How many entries were approved.
+ * @throws {ValidationError|PeriodLockedError}
+ */
+export const approveTimesheetWeek = async (userId, date, user) => {
+  if (!userId || !date || isNaN(new Date(date).getTime())) {
+    throw new ValidationError('A staff member and week are required');
+  }
+
+  await connectMongo();
+  const { startDate, endDate } = getWeeklyPeriod(date);
+  const timesheets = await Timesheet.find({
+    userId,
+    status: 'pending',
+    isDraft: { $ne: true },
+    date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+  });
+
+  await setStatus(timesheets, approvalChanges(user), user, 'APPROVE', {
+    bulk: true,
+    weekStart: startDate,
+  });
+  return timesheets.length;
+};
+
+/**
+ * Reject one pending entry. It stays on the staff member's timesheet, marked rejected with
+ * the reason, and is left out of approved-only exports.
+ * @param {string} id - Timesheet id.
+ * @param {Object} user - Kinde user rejecting it.
+ * @param {string} reason - Why, shown to the staff member.
+ * @returns {Promise<Object>} - The rejected entry.
+ * @throws {ValidationError|NotFoundError|PeriodLockedError}
+ */
+export const rejectTimesheet = async (id, user, reason) => {
+  const rejectionReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!rejectionReason) {
+    throw new ValidationError('Rejection reason is required', 'reason');
+  }
+
+  const timesheet = await findPendingTimesheet(id);
+
+  const [rejected] = await setStatus(
+    [timesheet],
+    {
+      status: 'rejected',
+      rejectedBy: getDisplayName(user),
+      rejectedAt: new Date(),
+      rejectionReason,
+      approvedBy: null,
+      approvedAt: null,
+    },
+    user,
+    'REJECT'
+  );
+  return rejected;
+};
+
+/**
+ * Pending entries grouped by person and week, oldest week first, for the approval queue.
+ * @param {Object} [dateFilter] - Optional `{ $gte, $lte }` on the entry date.
+ * @returns {Promise<Object[]>} - Each group is {userId, name, weekStart, weekEnd, timesheets}.
+ */
+export const getPendingTimesheetWeeks = async (dateFilter) => {
+  await connectMongo();
+  const timesheets = await Timesheet.find({
+    status: 'pending',
+    isDraft: { $ne: true },
+    ...(dateFilter ? { date: dateFilter } : {}),
+  })
+    .sort({ date: 1, start: 1 })
+    .lean();
+
+  const displayNames = await getDisplayNameMap(timesheets.map((timesheet) => timesheet.userId));
+
+  const groups = new Map();
+  timesheets.forEach((timesheet) => {
+    const { startDate, endDate } = getWeeklyPeriod(timesheet.date);
+    const key = `${timesheet.userId}|${startDate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        userId: timesheet.userId,
+        name: displayNames.get(timesheet.userId) || timesheet.username,
+        weekStart: startDate,
+        weekEnd: endDate,
+        timesheets: [],
+      });
+    }
+    groups.get(key).timesheets.push(timesheet);
+  });
+
+  return Array.from(groups.values()).sort(
+    (a, b) => a.weekStart.localeCompare(b.weekStart) || a.name.localeCompare(b.name)
+  );
+};
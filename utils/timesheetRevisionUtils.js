@@ -0,0 +1,111 @@
+// utils/timesheetRevisionUtils.js
+
+import connectMongo from '@/db/connectMongo';
+import TimesheetRevision from '@/models/TimesheetRevision';
+import { recordAuditEvent } from './auditTrail';
+import { getDisplayName } from './auth';
+import { isBankHoliday } from './bankHolidayUtils';
+import { refreshWeeklySummary } from './timesheetUtils';
+
+const toRevision = (timesheet) => ({
+  timesheetId: timesheet._id.toString(),
+  userId: timesheet.userId,
+  date: timesheet.date,
+  start: timesheet.start,
+  end: timesheet.end,
+  breakMinutes: timesheet.breakMinutes || 0,
+});
+
+/**
+ * Keep the version an admin edit produced. Entries edited for the first time also
+ * get revision 1 saved from the values they had before, so the original is never lost.
+ * @param {Object} previous - The timesheet before the edit.
+ * @param {Object} updated - The timesheet after the edit.
+ * @param {Object} user - Kinde user who made the edit.
+ * @param {string} reason - Why the entry was changed.
+ * @returns {Promise<Object>} - The new revision.
+ */
+export const recordTimesheetRevision = async (previous, updated, user, reason) => {
+  await connectMongo();
+  const timesheetId = updated._id.toString();
+
+  const latest = await TimesheetRevision.findOne({ timesheetId }).sort({ revision: -1 }).lean();
+  let revision = latest?.revision || 0;
+
+  if (!latest) {
+    revision = 1;
+    await TimesheetRevision.create({
+      ...toRevision(previous),
+      revision,
+      editedById: previous.userId,
+      editedBy: previous.username,
+      reason: 'Original entry',
+      createdAt: previous.createdAt || new Date(),
+    });
+  }
+
+  return TimesheetRevision.create({
+    ...toRevision(updated),
+    revision: revision + 1,
+    editedById: user?.id || '',
+    editedBy: getDisplayName(user),
+    reason,
+  });
+};
+
+/**
+ * Change a timesheet entry on a manager's behalf: saves it marked as edited, keeps the
+ * revision, records the audit event and brings the weekly summaries back in line.
+ * Callers check the payroll period first.
+ * @param {mongoose.Document} timesheet - The entry to change.
+ * @param {Object} changes - Any of date, start, end and breakMinutes, plus any status fields to reset.
+ * @param {Object} user - Kinde user making the change.
+ * @param {string} reason - Why the entry was changed.
+ * @param {Object} [details] - Extra audit details.
+ * @returns {Promise<mongoose.Document>} - The saved entry.
+ */
+export const applyTimesheetEdit = async (timesheet, changes, user, reason, details = {}) => {
+  const previous = timesheet.toObject();
+
+  timesheet.set({
+    ...changes,
+    editedByManager: true,
+    lastEditedBy: getDisplayName(user),
+    lastEditedAt: new Date(),
+  });
+  if (changes.date) {
+    timesheet.isBankHoliday = await isBankHoliday(timesheet.date);
+  }
+  await timesheet.save();
+
+  await recordTimesheetRevision(previous, timesheet, user, reason);
+
+  await recordAuditEvent({
+    action: 'UPDATE',
+    user,
+    resourceType: 'Timesheet',
+    resourceId: timesheet._id,
+    before: previous,
+    after: timesheet,
+    details: { reason, ...details },
+  });
+
+  // A new date can move the entry into another week
+  await refreshWeeklySummary(timesheet.userId, previous.date);
+  if (changes.date) {
+    await refreshWeeklySummary(timesheet.userId, timesheet.date);
+  }
+
+  return timesheet;
+};
+
+/**
+ * Every saved version of a timesheet entry, oldest first. Entries never edited by
+ * an admin have none.
+ * @param {string} timesheetId
+ * @returns {Promise<Object[]>}
+ */
+export const getTimesheetHistory = async (timesheetId) => {
+  await connectMongo();
+  return TimesheetRevision.find({ timesheetId }).sort({ revision: 1 }).lean();
+};
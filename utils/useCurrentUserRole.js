@@ -0,0 +1,40 @@
+// utils/useCurrentUserRole.js
+
+'use client';
+
+import { useEffect, useState } from 'react';
+
+/**
+ * The signed-in user's role as the API sees it ('admin' or 'user'), for client pages.
+ * Admins promote and demote people on /admin/users, so this is read from the User
+ * record rather than the Kinde permissions carried in the session.
+ * @returns {{role: string|null, isAdmin: boolean, isLoading: boolean}} - `role` is null when signed out.
+ */
+const useCurrentUserRole = () => {
+  const [role, setRole] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const response = await fetch('/api/me', { cache: 'no-store' });
+        const data = response.ok ? await response.json() : {};
+        if (!cancelled) setRole(data.role || null);
+      } catch (error) {
+        console.error('Failed to fetch current user role:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { role, isAdmin: role === 'admin', isLoading };
+};
+
+export default useCurrentUserRole;
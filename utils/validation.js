@@ -101,8 +101,9 @@ export const validateTimesheetEntry = (data) => {
   };
 };
 
-// Validate leave request
-export const validateLeaveRequest = (data) => {
+// Validate leave request. `expectedTotalDays` is the duration the server worked out from the
+// working pattern; a different totalDays from the client is rejected rather than stored.
+export const validateLeaveRequest = (data, { expectedTotalDays } = {}) => {
   const errors = [];
   
   // Required fields
@@ -137,6 +138,28 @@ export const validateLeaveRequest = (data) => {
     }
   }
   
+  // Duration validation
+  if (expectedTotalDays !== undefined) {
+    if (expectedTotalDays === 0) {
+      errors.push('The dates chosen contain no working days outside bank holidays');
+    } else if (
+      data.totalDays !== undefined &&
+      data.totalDays !== null &&
+      Number(data.totalDays) !== expectedTotalDays
+    ) {
+      errors.push(
+        `These dates come to ${expectedTotalDays} working days, not ${data.totalDays}. Refresh the form and try again`
+      );
+    }
+  }
+
+  if (
+    (data.startHalfDay !== undefined && typeof data.startHalfDay !== 'boolean') ||
+    (data.endHalfDay !== undefined && typeof data.endHalfDay !== 'boolean')
+  ) {
+    errors.push('Half-day options must be true or false');
+  }
+
   // Leave type validation
   const validLeaveTypes = ['annual', 'sick', 'maternity', 'paternity', 'unpaid', 'other'];
   if (data.leaveType && !validLeaveTypes.includes(data.leaveType)) {